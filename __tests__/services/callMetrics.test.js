@@ -0,0 +1,45 @@
+import {
+  countFillers,
+  createConversationMetrics,
+  detectQuestions,
+  recordUtterance,
+  summarizeConversation
+} from '../../services/callMetrics.js';
+
+describe('Call metrics', () => {
+  test('detects open and closed questions, with or without a question mark', () => {
+    expect(detectQuestions('Thanks for that. So, what are you using today? Do you like it. Tell me about your workflow!'))
+      .toEqual([
+        { text: 'So, what are you using today?', type: 'open' },
+        { text: 'Do you like it.', type: 'closed' },
+        { text: 'Tell me about your workflow!', type: 'open' }
+      ]);
+    expect(detectQuestions('We install it in a day.')).toEqual([]);
+  });
+
+  test('counts filler words, not words that merely start with them', () => {
+    expect(countFillers('Um, you know, it is kind of, uh, an umbrella thing')).toBe(4);
+  });
+
+  test('tracks monologues, interruptions, silences and measured pace per speaker', () => {
+    const metrics = createConversationMetrics();
+
+    recordUtterance(metrics, { speaker: 'rep', text: 'one two three four five', startAt: 0, endAt: 2000 });
+    recordUtterance(metrics, { speaker: 'rep', text: 'six seven eight nine ten', startAt: 2000, endAt: 4000 });
+    expect(recordUtterance(metrics, { speaker: 'client', text: 'hold on', startAt: 3500, endAt: 4500 }))
+      .toMatchObject({ interrupted: true, silenceMs: 0 });
+    expect(recordUtterance(metrics, { speaker: 'rep', text: 'what do you think?', startAt: 8000 }))
+      .toMatchObject({ silenceMs: 3500, questions: [{ type: 'open' }] });
+
+    const summary = summarizeConversation(metrics);
+    expect(summary.speakers.rep).toMatchObject({
+      words: 14,
+      longestMonologueSeconds: 4,
+      wordsPerMinute: 150,
+      questions: { open: 1, closed: 0, total: 1 }
+    });
+    expect(summary.speakers.client.interruptions).toBe(1);
+    expect(summary.silence).toEqual({ count: 1, totalSeconds: 3.5, longestSeconds: 3.5 });
+    expect(summary.overlaps).toBe(1);
+  });
+});
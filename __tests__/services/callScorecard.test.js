@@ -0,0 +1,75 @@
+// The analyzer and scorecard service create Supabase clients on import; point them at a closed port
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const CALL = [
+  { speaker: 'rep', text: 'Thanks for taking the call. What does your scanning workflow look like today?', offsetSeconds: 0 },
+  { speaker: 'client', text: 'We take impressions by hand, it works.', offsetSeconds: 6 },
+  { speaker: 'rep', text: 'How long does a typical impression take your team?', offsetSeconds: 10 },
+  { speaker: 'client', text: 'About fifteen minutes, but honestly a scanner is too expensive for us.', offsetSeconds: 14 },
+  { speaker: 'rep', text: 'I hear you. What budget did you set aside for equipment this year?', offsetSeconds: 21 },
+  { speaker: 'client', text: 'Maybe twenty thousand.', offsetSeconds: 27 },
+  { speaker: 'rep', text: 'Can we schedule a demo next week to walk through the numbers?', offsetSeconds: 31 },
+  { speaker: 'client', text: 'Sure, Tuesday works for me.', offsetSeconds: 36 }
+];
+
+describe('Call scorecard', () => {
+  let scorecards;
+  let realtimeCallAnalyzer;
+
+  beforeAll(async () => {
+    scorecards = await import('../../services/callScorecard/index.js');
+    ({ default: realtimeCallAnalyzer } = await import('../../services/realtimeCallAnalyzer.js'));
+  });
+
+  test('scores each rubric criterion with timestamped evidence', () => {
+    const call = realtimeCallAnalyzer.analyzeCompletedTranscript(CALL, { callSid: 'CA123' });
+    const scorecard = scorecards.scoreCall(call, scorecards.DEFAULT_RUBRICS[0], { source: 'transcript' });
+    const criterion = (id) => scorecard.criteria.find(item => item.id === id);
+
+    expect(scorecard).toMatchObject({ callSid: 'CA123', rubric: { id: 'consultative' }, source: 'transcript' });
+    expect(criterion('discovery').summary).toBe('4 questions asked, 3 open');
+    expect(criterion('objection_handling')).toMatchObject({ score: 100, summary: '1 of 1 objection addressed' });
+    expect(criterion('objection_handling').evidence.map(item => item.timestamp)).toEqual(['0:14', '0:21']);
+    expect(criterion('next_step')).toMatchObject({ score: 100, summary: 'Next step proposed and agreed' });
+    expect(criterion('next_step').evidence[1]).toEqual({ at: 36, timestamp: '0:36', speaker: 'client', quote: 'Sure, Tuesday works for me.' });
+    expect(scorecard.overallScore).toBeGreaterThanOrEqual(80);
+    expect(scorecard.rating).toBe('strong');
+  });
+
+  test('criteria that do not apply drop out of the overall score', () => {
+    const call = realtimeCallAnalyzer.analyzeCompletedTranscript([
+      { speaker: 'rep', text: 'We install in a day and train your whole team.', offsetSeconds: 0 },
+      { speaker: 'client', text: 'Right.', offsetSeconds: 5 }
+    ]);
+    const scorecard = scorecards.scoreCall(call, scorecards.DEFAULT_RUBRICS[0]);
+
+    expect(scorecard.criteria.find(item => item.id === 'objection_handling').score).toBeNull();
+    expect(scorecard.criteria.find(item => item.id === 'discovery').score).toBe(0);
+    expect(scorecard.rating).toBe('needs_work');
+  });
+
+  test('validates rubric definitions', () => {
+    expect(scorecards.validateRubric(scorecards.DEFAULT_RUBRICS[0])).toEqual([]);
+    expect(scorecards.validateRubric({
+      id: 'Closing',
+      name: 'Closing',
+      criteria: [{ id: 'close', type: 'closing', weight: 0 }]
+    }).map(error => error.path)).toEqual(['id', 'criteria[0].type', 'criteria[0].weight']);
+  });
+
+  test('opens a call to the rep who made it and to the admin', async () => {
+    process.env.ADMIN_EMAIL = 'admin@example.com';
+    const service = new scorecards.CallScorecardService();
+    const call = { user_id: 'rep-1' };
+    const query = { select: () => query, eq: () => query, maybeSingle: async () => ({ data: call, error: null }) };
+    service.supabase = { from: () => query };
+
+    // Supabase auth users all have role 'authenticated'; the admin is told apart by email
+    expect(await service.canAccessCall('CA1', { id: 'rep-1', role: 'authenticated' })).toBe(true);
+    expect(await service.canAccessCall('CA1', { id: 'rep-2', role: 'authenticated' })).toBe(false);
+    expect(await service.canAccessCall('CA1', { id: 'rep-3', role: 'authenticated', email: 'admin@example.com' })).toBe(true);
+    delete process.env.ADMIN_EMAIL;
+  });
+});
@@ -0,0 +1,77 @@
+import { compileRule, createRuleState, validateRule, RULE_LIMITS } from '../../services/coachingRuleDsl.js';
+
+describe('Coaching rule DSL', () => {
+  const regex = (pattern, flags) => ({ regex: { pattern, ...(flags !== undefined ? { flags } : {}) } });
+  const messagesFor = (rule) => validateRule(rule).errors.map(error => `${error.path} ${error.message}`);
+
+  test('accepts comparisons, combinators, keywords, regexes and windows', () => {
+    expect(validateRule({
+      all: [
+        { field: 'talkRatio', op: '>', value: 0.7 },
+        { field: 'duration', op: 'between', value: [60, 300] },
+        { not: { field: 'speaker', op: 'in', value: ['prospect'] } },
+        { any: [{ keyword: { anyOf: ['expensive', 'cost'], wholeWord: true } }, regex('too (pricey|expensive)', 'i')] },
+        { window: { seconds: 60, atLeast: 2, condition: { field: 'objectionType', op: '==', value: 'price' } } }
+      ]
+    })).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports every invalid node with its path', () => {
+    expect(messagesFor({
+      any: [
+        { field: 'mood', op: '>', value: 1 },
+        { field: 'speaker', op: '>', value: 'rep' },
+        { field: 'duration', op: 'between', value: [300, 60] },
+        { keyword: { anyOf: [], field: 'talkRatio' } },
+        { window: { seconds: 0, atLeast: 2, sustained: true } },
+        { all: [], any: [] }
+      ]
+    })).toEqual([
+      expect.stringMatching(/^rule\.any\[0\]\.field unknown field "mood"/),
+      expect.stringMatching(/^rule\.any\[1\]\.op ">" is not valid for speaker/),
+      'rule.any[2].value between needs [min, max] numbers',
+      expect.stringMatching(/^rule\.any\[3\]\.keyword\.field must be a text field/),
+      'rule.any[3].keyword.anyOf must be a non-empty array of words',
+      `rule.any[4].window.seconds must be between 1 and ${RULE_LIMITS.maxWindowSeconds}`,
+      'rule.any[4].window needs exactly one of atLeast or sustained',
+      'rule.any[4].window.condition is required',
+      expect.stringMatching(/^rule\.any\[5\] must be a comparison or have exactly one of/)
+    ]);
+  });
+
+  test('rejects regexes that can backtrack catastrophically', () => {
+    for (const pattern of ['(a+)+', '(\\w*)*b', '(a|aa)+', '((ab)|c){2,}', '(?:x(y+))*']) {
+      expect(messagesFor(regex(pattern))).toEqual([
+        'rule.regex.pattern repeated groups containing a quantifier or alternation, such as (a+)+ or (a|aa)+, are not allowed'
+      ]);
+    }
+    expect(messagesFor(regex('(a)\\1'))).toEqual(['rule.regex.pattern backreferences are not allowed']);
+    expect(messagesFor(regex('price', 'g'))).toEqual(['rule.regex.flags only i, m, s, u are allowed']);
+    expect(messagesFor(regex('x'.repeat(RULE_LIMITS.maxPatternLength + 1))))
+      .toEqual([`rule.regex.pattern at most ${RULE_LIMITS.maxPatternLength} characters`]);
+
+    // Alternation and quantifiers are fine when the group around them is not repeated
+    for (const pattern of ['(cost|price)s?', 'a|b+', '(ab)+', '[(|+]+', '\\(a|b\\)+', '(a+)?']) {
+      expect(validateRule(regex(pattern))).toEqual({ valid: true, errors: [] });
+    }
+  });
+
+  test('limits nesting depth and rule size', () => {
+    let deep = { field: 'sentiment', op: '<', value: 0 };
+    for (let i = 0; i < RULE_LIMITS.maxDepth; i++) deep = { not: deep };
+    expect(messagesFor(deep)).toContain(`rule${'.not'.repeat(RULE_LIMITS.maxDepth)} rules may nest at most ${RULE_LIMITS.maxDepth} levels deep`);
+
+    const wide = { any: Array.from({ length: RULE_LIMITS.maxNodes }, () => ({ field: 'sentiment', op: '<', value: 0 })) };
+    expect(messagesFor(wide)).toEqual([`rule rules may have at most ${RULE_LIMITS.maxNodes} nodes`]);
+  });
+
+  test('compiles windows against the call clock', () => {
+    expect(() => compileRule({ regex: { pattern: '(a|aa)+' } })).toThrow(expect.objectContaining({ code: 'INVALID_RULE' }));
+
+    const condition = compileRule({ window: { seconds: 60, atLeast: 2, condition: { keyword: { anyOf: ['cost'] } } } });
+    const state = createRuleState();
+    expect(condition({ currentText: 'What does it cost?', duration: 10 }, state)).toBe(false);
+    expect(condition({ currentText: 'That cost is high', duration: 80 }, state)).toBe(false);
+    expect(condition({ currentText: 'Cost again', duration: 100 }, state)).toBe(true);
+  });
+});
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+
+// The analyzer and trigger engine create Supabase clients on import; point them at a closed port
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Coaching trigger engine', () => {
+  let CoachingTriggerEngine;
+
+  beforeAll(async () => {
+    ({ CoachingTriggerEngine } = await import('../../services/coachingTriggerEngine.js'));
+  });
+
+  // Three always-matching triggers; the rep raises 'pace' to high and gets two interventions a minute
+  function createEngine() {
+    const engine = new CoachingTriggerEngine();
+    const always = () => true;
+    engine.triggers = [
+      { id: 'objections', name: 'Objections', condition: always, severity: 'high', cooldown: 60 },
+      { id: 'talk-ratio', name: 'Talk ratio', condition: always, severity: 'medium', cooldown: 30 },
+      { id: 'pace', name: 'Pace', condition: always, severity: 'low', cooldown: 10 }
+    ];
+    engine.repPreferences.set('rep-1', { budgetPerMinute: 2, overrides: { pace: { severity: 'high' } } });
+    engine.logTrigger = jest.fn();
+    return engine;
+  }
+
+  const fired = async (engine, context) => (await engine.evaluateTriggers(context)).map(trigger => trigger.id);
+
+  test('spends the per-rep budget on the most severe triggers and applies cooldowns per call', async () => {
+    const engine = createEngine();
+
+    expect(await fired(engine, { sessionId: 'call-1', repId: 'rep-1', at: 0 })).toEqual(['objections', 'pace']);
+    expect(engine.sessions.get('call-1').suppressed).toBe(1);
+
+    // Both delivered triggers are cooling down and the budget is spent
+    expect(await fired(engine, { sessionId: 'call-1', repId: 'rep-1', at: 5000 })).toEqual([]);
+    expect(engine.sessions.get('call-1').suppressed).toBe(2);
+
+    // A second call has its own cooldowns but shares the rep's budget
+    expect(await fired(engine, { sessionId: 'call-2', repId: 'rep-1', at: 6000 })).toEqual([]);
+    expect(engine.sessions.get('call-2').suppressed).toBe(3);
+
+    // Once the budget window rolls over, the cooled-down triggers come first again
+    expect(await fired(engine, { sessionId: 'call-1', repId: 'rep-1', at: 61000 })).toEqual(['objections', 'pace']);
+    expect(engine.logTrigger).toHaveBeenCalledTimes(4);
+  });
+
+  test('honours a rep cooldown override and runs without a budget when there is no rep', async () => {
+    const engine = createEngine();
+    engine.repPreferences.set('rep-2', { budgetPerMinute: 5, overrides: { objections: { cooldown: 0 } } });
+
+    expect(await fired(engine, { sessionId: 'call-1', repId: 'rep-2', at: 0 })).toEqual(['objections', 'talk-ratio', 'pace']);
+    expect(await fired(engine, { sessionId: 'call-1', repId: 'rep-2', at: 1000 })).toEqual(['objections']);
+
+    expect(await fired(engine, { sessionId: 'call-2', at: 0 })).toHaveLength(3);
+    expect(await fired(engine, { sessionId: 'call-2', at: 1000 })).toEqual([]);
+    expect(engine.sessions.get('call-2').suppressed).toBe(0);
+  });
+
+  test('keeps replay budgets apart from live calls and drops them when the replay ends', async () => {
+    const engine = createEngine();
+
+    expect(await fired(engine, { sessionId: 'call-1', repId: 'rep-1', at: 0 })).toHaveLength(2);
+    expect(await fired(engine, { sessionId: 'replay-1', repId: 'rep-1', replay: true, at: 0 })).toEqual(['objections', 'pace']);
+    expect(engine.logTrigger).toHaveBeenCalledTimes(2);
+    expect(engine.repDeliveries.has('replay-1:rep-1')).toBe(true);
+
+    engine.endSession('replay-1');
+    expect(engine.sessions.has('replay-1')).toBe(false);
+    expect(engine.repDeliveries.has('replay-1:rep-1')).toBe(false);
+    expect(engine.repDeliveries.get('rep-1')).toHaveLength(2);
+  });
+});
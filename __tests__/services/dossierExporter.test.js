@@ -0,0 +1,61 @@
+import { buildDossier, renderDossier } from '../../services/dossierExporter.js';
+
+describe('Dossier exporter', () => {
+  const job = {
+    id: 'job-12345678',
+    product: 'yomi',
+    completedAt: '2026-10-19T14:00:00Z',
+    data: {
+      doctor: { displayName: 'Dr. Dana Lee, DDS', npi: '1234567890', specialty: 'Periodontics', city: 'Buffalo', state: 'NY' },
+      websiteData: { url: 'https://brightsmiles.com', services: ['Implants'], technology: ['CBCT'] },
+      competitors: [{ title: 'Smile | Co', rating: 4.5, rating_count: 80, address: { street: '1 Main St' } }],
+      synthesis: {
+        executiveSummary: 'Growing implant practice.',
+        buyingSignals: [{ signal: 'New CBCT', evidence: 'Website' }, 'Hiring an associate'],
+        actionPlan: ['Call', 'Demo']
+      },
+      confidence: { score: 82, rubricId: 'dental', rubricVersion: 2 },
+      sources: [{ type: 'NPI Database', url: 'https://npiregistry.cms.hhs.gov' }],
+      timestamp: '2026-10-19T13:59:00Z'
+    }
+  };
+
+  test('builds the dossier from stored research and intelligence', () => {
+    const dossier = buildDossier(job, {
+      techStack: { equipment: ['CBCT', 'Intraoral scanner'] },
+      serviceGaps: { gaps: ['Guided surgery'] },
+      psychologicalProfile: { primaryMotivators: ['Efficiency'], riskTolerance: 'moderate' },
+      salesRepBrief: 'Lead with chair time.'
+    });
+
+    expect(dossier).toMatchObject({
+      title: 'Dr. Dana Lee, DDS - yomi Dossier',
+      researchedAt: '2026-10-19T13:59:00Z',
+      doctor: { address: 'Buffalo, NY', website: 'https://brightsmiles.com' },
+      confidence: { score: 82, rubric: 'dental', version: 2 },
+      talkingPoints: ['New CBCT - Website', 'Hiring an associate'],
+      serviceGaps: { current: ['Implants'], missing: ['Guided surgery'] },
+      competitors: [{ name: 'Smile | Co', reviews: 80, address: 'street: 1 Main St' }]
+    });
+  });
+
+  test('renders Markdown, with placeholders for intelligence the job does not have', async () => {
+    const markdown = await renderDossier(buildDossier(job), 'md');
+
+    expect(markdown).toContain('# Dr. Dana Lee, DDS - yomi Dossier');
+    expect(markdown).toContain('- **Confidence:** 82% (rubric dental v2)');
+    expect(markdown).toContain('- CBCT');
+    expect(markdown).toContain('| Smile \\| Co | 4.5 | 80 |');
+    expect(markdown).toContain('## Psychological Profile\n\n_No profile available._');
+    expect(markdown).toContain('1. Call\n2. Demo');
+    expect(markdown).not.toContain('## Sales Rep Brief');
+  });
+
+  test('renders PDF and DOCX documents and rejects other formats', async () => {
+    const dossier = buildDossier(job);
+
+    expect((await renderDossier(dossier, 'pdf')).subarray(0, 5).toString()).toBe('%PDF-');
+    expect((await renderDossier(dossier, 'docx')).subarray(0, 2).toString()).toBe('PK');
+    await expect(renderDossier(dossier, 'html')).rejects.toThrow('Unsupported export format: html');
+  });
+});
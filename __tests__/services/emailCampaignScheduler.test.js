@@ -0,0 +1,137 @@
+// The scheduler loads the email gateway, and utils/repxHelpers creates a Supabase client at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Email campaign scheduler', () => {
+  let CampaignScheduler;
+  let SendPolicy;
+
+  beforeAll(async () => {
+    ({ CampaignScheduler } = await import('../../services/emailCampaigns/scheduler.js'));
+    ({ SendPolicy } = await import('../../services/emailCampaigns/sendPolicy.js'));
+  });
+
+  function createScheduler(sender) {
+    const scheduler = new CampaignScheduler();
+    scheduler.supabase = null;
+    scheduler.started = true;
+    scheduler.clock = new Date('2026-10-19T14:00:00Z');
+    scheduler.now = () => scheduler.clock;
+    scheduler.slept = [];
+    scheduler.sleep = async ms => {
+      scheduler.slept.push(ms);
+      scheduler.clock = new Date(scheduler.clock.getTime() + ms);
+    };
+    scheduler.policy = new SendPolicy({ delay: { min: 3000, max: 3000 }, limits: { default: { perMinute: 2 } } });
+    scheduler.sender = sender;
+    return scheduler;
+  }
+
+  const recipients = [
+    { email: 'Dr.Lee@smiles.com', name: 'Dr. Lee' },
+    { email: 'ana@brightdental.com', name: 'Ana' },
+    { email: 'dr.lee@smiles.com', name: 'Duplicate' },
+    { email: 'sam@smiles.com', name: 'Sam' }
+  ];
+
+  test('sends due steps per recipient at the policy pace and completes the campaign', async () => {
+    const sent = [];
+    const scheduler = createScheduler(async message => {
+      sent.push(message);
+      return { messageId: `m-${sent.length}`, transport: 'file' };
+    });
+
+    const campaign = await scheduler.createCampaign({
+      name: 'Fall recall',
+      recipients,
+      subject: 'Hi {{name}}',
+      htmlTemplate: '<p>Hello {{name}}, {{unknown}}</p>',
+      schedule: [{ sendAt: '2026-10-19T13:00:00Z' }, { sendAt: '2027-01-05T15:00:00Z', subject: 'Checking in, {{name}}' }],
+      userId: 'rep-1'
+    });
+
+    // Two sends a minute from the default domain: the third waits for a later pass
+    await scheduler.tick();
+    expect(sent.map(message => message.to)).toEqual(['dr.lee@smiles.com', 'ana@brightdental.com']);
+    expect(sent[0]).toMatchObject({ subject: 'Hi Dr. Lee', html: '<p>Hello Dr. Lee, {{unknown}}</p>', campaignId: campaign.id });
+    expect(scheduler.slept).toEqual([3000]);
+    expect(await scheduler.getCampaign(campaign.id, 'rep-1')).toMatchObject({
+      status: 'running',
+      stats: { sent: 2, failed: 0, opened: 0, clicked: 0 },
+      sends: { sent: 2, pending: 4 }
+    });
+    expect(await scheduler.getCampaign(campaign.id, 'someone-else')).toBeNull();
+
+    scheduler.clock = new Date('2026-10-19T14:02:00Z');
+    await scheduler.tick();
+    expect(sent[2].to).toBe('sam@smiles.com');
+
+    // The second step is an absolute date, not a yearly cron
+    scheduler.clock = new Date('2027-01-05T15:00:00Z');
+    await scheduler.tick();
+    expect(sent[3].subject).toBe('Checking in, Dr. Lee');
+    scheduler.clock = new Date('2027-01-05T15:02:00Z');
+    await scheduler.tick();
+    expect(sent).toHaveLength(6);
+    expect((await scheduler.getCampaign(campaign.id)).status).toBe('completed');
+  });
+
+  test('pauses, resumes and cancels, and retries transport failures', async () => {
+    let failures = 1;
+    const scheduler = createScheduler(async () => {
+      if (failures-- > 0) throw new Error('No email transport could send the message');
+      return { messageId: 'm-1', transport: 'ses' };
+    });
+
+    const campaign = await scheduler.createCampaign({
+      name: 'Launch', recipients: recipients.slice(0, 1), subject: 'News', htmlTemplate: '<p>News</p>',
+      schedule: [{ sendAt: '2026-10-19T13:00:00Z' }, { sendAt: '2026-10-20T13:00:00Z' }], userId: 'rep-1'
+    });
+
+    await scheduler.pause(campaign.id, 'rep-1');
+    await scheduler.tick();
+    expect((await scheduler.listSends(campaign.id))[0]).toMatchObject({ status: 'pending', attempts: 0 });
+    await expect(scheduler.pause(campaign.id)).rejects.toMatchObject({ code: 'CAMPAIGN_STATE' });
+
+    await scheduler.resume(campaign.id, 'rep-1');
+    await scheduler.tick();
+    const [retrying] = await scheduler.listSends(campaign.id);
+    expect(retrying).toMatchObject({ status: 'pending', attempts: 1, sendAt: '2026-10-19T14:15:00.000Z' });
+
+    scheduler.clock = new Date('2026-10-19T14:20:00Z');
+    await scheduler.tick();
+    expect((await scheduler.listSends(campaign.id))[0]).toMatchObject({ status: 'sent', attempts: 2, transport: 'ses' });
+
+    const cancelled = await scheduler.cancel(campaign.id, 'rep-1');
+    expect(cancelled.status).toBe('cancelled');
+    expect((await scheduler.listSends(campaign.id))[1].status).toBe('cancelled');
+    await expect(scheduler.resume(campaign.id)).rejects.toMatchObject({ code: 'CAMPAIGN_STATE' });
+    await expect(scheduler.cancel('missing')).rejects.toMatchObject({ code: 'CAMPAIGN_NOT_FOUND' });
+  });
+
+  test('requeues sends left mid-send once they are stale and rejects schedules without dates', async () => {
+    const scheduler = createScheduler(async () => ({ messageId: 'm-1', transport: 'file' }));
+    const campaign = await scheduler.createCampaign({
+      name: 'Restart', recipients: recipients.slice(1, 3), subject: 'Hi', htmlTemplate: '<p>Hi</p>',
+      schedule: [{ sendAt: '2026-10-19T13:00:00Z' }], userId: 'rep-1'
+    });
+    const [interrupted, inFlight] = scheduler.memorySends.values();
+    Object.assign(interrupted, { status: 'sending', updated_at: '2026-10-19T13:40:00.000Z' });
+    // Still being sent by another instance during a rolling deploy
+    Object.assign(inFlight, { status: 'sending', updated_at: '2026-10-19T13:59:00.000Z' });
+
+    expect(await scheduler.requeueInterrupted()).toBe(1);
+    expect(inFlight.status).toBe('sending');
+    await scheduler.tick();
+    expect(await scheduler.getCampaign(campaign.id)).toMatchObject({ status: 'running', sends: { sent: 1, sending: 1 } });
+
+    scheduler.clock = new Date('2026-10-19T14:20:00Z');
+    await scheduler.tick();
+    expect((await scheduler.getCampaign(campaign.id)).status).toBe('completed');
+
+    await expect(scheduler.createCampaign({
+      name: 'Bad', recipients, subject: 'Hi', htmlTemplate: '<p>Hi</p>', schedule: [{ sendAt: 'next tuesday' }], userId: 'rep-1'
+    })).rejects.toMatchObject({ code: 'INVALID_CAMPAIGN' });
+  });
+});
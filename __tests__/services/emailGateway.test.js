@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The gateway and utils/repxHelpers create Supabase clients at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Email gateway', () => {
+  let EmailGateway;
+  let EmailTransport;
+  let FileTransport;
+  let directory;
+
+  beforeAll(async () => {
+    ({ EmailGateway } = await import('../../services/emailGateway/index.js'));
+    ({ EmailTransport } = await import('../../services/emailGateway/emailTransport.js'));
+    ({ FileTransport } = await import('../../services/emailGateway/fileTransport.js'));
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'email-gateway-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  function fake(name, deliver) {
+    const transport = new EmailTransport({ name });
+    transport.calls = 0;
+    transport.deliver = async msg => {
+      transport.calls++;
+      return deliver(msg);
+    };
+    return transport;
+  }
+
+  function failing(name, code) {
+    return fake(name, async () => {
+      const error = new Error(`${name} is down`);
+      if (code) error.code = code;
+      throw error;
+    });
+  }
+
+  function createGateway(transports, tier = 'repx1') {
+    const gateway = new EmailGateway({ transports });
+    gateway.supabase = null;
+    gateway.routeOverride = null;
+    gateway.getTier = async () => tier;
+    return gateway;
+  }
+
+  const message = { to: 'dr.lee@example.com', subject: 'Follow-up', html: '<p>Thanks for your time today.</p>' };
+
+  test('fails over along the tier route and logs the attempts', async () => {
+    const sendgrid = failing('sendgrid');
+    const ses = new FileTransport({ directory });
+    ses.name = 'ses';
+    const gateway = createGateway({ sendgrid, ses });
+
+    const result = await gateway.send({ ...message, userId: 'rep-1', campaignId: 'c-1' });
+
+    expect(result).toMatchObject({ success: true, transport: 'ses', tier: 'repx1', quotaRemaining: 99 });
+    expect(result.attempts).toEqual([{ transport: 'sendgrid', error: 'sendgrid is down' }]);
+
+    const [envelope] = await ses.list();
+    expect(envelope).toMatchObject({ to: ['dr.lee@example.com'], subject: 'Follow-up', tags: { userId: 'rep-1' } });
+    const [eml] = (await fs.readdir(path.join(directory, 'new'))).filter(file => file.endsWith('.eml'));
+    const raw = await fs.readFile(path.join(directory, 'new', eml), 'utf8');
+    expect(raw).toContain('X-Campaign-ID: c-1');
+    expect(raw).toContain('Thanks for your time today.');
+
+    expect(gateway.memoryLogs).toHaveLength(1);
+    expect(gateway.memoryLogs[0]).toMatchObject({ status: 'sent', transport: 'ses', tier: 'repx1', user_id: 'rep-1' });
+    expect(await gateway.getMonthlyUsage('rep-1')).toBe(1);
+  });
+
+  test('platform mail follows the system route and a rejected message is not retried elsewhere', async () => {
+    const gmail = failing('gmail', 'EMAIL_MESSAGE_REJECTED');
+    const postal = fake('postal', async msg => ({ messageId: '<1@postal>', from: msg.from }));
+    const gateway = createGateway({ gmail, postal });
+    gateway.systemRoute = ['gmail', 'postal'];
+
+    await expect(gateway.send(message)).rejects.toMatchObject({ code: 'EMAIL_MESSAGE_REJECTED' });
+    expect(postal.calls).toBe(0);
+    expect(gateway.memoryLogs[0]).toMatchObject({ status: 'failed', tier: null });
+
+    const bulk = await gateway.send({ ...message, prefer: 'postal' });
+    expect(bulk).toMatchObject({ transport: 'postal', tier: null, quotaRemaining: null });
+    expect(gmail.calls).toBe(1);
+  });
+
+  test('enforces tier access and monthly limits', async () => {
+    const sendgrid = fake('sendgrid', async msg => ({ messageId: 'sg-1', from: msg.from }));
+
+    const free = createGateway({ sendgrid }, 'repx0');
+    await expect(free.send({ ...message, userId: 'rep-0' })).rejects.toMatchObject({ code: 'EMAIL_ACCESS_DENIED' });
+
+    const limited = createGateway({ sendgrid }, 'repx1');
+    await limited.trackUsage('rep-1', 100);
+    await expect(limited.send({ ...message, userId: 'rep-1' })).rejects.toMatchObject({ code: 'EMAIL_QUOTA_EXCEEDED' });
+    expect(sendgrid.calls).toBe(0);
+
+    // RepX4 mail goes over the SMTP relay first; with no relay configured it falls through to SendGrid
+    const unlimited = createGateway({ smtp: failing('smtp'), sendgrid }, 'repx4');
+    unlimited.transports.smtp.isConfigured = () => false;
+    const result = await unlimited.send({ ...message, userId: 'rep-4' });
+    expect(result).toMatchObject({ transport: 'sendgrid', tier: 'repx4', quotaRemaining: null, attempts: [] });
+
+    await expect(limited.send({ ...message, subject: '' })).rejects.toMatchObject({ code: 'EMAIL_INVALID_MESSAGE' });
+  });
+});
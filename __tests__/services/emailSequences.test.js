@@ -0,0 +1,151 @@
+// The engine loads the email gateway, and utils/repxHelpers creates a Supabase client at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Email sequences', () => {
+  let SequenceEngine;
+  let SendPolicy;
+  let validateSequence;
+  let waitUntil;
+
+  beforeAll(async () => {
+    ({ SequenceEngine } = await import('../../services/emailCampaigns/sequenceEngine.js'));
+    ({ SendPolicy } = await import('../../services/emailCampaigns/sendPolicy.js'));
+    ({ validateSequence, waitUntil } = await import('../../services/emailCampaigns/sequenceDefinition.js'));
+  });
+
+  function createEngine({ opened = new Set() } = {}) {
+    const engine = new SequenceEngine();
+    engine.supabase = null;
+    engine.started = true;
+    engine.clock = new Date('2026-10-19T14:00:00Z'); // Monday, 10:00 in New York
+    engine.now = () => engine.clock;
+    engine.sleep = async ms => {
+      engine.clock = new Date(engine.clock.getTime() + ms);
+    };
+    engine.random = () => 0.6;
+    engine.policy = new SendPolicy({ delay: { min: 0, max: 0 } });
+    engine.sent = [];
+    engine.sender = async message => {
+      engine.sent.push(message);
+      return { messageId: `m-${engine.sent.length}`, transport: 'file' };
+    };
+    engine.engagement = async messageIds =>
+      new Map(messageIds.map(id => [id, { opened: opened.has(id), clicked: false }]));
+    return engine;
+  }
+
+  const followUp = {
+    name: 'New practice outreach',
+    from: 'rep@repspheres.com',
+    holidays: ['2026-10-20'],
+    sendTime: '09:30',
+    steps: [
+      { id: 'intro', type: 'email', subject: ['Hi {{firstName}}', 'Quick question, {{firstName}}'], html: '<p>Hello {{firstName}}</p>' },
+      { type: 'wait', businessDays: 2 },
+      { type: 'branch', on: 'opened', step: 'intro', then: 'demo', else: 'nudge' },
+      { id: 'demo', type: 'email', subject: 'Want a demo?', text: 'Demo?', next: 'done' },
+      { id: 'nudge', type: 'email', subject: 'In case you missed it', text: 'Bumping this' },
+      { id: 'done', type: 'exit' }
+    ]
+  };
+
+  test('validates definitions and counts business days in the sequence time zone', () => {
+    expect(() => validateSequence({ name: 'Bad', steps: [{ type: 'wait', businessDays: 1.5 }, { type: 'branch', on: 'bounced' }] }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SEQUENCE' }));
+
+    const definition = validateSequence(followUp);
+    expect(definition.steps.map(step => step.id)).toEqual(['intro', 'step-2', 'step-3', 'demo', 'nudge', 'done']);
+
+    // Friday evening in New York: two business days skip the weekend and the Tuesday holiday
+    const friday = new Date('2026-10-16T22:00:00Z');
+    expect(waitUntil(definition, { businessDays: 2 }, friday).toISOString()).toBe('2026-10-21T13:30:00.000Z');
+    expect(waitUntil(definition, { hours: 6 }, friday).toISOString()).toBe('2026-10-17T04:00:00.000Z');
+  });
+
+  test('sends an A/B subject variant, waits, then branches on whether it was opened', async () => {
+    const engine = createEngine({ opened: new Set(['m-1']) });
+    const sequence = await engine.createSequence('rep-1', followUp);
+    const results = await engine.enroll(sequence.id, 'rep-1', [
+      { email: 'Dr.Lee@smiles.com', firstName: 'Dana' },
+      { email: 'dr.lee@smiles.com', firstName: 'Again' },
+      { email: 'not-an-email' }
+    ]);
+    expect(results.map(result => result.enrolled)).toEqual([true, false, false]);
+    expect(results[1].reason).toBe('already enrolled');
+
+    await engine.tick();
+    expect(engine.sent[0]).toMatchObject({ userId: 'rep-1', to: 'dr.lee@smiles.com', subject: 'Quick question, Dana' });
+    const [waiting] = await engine.listEnrollments(sequence.id, 'rep-1');
+    expect(waiting).toMatchObject({ currentStep: 'step-3', nextRunAt: '2026-10-22T13:30:00.000Z', variants: { intro: 1 } });
+
+    await engine.tick();
+    expect(engine.sent).toHaveLength(1);
+
+    engine.clock = new Date('2026-10-22T13:30:00Z');
+    await engine.tick();
+    expect(engine.sent.map(message => message.subject)).toEqual(['Quick question, Dana', 'Want a demo?']);
+    const [done] = await engine.listEnrollments(sequence.id);
+    expect(done).toMatchObject({ status: 'completed', exitReason: 'exit at done' });
+    expect(done.history.find(event => event.type === 'branch')).toMatchObject({ on: 'opened', result: true });
+
+    const { stats } = await engine.getSequence(sequence.id, 'rep-1');
+    expect(stats.enrollments).toEqual({ completed: 1 });
+    expect(stats.steps[0].variants[1]).toMatchObject({ sent: 1, opened: 1 });
+    expect(await engine.getSequence(sequence.id, 'someone-else')).toBeNull();
+  });
+
+  test('stops when the contact replies and supports unenrolling', async () => {
+    const engine = createEngine();
+    const sequence = await engine.createSequence('rep-1', followUp);
+    await engine.enroll(sequence.id, 'rep-1', [{ email: 'ana@brightdental.com' }, { email: 'sam@smiles.com' }]);
+    await engine.tick();
+    expect(engine.sent).toHaveLength(2);
+
+    expect(await engine.handleInboundEmail({ userId: 'rep-1', from: 'Ana <Ana@BrightDental.com>' })).toBe(1);
+    const unenrolled = await engine.unenroll(sequence.id, 'rep-1', 'Sam@Smiles.com');
+    expect(unenrolled.status).toBe('unenrolled');
+    await expect(engine.unenroll(sequence.id, 'rep-1', 'sam@smiles.com')).rejects.toMatchObject({ code: 'ENROLLMENT_NOT_FOUND' });
+    await expect(engine.enroll('missing', 'rep-1', [{ email: 'a@b.com' }])).rejects.toMatchObject({ code: 'SEQUENCE_NOT_FOUND' });
+
+    engine.clock = new Date('2026-10-30T13:30:00Z');
+    await engine.tick();
+    expect(engine.sent).toHaveLength(2);
+    const statuses = (await engine.listEnrollments(sequence.id)).map(enrollment => [enrollment.email, enrollment.status]);
+    expect(statuses).toEqual(expect.arrayContaining([['ana@brightdental.com', 'replied'], ['sam@smiles.com', 'unenrolled']]));
+
+    // Leaving a sequence allows enrolling again
+    expect((await engine.enroll(sequence.id, 'rep-1', [{ email: 'sam@smiles.com' }]))[0].enrolled).toBe(true);
+  });
+
+  test('syncs the inboxes of reps with active enrollments on a schedule to find replies', async () => {
+    const { EventEmitter } = await import('events');
+    const engine = createEngine();
+    const synced = [];
+    engine.inbox = Object.assign(new EventEmitter(), {
+      syncGmailEmails: async userId => {
+        synced.push(userId);
+        if (userId === 'rep-2') throw new Error('No Gmail accounts connected for this user');
+        engine.inbox.emit('inbound', { userId, from: 'ana@brightdental.com', receivedAt: engine.clock.toISOString() });
+        return { syncedCount: 1 };
+      }
+    });
+    engine.inbox.on('inbound', engine.inboundListener);
+
+    const sequence = await engine.createSequence('rep-1', followUp);
+    await engine.enroll(sequence.id, 'rep-1', [{ email: 'ana@brightdental.com' }]);
+    await engine.enroll((await engine.createSequence('rep-2', followUp)).id, 'rep-2', [{ email: 'sam@smiles.com' }]);
+    await engine.tick();
+    expect(synced).toEqual(['rep-1', 'rep-2']);
+    expect(engine.sent.map(message => message.to)).toEqual(['sam@smiles.com']);
+    expect((await engine.listEnrollments(sequence.id))[0].status).toBe('replied');
+
+    // Not again until the sync interval has passed
+    await engine.tick();
+    expect(synced).toHaveLength(2);
+    engine.clock = new Date(engine.clock.getTime() + engine.config.inboxSyncMinutes * 60 * 1000);
+    await engine.tick();
+    expect(synced).toEqual(['rep-1', 'rep-2', 'rep-2']);
+  });
+});
@@ -0,0 +1,93 @@
+// The template store creates a Supabase client at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Email templates', () => {
+  let EmailTemplateStore;
+  let renderTemplate;
+  let personalize;
+  let lintTemplate;
+  let htmlToText;
+
+  beforeAll(async () => {
+    ({ EmailTemplateStore } = await import('../../services/emailTemplates/templateStore.js'));
+    ({ renderTemplate, personalize, lintTemplate } = await import('../../services/emailTemplates/templateEngine.js'));
+    ({ htmlToText } = await import('../../services/emailTemplates/htmlToText.js'));
+  });
+
+  function createStore() {
+    const store = new EmailTemplateStore();
+    store.supabase = null;
+    return store;
+  }
+
+  test('renders conditionals and loops, escaping values in HTML', () => {
+    const source = '<p>Hi {{#if firstName}}{{firstName}}{{else}}there{{/if}},</p>' +
+      '<ul>{{#each products}}<li>{{@index}}. {{name}} for {{practice.name}}</li>{{else}}<li>Nothing yet</li>{{/each}}</ul>{{{signature}}}';
+    const data = {
+      firstName: 'Dana & Co',
+      practice: { name: 'Bright Smiles' },
+      products: [{ name: 'Aligners' }, { name: '<Implants>' }],
+      signature: '<b>Sam</b>'
+    };
+
+    expect(renderTemplate(source, data, { html: true })).toBe('<p>Hi Dana &amp; Co,</p>' +
+      '<ul><li>0. Aligners for Bright Smiles</li><li>1. &lt;Implants&gt; for Bright Smiles</li></ul><b>Sam</b>');
+    expect(renderTemplate(source, {})).toBe('<p>Hi there,</p><ul><li>Nothing yet</li></ul>');
+    expect(personalize('Hi {{name}}, {{unknown}}', { name: 'Lee' })).toBe('Hi Lee, {{unknown}}');
+
+    expect(() => renderTemplate('{{#if a}}open', {})).toThrow(expect.objectContaining({ code: 'INVALID_TEMPLATE' }));
+    expect(lintTemplate(['{{#each items}}{{/if}}', '{{ not a variable }}']).errors).toEqual([
+      '{{#each items}} closed by {{/if}}',
+      'invalid variable {{ not a variable }}'
+    ]);
+    expect(lintTemplate('{{firstName}} {{#if offer}}{{offer}}{{/if}} {{#each items}}{{name}} {{firstName}}{{/each}}', {
+      firstName: 'Dana', items: [{ sku: 'A1' }]
+    })).toMatchObject({ valid: true, variables: ['firstName', 'offer', 'items', 'items[].name'], missing: ['offer', 'items[].name'] });
+  });
+
+  test('generates structured plain text from HTML', () => {
+    const html = '<html><head><style>p { color: red; }</style></head><body>' +
+      '<div style="display:none">Preheader</div><h2>Your summary</h2><p>Hi Dana,<br>thanks   for\n your time.</p>' +
+      '<ol><li>Book a demo</li><li><a href="https://repspheres.com/pricing">See pricing</a></li></ol>' +
+      '<table><tr><td>Plan</td><td>RepX2</td></tr></table><p><a href="mailto:sam@repspheres.com">Write to me</a></p></body></html>';
+
+    expect(htmlToText(html)).toBe('YOUR SUMMARY\n\nHi Dana,\nthanks for your time.\n\n' +
+      '1. Book a demo\n2. See pricing (https://repspheres.com/pricing)\n\nPlan RepX2\n\nWrite to me');
+  });
+
+  test('stores versions with layouts and partials and previews against a sample contact', async () => {
+    const store = createStore();
+    await store.createTemplate('rep-1', { name: 'brand', kind: 'layout', html: '<html><body><header>RepSpheres</header>{{{body}}}</body></html>' });
+    await store.createTemplate('rep-1', { name: 'signoff', kind: 'partial', html: '<p>Best, {{repName}}</p>' });
+    await expect(store.createTemplate('rep-1', { name: 'brand', kind: 'layout', html: '{{{body}}}' }))
+      .rejects.toMatchObject({ code: 'TEMPLATE_EXISTS' });
+    await expect(store.createTemplate('rep-1', { name: 'broken', subject: 'Hi', html: '<p>{{> missing}}</p>' }))
+      .rejects.toMatchObject({ code: 'INVALID_TEMPLATE', details: ['unknown partial missing'] });
+
+    const created = await store.createTemplate('rep-1', {
+      name: 'follow-up',
+      subject: 'Following up, {{firstName}}',
+      html: '<p>Hi {{firstName}}, great meeting {{practiceName}}.</p>{{> signoff}}',
+      layout: 'brand'
+    });
+    expect(created).toMatchObject({ version: 1, lint: { missing: ['repName'] } });
+
+    const updated = await store.updateTemplate(created.id, 'rep-1', { subject: 'Quick follow-up, {{firstName}}' });
+    expect(updated).toMatchObject({ version: 2, currentVersion: 2, html: created.html });
+    expect((await store.listVersions(created.id, 'rep-1')).map(version => version.version)).toEqual([2, 1]);
+
+    const preview = await store.preview(created.id, 'rep-1', { contact: { firstName: 'Dana', practiceName: 'Bright Smiles' } });
+    expect(preview).toMatchObject({
+      template: { name: 'follow-up', version: 2 },
+      subject: 'Quick follow-up, Dana',
+      html: '<html><body><header>RepSpheres</header><p>Hi Dana, great meeting Bright Smiles.</p><p>Best, </p></body></html>',
+      text: 'RepSpheres\n\nHi Dana, great meeting Bright Smiles.\n\nBest,',
+      lint: { missing: ['repName'] }
+    });
+    expect((await store.preview(created.id, 'rep-1', { version: 1 })).subject).toBe('Following up, Alex');
+    expect(await store.getTemplate(created.id, 'rep-2')).toBeNull();
+    await expect(store.preview(created.id, 'rep-2')).rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND' });
+  });
+});
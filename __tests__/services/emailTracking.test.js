@@ -0,0 +1,99 @@
+// The gateway and utils/repxHelpers create Supabase clients at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Email open and click tracking', () => {
+  let EmailGateway;
+  let EmailTransport;
+  let EmailTracking;
+  let summarizeEngagement;
+
+  beforeAll(async () => {
+    ({ EmailGateway } = await import('../../services/emailGateway/index.js'));
+    ({ EmailTransport } = await import('../../services/emailGateway/emailTransport.js'));
+    ({ EmailTracking, summarizeEngagement } = await import('../../services/emailGateway/tracking.js'));
+  });
+
+  const browser = { 'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15' };
+
+  function createTracking() {
+    return new EmailTracking({ secret: 'test-secret', baseUrl: 'https://api.repspheres.com/', minSeconds: 5 });
+  }
+
+  test('rewrites links to signed redirects and adds the open pixel', () => {
+    const tracking = createTracking();
+    const html = '<html><body><a class="cta" href="https://repspheres.com/demo?a=1&amp;b=2">Demo</a>' +
+      '<a href="mailto:rep@repspheres.com">Mail</a><a data-no-track href="https://repspheres.com/unsubscribe">Unsubscribe</a></body></html>';
+
+    const instrumented = tracking.instrument(html, 'track-1');
+    const [, token] = /href="https:\/\/api\.repspheres\.com\/api\/emails\/track\/click\/([^"]+)"/.exec(instrumented);
+    expect(tracking.verify(token)).toEqual({ trackingId: 'track-1', url: 'https://repspheres.com/demo?a=1&b=2' });
+    expect(instrumented).toContain('href="mailto:rep@repspheres.com"');
+    expect(instrumented).toContain('href="https://repspheres.com/unsubscribe"');
+    expect(instrumented).toMatch(/<img src="https:\/\/api\.repspheres\.com\/api\/emails\/track\/open\/[^"]+\.gif"[^>]*\/><\/body>/);
+
+    // A token signed with another secret or pointed at another URL is rejected
+    const [body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ t: 'track-1', u: 'https://evil.example' })).toString('base64url');
+    expect(tracking.verify(`${forged}.${signature}`)).toBeNull();
+    expect(new EmailTracking({ secret: 'other', baseUrl: 'https://x' }).verify(`${body}.${signature}`)).toBeNull();
+    expect(new EmailTracking({ secret: null, baseUrl: 'https://x' }).enabled).toBe(false);
+  });
+
+  test('records human opens and clicks on the message log and ignores scanners', async () => {
+    const transport = new EmailTransport({ name: 'file' });
+    transport.deliver = async msg => {
+      transport.delivered = msg;
+      return { messageId: 'm-1' };
+    };
+    const gateway = new EmailGateway({ transports: { file: transport } });
+    gateway.supabase = null;
+    gateway.routeOverride = ['file'];
+    gateway.tracking = createTracking();
+    gateway.clock = new Date('2026-10-19T14:00:00Z');
+    gateway.now = () => gateway.clock;
+
+    await gateway.send({ to: 'dr.lee@smiles.com', subject: 'Demo', html: '<p><a href="https://repspheres.com/demo">Book</a></p>' });
+    const [log] = gateway.memoryLogs;
+    expect(log.tracking_id).toEqual(expect.any(String));
+    expect(transport.delivered.html).toContain('/api/emails/track/click/');
+    expect(transport.delivered.text).toBe('Book (https://repspheres.com/demo)');
+
+    // A security gateway follows the link the moment it arrives
+    gateway.clock = new Date('2026-10-19T14:00:02Z');
+    expect(await gateway.recordEngagement(log.tracking_id, 'click', { headers: browser, url: 'https://repspheres.com/demo' }))
+      .toEqual({ counted: false, reason: 'too soon after sending' });
+
+    gateway.clock = new Date('2026-10-19T15:00:00Z');
+    expect((await gateway.recordEngagement(log.tracking_id, 'open', { method: 'HEAD', headers: browser })).counted).toBe(false);
+    expect((await gateway.recordEngagement(log.tracking_id, 'open', { headers: { 'user-agent': 'Barracuda Sentinel (EE)' } })).reason)
+      .toBe('automated user agent');
+    expect((await gateway.recordEngagement(log.tracking_id, 'open', { headers: { ...browser, purpose: 'prefetch' } })).counted).toBe(false);
+    expect(log.status).toBe('sent');
+
+    expect(await gateway.recordEngagement(log.tracking_id, 'open', { headers: browser })).toEqual({ counted: true });
+    gateway.clock = new Date('2026-10-19T15:01:00Z');
+    await gateway.recordEngagement(log.tracking_id, 'click', { headers: browser, url: 'https://repspheres.com/demo' });
+    await gateway.recordEngagement(log.tracking_id, 'open', { headers: browser });
+    expect(log).toMatchObject({
+      status: 'clicked',
+      opened_at: '2026-10-19T15:00:00.000Z',
+      clicked_at: '2026-10-19T15:01:00.000Z',
+      open_count: 2,
+      click_count: 1
+    });
+    expect(log.metadata.events.map(event => event.type)).toEqual(['open', 'click', 'open']);
+    expect((await gateway.recordEngagement('unknown', 'open', { headers: browser })).counted).toBe(false);
+  });
+
+  test('summarizes open and click rates over delivered messages', () => {
+    expect(summarizeEngagement([
+      { status: 'clicked', opened_at: '2026-10-19T15:00:00Z', clicked_at: '2026-10-19T15:01:00Z' },
+      { status: 'opened', opened_at: '2026-10-19T15:00:00Z' },
+      { status: 'sent' },
+      { status: 'sent' },
+      { status: 'failed' }
+    ])).toEqual({ sent: 4, opened: 2, clicked: 1, bounced: 0, failed: 1, openRate: 50, clickRate: 25 });
+  });
+});
@@ -0,0 +1,200 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { jest } from '@jest/globals';
+
+import { IcalAvailabilityProvider, parseIcal } from '../../services/julie/availability.js';
+import { parseChoice, parseDateOfBirth, parseNewPatient, parsePreference } from '../../services/julie/bookingParsers.js';
+import { DEFAULT_PRACTICE_PROFILE } from '../../services/julie/practiceProfiles.js';
+
+// bookingFlow imports the Twilio service, which wants Supabase settings at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const NOW = new Date('2026-10-19T14:00:00Z'); // Monday 10 AM in New York
+const TZ = DEFAULT_PRACTICE_PROFILE.timezone;
+
+// Tuesday 8-9:30 AM is taken in the practice calendar
+const CALENDAR = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'DTSTART;TZID=America/New_York:20261020T080000',
+  'DTEND;TZID=America/New_York:20261020T093000',
+  'SUMMARY:Staff meeting',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20261020T150000Z',
+  'DTEND:20261020T160000Z',
+  'STATUS:CANCELLED',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('Julie appointment booking', () => {
+  let BookingFlow;
+  let AppointmentStore;
+  let availability;
+  let directory;
+
+  beforeAll(async () => {
+    ({ BookingFlow } = await import('../../services/julie/bookingFlow.js'));
+    ({ AppointmentStore } = await import('../../services/julie/appointments.js'));
+
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'julie-availability-'));
+    await fs.writeFile(path.join(directory, 'default.ics'), CALENDAR);
+    availability = new IcalAvailabilityProvider({ directory });
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const createFlow = (kind, appointments, sendSms, escalations = { escalate: jest.fn().mockResolvedValue({}) }) => new BookingFlow({
+    kind,
+    profile: DEFAULT_PRACTICE_PROFILE,
+    callSid: 'CA123',
+    callerNumber: '+12125550123',
+    replyNumber: '+12125550100',
+    availability,
+    appointments,
+    escalations,
+    sendSms,
+    now: () => NOW
+  });
+
+  // Walk a new patient through to the read-back of Tuesday at 11 AM
+  async function readBack(booking, name = 'Maria Lopez') {
+    await booking.start('I need to book a cleaning');
+    await booking.handle(name);
+    await booking.handle('March 14th, 1985');
+    await booking.handle('No, this is my first time');
+    await booking.handle('Tuesday morning');
+    return booking.handle('The second one');
+  }
+
+  const createStore = () => {
+    const store = new AppointmentStore();
+    store.supabase = null;
+    return store;
+  };
+
+  test('parses what callers say', () => {
+    expect(parsePreference('Tuesday morning works', { now: NOW, timeZone: TZ })).toEqual({ weekday: 'tuesday', partOfDay: 'morning' });
+    expect(parsePreference('tomorrow at 3', { now: NOW, timeZone: TZ })).toEqual({ date: '2026-10-20', time: '15:00' });
+    expect(parseDateOfBirth('March 14th, 1985', NOW)).toBe('1985-03-14');
+    expect(parseDateOfBirth('3/14/85', NOW)).toBe('1985-03-14');
+    expect(parseNewPatient('Yes, I have', { asked: true })).toBe(false);
+    expect(parseNewPatient('No, this is my first time')).toBe(true);
+
+    const options = [{ start: new Date('2026-10-20T14:00:00Z') }, { start: new Date('2026-10-21T14:00:00Z') }];
+    expect(parseChoice('the second one', options, TZ)).toBe(1);
+    expect(parseChoice("Wednesday's good", options, TZ)).toBe(1);
+  });
+
+  test('takes calendar events out of opening hours', async () => {
+    const busy = parseIcal(CALENDAR, TZ);
+    expect(busy).toHaveLength(1);
+    expect(busy[0].start.toISOString()).toBe('2026-10-20T12:00:00.000Z');
+
+    const slots = await availability.findOpenSlots(DEFAULT_PRACTICE_PROFILE, {
+      from: new Date('2026-10-20T04:00:00Z'),
+      to: new Date('2026-10-21T04:00:00Z')
+    });
+    expect(slots[0].start.toISOString()).toBe('2026-10-20T13:30:00.000Z'); // 9:30 AM
+    expect(slots).toHaveLength(17); // 8 AM to 6 PM in half hours, less the meeting
+  });
+
+  test('books, reschedules and cancels over several turns and texts the patient', async () => {
+    const appointments = createStore();
+    const sendSms = jest.fn().mockResolvedValue({ sid: 'SM1' });
+
+    const booking = createFlow('book', appointments, sendSms);
+    expect(await booking.start('I need to book a cleaning')).toMatch(/full name/);
+    expect(await booking.handle('Maria Lopez')).toBe("Thanks, Maria. What's your date of birth?");
+    expect(await booking.handle('March 14th, 1985')).toBe("Have you been to Dr. Pedro's office before?");
+    expect(await booking.handle('No, this is my first time')).toBe('What day and time work best for you?');
+    expect(await booking.handle('Tuesday morning'))
+      .toBe('I have Tuesday, October 20 at 9:30 AM, Tuesday, October 20 at 11 AM, or Tuesday, October 27 at 8 AM. Which works best for you?');
+    expect(await booking.handle('The second one')).toBe('Let me read that back. Maria Lopez, date of birth March 14, 1985, ' +
+      'a new patient. Reason for the visit: cleaning. Appointment: Tuesday, October 20 at 11 AM. Is that all correct?');
+    expect(await booking.handle('Yes, that is right')).toMatch(/^You're all set, Maria! I've booked you for Tuesday, October 20 at 11 AM\. I've sent a confirmation text/);
+
+    expect(booking.done).toBe(true);
+    expect(booking.result).toMatchObject({
+      practiceId: 'default',
+      callSid: 'CA123',
+      patientName: 'Maria Lopez',
+      dateOfBirth: '1985-03-14',
+      phone: '+12125550123',
+      reason: 'cleaning',
+      newPatient: true,
+      startsAt: '2026-10-20T15:00:00.000Z',
+      status: 'booked',
+      smsStatus: 'sent'
+    });
+    expect(sendSms).toHaveBeenCalledWith('+12125550123', expect.stringContaining('confirmed'),
+      expect.objectContaining({ from: '+12125550100' }));
+
+    // The booked slot is no longer offered; a failed text does not undo the change
+    sendSms.mockRejectedValueOnce(new Error('Twilio down'));
+    const reschedule = createFlow('reschedule', appointments, sendSms);
+    expect(await reschedule.start('Can I move my appointment to Tuesday at 11?'))
+      .toMatch(/^Sure, I can help you reschedule\. I see your appointment on Tuesday, October 20 at 11 AM\. I have Tuesday, October 20 at 10:30 AM, /);
+    expect(await reschedule.handle('10:30 is fine')).toMatch(/from Tuesday, October 20 at 11 AM to Tuesday, October 20 at 10:30 AM/);
+    expect(await reschedule.handle('yes')).toBe('Done! Your appointment is now on Tuesday, October 20 at 10:30 AM. Is there anything else I can help you with?');
+    expect(reschedule.result).toMatchObject({
+      startsAt: '2026-10-20T14:30:00.000Z',
+      previousStartsAt: '2026-10-20T15:00:00.000Z',
+      smsStatus: 'failed'
+    });
+
+    const cancel = createFlow('cancel', appointments, sendSms);
+    expect(await cancel.start('I need to cancel')).toBe('I can help you with that. ' +
+      "Just to confirm, you'd like to cancel your appointment on Tuesday, October 20 at 10:30 AM?");
+    await cancel.handle('yes please');
+    expect(cancel.result.status).toBe('cancelled');
+    expect(await appointments.findUpcoming('default', { phone: '+12125550123' }, NOW)).toEqual([]);
+  });
+
+  test('tells the second of two callers confirming the same time that it was just taken', async () => {
+    const appointments = createStore();
+    const sendSms = jest.fn().mockResolvedValue({ sid: 'SM1' });
+    const first = createFlow('book', appointments, sendSms);
+    const second = createFlow('book', appointments, sendSms);
+    expect(await readBack(first)).toMatch(/Tuesday, October 20 at 11 AM\. Is that all correct\?$/);
+    expect(await readBack(second, 'Ana Ruiz')).toMatch(/Tuesday, October 20 at 11 AM\. Is that all correct\?$/);
+
+    // Both callers passed the availability check before either was saved
+    second.isStillFree = async () => true;
+    expect(await first.handle('yes')).toMatch(/^You're all set, Maria!/);
+    expect(await second.handle('yes')).toMatch(/^I'm sorry, that time was just taken\. I have .*Which works best for you\?$/);
+    expect(second.done).toBe(false);
+    expect(await appointments.findBooked('default', { from: NOW, to: new Date('2026-10-21T00:00:00Z') })).toHaveLength(1);
+
+    // Moving an appointment onto a booked slot is refused the same way
+    const other = await appointments.create({ ...first.result, id: undefined, patientName: 'Ana Ruiz', startsAt: '2026-10-20T16:00:00.000Z' });
+    await expect(appointments.update(other.id, { startsAt: first.result.startsAt })).rejects.toMatchObject({ code: 'SLOT_TAKEN' });
+  });
+
+  test('records a callback when the appointment cannot be saved', async () => {
+    const appointments = createStore();
+    appointments.create = jest.fn().mockRejectedValue(new Error('database down'));
+    const escalations = { escalate: jest.fn().mockResolvedValue({ status: 'logged' }) };
+    const booking = createFlow('book', appointments, jest.fn(), escalations);
+
+    await readBack(booking);
+    expect(await booking.handle('yes')).toMatch(/I'll have someone from our team call you back/);
+    expect(escalations.escalate).toHaveBeenCalledWith(expect.objectContaining({
+      callSid: 'CA123',
+      callerNumber: '+12125550123',
+      reason: 'callback',
+      severity: 'routine'
+    }));
+
+    escalations.escalate.mockRejectedValueOnce(new Error('escalations down'));
+    const retry = createFlow('book', appointments, jest.fn(), escalations);
+    await readBack(retry);
+    expect(await retry.handle('yes')).toMatch(/Please call us back/);
+  });
+});
@@ -0,0 +1,104 @@
+// julieAI imports the Twilio service, which wants Supabase settings at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const CALLER = '+12125550123';
+
+describe('Julie caller memory', () => {
+  let CallerMemoryStore;
+
+  beforeAll(async () => {
+    ({ CallerMemoryStore } = await import('../../services/julie/callerMemory.js'));
+  });
+
+  test('recalls recent calls per practice and drops them after the retention period', async () => {
+    const store = new CallerMemoryStore();
+    store.supabase = null;
+    store.config.retentionDays = 30;
+
+    let now = new Date('2026-09-01T15:00:00Z');
+    store.now = () => now;
+    const call = (practiceId, summary, patient = {}) => store.remember({
+      practiceId, callerNumber: '(212) 555-0123', callSid: summary, summary, patient, intents: ['information', 'information']
+    });
+
+    await call('bright-smiles', 'Asked about practice information.', { name: 'Maria Lopez', dateOfBirth: '1990-03-14' });
+    now = new Date('2026-10-01T15:00:00Z');
+    await call('bright-smiles', 'Asked for a callback.', { name: 'Maria Lopez-Garcia', phone: '2125550199' });
+    await call('downtown-dental', 'Booked a cleaning.');
+
+    now = new Date('2026-10-19T15:00:00Z');
+    const memory = await store.recall('bright-smiles', CALLER);
+    // The first call is past the 30 days
+    expect(memory.calls.map(entry => entry.summary)).toEqual(['Asked for a callback.']);
+    expect(memory.calls[0].intents).toEqual(['information']);
+    expect(memory.patient).toEqual({ name: 'Maria Lopez-Garcia' });
+    expect(await store.recall('bright-smiles', '+12125550999')).toBeNull();
+
+    expect(await store.purgeExpired()).toBe(1);
+    expect(await store.forget(CALLER, 'bright-smiles')).toBe(1);
+    expect(await store.recall('bright-smiles', CALLER)).toBeNull();
+    expect(await store.recall('downtown-dental', CALLER)).not.toBeNull();
+
+    store.config.retentionDays = 0;
+    expect(await store.recall('downtown-dental', CALLER)).toBeNull();
+  });
+
+  test('purges expired calls as soon as it starts', async () => {
+    const store = new CallerMemoryStore();
+    store.supabase = null;
+    store.config.retentionDays = 30;
+    store.now = () => new Date('2026-09-01T15:00:00Z');
+    await store.remember({ practiceId: 'bright-smiles', callerNumber: CALLER, callSid: 'CA1', summary: 'Booked a cleaning.' });
+
+    store.now = () => new Date('2026-10-19T15:00:00Z');
+    store.start();
+    store.stop();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(store.memoryCalls).toEqual([]);
+  });
+
+  test('briefs Julie on returning callers and forgets them when asked', async () => {
+    const { default: callerMemoryStore } = await import('../../services/julie/callerMemory.js');
+    const { default: escalationService } = await import('../../services/julie/escalations.js');
+    const { default: practiceProfileStore } = await import('../../services/julie/practiceProfiles.js');
+    const { default: julieAI } = await import('../../services/julieAI.js');
+    callerMemoryStore.supabase = null;
+    escalationService.supabase = null;
+    practiceProfileStore.supabase = null;
+
+    // First call: only a question about hours
+    await julieAI.startSession('CA1', CALLER);
+    await julieAI.processTranscript('CA1', 'What are your hours on Saturday');
+    await julieAI.endSession('CA1');
+
+    await callerMemoryStore.remember({
+      practiceId: 'default', callerNumber: CALLER, callSid: 'CA0', summary: 'Booked a cleaning.', patient: { name: 'Maria Lopez' }
+    });
+
+    // The remembered name is only used once the caller has said it
+    const connection = await julieAI.startSession('CA2', CALLER);
+    expect(connection.context.getSystemPrompt()).toContain('This caller has called 2 times before. Most recent first:');
+    expect(connection.context.getSystemPrompt()).not.toContain('Maria');
+    const greeting = await julieAI.processTranscript('CA2', 'Hello');
+    expect(greeting).toMatch(/May I have your name, please\?$/);
+    expect(greeting).not.toContain('Maria');
+    expect(await julieAI.processTranscript('CA2', "It's Maria")).toBe('Thanks, Maria, and welcome back! How can I help you today?');
+    const prompt = connection.context.getSystemPrompt();
+    expect(prompt).toContain('This caller has called 2 times before, who has confirmed the name Maria Lopez');
+    expect(prompt).toContain('Asked about practice information.');
+
+    // Someone else on the same phone hears nothing about earlier calls
+    const other = await julieAI.startSession('CA3', CALLER);
+    await julieAI.processTranscript('CA3', 'Hi');
+    expect(await julieAI.processTranscript('CA3', 'This is Maria Gomez')).toBe('Thanks, Maria! How can I help you today?');
+    expect(other.context.history).toBeNull();
+    expect(other.context.getSystemPrompt()).not.toContain('Previous calls');
+    julieAI.connections.delete('CA3');
+
+    expect(await julieAI.processTranscript('CA2', 'Please forget me')).toMatch(/Should I go ahead\?$/);
+    expect(await julieAI.processTranscript('CA2', 'Yes please')).toMatch(/^Done\./);
+    await julieAI.endSession('CA2');
+    expect(await callerMemoryStore.recall('default', CALLER)).toBeNull();
+  });
+});
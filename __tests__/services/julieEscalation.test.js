@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+
+import { escalationChain, onCallAt } from '../../services/julie/onCall.js';
+import { DEFAULT_PRACTICE_PROFILE, validateProfile } from '../../services/julie/practiceProfiles.js';
+import { classifySeverity, TriageFlow } from '../../services/julie/triage.js';
+
+// escalations imports the Twilio service, which wants Supabase settings at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const PROFILE = {
+  ...DEFAULT_PRACTICE_PROFILE,
+  id: 'bright-smiles',
+  name: 'Bright Smiles',
+  emergency: {
+    phone: '+12125550199',
+    onCall: {
+      startDate: '2026-10-05',
+      shiftDays: 7,
+      handoffTime: '08:00',
+      rotation: [
+        { name: 'Dr. Lee', phone: '+12125550101', channel: 'sms' },
+        { name: 'Dr. Kim', phone: '+12125550102', channel: 'voice' }
+      ],
+      overrides: [{ from: '2026-10-24', to: '2026-10-25', name: 'Dr. Park', phone: '+12125550104' }],
+      backup: [{ name: 'Office manager', phone: '+12125550103', channel: 'voice' }]
+    }
+  }
+};
+
+describe('Julie emergency escalation', () => {
+  test('triage asks until the answers settle the severity', () => {
+    const triage = new TriageFlow();
+    expect(triage.start('This is an emergency, my tooth is killing me')).toMatch(/trouble breathing/);
+    expect(triage.handle('no')).toMatch(/bleeding/);
+    expect(triage.handle('hmm')).toMatch(/^Sorry, was that a yes or a no\?/);
+    expect(triage.handle('no it stopped')).toMatch(/knocked out/);
+    triage.handle('no');
+    expect(triage.handle('yes, my cheek is swollen')).toMatch(/scale of 1 to 10/);
+    expect(triage.handle('about a nine')).toBeNull();
+    expect(triage.done).toBe(true);
+    expect(triage.result()).toMatchObject({ severity: 'urgent', reasons: ['Fever or facial swelling', 'Severe pain'] });
+
+    const critical = new TriageFlow();
+    expect(critical.start("My face is swollen and I can't breathe")).toBeNull();
+    expect(critical.result().severity).toBe('critical');
+
+    expect(classifySeverity({ airway: false, pain: 4 }).severity).toBe('routine');
+  });
+
+  test('picks the on-call doctor from the rotation, handoff time and overrides', () => {
+    // Monday, October 19 is the third week of the rotation
+    expect(onCallAt(PROFILE, new Date('2026-10-19T15:00:00Z')).name).toBe('Dr. Lee');
+    // 7 AM Monday is still Sunday's shift
+    expect(onCallAt(PROFILE, new Date('2026-10-12T11:00:00Z')).name).toBe('Dr. Lee');
+    expect(onCallAt(PROFILE, new Date('2026-10-12T13:00:00Z')).name).toBe('Dr. Kim');
+    expect(onCallAt(PROFILE, new Date('2026-10-24T20:00:00Z')).name).toBe('Dr. Park');
+
+    expect(escalationChain(PROFILE, new Date('2026-10-19T15:00:00Z')).map(contact => contact.name))
+      .toEqual(['Dr. Lee', 'Office manager']);
+    // The default profile's placeholder number cannot be dialed
+    expect(escalationChain(DEFAULT_PRACTICE_PROFILE)).toEqual([]);
+
+    expect(validateProfile({ name: 'Bad', emergency: { onCall: { rotation: [{ name: 'Dr. X' }], handoffTime: '8am' } } })
+      .map(error => error.path)).toEqual(['emergency.onCall.rotation[0].phone', 'emergency.onCall.handoffTime']);
+  });
+
+  test('retries unacknowledged pages, moves down the chain and keeps an audit trail', async () => {
+    const { EscalationService } = await import('../../services/julie/escalations.js');
+    const service = new EscalationService();
+    service.supabase = null;
+    service.config.maxAttempts = 2;
+
+    let now = new Date('2026-10-20T02:00:00Z'); // Monday night in New York: Dr. Lee's shift
+    service.now = () => now;
+    const sendSms = jest.fn().mockResolvedValue({ sid: 'SM1' });
+    const makeCall = jest.fn().mockRejectedValueOnce(new Error('busy')).mockResolvedValue({ sid: 'CA9' });
+    service.pager = { sendSms, makeCall };
+    const later = (minutes) => { now = new Date(now.getTime() + minutes * 60 * 1000); };
+
+    const escalation = await service.escalate({
+      callSid: 'CA1',
+      profile: PROFILE,
+      callerNumber: '(212) 555-0123',
+      severity: 'urgent',
+      triage: { reasons: ['Severe pain'] }
+    });
+    expect(escalation).toMatchObject({ status: 'paging', currentContact: { name: 'Dr. Lee' }, attempts: 1 });
+    expect(sendSms.mock.calls[0][1]).toMatch(/^URGENT dental emergency for Bright Smiles\. Please call the patient at \+12125550123\. Severe pain\. Reply ACK \d{4}/);
+
+    later(2);
+    await service.tick(); // Not due yet
+    later(5);
+    await service.tick(); // Second page to Dr. Lee
+    later(5);
+    await service.tick(); // Dr. Lee is out of attempts: call the office manager, who is busy
+    later(5);
+    await service.tick(); // Call the office manager again
+    expect(sendSms).toHaveBeenCalledTimes(2);
+    expect(makeCall).toHaveBeenCalledTimes(2);
+    expect(makeCall.mock.calls[1][2].twiml).toContain(`/escalations/${escalation.id}/voice-ack`);
+
+    // Dr. Lee was paged, so their reply still counts
+    const code = sendSms.mock.calls[0][1].match(/ACK (\d{4})/)[1];
+    expect(await service.handleInboundSms('+12125550999', `ACK ${code}`)).toBeNull();
+    expect(await service.handleInboundSms('+12125550101', 'ok')).toBeNull();
+    expect(await service.handleInboundSms('+1 212 555 0101', `ack ${code}`))
+      .toMatchObject({ status: 'acknowledged', acknowledgedBy: 'Dr. Lee' });
+
+    later(10);
+    await service.tick();
+    expect(makeCall).toHaveBeenCalledTimes(2);
+
+    const [trail] = await service.listForCall('CA1');
+    expect(trail.events.map(event => event.type)).toEqual([
+      'triaged', 'page_sent', 'page_sent', 'escalated', 'page_failed', 'page_sent', 'acknowledged'
+    ]);
+  });
+
+  test('does not page again for a row that was acknowledged or advanced since it was loaded', async () => {
+    const { EscalationService } = await import('../../services/julie/escalations.js');
+    const service = new EscalationService();
+    service.supabase = null;
+    service.now = () => new Date('2026-10-20T02:00:00Z');
+    const sendSms = jest.fn().mockResolvedValue({ sid: 'SM1' });
+    service.pager = { sendSms, makeCall: jest.fn() };
+
+    const escalation = await service.escalate({ callSid: 'CA4', profile: PROFILE, severity: 'critical' });
+    const [loaded] = await service.loadActiveRows();
+    const stale = { ...loaded };
+
+    // Another instance already sent the next page for this row
+    expect(await service.advance(loaded)).toMatchObject({ attempts: 2 });
+    expect(await service.advance(stale)).toBeNull();
+    expect(sendSms).toHaveBeenCalledTimes(2);
+
+    const [current] = await service.loadActiveRows();
+    await service.acknowledge(escalation.id, { name: 'Dr. Lee', via: 'dashboard' });
+    expect(await service.advance(current)).toBeNull();
+    expect(sendSms).toHaveBeenCalledTimes(2);
+    expect((await service.acknowledge(escalation.id, { name: 'Office manager', via: 'dashboard' })).acknowledgedBy).toBe('Dr. Lee');
+  });
+
+  test('queues after-hours callbacks and flags practices nobody can be paged for', async () => {
+    const { EscalationService } = await import('../../services/julie/escalations.js');
+    const service = new EscalationService();
+    service.supabase = null;
+    service.now = () => new Date('2026-10-19T02:00:00Z');
+    service.pager = { sendSms: jest.fn(), makeCall: jest.fn() };
+
+    expect((await service.escalate({ callSid: 'CA2', profile: PROFILE, reason: 'callback', severity: 'routine' })).status)
+      .toBe('callback_queued');
+    expect((await service.escalate({ callSid: 'CA3', profile: DEFAULT_PRACTICE_PROFILE, severity: 'critical' })).status)
+      .toBe('unassigned');
+    expect(service.pager.sendSms).not.toHaveBeenCalled();
+  });
+});
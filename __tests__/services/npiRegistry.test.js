@@ -0,0 +1,41 @@
+import {
+  buildRegistryParams,
+  matchesTaxonomyFilter,
+  parseSearchText
+} from '../../services/npiRegistry.js';
+
+describe('NPI registry search', () => {
+  test('parses free text into name, city, state and ZIP', () => {
+    expect(parseSearchText('John Smith Buffalo, NY 14221')).toEqual({
+      firstName: 'John', lastName: 'Smith', city: 'Buffalo', state: 'NY', postalCode: '14221'
+    });
+    expect(parseSearchText('John Smith, NY')).toEqual({ firstName: 'John', lastName: 'Smith', state: 'NY' });
+    expect(parseSearchText('Dana Lee New York, ny')).toEqual({ firstName: 'Dana', lastName: 'Lee', city: 'New York', state: 'NY' });
+    expect(parseSearchText('Dana Lee Albany, 12203')).toEqual({ firstName: 'Dana', lastName: 'Lee', city: 'Albany', postalCode: '12203' });
+    expect(parseSearchText('John Smith NY')).toEqual({ firstName: 'John', lastName: 'Smith', state: 'NY' });
+    expect(parseSearchText('  Smith ')).toEqual({ lastName: 'Smith' });
+  });
+
+  test('builds registry parameters with paging limits and radius by ZIP prefix', () => {
+    const params = query => Object.fromEntries(buildRegistryParams(query));
+
+    expect(params({ lastName: 'Lee', type: 'individual', limit: 500, skip: 5000 })).toEqual({
+      version: '2.1', limit: '200', skip: '1000', enumeration_type: 'NPI-1', last_name: 'Lee'
+    });
+    expect(params({ organization: 'Bright Smiles*', postalCode: '14221-1234', radius: 25 })).toMatchObject({
+      organization_name: 'Bright Smiles*', postal_code: '142*'
+    });
+    expect(params({ lastName: 'Lee', postalCode: '14221', radius: 100, state: 'ny' })).not.toHaveProperty('postal_code');
+    expect(params({ lastName: 'Lee', taxonomy: '1223G0001X' })).not.toHaveProperty('taxonomy_description');
+  });
+
+  test('filters specialties by code prefix or description keyword', () => {
+    const dentist = { taxonomies: [{ code: '1223G0001X', desc: 'Dentist, General Practice' }] };
+    const cardiologist = { taxonomyCode: '207RC0000X', specialty: 'Cardiovascular Disease' };
+
+    expect(matchesTaxonomyFilter(dentist)).toBe(true);
+    expect(matchesTaxonomyFilter(cardiologist)).toBe(false);
+    expect(matchesTaxonomyFilter(cardiologist, { codes: ['207r'], keywords: [] })).toBe(true);
+    expect(matchesTaxonomyFilter(cardiologist, { codes: [], keywords: [] })).toBe(true);
+  });
+});
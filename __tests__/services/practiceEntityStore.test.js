@@ -0,0 +1,94 @@
+// The entity store creates a Supabase client at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Practice entity store', () => {
+  let PracticeEntityStore;
+  let extractFacts;
+
+  beforeAll(async () => {
+    ({ PracticeEntityStore, extractFacts } = await import('../../services/practiceEntityStore.js'));
+  });
+
+  function createStore() {
+    const store = new PracticeEntityStore();
+    store.supabase = null;
+    return store;
+  }
+
+  const doctor = { npi: '1234567890', displayName: 'Dr. Lee', city: 'Buffalo', state: 'NY' };
+  const simulatedReviews = {
+    simulated: true,
+    combinedRating: 4.2,
+    totalReviews: 120,
+    doctorReviews: { highlights: ['Great bedside manner'] }
+  };
+
+  test('extracts normalised facts and skips simulated reviews', () => {
+    const facts = extractFacts({
+      websiteData: { url: 'https://www.BrightSmiles.com/', crawled: true, technology: ['CBCT'] },
+      dossierIntelligence: { techStack: { equipment: ['CBCT', 'iTero'] } },
+      reviewData: simulatedReviews,
+      news: { newsItems: [{ title: 'Dr. Lee joins ADA board' }] }
+    });
+
+    expect(facts.map(item => [item.kind, item.key])).toEqual([
+      ['website', 'brightsmiles.com'],
+      ['technology', 'cbct'],
+      ['technology', 'itero'],
+      ['news', 'dr lee joins ada board']
+    ]);
+    expect(extractFacts({ reviewData: { ...simulatedReviews, simulated: false } }).map(item => item.kind)).toEqual(['review']);
+  });
+
+  test('merges runs into a timeline of what changed since the rep last looked', async () => {
+    const store = createStore();
+    await store.recordResearch(doctor, {
+      websiteData: { url: 'https://brightsmiles.com', crawled: true, technology: ['CBCT'] },
+      team: { members: [{ name: 'Ana Ruiz', role: 'Hygienist' }] },
+      reviewData: simulatedReviews
+    }, { jobId: 'job-1', observedAt: '2026-10-01T12:00:00.000Z' });
+
+    const first = await store.getTimeline(doctor.npi, { userId: 'rep-1' });
+    expect(first.changes).toBeNull();
+    expect(first.practice).toMatchObject({ researchCount: 1, reviewRating: null });
+    expect(first.facts.review).toEqual([]);
+
+    store.memoryVisits.set(`${doctor.npi}:rep-1`, '2026-10-05T00:00:00.000Z');
+    expect(await store.recordResearch(doctor, {
+      websiteData: { url: 'https://brightsmiles.com/', crawled: true, technology: ['CBCT', 'iTero'] },
+      team: { members: [] }
+    }, { jobId: 'job-2', observedAt: '2026-10-10T12:00:00.000Z' })).toEqual({ npi: doctor.npi, added: 1, refreshed: 2 });
+
+    const timeline = await store.getTimeline(doctor.npi, { userId: 'rep-1' });
+    expect(timeline.previousVisitAt).toBe('2026-10-05T00:00:00.000Z');
+    expect(timeline.changes.added.map(item => item.label)).toEqual(['iTero']);
+    expect(timeline.changes.removed.map(item => item.label)).toEqual(['Ana Ruiz']);
+    expect(timeline.facts.website[0]).toMatchObject({ timesSeen: 2, firstSeenAt: '2026-10-01T12:00:00.000Z', current: true });
+    expect(await store.getTimeline('0000000000')).toBeNull();
+  });
+
+  test('keeps earlier facts when a lookup failed instead of reporting them gone', async () => {
+    const store = createStore();
+    await store.recordResearch(doctor, {
+      websiteData: { url: 'https://brightsmiles.com', crawled: true, technology: ['CBCT'] },
+      dossierIntelligence: { techStack: { equipment: ['iTero'] } },
+      team: { members: [{ name: 'Ana Ruiz', role: 'Hygienist' }] },
+      news: { newsItems: [{ title: 'Dr. Lee joins ADA board' }] }
+    }, { jobId: 'job-1', observedAt: '2026-10-01T12:00:00.000Z' });
+
+    store.memoryVisits.set(`${doctor.npi}:rep-1`, '2026-10-05T00:00:00.000Z');
+    // The search provider was down: no website, team, news or equipment came back
+    await store.recordResearch(doctor, {
+      websiteData: { url: null, failed: true },
+      dossierIntelligence: { techStack: { equipment: [], failed: true } },
+      team: { members: [], failed: true },
+      news: { newsItems: [], failed: true }
+    }, { jobId: 'job-2', observedAt: '2026-10-10T12:00:00.000Z' });
+
+    const timeline = await store.getTimeline(doctor.npi, { userId: 'rep-1' });
+    expect(timeline.changes.removed).toEqual([]);
+    expect(Object.values(timeline.facts).flat().every(item => item.current)).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+import {
+  DEFAULT_PRACTICE_PROFILE,
+  formatUpcomingHolidays,
+  formatWeeklyHours,
+  isOpenAt,
+  PracticeProfileStore,
+  validateProfile
+} from '../../services/julie/practiceProfiles.js';
+
+const PROFILE = {
+  ...DEFAULT_PRACTICE_PROFILE,
+  holidays: [
+    { date: '12-25', name: 'Christmas' },
+    { date: '2026-10-21', name: 'Staff training', hours: [{ open: '12:00', close: '16:30' }] }
+  ]
+};
+
+describe('Julie practice profiles', () => {
+  test('describes weekly hours and upcoming holidays the way Julie says them', () => {
+    expect(formatWeeklyHours(PROFILE))
+      .toBe("Our office hours are Monday through Friday, 8 AM to 6 PM and Saturday, 9 AM to 3 PM. We're closed on Sundays.");
+    expect(formatUpcomingHolidays(PROFILE, new Date('2026-10-19T12:00:00Z')))
+      .toBe("On Wednesday, October 21 (Staff training) we're open 12 PM to 4:30 PM.");
+    expect(formatUpcomingHolidays(PROFILE, new Date('2026-12-20T12:00:00Z')))
+      .toBe("We're closed on Friday, December 25 for Christmas.");
+  });
+
+  test('checks opening hours in the practice time zone, holidays included', () => {
+    expect(isOpenAt(PROFILE, new Date('2026-10-19T13:00:00Z'))).toBe(true); // Monday 9 AM in New York
+    expect(isOpenAt(PROFILE, new Date('2026-10-19T23:00:00Z'))).toBe(false); // Monday 7 PM
+    expect(isOpenAt(PROFILE, new Date('2026-10-21T14:00:00Z'))).toBe(false); // Training day opens at noon
+  });
+
+  test('selects the profile by dialed number and keeps numbers unique', async () => {
+    const store = new PracticeProfileStore();
+    store.supabase = null;
+
+    await store.saveProfile('bright-smiles', { name: 'Bright Smiles', phoneNumbers: ['(212) 555-0100'] });
+
+    expect((await store.resolve('+12125550100')).name).toBe('Bright Smiles');
+    expect((await store.resolve('+13105550100')).id).toBe('default');
+    await expect(store.saveProfile('other', { name: 'Other', phoneNumbers: ['212-555-0100'] }))
+      .rejects.toMatchObject({ code: 'NUMBER_IN_USE' });
+  });
+
+  test('validates profiles', () => {
+    expect(validateProfile(DEFAULT_PRACTICE_PROFILE)).toEqual([]);
+    expect(validateProfile({
+      name: 'Bad',
+      timezone: 'Mars/Base',
+      hours: { funday: [], monday: [{ open: '17:00', close: '09:00' }] }
+    }).map(error => error.path)).toEqual(['timezone', 'hours.funday', 'hours.monday[0]']);
+  });
+});
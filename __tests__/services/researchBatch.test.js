@@ -0,0 +1,76 @@
+import { parseCsv, toCsv } from '../../utils/csv.js';
+
+// The batch service creates a Supabase client at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Research batches', () => {
+  let ResearchBatchService;
+  let ResearchJobQueue;
+
+  beforeAll(async () => {
+    ({ ResearchBatchService } = await import('../../services/researchBatchService.js'));
+    ({ ResearchJobQueue } = await import('../../services/researchJobQueue.js'));
+  });
+
+  function createService() {
+    const queue = new ResearchJobQueue();
+    queue.supabase = null;
+    const service = new ResearchBatchService(queue);
+    service.supabase = null;
+    return service;
+  }
+
+  test('parses quoted CSV with BOM, CRLF and blank lines', () => {
+    expect(parseCsv('\uFEFFnpi,name\r\n1234567890,"Lee, Dana"\r\n\r\n,"Say ""hi"""\n')).toEqual([
+      ['npi', 'name'],
+      ['1234567890', 'Lee, Dana'],
+      ['', 'Say "hi"']
+    ]);
+  });
+
+  test('quotes exported cells and keeps provider text from running as a formula', () => {
+    const csv = toCsv([
+      { name: 'Lee, Dana', summary: '=HYPERLINK("http://evil")', tags: ['implants', 'aligners'], delta: -3 },
+      { name: '@cmd', summary: '+1 555', tags: [], delta: null }
+    ], [
+      { key: 'name', header: 'Name' },
+      { key: 'summary', header: 'Summary' },
+      { key: 'tags', header: 'Tags' },
+      { key: 'delta', header: 'Delta' }
+    ]);
+
+    expect(csv).toBe('Name,Summary,Tags,Delta\r\n' +
+      '"Lee, Dana","\'=HYPERLINK(""http://evil"")",implants; aligners,-3\r\n' +
+      '\'@cmd,\'+1 555,,\r\n');
+  });
+
+  test('rejects an oversized roster before looking anyone up', async () => {
+    const service = createService();
+    service.config.maxDoctors = 2;
+
+    // The NPI registry is unreachable here, so a lookup would surface as an unresolved row instead
+    await expect(service.resolveRoster('npi\n1111111111\n2222222222\n3333333333\n'))
+      .rejects.toThrow('Maximum 2 doctors per batch (roster has 3 rows)');
+
+    expect(await service.resolveRoster('')).toEqual({ doctors: [], unresolved: [] });
+  });
+
+  test('tracks batch progress and ranks results by confidence', async () => {
+    const service = createService();
+    const doctors = ['Dr. Lee', 'Dr. Ng'].map((displayName, index) => ({ npi: `${index}`, displayName }));
+    const { batchId, jobs } = await service.createBatch({ doctors, product: 'yomi', userId: 'rep-1' });
+
+    const [lee, ng] = jobs.map(job => service.queue.memoryJobs.get(job.jobId));
+    Object.assign(lee, { status: 'completed', data: { confidence: { score: 40 } } });
+    Object.assign(ng, { status: 'processing', progress: 50 });
+    expect(await service.getBatch(batchId)).toMatchObject({ status: 'processing', progress: 75, counts: { completed: 1, processing: 1 } });
+
+    Object.assign(ng, { status: 'completed', data: { confidence: { score: 90 } } });
+    await service.refreshStatus(batchId);
+    expect((await service.getBatch(batchId)).status).toBe('completed');
+    expect((await service.getRankedSummary(batchId)).map(entry => [entry.rank, entry.doctorName])).toEqual([[1, 'Dr. Ng'], [2, 'Dr. Lee']]);
+    await expect(service.createBatch({ doctors: new Array(201).fill(doctors[0]), product: 'yomi' })).rejects.toThrow('Maximum 200');
+  });
+});
@@ -0,0 +1,62 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// The cache picks the postgres backend when Supabase is configured
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Research cache', () => {
+  let ResearchCache;
+
+  beforeAll(async () => {
+    ({ ResearchCache } = await import('../../services/researchCache.js'));
+  });
+
+  function createCache(backend = 'memory') {
+    process.env.RESEARCH_CACHE_TTLS = '{"default":72,"Botox":24}';
+    const cache = new ResearchCache();
+    delete process.env.RESEARCH_CACHE_TTLS;
+    cache.store = cache.createStore(backend);
+    return cache;
+  }
+
+  test('applies per-product TTLs and drops expired entries on read', async () => {
+    const cache = createCache();
+    expect(cache.ttlFor('botox')).toBe(24 * 3600000);
+    expect(cache.ttlFor('yomi')).toBe(72 * 3600000);
+
+    await cache.set('1234567890', ' Botox ', { summary: 'cached' });
+    const entry = await cache.get('1234567890', 'botox');
+    expect(entry).toMatchObject({ npi: '1234567890', product: 'botox', data: { summary: 'cached' } });
+    expect(entry.expiresAt - entry.cachedAt).toBe(24 * 3600000);
+
+    entry.expiresAt = Date.now() - 1;
+    expect(await cache.get('1234567890', 'botox')).toBeNull();
+    expect(await cache.getStats()).toMatchObject({ backend: 'memory', size: 0, hits: 1, misses: 1, expired: 1, hitRate: 0.5 });
+  });
+
+  test('purges by NPI, product or both, in memory and on disk', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'research-cache-'));
+    process.env.RESEARCH_CACHE_DIR = directory;
+
+    try {
+      for (const backend of ['memory', 'file']) {
+        const cache = createCache(backend);
+        await cache.set('111', 'botox', {});
+        await cache.set('111', 'yomi', {});
+        await cache.set('222', 'botox', {});
+
+        expect(await cache.purge({ npi: '111', product: 'BOTOX' })).toBe(1);
+        expect(await cache.purge({ product: 'botox' })).toBe(1);
+        expect(await cache.get('111', 'yomi')).toMatchObject({ npi: '111', product: 'yomi' });
+        expect(await cache.purge()).toBe(1);
+        expect(await cache.store.size()).toBe(0);
+      }
+    } finally {
+      delete process.env.RESEARCH_CACHE_DIR;
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
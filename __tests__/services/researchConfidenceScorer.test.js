@@ -0,0 +1,50 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Research confidence scorer', () => {
+  let ResearchConfidenceScorer;
+  let dir;
+
+  beforeAll(async () => {
+    ({ ResearchConfidenceScorer } = await import('../../services/researchConfidenceScorer.js'));
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rubrics-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function loadWith(rubrics) {
+    const file = path.join(dir, `rubrics-${Math.random().toString(36).slice(2)}.json`);
+    await fs.writeFile(file, JSON.stringify({ rubrics }));
+    process.env.RESEARCH_SCORING_RUBRICS_FILE = file;
+    try {
+      return new ResearchConfidenceScorer();
+    } finally {
+      delete process.env.RESEARCH_SCORING_RUBRICS_FILE;
+    }
+  }
+
+  const rubric = (signals, extra = {}) => ({ id: 'general', version: 'test', cap: 90, signals, ...extra });
+
+  test('applies a valid override rubric', async () => {
+    const scorer = await loadWith([rubric([{ id: 'npi', type: 'npi_verified', label: 'NPI', points: 50 }])]);
+    expect(scorer.score({ npiVerified: true }, 'yomi')).toMatchObject({ score: 50, rubricVersion: 'test' });
+  });
+
+  test('rejects override rubrics missing a cap or signal weights and keeps the built-ins', async () => {
+    const builtIn = new ResearchConfidenceScorer().rubricFor('yomi');
+
+    for (const invalid of [
+      rubric([{ id: 'npi', type: 'npi_verified', label: 'NPI', points: 50 }], { cap: undefined }),
+      rubric([{ id: 'npi', type: 'npi_verified', label: 'NPI' }]),
+      rubric([{ id: 'sources', type: 'source_count', label: 'Sources', pointsPerSource: '2', maxPoints: 30 }]),
+      rubric([{ id: 'reviews', type: 'review_volume', label: 'Reviews', reviewsPerPoint: 0, maxPoints: 10 }])
+    ]) {
+      const scorer = await loadWith([invalid]);
+      expect(scorer.rubricFor('yomi')).toBe(builtIn);
+      expect(Number.isNaN(scorer.score({ npiVerified: true, sources: [{}] }, 'yomi').score)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,58 @@
+import { EventEmitter } from 'events';
+
+// The stream binds to the research job queue, which creates a Supabase client at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Research event stream', () => {
+  let ResearchEventStream;
+
+  beforeAll(async () => {
+    ({ ResearchEventStream } = await import('../../services/researchEventStream.js'));
+  });
+
+  function createStream() {
+    const queue = new EventEmitter();
+    const stream = new ResearchEventStream(queue);
+    clearInterval(stream.cleanupTimer);
+    return { queue, stream };
+  }
+
+  test('numbers queue events per job and replays what a reconnecting client missed', () => {
+    const { queue, stream } = createStream();
+    const received = [];
+    const unsubscribe = stream.subscribe('job-1', event => received.push(event));
+
+    queue.emit('started', { id: 'job-1', status: 'processing', progress: 0, stage: 'starting', message: 'Starting' });
+    queue.emit('progress', { jobId: 'job-1', progress: 40, stage: 'reviews', partial: { reviews: [] } });
+    queue.emit('progress', { jobId: 'job-2', progress: 10, stage: 'npi' });
+    unsubscribe();
+    queue.emit('completed', { id: 'job-1', status: 'completed', progress: 100, stage: 'completed', message: 'Done' });
+
+    expect(received.map(event => [event.id, event.type])).toEqual([[1, 'progress'], [2, 'progress'], [3, 'partial']]);
+    expect(stream.replay('job-1', 2)).toEqual([
+      { id: 3, type: 'partial', payload: { reviews: [] } },
+      { id: 4, type: 'progress', payload: { status: 'completed', progress: 100, stage: 'completed', message: 'Done' } }
+    ]);
+    expect(stream.isTerminal(stream.replay('job-1', 3)[0])).toBe(true);
+    expect(stream.lastEventId('job-2')).toBe(1);
+    expect(stream.replay('unknown')).toEqual([]);
+  });
+
+  test('caps each log and drops finished logs after the retention window', () => {
+    const { queue, stream } = createStream();
+    stream.maxEventsPerJob = 3;
+    for (let progress = 0; progress < 5; progress++) {
+      queue.emit('progress', { jobId: 'job-1', progress });
+    }
+    expect(stream.replay('job-1').map(event => event.id)).toEqual([3, 4, 5]);
+
+    queue.emit('failed', { id: 'job-1', status: 'failed', error: 'NPI registry down' });
+    queue.emit('progress', { jobId: 'job-2', progress: 50 });
+    stream.logs.get('job-1').finishedAt = Date.now() - stream.retention - 1;
+    stream.cleanup();
+    expect(stream.lastEventId('job-1')).toBe(0);
+    expect(stream.lastEventId('job-2')).toBe(1);
+  });
+});
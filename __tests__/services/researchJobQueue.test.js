@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+
+// The queue creates a Supabase client at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Research job queue', () => {
+  let ResearchJobQueue;
+
+  beforeAll(async () => {
+    ({ ResearchJobQueue } = await import('../../services/researchJobQueue.js'));
+  });
+
+  function createQueue() {
+    const queue = new ResearchJobQueue();
+    queue.supabase = null;
+    queue.config.batchConcurrency = 1;
+    return queue;
+  }
+
+  const doctor = { npi: '1234567890', displayName: 'Dr. Lee' };
+
+  test('claims the oldest queued jobs, one running job per batch, and skips cancelled ones', async () => {
+    const queue = createQueue();
+    const first = await queue.enqueue({ doctor, product: 'yomi', batchId: 'b-1' });
+    const second = await queue.enqueue({ doctor, product: 'yomi', batchId: 'b-1' });
+    const cancelled = await queue.enqueue({ doctor, product: 'yomi' });
+    const solo = await queue.enqueue({ doctor, product: 'yomi' });
+    queue.memoryJobs.forEach((row, id) => {
+      row.created_at = [first.id, second.id, cancelled.id, solo.id].indexOf(id).toString();
+    });
+
+    expect(await queue.cancel(cancelled.id)).toMatchObject({ status: 'cancelled' });
+    expect(await queue.claimNext()).toMatchObject({ id: first.id, status: 'processing', attempts: 1, locked_by: queue.workerId });
+    expect((await queue.claimNext()).id).toBe(solo.id);
+    expect(await queue.claimNext()).toBeNull();
+    expect((await queue.cancel(cancelled.id)).status).toBe('cancelled');
+    expect(await queue.cancel('missing')).toBeNull();
+  });
+
+  test('aborts a running job on cancel and retries failures with backoff until attempts run out', async () => {
+    const queue = createQueue();
+    queue.config.maxAttempts = 2;
+
+    let signal;
+    queue.setProcessor((_job, context) => {
+      signal = context.signal;
+      return new Promise((_resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    });
+    const job = await queue.enqueue({ doctor, product: 'yomi' });
+    const running = queue.runJob(await queue.claimNext());
+    await queue.cancel(job.id);
+    await running;
+    expect(signal.aborted).toBe(true);
+    expect(await queue.getJob(job.id)).toMatchObject({ status: 'cancelled' });
+
+    queue.setProcessor(async () => {
+      throw new Error('NPI registry down');
+    });
+    const failing = await queue.enqueue({ doctor, product: 'yomi' });
+    await queue.runJob(await queue.claimNext());
+    const retried = queue.memoryJobs.get(failing.id);
+    expect(retried).toMatchObject({ status: 'queued', stage: 'retrying', error: 'NPI registry down' });
+    expect(new Date(retried.available_at).getTime()).toBeGreaterThan(Date.now() + 20000);
+
+    retried.available_at = new Date(0).toISOString();
+    const failed = jest.fn();
+    queue.on('failed', failed);
+    await queue.runJob(await queue.claimNext());
+    expect(await queue.getJob(failing.id)).toMatchObject({ status: 'failed', attempts: 2 });
+    expect(failed).toHaveBeenCalledTimes(1);
+  });
+
+  test('looks for jobs orphaned by other instances while it runs, not only at start', async () => {
+    const queue = createQueue();
+    queue.started = true;
+    queue.recoverStaleJobs = jest.fn(async () => {
+      queue.lastRecoveryAt = Date.now();
+    });
+
+    await queue.tick();
+    await queue.tick();
+    expect(queue.recoverStaleJobs).toHaveBeenCalledTimes(1);
+
+    queue.lastRecoveryAt = Date.now() - queue.config.recoverInterval;
+    await queue.tick();
+    expect(queue.recoverStaleJobs).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createResearchProviders } from '../../services/researchProviders/index.js';
+import providerCostLedger from '../../services/researchProviders/costLedger.js';
+
+const FAILURE_FIXTURES = {
+  webSearch: [
+    { match: 'outage', error: { status: 503 } },
+    { match: 'missing', error: { status: 404 } },
+    { match: 'slow', delayMs: 5000, response: { web: { results: [] } } },
+    { response: { web: { results: [{ title: 'Bright Smiles Dental', url: 'https://brightsmiles.example.com' }] } } }
+  ]
+};
+
+describe('Research provider adapters', () => {
+  let fixturesDir;
+
+  beforeAll(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-fixtures-'));
+    fs.writeFileSync(path.join(fixturesDir, 'brave.json'), JSON.stringify(FAILURE_FIXTURES));
+  });
+
+  afterAll(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    providerCostLedger.reset();
+  });
+
+  describe('bundled fixtures', () => {
+    test('should serve every provider without network access or API keys', async () => {
+      const providers = createResearchProviders({ mode: 'fake' });
+
+      const search = await providers.brave.webSearch('Bright Smiles Dental Buffalo NY', { count: 5 });
+      const page = await providers.firecrawl.scrape('https://brightsmiles.example.com');
+      const brief = await providers.anthropic.message('Write a sales brief', { model: 'claude-3-opus-20240229' });
+
+      expect(search.results.length).toBeGreaterThan(0);
+      expect(typeof page.content).toBe('string');
+      expect(brief.text.length).toBeGreaterThan(0);
+      expect(providers.brave.calls).toHaveLength(1);
+    });
+
+    test('should account estimated cost per provider', async () => {
+      const providers = createResearchProviders({ mode: 'fake' });
+
+      await providers.brave.webSearch('dentist', { count: 5 });
+      await providers.brave.webSearch('orthodontist', { count: 5 });
+
+      const stats = providers.getStats().costs.providers.brave;
+      expect(stats.calls).toBe(2);
+      expect(stats.failures).toBe(0);
+      expect(stats.estimatedCostUsd).toBeCloseTo(0.01);
+      expect(stats.operations.webSearch.calls).toBe(2);
+    });
+  });
+
+  describe('failure handling', () => {
+    test('should time out slow calls', async () => {
+      const providers = createResearchProviders({
+        mode: 'fake',
+        fixturesDir,
+        adapterOptions: { brave: { timeout: 50, retries: 0 } }
+      });
+
+      await expect(providers.brave.webSearch('slow query')).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+      expect(providerCostLedger.getStats().providers.brave.timeouts).toBe(1);
+    });
+
+    test('should open the circuit after repeated outages and fail fast', async () => {
+      const providers = createResearchProviders({
+        mode: 'fake',
+        fixturesDir,
+        adapterOptions: { brave: { retries: 0, breaker: { failureThreshold: 2, resetTimeout: 60000 } } }
+      });
+
+      await expect(providers.brave.webSearch('outage')).rejects.toThrow('503');
+      await expect(providers.brave.webSearch('outage')).rejects.toThrow('503');
+      await expect(providers.brave.webSearch('dentist')).rejects.toMatchObject({ code: 'PROVIDER_CIRCUIT_OPEN' });
+
+      expect(providers.brave.calls).toHaveLength(2);
+      expect(providers.brave.getStatus().circuit.state).toBe('open');
+      expect(providerCostLedger.getStats().providers.brave.rejected).toBe(1);
+    });
+
+    test('should let a trial request through once the reset timeout passes', async () => {
+      const providers = createResearchProviders({
+        mode: 'fake',
+        fixturesDir,
+        adapterOptions: { brave: { retries: 0, breaker: { failureThreshold: 1, resetTimeout: 0 } } }
+      });
+
+      await expect(providers.brave.webSearch('outage')).rejects.toThrow('503');
+      const { results } = await providers.brave.webSearch('dentist');
+
+      expect(results).toHaveLength(1);
+      expect(providers.brave.getStatus().circuit.state).toBe('closed');
+    });
+
+    test('should release the half-open trial when its caller cancels it', async () => {
+      const providers = createResearchProviders({
+        mode: 'fake',
+        fixturesDir,
+        adapterOptions: { brave: { retries: 0, breaker: { failureThreshold: 1, resetTimeout: 0 } } }
+      });
+
+      await expect(providers.brave.webSearch('outage')).rejects.toThrow('503');
+
+      const controller = new AbortController();
+      const trial = providers.brave.webSearch('slow query', { signal: controller.signal });
+      controller.abort();
+      await expect(trial).rejects.toThrow();
+
+      const { results } = await providers.brave.webSearch('dentist');
+      expect(results).toHaveLength(1);
+      expect(providers.brave.getStatus().circuit.state).toBe('closed');
+    });
+
+    test('should not count client errors against the circuit', async () => {
+      const providers = createResearchProviders({
+        mode: 'fake',
+        fixturesDir,
+        adapterOptions: { brave: { retries: 0, breaker: { failureThreshold: 1 } } }
+      });
+
+      await expect(providers.brave.webSearch('missing')).rejects.toThrow('404');
+      expect(providers.brave.getStatus().circuit.state).toBe('closed');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+
+// The watchlist, queue and email gateway create Supabase clients at load time
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Research watchlist', () => {
+  let ResearchWatchlist;
+  let ResearchJobQueue;
+  let snapshotResearch;
+  let diffSnapshots;
+
+  beforeAll(async () => {
+    ({ ResearchWatchlist, snapshotResearch, diffSnapshots } = await import('../../services/researchWatchlist.js'));
+    ({ ResearchJobQueue } = await import('../../services/researchJobQueue.js'));
+  });
+
+  function createWatchlist() {
+    const queue = new ResearchJobQueue();
+    queue.supabase = null;
+    const watchlist = new ResearchWatchlist(queue);
+    watchlist.supabase = null;
+    return watchlist;
+  }
+
+  function addWatch(watchlist, snapshot) {
+    const row = {
+      id: 'watch-1',
+      user_id: 'rep-1',
+      npi: '1234567890',
+      doctor: { npi: '1234567890', displayName: 'Dr. Lee' },
+      product: 'yomi',
+      interval_hours: 168,
+      channels: [],
+      status: 'active',
+      last_snapshot: snapshot,
+      pending_job_id: null,
+      next_run_at: new Date(0).toISOString(),
+      created_at: new Date().toISOString()
+    };
+    watchlist.memoryWatches.set(row.id, row);
+    return row;
+  }
+
+  const website = (services, technology) => ({ websiteData: { url: 'https://brightsmiles.com', crawled: true, services, technology } });
+  const reviews = (combinedRating, simulated) => ({ reviewData: { combinedRating, totalReviews: 100, simulated } });
+
+  test('reports new services and technology, and rating drops only from live review sources', () => {
+    const before = snapshotResearch({ ...website(['Implants'], []), ...reviews(4.8, true) });
+    const after = snapshotResearch({ ...website(['Implants', 'Aligners'], ['CBCT']), ...reviews(3.9, true) }, before);
+    expect(after).toMatchObject({ rating: null, reviewsLive: false });
+    expect(diffSnapshots(before, after).map(change => change.type)).toEqual(['new_service', 'new_technology']);
+
+    const live = snapshotResearch({ ...website(['Implants'], []), ...reviews(4.8, false) });
+    const uncrawled = snapshotResearch({ websiteData: { url: 'https://brightsmiles.com' }, ...reviews(4.9, true) }, live);
+    expect(uncrawled).toMatchObject({ services: ['Implants'], rating: 4.8, reviewsLive: true });
+    expect(diffSnapshots(uncrawled, snapshotResearch(reviews(4.4, false), uncrawled))).toEqual([
+      { type: 'rating_drop', label: 'Rating dropped from 4.8 to 4.4', from: 4.8, to: 4.4, drop: 0.4 }
+    ]);
+    expect(diffSnapshots(null, live)).toEqual([]);
+  });
+
+  test('cancels a re-run that never finishes so the watch is scheduled again', async () => {
+    const watchlist = createWatchlist();
+    const row = addWatch(watchlist, null);
+
+    await watchlist.tick();
+    const jobId = watchlist.memoryWatches.get(row.id).pending_job_id;
+    expect(jobId).toEqual(expect.any(String));
+
+    await watchlist.tick();
+    expect(watchlist.memoryWatches.get(row.id).pending_job_id).toBe(jobId);
+
+    watchlist.queue.memoryJobs.get(jobId).created_at = new Date(Date.now() - watchlist.config.pendingTimeout - 1000).toISOString();
+    await watchlist.releasePendingRuns();
+    expect((await watchlist.queue.getJob(jobId)).status).toBe('cancelled');
+    const released = watchlist.memoryWatches.get(row.id);
+    expect(released.pending_job_id).toBeNull();
+    expect(Date.parse(released.next_run_at)).toBeGreaterThan(Date.now());
+  });
+
+  test('picks up a re-run that finished without this instance hearing about it', async () => {
+    const watchlist = createWatchlist();
+    const row = addWatch(watchlist, snapshotResearch(website(['Implants'], [])));
+    watchlist.memoryWatches.set(row.id, { ...row, pending_job_id: 'job-gone' });
+
+    const job = await watchlist.queue.enqueue({ doctor: row.doctor, product: row.product });
+    Object.assign(watchlist.queue.memoryJobs.get(job.id), { status: 'completed', data: website(['Implants', 'Veneers'], []) });
+    watchlist.memoryWatches.set('watch-2', { ...row, id: 'watch-2', pending_job_id: job.id });
+
+    await watchlist.releasePendingRuns();
+    expect(watchlist.memoryWatches.get(row.id)).toMatchObject({ pending_job_id: null, last_snapshot: row.last_snapshot });
+    expect(watchlist.memoryWatches.get('watch-2')).toMatchObject({
+      pending_job_id: null,
+      last_changes: [{ type: 'new_service', value: 'Veneers' }]
+    });
+  });
+
+  test('queues a due watch once when two instances tick together', async () => {
+    const first = createWatchlist();
+    const second = new ResearchWatchlist(first.queue);
+    second.supabase = null;
+    second.memoryWatches = first.memoryWatches;
+    const row = addWatch(first, null);
+    const enqueue = jest.spyOn(first.queue, 'enqueue');
+
+    const [a, b] = await Promise.all([first.queueRun(row), second.queueRun(row)]);
+    expect([a, b].filter(Boolean)).toHaveLength(1);
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect(await first.queue.getJob(first.memoryWatches.get(row.id).pending_job_id)).toMatchObject({ status: 'queued' });
+  });
+
+  test('records and notifies a finished re-run once when it is seen twice', async () => {
+    const watchlist = createWatchlist();
+    const row = addWatch(watchlist, snapshotResearch(website(['Implants'], [])));
+    await watchlist.queueRun(row);
+    const job = await watchlist.queue.getJob(watchlist.memoryWatches.get(row.id).pending_job_id);
+    const notify = jest.spyOn(watchlist, 'notify').mockResolvedValue();
+
+    const finished = { ...job, status: 'completed', data: website(['Implants', 'Veneers'], []) };
+    await Promise.all([watchlist.handleJobFinished(finished), watchlist.handleJobFinished(finished)]);
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(watchlist.memoryWatches.get(row.id).pending_job_id).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import path from 'path';
+
+import {
+  createClassifier,
+  DATASETS_DIR,
+  findPhrases,
+  INTENT_TAXONOMY,
+  loadDataset,
+  OBJECTION_TAXONOMY,
+  parseDataset
+} from '../../services/textClassifier/index.js';
+
+const OBJECTION_LABELS = Object.keys(OBJECTION_TAXONOMY.descriptions);
+
+describe('Text classifier', () => {
+  test('keyword backend labels objection types with per-label confidence', () => {
+    const classifier = createClassifier(OBJECTION_TAXONOMY, { name: 'objection' });
+
+    expect(classifier.classify('Honestly that is too expensive')).toMatchObject({ label: 'price', confidence: 0.5, backend: 'keyword' });
+    expect(classifier.classify('I need to talk to my partner, it is a committee decision').label).toBe('authority');
+    expect(classifier.classify('Sure, go ahead')).toMatchObject({ label: 'none', confidence: 1 });
+
+    const stats = classifier.getStats();
+    expect(stats.labels.price).toEqual({ count: 1, meanConfidence: 0.5 });
+    expect(stats.labels.authority.meanConfidence).toBe(0.75);
+  });
+
+  test('intent keywords keep their priority order and match at word starts', () => {
+    const classifier = createClassifier(INTENT_TAXONOMY, { name: 'intent' });
+
+    expect(classifier.classify('Hi, I need to book a cleaning').label).toBe('greeting');
+    expect(classifier.classify('What are your hours on Saturday?').label).toBe('information');
+    expect(classifier.classify('This is Maria').label).toBe('general');
+    expect(findPhrases('We are booking now', ['book', 'ok'])).toEqual(['book']);
+  });
+
+  test('trains a local model from the bundled labeled dataset', () => {
+    const dataset = loadDataset(path.join(DATASETS_DIR, 'objections.jsonl'), OBJECTION_LABELS);
+    const classifier = createClassifier(OBJECTION_TAXONOMY, { name: 'objection', backend: 'bayes', dataset });
+
+    expect(new Set(dataset.map(example => example.label))).toEqual(new Set(OBJECTION_LABELS));
+    expect(classifier.classify('The price is way more than we can spend').label).toBe('price');
+
+    const report = classifier.evaluate(dataset);
+    expect(report.accuracy).toBeGreaterThan(0.9);
+    expect(report.labels.price.support).toBe(8);
+  });
+
+  test('rejects dataset lines with unknown labels', () => {
+    expect(() => parseDataset('{"text": "maybe", "label": "weather"}', OBJECTION_LABELS)).toThrow('unknown label "weather"');
+  });
+
+  test('classifyAsync uses the LLM backend and falls back locally when it fails', async () => {
+    const llm = createClassifier(OBJECTION_TAXONOMY, {
+      complete: async () => 'Here you go: {"authority": 0.8, "none": 0.2}'
+    });
+    await expect(llm.classifyAsync('let me ask my boss')).resolves.toMatchObject({ label: 'authority', confidence: 0.8 });
+
+    const broken = createClassifier(OBJECTION_TAXONOMY, {
+      complete: async () => { throw new Error('timeout'); }
+    });
+    await expect(broken.classifyAsync('that is too expensive')).resolves.toMatchObject({ label: 'price', backend: 'keyword' });
+  });
+});
@@ -0,0 +1,76 @@
+import path from 'path';
+
+import { jest } from '@jest/globals';
+
+// The analyzer and trigger engine create Supabase clients on import; point them at a closed port
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+describe('Transcript replay', () => {
+  let replay;
+  let realtimeCallAnalyzer;
+  let objectionClassifier;
+
+  beforeAll(async () => {
+    replay = await import('../../services/transcriptReplay/index.js');
+    ({ default: realtimeCallAnalyzer } = await import('../../services/realtimeCallAnalyzer.js'));
+    ({ objectionClassifier } = await import('../../services/textClassifier/index.js'));
+  });
+
+  test('parses offsets, millisecond offsets and timestamps from JSONL', () => {
+    const utterances = replay.parseTranscriptJsonl([
+      '{"speaker":"rep","text":"Hello","timestamp":"2025-08-07T10:00:00Z"}',
+      '',
+      '{"speaker":"client","text":"Hi","timestamp":"2025-08-07T10:00:04Z"}',
+      '{"speaker":"rep","text":"Quick question?","offsetMs":2500}'
+    ].join('\n'));
+
+    expect(utterances.map(item => [item.text, item.offsetSeconds])).toEqual([
+      ['Hello', 0],
+      ['Quick question?', 2.5],
+      ['Hi', 4]
+    ]);
+    expect(() => replay.parseTranscriptJsonl('{"speaker":"rep"}')).toThrow('Line 1');
+  });
+
+  test('replays the fixture call through analyzeTranscript and reports fired triggers', async () => {
+    const utterances = await replay.loadTranscriptFile(path.join(replay.FIXTURES_DIR, 'price-objection-call.jsonl'));
+    const events = [];
+    const onTrigger = (event) => events.push(event.trigger.id);
+    realtimeCallAnalyzer.on('coaching-trigger', onTrigger);
+
+    // Replays classify locally, so they stay deterministic even with an LLM classifier configured
+    const classifyAsync = jest.spyOn(objectionClassifier, 'classifyAsync');
+
+    const report = await replay.default.replay(utterances, { label: 'fixture' });
+    realtimeCallAnalyzer.off('coaching-trigger', onTrigger);
+    expect(classifyAsync).not.toHaveBeenCalled();
+    classifyAsync.mockRestore();
+
+    expect(report.utterances).toBe(10);
+    expect(report.durationSeconds).toBe(64);
+    expect(report.firings.map(firing => [firing.triggerId, firing.at])).toEqual([
+      ['talk-too-much', 0],
+      ['price-objection', 24],
+      ['multiple-objections', 50]
+    ]);
+    expect(events).toEqual(['talk-too-much', 'price-objection', 'multiple-objections']);
+    expect(report.summary.totalObjections).toBe(4);
+    expect(report.timeline[3]).toMatchObject({ objection: true, keyPhrases: ['expensive'] });
+    expect(realtimeCallAnalyzer.activeSessions.size).toBe(0);
+  });
+
+  test('accelerated timing waits the scaled gaps between utterances', async () => {
+    const utterances = [
+      { speaker: 'rep', text: 'Hello there', offsetSeconds: 0 },
+      { speaker: 'client', text: 'Hi', offsetSeconds: 2 }
+    ];
+
+    const startedAt = Date.now();
+    const report = await replay.default.replay(utterances, { speed: 20 });
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+    expect(report.durationSeconds).toBe(2);
+  });
+});
@@ -0,0 +1,52 @@
+// Confidence scoring rubrics for Canvas doctor research
+//
+// Each rubric is versioned and applies to one or more product lines. Signals
+// reference an evaluator `type` (see services/researchConfidenceScorer.js) and
+// carry their own weights, so weights can change without touching code. Bump
+// `version` whenever weights change; every research result records the rubric
+// id and version that scored it.
+//
+// RESEARCH_SCORING_RUBRICS_FILE may point to a JSON file with the same shape;
+// rubrics in that file replace built-in rubrics with the same id.
+export const researchScoringConfig = {
+  defaultRubric: 'general',
+
+  rubrics: [
+    {
+      id: 'general',
+      version: '2025.08.1',
+      description: 'Default rubric for dental and general practice research',
+      productLines: [],
+      cap: 95,
+      signals: [
+        { id: 'npiVerified', type: 'npi_verified', label: 'NPI verified', points: 35 },
+        { id: 'sourceCount', type: 'source_count', label: 'Corroborating sources', pointsPerSource: 2, maxPoints: 30 },
+        { id: 'websiteFound', type: 'website_found', label: 'Practice website found', points: 15 },
+        { id: 'reviewsFound', type: 'review_volume', label: 'Review volume', reviewsPerPoint: 10, maxPoints: 10 },
+        { id: 'analysisQuality', type: 'buying_signals', label: 'Buying signals identified', points: 10 },
+        { id: 'staleWebsite', type: 'stale_website', label: 'Stale website', points: -10, maxAgeYears: 3 },
+        { id: 'conflictingAddress', type: 'conflicting_address', label: 'Conflicting practice address', points: -15 },
+        { id: 'npiDeactivated', type: 'npi_deactivated', label: 'NPI deactivated', points: -50 }
+      ]
+    },
+    {
+      id: 'aesthetics',
+      version: '2025.08.1',
+      description: 'Aesthetic devices and injectables, where online presence and reputation matter more',
+      productLines: ['botox', 'dysport', 'filler', 'juvederm', 'restylane', 'coolsculpting', 'emsculpt', 'laser', 'aesthetic', 'injectable'],
+      cap: 95,
+      signals: [
+        { id: 'npiVerified', type: 'npi_verified', label: 'NPI verified', points: 30 },
+        { id: 'sourceCount', type: 'source_count', label: 'Corroborating sources', pointsPerSource: 2, maxPoints: 20 },
+        { id: 'websiteFound', type: 'website_found', label: 'Practice website found', points: 20 },
+        { id: 'reviewsFound', type: 'review_volume', label: 'Review volume', reviewsPerPoint: 5, maxPoints: 15 },
+        { id: 'analysisQuality', type: 'buying_signals', label: 'Buying signals identified', points: 10 },
+        { id: 'staleWebsite', type: 'stale_website', label: 'Stale website', points: -15, maxAgeYears: 2 },
+        { id: 'conflictingAddress', type: 'conflicting_address', label: 'Conflicting practice address', points: -15 },
+        { id: 'npiDeactivated', type: 'npi_deactivated', label: 'NPI deactivated', points: -50 }
+      ]
+    }
+  ]
+};
+
+export default researchScoringConfig;
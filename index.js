@@ -96,10 +96,12 @@ import subscriptionRoutes from './routes/subscription.js';
 import repxRoutes from './routes/repxRoutes.js';
 import usageRoutes from './routes/usage.js';
 import emailRoutes from './routes/email.js';
+import emailTrackingRoutes from './routes/emailTracking.js';
 import sesEmailRoutes from './routes/sesEmailRoutes.js';
 import phoneRoutes from './routes/phone.js';
 import harveyRoutes from './routes/harvey.js';
 import coachingSessionRoutes from './routes/coachingSessionRoutes.js';
+import coachingTriggerRoutes from './routes/coachingTriggerRoutes.js';
 import whisperAudioRoutes from './routes/whisperAudioRoutes.js';
 // Internal modules - core services
 import {
@@ -124,6 +126,12 @@ import {
   getSmsHistory
 } from './twilio_service.js';
 import researchRoutes from './research-routes.js';
+import researchJobQueue from './services/researchJobQueue.js';
+import researchWatchlist from './services/researchWatchlist.js';
+import julieCallerMemory from './services/julie/callerMemory.js';
+import julieEscalations from './services/julie/escalations.js';
+import emailCampaignScheduler from './services/emailCampaigns/scheduler.js';
+import emailSequenceEngine from './services/emailCampaigns/sequenceEngine.js';
 import zapierRoutes from './zapier_webhook.js';
 import { authenticateUser, optionalAuth } from './middleware/unifiedAuth.js';
 import { successResponse, errorResponse } from './utils/responseHelpers.js';
@@ -2535,6 +2543,9 @@ app.use('/api', researchRoutes);
 // Add usage tracking routes
 app.use('/api/usage', usageRoutes);
 
+// Add email open/click tracking (public: hit by recipients' mail clients)
+app.use('/api/emails/track', emailTrackingRoutes);
+
 // Add email routes
 app.use('/api/emails', emailRoutes);
 app.use('/api/email', emailRoutes);  // Also mount at /api/email for frontend compatibility
@@ -2548,6 +2559,9 @@ app.use('/api/phone', phoneRoutes);
 // Add Harvey AI routes
 app.use('/api/harvey', harveyRoutes);
 
+// Add Coaching Trigger routes (custom rule CRUD + dry runs)
+app.use('/api/coaching/triggers', coachingTriggerRoutes);
+
 // Add Coaching Session routes
 app.use('/api/coaching', coachingSessionRoutes);
 
@@ -2796,6 +2810,28 @@ gracefulShutdown.registerCleanupTask('mediasoup-cleanup', async () => {
   }
 }, 4);
 
+gracefulShutdown.registerCleanupTask('research-job-queue', async () => {
+  logger.info('Re-queuing in-flight research jobs...');
+  researchWatchlist.stop();
+  await researchJobQueue.stop();
+}, 5);
+
+gracefulShutdown.registerCleanupTask('julie-escalations', async () => {
+  julieEscalations.stop();
+}, 5);
+
+gracefulShutdown.registerCleanupTask('julie-caller-memory', async () => {
+  julieCallerMemory.stop();
+}, 5);
+
+gracefulShutdown.registerCleanupTask('email-campaign-scheduler', async () => {
+  emailCampaignScheduler.stop();
+}, 5);
+
+gracefulShutdown.registerCleanupTask('email-sequences', async () => {
+  emailSequenceEngine.stop();
+}, 5);
+
 // Add shutdown middleware to reject requests during shutdown
 app.use(gracefulShutdown.middleware());
 
@@ -2860,6 +2896,28 @@ httpServer.listen(PORT, () => {
     logger.warn('Running without WebSocket support - real-time features disabled');
   }
   
+  // Resume persisted research jobs and start the research worker pool
+  researchJobQueue.start().catch(error => {
+    logger.error('Failed to start research job queue:', error);
+  });
+  researchWatchlist.start();
+  
+  // Keep paging on-call doctors until Julie's emergency escalations are acknowledged
+  julieEscalations.start();
+  
+  // Purge Julie's caller memory once it is past the retention period
+  julieCallerMemory.start();
+  
+  // Send scheduled email campaign steps as they come due, picking up where the last run stopped
+  emailCampaignScheduler.start().catch(error => {
+    logger.error('Failed to start email campaign scheduler:', error);
+  });
+  
+  // Advance drip sequence enrollments as their waits end, and stop them when contacts reply
+  emailSequenceEngine.start().catch(error => {
+    logger.error('Failed to start email sequence engine:', error);
+  });
+  
   // DEPLOYMENT DIAGNOSTICS: Final port summary
   console.log(`=== FINAL PORT BINDING SUMMARY ===`);
   console.log(`✅ Main HTTP server: ${PORT}`);
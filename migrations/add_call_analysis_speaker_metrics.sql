@@ -0,0 +1,8 @@
+-- Migration: Add Speaker Metrics to Call Analysis
+-- Description: Per-speaker conversation metrics (questions, monologues, interruptions, pace, fillers, silences) saved by the real-time call analyzer
+-- Date: 2025-08-07
+
+ALTER TABLE IF EXISTS call_analysis ADD COLUMN IF NOT EXISTS speaker_metrics JSONB;
+
+-- question_count now counts questions asked by the rep
+COMMENT ON COLUMN call_analysis.question_count IS 'Questions asked by the rep (open + closed); see speaker_metrics for the breakdown';
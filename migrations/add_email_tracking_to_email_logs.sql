@@ -0,0 +1,20 @@
+-- Migration: Email open and click tracking
+-- Description: Per-message tracking id, first open / click times, counts and engagement events on email_logs
+-- Date: 2025-08-07
+
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS tracking_id UUID;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS opened_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS clicked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS open_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS click_count INTEGER NOT NULL DEFAULT 0;
+
+-- Tracking pixel and link requests look messages up by tracking id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_logs_tracking_id ON email_logs(tracking_id) WHERE tracking_id IS NOT NULL;
+
+-- Engagement rates per campaign and per rep
+CREATE INDEX IF NOT EXISTS idx_email_logs_campaign_id ON email_logs(campaign_id) WHERE campaign_id IS NOT NULL;
+
+COMMENT ON COLUMN email_logs.tracking_id IS 'Id carried by the signed open pixel and click links of a tracked message';
+COMMENT ON COLUMN email_logs.opened_at IS 'First counted open (a click counts as an open); bot and prefetch requests are ignored';
+COMMENT ON COLUMN email_logs.clicked_at IS 'First counted click of a tracked link';
+COMMENT ON COLUMN email_logs.metadata IS 'Failover attempts, cc/bcc, sending account and the latest engagement events (metadata.events)';
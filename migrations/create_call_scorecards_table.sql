@@ -0,0 +1,35 @@
+-- Migration: Create Call Scorecards Table
+-- Description: Post-call scorecards (rubric criteria scores with evidence quotes) generated from real-time analyzer sessions and stored transcripts
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS call_scorecards (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    call_sid VARCHAR(255) NOT NULL,
+    session_id TEXT,
+    rep_id TEXT,
+    rubric_id TEXT NOT NULL,
+    rubric_name TEXT,
+    overall_score INTEGER CHECK (overall_score BETWEEN 0 AND 100),
+    rating TEXT CHECK (rating IN ('strong', 'developing', 'needs_work')),
+    criteria JSONB NOT NULL DEFAULT '[]'::jsonb,
+    metrics JSONB NOT NULL DEFAULT '{}'::jsonb,
+    source TEXT NOT NULL DEFAULT 'live' CHECK (source IN ('live', 'transcript')),
+    generated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (call_sid, rubric_id)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_call_scorecards_rep ON call_scorecards(rep_id, generated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_scorecards_generated_at ON call_scorecards(generated_at DESC);
+
+-- Add RLS policies
+ALTER TABLE call_scorecards ENABLE ROW LEVEL SECURITY;
+
+-- Reps can view their own scorecards
+CREATE POLICY "Reps can view own call scorecards" ON call_scorecards
+  FOR SELECT USING (auth.uid()::text = rep_id);
+
+-- Service role can manage all scorecards
+CREATE POLICY "Service role can manage call scorecards" ON call_scorecards
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,31 @@
+-- Migration: Create Coaching Rep Preferences Table
+-- Description: Per-rep coaching budget and trigger overrides; per-rep/per-session trigger log columns
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS coaching_rep_preferences (
+    rep_id TEXT PRIMARY KEY,
+    budget_per_minute INTEGER CHECK (budget_per_minute BETWEEN 1 AND 30),
+    trigger_overrides JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trigger activations are attributed to the call and the rep
+ALTER TABLE coaching_triggers_log ADD COLUMN IF NOT EXISTS session_id TEXT;
+ALTER TABLE coaching_triggers_log ADD COLUMN IF NOT EXISTS rep_id TEXT;
+ALTER TABLE coaching_triggers_log ADD COLUMN IF NOT EXISTS severity TEXT;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_coaching_triggers_log_rep ON coaching_triggers_log(rep_id, activated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_coaching_triggers_log_session ON coaching_triggers_log(session_id);
+
+-- Add RLS policies
+ALTER TABLE coaching_rep_preferences ENABLE ROW LEVEL SECURITY;
+
+-- Reps can view their own preferences
+CREATE POLICY "Reps can view own coaching preferences" ON coaching_rep_preferences
+  FOR SELECT USING (auth.uid()::text = rep_id);
+
+-- Service role can manage all preferences
+CREATE POLICY "Service role can manage coaching preferences" ON coaching_rep_preferences
+  FOR ALL USING (auth.role() = 'service_role');
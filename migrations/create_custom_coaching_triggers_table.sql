@@ -0,0 +1,62 @@
+-- Migration: Create Custom Coaching Triggers Table
+-- Description: Declarative JSON rules for custom real-time coaching triggers (/api/coaching/triggers)
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS custom_coaching_triggers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    rule JSONB,
+    message TEXT NOT NULL,
+    severity TEXT NOT NULL DEFAULT 'medium' CHECK (severity IN ('low', 'medium', 'high')),
+    cooldown INTEGER NOT NULL DEFAULT 120,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upgrade tables created for the old code-string triggers
+ALTER TABLE custom_coaching_triggers ADD COLUMN IF NOT EXISTS rule JSONB;
+ALTER TABLE custom_coaching_triggers ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE custom_coaching_triggers ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'custom_coaching_triggers' AND column_name = 'condition_code'
+  ) THEN
+    ALTER TABLE custom_coaching_triggers ALTER COLUMN condition_code DROP NOT NULL;
+  END IF;
+END $$;
+
+-- Legacy triggers have no rule and are never executed; keep them disabled until rewritten
+UPDATE custom_coaching_triggers SET is_active = false WHERE rule IS NULL;
+
+CREATE TABLE IF NOT EXISTS coaching_triggers_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    trigger_id TEXT NOT NULL,
+    trigger_name TEXT,
+    context JSONB,
+    activated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_custom_coaching_triggers_active ON custom_coaching_triggers(is_active);
+CREATE INDEX IF NOT EXISTS idx_coaching_triggers_log_activated ON coaching_triggers_log(activated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_coaching_triggers_log_trigger ON coaching_triggers_log(trigger_id);
+
+-- Add RLS policies
+ALTER TABLE custom_coaching_triggers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coaching_triggers_log ENABLE ROW LEVEL SECURITY;
+
+-- Authenticated users can view triggers
+CREATE POLICY "Authenticated users can view coaching triggers" ON custom_coaching_triggers
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Service role can manage all triggers and logs
+CREATE POLICY "Service role can manage coaching triggers" ON custom_coaching_triggers
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage coaching trigger logs" ON coaching_triggers_log
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,51 @@
+-- Migration: Create Email Campaign Sends Table
+-- Description: Per-recipient send state for the database-backed campaign scheduler, plus pause support on email_campaigns
+-- Date: 2025-08-07
+
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS from_email TEXT;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE email_campaigns DROP CONSTRAINT IF EXISTS email_campaigns_status_check;
+ALTER TABLE email_campaigns ADD CONSTRAINT email_campaigns_status_check
+    CHECK (status IN ('draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'));
+
+CREATE TABLE IF NOT EXISTS email_campaign_sends (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+    step_index INTEGER NOT NULL, -- Position in email_campaigns.schedule
+    recipient_email TEXT NOT NULL, -- Lowercased
+    recipient JSONB NOT NULL DEFAULT '{}'::jsonb, -- Fields for {{placeholders}}
+    send_at TIMESTAMP WITH TIME ZONE NOT NULL, -- When due; pushed back on retries
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    message_id TEXT,
+    transport TEXT,
+    error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_id, step_index, recipient_email)
+);
+
+-- The scheduler polls for due pending sends
+CREATE INDEX IF NOT EXISTS idx_email_campaign_sends_due ON email_campaign_sends(status, send_at);
+CREATE INDEX IF NOT EXISTS idx_email_campaign_sends_campaign ON email_campaign_sends(campaign_id, send_at);
+
+-- Campaigns scheduled with the old in-process cron jobs lost those jobs on
+-- restart; queue their remaining steps
+INSERT INTO email_campaign_sends (campaign_id, step_index, recipient_email, recipient, send_at)
+SELECT c.id, step.ordinality - 1, lower(recipient.value->>'email'), recipient.value, (step.value->>'sendAt')::timestamptz
+FROM email_campaigns c
+CROSS JOIN LATERAL jsonb_array_elements(c.schedule) WITH ORDINALITY AS step(value, ordinality)
+CROSS JOIN LATERAL jsonb_array_elements(c.recipients) AS recipient(value)
+WHERE c.status = 'scheduled'
+  AND recipient.value->>'email' IS NOT NULL
+  AND (step.value->>'sendAt')::timestamptz > NOW()
+ON CONFLICT (campaign_id, step_index, recipient_email) DO NOTHING;
+
+-- Add RLS policies
+ALTER TABLE email_campaign_sends ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all campaign sends
+CREATE POLICY "Service role can manage email campaign sends" ON email_campaign_sends
+  FOR ALL USING (auth.role() = 'service_role');
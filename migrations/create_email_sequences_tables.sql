@@ -0,0 +1,55 @@
+-- Migration: Create Email Sequences Tables
+-- Description: Multi-step drip sequences and each enrolled contact's position, branch history and A/B variants
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS email_sequences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL, -- Rep who owns the sequence and sends its emails
+    name TEXT NOT NULL,
+    definition JSONB NOT NULL, -- Validated steps, timezone, sendTime, holidays, stopOnReply
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_sequences_user ON email_sequences(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS email_sequence_enrollments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sequence_id UUID NOT NULL REFERENCES email_sequences(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    contact_email TEXT NOT NULL, -- Lowercased
+    contact JSONB NOT NULL DEFAULT '{}'::jsonb, -- Fields for {{placeholders}}
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'replied', 'unenrolled', 'failed')),
+    current_step TEXT, -- Step id the enrollment runs next
+    next_run_at TIMESTAMP WITH TIME ZONE, -- When due; also holds the processing lease
+    variants JSONB NOT NULL DEFAULT '{}'::jsonb, -- Email step id -> A/B subject variant index
+    history JSONB NOT NULL DEFAULT '[]'::jsonb, -- Sends, waits, branch results and replies
+    attempts INTEGER NOT NULL DEFAULT 0, -- Failed tries of the current email step
+    exit_reason TEXT,
+    enrolled_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A contact is in a sequence at most once at a time; they can be enrolled again after leaving it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_sequence_enrollments_active
+    ON email_sequence_enrollments(sequence_id, contact_email) WHERE status = 'active';
+
+-- The engine polls for due active enrollments, and looks contacts up when they reply
+CREATE INDEX IF NOT EXISTS idx_email_sequence_enrollments_due ON email_sequence_enrollments(status, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_email_sequence_enrollments_contact ON email_sequence_enrollments(contact_email, status);
+
+-- Replies are found by sender among synced inbound emails
+CREATE INDEX IF NOT EXISTS idx_email_logs_inbound_from ON email_logs(from_email, sent_at) WHERE email_type = 'inbound';
+
+-- Add RLS policies
+ALTER TABLE email_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_sequence_enrollments ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all sequences and enrollments
+CREATE POLICY "Service role can manage email sequences" ON email_sequences
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage email sequence enrollments" ON email_sequence_enrollments
+  FOR ALL USING (auth.role() = 'service_role');
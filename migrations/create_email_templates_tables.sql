@@ -0,0 +1,70 @@
+-- Migration: Versioned Email Templates
+-- Description: Layouts, partials and version history for email_templates; the table keeps a copy of each template's current version
+-- Date: 2025-08-07
+
+-- Created by create_email_tables.sql on existing databases
+CREATE TABLE IF NOT EXISTS email_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    subject TEXT,
+    html_content TEXT NOT NULL,
+    text_content TEXT,
+    variables JSONB DEFAULT '[]',
+    category TEXT,
+    user_id UUID NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    usage_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'template'
+    CHECK (kind IN ('template', 'layout', 'partial'));
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS sample JSONB; -- Contact the template is previewed and linted with
+
+-- Layouts and partials have no subject
+ALTER TABLE email_templates ALTER COLUMN subject DROP NOT NULL;
+
+-- Layouts and partials are referenced by name, so names are unique per rep;
+-- rename older duplicates before adding the constraint
+UPDATE email_templates t
+SET name = t.name || '-' || left(t.id::text, 8)
+WHERE EXISTS (
+    SELECT 1 FROM email_templates other
+    WHERE other.user_id = t.user_id AND other.name = t.name AND other.created_at < t.created_at
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_user_name ON email_templates(user_id, name);
+CREATE INDEX IF NOT EXISTS idx_email_templates_user_kind ON email_templates(user_id, kind);
+
+CREATE TABLE IF NOT EXISTS email_template_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_id UUID NOT NULL REFERENCES email_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    subject TEXT,
+    html TEXT NOT NULL,
+    text TEXT, -- Generated from the rendered html when empty
+    layout TEXT, -- Name of the layout template
+    variables JSONB NOT NULL DEFAULT '[]'::jsonb, -- Variable names found when the version was saved
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (template_id, version)
+);
+
+-- Existing templates become version 1
+INSERT INTO email_template_versions (template_id, version, subject, html, text, variables, created_by, created_at)
+SELECT t.id, 1, t.subject, t.html_content, t.text_content, COALESCE(t.variables, '[]'::jsonb), t.user_id, t.created_at
+FROM email_templates t
+ON CONFLICT (template_id, version) DO NOTHING;
+
+-- Add RLS policies
+ALTER TABLE email_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_template_versions ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all templates and versions
+DROP POLICY IF EXISTS "Service role can manage email templates" ON email_templates;
+CREATE POLICY "Service role can manage email templates" ON email_templates
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage email template versions" ON email_template_versions
+  FOR ALL USING (auth.role() = 'service_role');
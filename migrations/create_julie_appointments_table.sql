@@ -0,0 +1,51 @@
+-- Migration: Create Julie Appointments Tables
+-- Description: Appointments Julie books, reschedules and cancels over the phone, and the open slots practices publish for the database availability provider
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS julie_appointments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    practice_id TEXT NOT NULL,
+    call_sid TEXT,
+    patient_name TEXT NOT NULL,
+    patient_dob DATE,
+    patient_phone TEXT,
+    reason TEXT,
+    new_patient BOOLEAN,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    doctor TEXT,
+    status TEXT NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'cancelled')),
+    previous_starts_at TIMESTAMP WITH TIME ZONE,
+    sms_status TEXT CHECK (sms_status IN ('sent', 'failed')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS julie_availability_slots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    practice_id TEXT NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    doctor TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at > starts_at)
+);
+
+-- Slot searches by practice and time; rescheduling looks patients up by phone
+CREATE INDEX IF NOT EXISTS idx_julie_appointments_practice_starts ON julie_appointments(practice_id, starts_at) WHERE status = 'booked';
+CREATE INDEX IF NOT EXISTS idx_julie_appointments_patient_phone ON julie_appointments(practice_id, patient_phone);
+CREATE INDEX IF NOT EXISTS idx_julie_availability_slots_practice_starts ON julie_availability_slots(practice_id, starts_at);
+
+-- Two callers confirming the same slot at once: the second insert or reschedule fails
+CREATE UNIQUE INDEX IF NOT EXISTS idx_julie_appointments_booked_slot ON julie_appointments(practice_id, COALESCE(doctor, ''), starts_at) WHERE status = 'booked';
+
+-- Add RLS policies
+ALTER TABLE julie_appointments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE julie_availability_slots ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all appointments and slots
+CREATE POLICY "Service role can manage julie appointments" ON julie_appointments
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage julie availability slots" ON julie_availability_slots
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,30 @@
+-- Migration: Create Julie Caller Calls Table
+-- Description: Per-call summaries Julie keeps so she can recognize repeat callers by phone number (purged after JULIE_MEMORY_RETENTION_DAYS)
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS julie_caller_calls (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    practice_id TEXT NOT NULL,
+    caller_phone TEXT NOT NULL, -- E.164
+    call_sid TEXT,
+    intents TEXT[] NOT NULL DEFAULT '{}',
+    summary TEXT,
+    patient_info JSONB NOT NULL DEFAULT '{}'::jsonb, -- { name, dateOfBirth, newPatient }
+    started_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Calls are recalled by caller and purged by age
+CREATE INDEX IF NOT EXISTS idx_julie_caller_calls_caller ON julie_caller_calls(caller_phone, practice_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_julie_caller_calls_created_at ON julie_caller_calls(created_at);
+
+-- Returning callers are told about callbacks the office still owes them
+CREATE INDEX IF NOT EXISTS idx_julie_escalations_caller ON julie_escalations(practice_id, caller_phone);
+
+-- Add RLS policies
+ALTER TABLE julie_caller_calls ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all caller memory
+CREATE POLICY "Service role can manage julie caller calls" ON julie_caller_calls
+  FOR ALL USING (auth.role() = 'service_role');
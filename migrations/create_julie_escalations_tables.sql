@@ -0,0 +1,49 @@
+-- Migration: Create Julie Escalations Tables
+-- Description: Emergency and after-hours escalations raised by Julie (triage result, on-call paging state, acknowledgement) and their audit trail
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS julie_escalations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    call_sid TEXT NOT NULL,
+    practice_id TEXT NOT NULL,
+    practice_name TEXT,
+    caller_phone TEXT,
+    reason TEXT NOT NULL CHECK (reason IN ('emergency', 'callback')),
+    severity TEXT NOT NULL CHECK (severity IN ('routine', 'urgent', 'critical')),
+    triage JSONB,
+    status TEXT NOT NULL CHECK (status IN ('paging', 'acknowledged', 'exhausted', 'unassigned', 'callback_queued', 'logged')),
+    contacts JSONB NOT NULL DEFAULT '[]'::jsonb, -- Escalation chain: [{ name, phone, channel, role }]
+    contact_index INTEGER NOT NULL DEFAULT 0,
+    attempts INTEGER NOT NULL DEFAULT 0, -- Pages sent to the current contact
+    ack_code TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    acknowledged_by TEXT,
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS julie_escalation_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    escalation_id UUID NOT NULL REFERENCES julie_escalations(id) ON DELETE CASCADE,
+    call_sid TEXT NOT NULL,
+    type TEXT NOT NULL, -- triaged, page_sent, page_failed, escalated, acknowledged, exhausted
+    detail JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The pager polls for unacknowledged pages; the session endpoint reads by call
+CREATE INDEX IF NOT EXISTS idx_julie_escalations_paging ON julie_escalations(next_attempt_at) WHERE status = 'paging';
+CREATE INDEX IF NOT EXISTS idx_julie_escalations_call_sid ON julie_escalations(call_sid);
+CREATE INDEX IF NOT EXISTS idx_julie_escalation_events_call_sid ON julie_escalation_events(call_sid, created_at);
+
+-- Add RLS policies
+ALTER TABLE julie_escalations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE julie_escalation_events ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all escalations and events
+CREATE POLICY "Service role can manage julie escalations" ON julie_escalations
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage julie escalation events" ON julie_escalation_events
+  FOR ALL USING (auth.role() = 'service_role');
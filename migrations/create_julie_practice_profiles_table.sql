@@ -0,0 +1,30 @@
+-- Migration: Create Julie Practice Profiles Table
+-- Description: Per-practice profile for the Julie voice assistant (name, doctors, hours and holidays, locations, insurance, emergency routing, tone), selected by the dialed number
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS julie_practice_profiles (
+    id TEXT PRIMARY KEY CHECK (id ~ '^[a-z0-9-]{1,64}$'),
+    name TEXT NOT NULL,
+    phone_numbers TEXT[] NOT NULL DEFAULT '{}',
+    timezone TEXT NOT NULL DEFAULT 'America/New_York',
+    doctors JSONB NOT NULL DEFAULT '[]'::jsonb,
+    hours JSONB NOT NULL DEFAULT '{}'::jsonb,
+    holidays JSONB NOT NULL DEFAULT '[]'::jsonb,
+    locations JSONB NOT NULL DEFAULT '[]'::jsonb,
+    insurance JSONB NOT NULL DEFAULT '[]'::jsonb,
+    emergency JSONB NOT NULL DEFAULT '{}'::jsonb,
+    tone JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Calls are routed by the dialed number
+CREATE INDEX IF NOT EXISTS idx_julie_practice_profiles_phone_numbers ON julie_practice_profiles USING GIN(phone_numbers);
+
+-- Add RLS policies
+ALTER TABLE julie_practice_profiles ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all profiles
+CREATE POLICY "Service role can manage practice profiles" ON julie_practice_profiles
+  FOR ALL USING (auth.role() = 'service_role');
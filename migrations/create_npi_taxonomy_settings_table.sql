@@ -0,0 +1,18 @@
+-- Migration: Create NPI Taxonomy Settings Table
+-- Description: Per-tenant specialty taxonomy lists applied to Canvas NPI search (/api/npi-lookup)
+-- Date: 2025-08-06
+
+CREATE TABLE IF NOT EXISTS npi_taxonomy_settings (
+    tenant_id TEXT PRIMARY KEY,
+    codes TEXT[] NOT NULL DEFAULT '{}',
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add RLS policies
+ALTER TABLE npi_taxonomy_settings ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all taxonomy settings
+CREATE POLICY "Service role can manage npi taxonomy settings" ON npi_taxonomy_settings
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,59 @@
+-- Migration: Create Practice Entity Tables
+-- Description: Research about a practice accumulated across runs, keyed on NPI (/api/practices/:npi/timeline)
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS practice_entities (
+    npi VARCHAR(10) PRIMARY KEY,
+    display_name TEXT,
+    specialty TEXT,
+    city TEXT,
+    state VARCHAR(2),
+    review_rating NUMERIC(2, 1),
+    review_count INTEGER,
+    scopes_observed_at JSONB NOT NULL DEFAULT '{}'::jsonb,
+    first_researched_at TIMESTAMP WITH TIME ZONE,
+    last_researched_at TIMESTAMP WITH TIME ZONE,
+    research_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS practice_entity_facts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    npi VARCHAR(10) NOT NULL REFERENCES practice_entities(npi) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('website', 'team_member', 'technology', 'review', 'news')),
+    fact_key TEXT NOT NULL,
+    label TEXT,
+    value JSONB,
+    first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    first_job_id UUID,
+    last_job_id UUID,
+    times_seen INTEGER NOT NULL DEFAULT 1,
+    UNIQUE (npi, kind, fact_key)
+);
+
+CREATE TABLE IF NOT EXISTS practice_entity_visits (
+    npi VARCHAR(10) NOT NULL REFERENCES practice_entities(npi) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    visited_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (npi, user_id)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_practice_entity_facts_npi ON practice_entity_facts(npi);
+CREATE INDEX IF NOT EXISTS idx_practice_entity_facts_first_seen ON practice_entity_facts(npi, first_seen_at DESC);
+
+-- Add RLS policies
+ALTER TABLE practice_entities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE practice_entity_facts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE practice_entity_visits ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage all practice entity data
+CREATE POLICY "Service role can manage practice entities" ON practice_entities
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage practice entity facts" ON practice_entity_facts
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage practice entity visits" ON practice_entity_visits
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,30 @@
+-- Migration: Create Research Batches Table
+-- Description: Batches of Canvas research jobs (/api/research/batch, CSV roster imports)
+-- Date: 2025-08-05
+
+CREATE TABLE IF NOT EXISTS research_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    product TEXT,
+    source VARCHAR(10) DEFAULT 'json' CHECK (source IN ('json', 'csv')),
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    total_jobs INTEGER NOT NULL DEFAULT 0,
+    unresolved JSONB DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_research_batches_user_id ON research_batches(user_id);
+CREATE INDEX IF NOT EXISTS idx_research_batches_created_at ON research_batches(created_at DESC);
+
+-- Add RLS policies
+ALTER TABLE research_batches ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own research batches
+CREATE POLICY "Users can view own research batches" ON research_batches
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Service role can manage all research batches
+CREATE POLICY "Service role can manage research batches" ON research_batches
+  FOR ALL USING (auth.role() = 'service_role');
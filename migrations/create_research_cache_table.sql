@@ -0,0 +1,24 @@
+-- Migration: Create Research Cache Table
+-- Description: Shared cache of completed Canvas doctor research, keyed on NPI + product
+-- Date: 2025-08-04
+
+CREATE TABLE IF NOT EXISTS research_cache (
+    cache_key TEXT PRIMARY KEY,
+    npi VARCHAR(20) NOT NULL,
+    product TEXT NOT NULL,
+    data JSONB NOT NULL,
+    cached_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Admin purges filter by NPI or product
+CREATE INDEX IF NOT EXISTS idx_research_cache_npi ON research_cache(npi);
+CREATE INDEX IF NOT EXISTS idx_research_cache_product ON research_cache(product);
+CREATE INDEX IF NOT EXISTS idx_research_cache_expires_at ON research_cache(expires_at);
+
+-- Add RLS policies
+ALTER TABLE research_cache ENABLE ROW LEVEL SECURITY;
+
+-- Service role can manage the research cache
+CREATE POLICY "Service role can manage research cache" ON research_cache
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,42 @@
+-- Migration: Create Research Jobs Table
+-- Description: Durable queue for Canvas doctor research jobs (/api/research/start, /api/research/batch)
+-- Date: 2025-08-04
+
+CREATE TABLE IF NOT EXISTS research_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    batch_id UUID,
+    doctor JSONB NOT NULL,
+    product TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'cancelled')),
+    progress INTEGER DEFAULT 0 CHECK (progress >= 0 AND progress <= 100),
+    stage VARCHAR(50),
+    message TEXT,
+    data JSONB,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    locked_by VARCHAR(255),
+    heartbeat_at TIMESTAMP WITH TIME ZONE,
+    available_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Workers poll queued jobs in creation order and scan processing jobs for stale heartbeats
+CREATE INDEX IF NOT EXISTS idx_research_jobs_queue ON research_jobs(status, available_at, created_at);
+CREATE INDEX IF NOT EXISTS idx_research_jobs_heartbeat ON research_jobs(status, heartbeat_at);
+CREATE INDEX IF NOT EXISTS idx_research_jobs_user_id ON research_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_research_jobs_batch_id ON research_jobs(batch_id);
+
+-- Add RLS policies
+ALTER TABLE research_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own research jobs
+CREATE POLICY "Users can view own research jobs" ON research_jobs
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Service role can manage all research jobs
+CREATE POLICY "Service role can manage research jobs" ON research_jobs
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,40 @@
+-- Migration: Create Research Watchlist Table
+-- Description: Practices reps watch for scheduled research re-runs and change alerts (/api/research/watchlist)
+-- Date: 2025-08-07
+
+CREATE TABLE IF NOT EXISTS research_watchlist (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    npi VARCHAR(10) NOT NULL,
+    doctor JSONB NOT NULL,
+    product TEXT,
+    interval_hours INTEGER NOT NULL DEFAULT 168,
+    channels TEXT[] NOT NULL DEFAULT '{websocket,email}',
+    notify_email TEXT,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+    last_snapshot JSONB,
+    last_changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    last_changed_at TIMESTAMP WITH TIME ZONE,
+    pending_job_id UUID,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    next_run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, npi, product)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_research_watchlist_due ON research_watchlist(next_run_at) WHERE status = 'active' AND pending_job_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_research_watchlist_pending_job ON research_watchlist(pending_job_id) WHERE pending_job_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_research_watchlist_user ON research_watchlist(user_id);
+
+-- Add RLS policies
+ALTER TABLE research_watchlist ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own watches
+CREATE POLICY "Users can view own research watches" ON research_watchlist
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Service role can manage all watches
+CREATE POLICY "Service role can manage research watches" ON research_watchlist
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,11 @@
+-- Migration: Remove simulated review history from practice entities
+-- Description: Review highlights, ratings and counts recorded from the simulated review source are not real history
+-- Date: 2025-08-07
+
+-- Every review fact so far came from the simulated source's fixed highlights
+DELETE FROM practice_entity_facts WHERE kind = 'review';
+
+UPDATE practice_entities
+SET review_rating = NULL,
+    review_count = NULL,
+    scopes_observed_at = scopes_observed_at - 'review';
@@ -0,0 +1,49 @@
+-- Migration: Shared email_logs schema for the email gateway
+-- Description: Records which transport sent each email and the sender's RepX tier,
+--              and folds the SES-only email_send_logs table into email_logs
+-- Date: 2025-08-07
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'email_logs' AND column_name = 'transport') THEN
+        ALTER TABLE email_logs ADD COLUMN transport TEXT;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'email_logs' AND column_name = 'tier') THEN
+        ALTER TABLE email_logs ADD COLUMN tier VARCHAR(10);
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'email_logs' AND column_name = 'email_type') THEN
+        ALTER TABLE email_logs ADD COLUMN email_type TEXT DEFAULT 'outbound' CHECK (email_type IN ('inbound', 'outbound'));
+    END IF;
+
+    -- Failed sends are logged too, with the failover attempts in metadata
+    ALTER TABLE email_logs DROP CONSTRAINT IF EXISTS email_logs_status_check;
+    ALTER TABLE email_logs ADD CONSTRAINT email_logs_status_check
+        CHECK (status IN ('sent', 'failed', 'bounced', 'opened', 'clicked', 'synced', 'draft'));
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_email_logs_transport ON email_logs(transport);
+CREATE INDEX IF NOT EXISTS idx_email_logs_user_sent_at ON email_logs(user_id, sent_at);
+CREATE INDEX IF NOT EXISTS idx_email_logs_message_id ON email_logs(message_id);
+
+-- Carry over history from the SES service's own log table
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'email_send_logs') THEN
+        INSERT INTO email_logs (message_id, from_email, to_email, subject, status, sent_at, user_id, transport, tier, email_type, metadata)
+        SELECT l.message_id, 'unknown', array_to_string(l.recipients, ', '), COALESCE(l.subject, ''), 'sent',
+               l.sent_at, l.user_id, l.service, l.tier, 'outbound', jsonb_build_object('migratedFrom', 'email_send_logs')
+        FROM email_send_logs l
+        WHERE NOT EXISTS (SELECT 1 FROM email_logs e WHERE e.message_id = l.message_id);
+    END IF;
+END $$;
+
+ALTER TABLE email_logs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage email logs" ON email_logs;
+CREATE POLICY "Service role can manage email logs" ON email_logs
+    FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON COLUMN email_logs.transport IS 'Email gateway transport that sent the message (smtp, gmail, postal, ses, sendgrid, file)';
+COMMENT ON COLUMN email_logs.tier IS 'RepX tier of the sending rep, null for platform mail';
@@ -4,23 +4,67 @@
  */
 
 import express from 'express';
-import axios from 'axios';
+import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 
 import logger from './utils/logger.js';
+import { toCsv } from './utils/csv.js';
 import { authenticateToken, requireCanvasAccess } from './middleware/unifiedAuth.js';
+import researchJobQueue from './services/researchJobQueue.js';
+import researchCache from './services/researchCache.js';
+import researchEventStream from './services/researchEventStream.js';
+import researchBatchService from './services/researchBatchService.js';
+import researchConfidenceScorer from './services/researchConfidenceScorer.js';
+import { parseSearchText, hasSearchCriteria, searchRegistry, lookupNpi } from './services/npiRegistry.js';
+import npiTaxonomySettings, { tenantIdFor } from './services/npiTaxonomySettings.js';
+import { EXPORT_FORMATS, buildDossier, renderDossier } from './services/dossierExporter.js';
+import researchProviders from './services/researchProviders/index.js';
+import practiceEntityStore from './services/practiceEntityStore.js';
+import researchWatchlist from './services/researchWatchlist.js';
 
 const router = express.Router();
 
-// In-memory job storage (replace with Redis in production)
-const researchJobs = new Map();
-const researchCache = new Map();
+// Roster uploads are small text files; keep them in memory
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1 * 1024 * 1024 // 1MB max
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/csv'];
+    if (allowedTypes.includes(file.mimetype) || file.originalname?.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'));
+    }
+  }
+});
+
+const BATCH_SUMMARY_COLUMNS = [
+  { key: 'rank', header: 'Rank' },
+  { key: 'confidenceScore', header: 'Confidence Score' },
+  { key: 'doctorName', header: 'Doctor' },
+  { key: 'npi', header: 'NPI' },
+  { key: 'specialty', header: 'Specialty' },
+  { key: 'city', header: 'City' },
+  { key: 'state', header: 'State' },
+  { key: 'website', header: 'Website' },
+  { key: 'rating', header: 'Rating' },
+  { key: 'totalReviews', header: 'Total Reviews' },
+  { key: 'executiveSummary', header: 'Executive Summary' },
+  { key: 'status', header: 'Status' },
+  { key: 'error', header: 'Error' },
+  { key: 'jobId', header: 'Job ID' }
+];
 
 // Rate limiting
 const rateLimitMap = new Map();
 const RATE_LIMIT = 20; // requests per minute
 const RATE_WINDOW = 60000; // 1 minute
 
+// Dossier intelligence is optional; a job gives up on it after this long
+const DOSSIER_TIMEOUT = parseInt(process.env.RESEARCH_DOSSIER_TIMEOUT_MS) || 120000;
+
 function checkRateLimit(userId) {
   const now = Date.now();
   const userLimits = rateLimitMap.get(userId) || [];
@@ -37,76 +81,45 @@ function checkRateLimit(userId) {
   return true;
 }
 
-// Helper function to calculate confidence score
-function calculateConfidence(data) {
-  let score = 0;
-  const breakdown = {
-    npiVerified: 0,
-    sourceCount: 0,
-    websiteFound: 0,
-    reviewsFound: 0,
-    analysisQuality: 0
-  };
-
-  // NPI Verification (35 points)
-  if (data.npiVerified) {
-    score += 35;
-    breakdown.npiVerified = 35;
-  }
-
-  // Sources (2 points each, max 30)
-  const sourcePoints = Math.min((data.sources?.length || 0) * 2, 30);
-  score += sourcePoints;
-  breakdown.sourceCount = sourcePoints;
-
-  // Website Analysis (15 points)
-  if (data.websiteData?.url) {
-    score += 15;
-    breakdown.websiteFound = 15;
-  }
-
-  // Reviews (10 points)
-  if (data.reviewData?.totalReviews > 0) {
-    const reviewPoints = Math.min(10, Math.floor(data.reviewData.totalReviews / 10));
-    score += reviewPoints;
-    breakdown.reviewsFound = reviewPoints;
+// Admin-only guard for cache and configuration management routes
+function requireResearchAdmin(req, res, next) {
+  if (!req.user || req.user.email !== process.env.ADMIN_EMAIL) {
+    return res.status(403).json({ error: 'Admin access required' });
   }
+  next();
+}
 
-  // Analysis Quality (10 points)
-  if (data.synthesis?.buyingSignals?.length > 0) {
-    score += 10;
-    breakdown.analysisQuality = 10;
+// Abort a research run between stages once its job has been cancelled
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    const error = new Error('Research cancelled');
+    error.name = 'AbortError';
+    throw error;
   }
+}
 
-  return {
-    score: Math.min(score, 95), // Cap at 95%
-    breakdown
-  };
+// Score research results with the rubric for the product line
+function calculateConfidence(data, product) {
+  return researchConfidenceScorer.score(data, product);
 }
 
 // Search for website using multiple methods
-async function findDoctorWebsite(doctor) {
+// Returns null when the searches found nothing and { url: null, failed: true }
+// when none of them could run, so a provider outage is not read as "no website"
+async function findDoctorWebsite(doctor, signal) {
   const searchQueries = [
     `${doctor.displayName} ${doctor.specialty} ${doctor.city} ${doctor.state}`,
     `${doctor.organizationName} ${doctor.city} ${doctor.state}`,
     `Dr. ${doctor.displayName} dentist ${doctor.city}`
   ];
 
+  let searched = false;
+
   for (const query of searchQueries) {
+    throwIfCancelled(signal);
     try {
-      const response = await axios.post(
-        'https://api.brave.com/v1/web/search',
-        null,
-        {
-          params: { q: query, count: 5 },
-          headers: {
-            'X-Subscription-Token': process.env.BRAVE_API_KEY,
-            'Accept': 'application/json'
-          }
-        }
-      );
-
-      const results = response.data.results || [];
+      const { results } = await researchProviders.brave.webSearch(query, { count: 5, signal });
+      searched = true;
       for (const result of results) {
         if (result.url && !result.url.includes('npidb.org') && !result.url.includes('healthgrades')) {
           return {
@@ -117,34 +130,18 @@ async function findDoctorWebsite(doctor) {
         }
       }
     } catch (error) {
+      if (signal?.aborted) throw error;
       logger.error('Website search error:', error.message);
     }
   }
 
-  return null;
+  return searched ? null : { url: null, failed: true };
 }
 
 // Analyze website content
-async function analyzeWebsite(url) {
+async function analyzeWebsite(url, signal) {
   try {
-    const response = await axios.post(
-      'https://api.firecrawl.dev/v0/scrape',
-      {
-        url,
-        pageOptions: {
-          includeHtml: false,
-          onlyMainContent: true
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.FIRECRAWL_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const content = response.data.data?.content || '';
+    const { content } = await researchProviders.firecrawl.scrape(url, { signal });
     
     return {
       url,
@@ -153,9 +150,12 @@ async function analyzeWebsite(url) {
       services: extractServices(content),
       technology: extractTechnology(content),
       teamSize: extractTeamSize(content),
-      philosophy: extractPhilosophy(content)
+      philosophy: extractPhilosophy(content),
+      copyrightYear: extractCopyrightYear(content),
+      postalCodes: extractPostalCodes(content)
     };
   } catch (error) {
+    if (signal?.aborted) throw error;
     logger.error('Website analysis error:', error.message);
     return { url, crawled: false };
   }
@@ -212,6 +212,22 @@ function extractPhilosophy(content) {
   return null;
 }
 
+// Most recent copyright year, used to spot stale websites
+function extractCopyrightYear(content) {
+  const notices = content.match(/(?:©|&copy;|copyright)[^\n]{0,20}/gi) || [];
+  const years = notices
+    .flatMap(notice => notice.match(/\d{4}/g) || [])
+    .map(year => parseInt(year))
+    .filter(year => year >= 1995 && year <= new Date().getFullYear());
+  return years.length > 0 ? Math.max(...years) : null;
+}
+
+// ZIP codes listed on the website, compared against the NPI address
+function extractPostalCodes(content) {
+  const matches = content.match(/\b[A-Z]{2}\s\d{5}\b/g) || [];
+  return [...new Set(matches.map(match => match.slice(-5)))];
+}
+
 // Gather reviews from multiple sources
 async function gatherReviews(doctor) {
   const sources = ['Google', 'Yelp', 'Healthgrades'];
@@ -219,10 +235,12 @@ async function gatherReviews(doctor) {
     doctorReviews: { rating: 0, count: 0, sources: [], highlights: [] },
     practiceReviews: { rating: 0, count: 0, sources: [] },
     combinedRating: 0,
-    totalReviews: 0
+    totalReviews: 0,
+    // Consumers that keep history (entity store, watchlist) ignore simulated reviews
+    simulated: true
   };
 
-  // Simulate review gathering (replace with actual API calls)
+  // Simulate review gathering (replace with actual API calls and drop `simulated`)
   const mockRating = 3.5 + Math.random() * 1.5;
   const mockCount = Math.floor(Math.random() * 200) + 20;
   
@@ -244,36 +262,27 @@ async function gatherReviews(doctor) {
 }
 
 // Find local competitors
-async function findCompetitors(doctor) {
+async function findCompetitors(doctor, signal) {
   try {
     const query = `dentists near ${doctor.city} ${doctor.state}`;
-    const response = await axios.post(
-      'https://api.brave.com/v1/local/search',
-      null,
-      {
-        params: { q: query, count: 10 },
-        headers: {
-          'X-Subscription-Token': process.env.BRAVE_API_KEY,
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const { results } = await researchProviders.brave.localSearch(query, { count: 10, signal });
 
-    return (response.data.results || []).map(r => ({
+    return results.map(r => ({
       title: r.title,
       rating: r.rating || 0,
-      rating_count: r.rating_count || 0,
+      rating_count: r.ratingCount || 0,
       distance: r.distance || 'N/A',
       address: r.address
     }));
   } catch (error) {
+    if (signal?.aborted) throw error;
     logger.error('Competitor search error:', error.message);
     return [];
   }
 }
 
 // Generate comprehensive synthesis
-async function generateSynthesis(doctor, product, websiteIntel, reviewData, competitors) {
+async function generateSynthesis(doctor, product, websiteIntel, reviewData, competitors, signal) {
   const prompt = `You are an elite medical sales intelligence analyst. Create a COMPREHENSIVE, ACTIONABLE sales brief.
 
 DOCTOR: ${doctor.displayName}, ${doctor.specialty}
@@ -301,25 +310,12 @@ Create a detailed JSON response with:
 BE SPECIFIC. NO GENERIC STATEMENTS.`;
 
   try {
-    const response = await axios.post(
-      'https://openrouter.ai/api/v1/chat/completions',
-      {
-        model: 'anthropic/claude-3.5-sonnet',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.7,
-        max_tokens: 2000
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          'HTTP-Referer': 'https://canvas.repspheres.com',
-          'X-Title': 'Canvas Sales Intelligence',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const content = response.data.choices[0].message.content;
+    const { text: content } = await researchProviders.openRouter.chat(prompt, {
+      model: 'anthropic/claude-3.5-sonnet',
+      temperature: 0.7,
+      maxTokens: 2000,
+      signal
+    });
     
     // Try to parse as JSON, fallback to structured extraction
     try {
@@ -334,6 +330,7 @@ BE SPECIFIC. NO GENERIC STATEMENTS.`;
       };
     }
   } catch (error) {
+    if (signal?.aborted) throw error;
     logger.error('Synthesis generation error:', error.message);
     return {
       executiveSummary: `${doctor.displayName} in ${doctor.city} presents a strong opportunity for ${product}.`,
@@ -348,28 +345,69 @@ BE SPECIFIC. NO GENERIC STATEMENTS.`;
 }
 
 // Main research orchestration
-async function conductResearch(doctor, product, jobId, updateProgress) {
+async function conductResearch(doctor, product, jobId, updateProgress, signal) {
   try {
-    updateProgress({ stage: 'website', progress: 10, message: 'Searching for practice website...' });
+    await updateProgress({ stage: 'website', progress: 10, message: 'Searching for practice website...' });
     
     // Find website
-    const websiteData = await findDoctorWebsite(doctor);
-    updateProgress({ stage: 'website', progress: 25, message: 'Analyzing website content...' });
+    const websiteData = await findDoctorWebsite(doctor, signal);
+    throwIfCancelled(signal);
+    await updateProgress({ stage: 'website', progress: 25, message: 'Analyzing website content...' });
     
     // Analyze website if found
-    const websiteIntel = websiteData ? await analyzeWebsite(websiteData.url) : null;
-    updateProgress({ stage: 'reviews', progress: 40, message: 'Gathering reputation data...' });
+    const websiteIntel = websiteData?.url ? await analyzeWebsite(websiteData.url, signal) : websiteData;
+    throwIfCancelled(signal);
+    await updateProgress({
+      stage: 'reviews',
+      progress: 40,
+      message: 'Gathering reputation data...',
+      partial: { section: 'websiteIntel', data: websiteIntel }
+    });
     
     // Gather reviews
     const reviewData = await gatherReviews(doctor);
-    updateProgress({ stage: 'competition', progress: 60, message: 'Analyzing local competition...' });
+    throwIfCancelled(signal);
+    await updateProgress({
+      stage: 'competition',
+      progress: 60,
+      message: 'Analyzing local competition...',
+      partial: { section: 'reviews', data: reviewData }
+    });
     
     // Find competitors
-    const competitors = await findCompetitors(doctor);
-    updateProgress({ stage: 'synthesis', progress: 80, message: 'Creating intelligence brief...' });
+    const competitors = await findCompetitors(doctor, signal);
+    throwIfCancelled(signal);
+    await updateProgress({
+      stage: 'team',
+      progress: 70,
+      message: 'Checking team and recent news...',
+      partial: { section: 'competitors', data: competitors.slice(0, 5) }
+    });
+    
+    // Team members and news feed the practice timeline
+    const [team, news] = await Promise.all([teamAnalysisAgent(doctor, signal), recentNewsAgent(doctor, signal)]);
+    throwIfCancelled(signal);
+    await updateProgress({
+      stage: 'synthesis',
+      progress: 80,
+      message: 'Creating intelligence brief...',
+      partial: { section: 'team', data: { team, news } }
+    });
     
     // Generate synthesis
-    const synthesis = await generateSynthesis(doctor, product, websiteIntel, reviewData, competitors);
+    const synthesis = await generateSynthesis(doctor, product, websiteIntel, reviewData, competitors, signal);
+    throwIfCancelled(signal);
+    await updateProgress({
+      stage: 'dossier',
+      progress: 88,
+      message: 'Preparing dossier intelligence...',
+      partial: { section: 'synthesis', data: synthesis }
+    });
+    
+    // Gathered with the research so dossier exports only read stored data
+    const dossierIntelligence = await gatherDossierIntelligenceWithin(doctor, product, { websiteData: websiteIntel, team, news }, signal);
+    throwIfCancelled(signal);
+    await updateProgress({ stage: 'dossier', progress: 95, message: 'Finalizing confidence score...' });
     
     // Build final result
     const result = {
@@ -384,157 +422,435 @@ async function conductResearch(doctor, product, jobId, updateProgress) {
       websiteData: websiteIntel,
       reviewData,
       competitors: competitors.slice(0, 5),
+      team,
+      news,
       synthesis,
+      dossierIntelligence,
       timestamp: new Date().toISOString()
     };
     
     // Calculate confidence
-    result.confidence = calculateConfidence(result);
+    result.confidence = calculateConfidence(result, product);
     
-    updateProgress({ stage: 'completed', progress: 100, message: 'Research complete!' });
+    await updateProgress({ stage: 'completed', progress: 100, message: 'Research complete!' });
     
     return result;
   } catch (error) {
-    logger.error('Research error:', error);
+    if (error.name !== 'AbortError') {
+      logger.error('Research error:', error);
+    }
     throw error;
   }
 }
 
+// Queue worker: run research for a claimed job and cache the result
+researchJobQueue.setProcessor(async (job, { signal, updateProgress }) => {
+  const data = await conductResearch(job.doctor, job.product, job.id, updateProgress, signal);
+  
+  await researchCache.set(job.doctor.npi, job.product, data);
+  
+  // Accumulate what this run found into the practice's history
+  try {
+    await practiceEntityStore.recordResearch(job.doctor, data, { jobId: job.id, observedAt: data.timestamp });
+  } catch (error) {
+    logger.error('Failed to record research in practice entity store:', error);
+  }
+  
+  return data;
+});
+
+// Purge cached research by NPI and/or product (admin only)
+router.delete('/research/cache', authenticateToken, requireCanvasAccess, requireResearchAdmin, async (req, res) => {
+  const { npi, product, all } = req.query;
+  
+  if (!npi && !product && all !== 'true') {
+    return res.status(400).json({ error: 'Specify npi, product, or all=true' });
+  }
+  
+  try {
+    const removed = await researchCache.purge({ npi, product });
+    res.json({ purged: removed, npi: npi || null, product: product || null });
+  } catch (error) {
+    logger.error('Research cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge research cache', message: error.message });
+  }
+});
+
+// Purge every cached product for a single doctor (admin only)
+router.delete('/research/cache/npi/:npi', authenticateToken, requireCanvasAccess, requireResearchAdmin, async (req, res) => {
+  try {
+    const removed = await researchCache.purge({ npi: req.params.npi });
+    res.json({ purged: removed, npi: req.params.npi });
+  } catch (error) {
+    logger.error('Research cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge research cache', message: error.message });
+  }
+});
+
+// Purge every cached doctor for a single product (admin only)
+router.delete('/research/cache/product/:product', authenticateToken, requireCanvasAccess, requireResearchAdmin, async (req, res) => {
+  try {
+    const removed = await researchCache.purge({ product: req.params.product });
+    res.json({ purged: removed, product: req.params.product });
+  } catch (error) {
+    logger.error('Research cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge research cache', message: error.message });
+  }
+});
+
+// Confidence scoring rubrics, so clients can explain how scores are built
+router.get('/research/scoring/rubrics', authenticateToken, requireCanvasAccess, (req, res) => {
+  const rubric = req.query.product ? researchConfidenceScorer.rubricFor(req.query.product) : null;
+  res.json({
+    defaultRubric: researchConfidenceScorer.defaultRubric,
+    ...(rubric && { selected: rubric.id }),
+    rubrics: researchConfidenceScorer.listRubrics()
+  });
+});
+
 // Start research job
 router.post('/research/start', authenticateToken, requireCanvasAccess, async (req, res) => {
-  const { doctor, product, userId } = req.body;
+  const { doctor, product, userId, forceRefresh = false } = req.body;
+  
+  if (!doctor || !doctor.npi) {
+    return res.status(400).json({ error: 'Doctor with NPI is required' });
+  }
   
   // Check rate limit
   if (userId && !checkRateLimit(userId)) {
     return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
   }
   
-  // Check cache
-  const cacheKey = `${doctor.npi}_${product}`;
-  const cached = researchCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < 3 * 24 * 60 * 60 * 1000) { // 3 days
+  // Check cache unless the rep asked for fresh research
+  const cached = forceRefresh ? null : await researchCache.get(doctor.npi, product);
+  if (cached) {
     return res.json({
       jobId: uuidv4(),
       status: 'completed',
       fromCache: true,
+      cachedAt: new Date(cached.cachedAt).toISOString(),
       data: cached.data
     });
   }
   
-  // Create new job
-  const jobId = uuidv4();
-  const job = {
-    id: jobId,
-    status: 'processing',
-    progress: 0,
-    stage: 'starting',
-    message: 'Initializing research...',
-    doctor,
-    product,
-    startTime: Date.now()
-  };
-  
-  researchJobs.set(jobId, job);
-  
-  // Start research in background
-  conductResearch(doctor, product, jobId, (update) => {
-    const job = researchJobs.get(jobId);
-    if (job) {
-      Object.assign(job, update);
+  try {
+    const job = await researchJobQueue.enqueue({
+      doctor,
+      product,
+      userId: req.user?.id || userId || null
+    });
+    
+    res.json({ jobId: job.id, status: job.status });
+  } catch (error) {
+    logger.error('Failed to queue research job:', error);
+    res.status(500).json({ error: 'Failed to start research', message: error.message });
+  }
+});
+
+// Watched practices: research is re-run on a schedule and material changes
+// are pushed over the WebSocket channel and by email
+router.get('/research/watchlist', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    res.json({ watches: await researchWatchlist.listWatches(req.user.id) });
+  } catch (error) {
+    logger.error('Failed to list research watches:', error);
+    res.status(500).json({ error: 'Failed to list watched practices', message: error.message });
+  }
+});
+
+router.post('/research/watchlist', authenticateToken, requireCanvasAccess, async (req, res) => {
+  const { npi, product, intervalHours, channels, email } = req.body;
+  let { doctor } = req.body;
+
+  if (!doctor?.npi && !/^\d{10}$/.test(String(npi || ''))) {
+    return res.status(400).json({ error: 'Doctor with NPI (or a 10-digit npi) is required' });
+  }
+
+  try {
+    if (!doctor?.npi) {
+      doctor = await lookupNpi(npi);
+      if (!doctor) {
+        return res.status(404).json({ error: `NPI ${npi} not found in the registry` });
+      }
     }
-  }).then(data => {
-    const job = researchJobs.get(jobId);
-    if (job) {
-      job.status = 'completed';
-      job.data = data;
-      job.endTime = Date.now();
-      
-      // Cache result
-      researchCache.set(cacheKey, {
-        data,
-        timestamp: Date.now()
-      });
+
+    const watch = await researchWatchlist.addWatch({
+      userId: req.user.id,
+      email: email || req.user.email || null,
+      doctor,
+      product,
+      intervalHours,
+      channels
+    });
+    res.status(201).json(watch);
+  } catch (error) {
+    if (/^(Maximum|Unknown alert channel)/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
     }
-  }).catch(error => {
-    const job = researchJobs.get(jobId);
-    if (job) {
-      job.status = 'failed';
-      job.error = error.message;
-      job.endTime = Date.now();
+    logger.error('Failed to watch practice:', error);
+    res.status(500).json({ error: 'Failed to watch practice', message: error.message });
+  }
+});
+
+// Load a watch for the route, answering 404/403 when it is missing or not the rep's
+async function loadOwnWatch(req, res) {
+  const watch = await researchWatchlist.getWatch(req.params.watchId);
+
+  if (!watch) {
+    res.status(404).json({ error: 'Watch not found' });
+    return null;
+  }
+
+  if (watch.userId !== req.user.id) {
+    res.status(403).json({ error: 'You can only manage your own watched practices' });
+    return null;
+  }
+
+  return watch;
+}
+
+router.patch('/research/watchlist/:watchId', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    if (!await loadOwnWatch(req, res)) return;
+
+    const { intervalHours, channels, email, status } = req.body;
+    res.json(await researchWatchlist.updateWatch(req.params.watchId, { intervalHours, channels, email, status }));
+  } catch (error) {
+    if (/^(status must|Unknown alert channel)/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
     }
-  });
-  
-  res.json({ jobId, status: 'processing' });
+    logger.error('Failed to update research watch:', error);
+    res.status(500).json({ error: 'Failed to update watch', message: error.message });
+  }
 });
 
-// Get job status
-router.get('/research/:jobId/status', authenticateToken, requireCanvasAccess, (req, res) => {
-  const job = researchJobs.get(req.params.jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+router.post('/research/watchlist/:watchId/run', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    if (!await loadOwnWatch(req, res)) return;
+
+    const { watch, jobId } = await researchWatchlist.runNow(req.params.watchId);
+    res.status(202).json({ watchId: watch.id, jobId });
+  } catch (error) {
+    logger.error('Failed to re-run watched research:', error);
+    res.status(500).json({ error: 'Failed to re-run research', message: error.message });
   }
-  
-  res.json({
-    jobId: job.id,
-    status: job.status,
-    progress: job.progress,
-    stage: job.stage,
-    message: job.message,
-    data: job.data,
-    error: job.error
-  });
 });
 
-// Get job results
-router.get('/research/:jobId', authenticateToken, requireCanvasAccess, (req, res) => {
-  const job = researchJobs.get(req.params.jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+router.delete('/research/watchlist/:watchId', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    if (!await loadOwnWatch(req, res)) return;
+
+    await researchWatchlist.removeWatch(req.params.watchId);
+    res.json({ watchId: req.params.watchId, removed: true });
+  } catch (error) {
+    logger.error('Failed to remove research watch:', error);
+    res.status(500).json({ error: 'Failed to remove watch', message: error.message });
   }
-  
-  if (job.status !== 'completed') {
-    return res.status(202).json({ 
-      message: 'Job still processing', 
+});
+
+// Jobs started without a signed-in user stay readable by anyone with Canvas access
+function isOwnJob(job, req) {
+  return !job.userId || !req.user?.id || job.userId === req.user.id;
+}
+
+// Get job status
+router.get('/research/:jobId/status', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    const job = await researchJobQueue.getJob(req.params.jobId);
+    
+    if (!job || !isOwnJob(job, req)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({
+      jobId: job.id,
       status: job.status,
-      progress: job.progress 
+      progress: job.progress,
+      stage: job.stage,
+      message: job.message,
+      data: job.data,
+      error: job.error
     });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load job', message: error.message });
+  }
+});
+
+// Get job results
+router.get('/research/:jobId', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    const job = await researchJobQueue.getJob(req.params.jobId);
+    
+    if (!job || !isOwnJob(job, req)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.status !== 'completed') {
+      return res.status(202).json({ 
+        message: 'Job still processing', 
+        status: job.status,
+        progress: job.progress 
+      });
+    }
+    
+    res.json(job.data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load job', message: error.message });
+  }
+});
+
+// Export the research dossier as a branded document (?format=pdf|docx|md)
+// Built only from what the research job stored; jobs that finished without
+// dossier intelligence (tech stack, service gaps, profile, sales brief) export
+// without those sections until the practice is researched again.
+router.get('/research/:jobId/export', authenticateToken, requireCanvasAccess, async (req, res) => {
+  const format = String(req.query.format || 'pdf').toLowerCase();
+  const exportFormat = EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    return res.status(400).json({ error: `Unsupported format "${format}"`, supported: Object.keys(EXPORT_FORMATS) });
+  }
+
+  try {
+    const job = await researchJobQueue.getJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.userId && req.user?.id && job.userId !== req.user.id) {
+      return res.status(403).json({ error: 'You can only export your own research' });
+    }
+    
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: 'Research is not complete yet', status: job.status, progress: job.progress });
+    }
+    
+    const dossier = buildDossier(job, job.data?.dossierIntelligence || {});
+    const output = await renderDossier(dossier, format);
+    const slug = (dossier.doctor.name || 'dossier').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+    
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${slug}-${job.id.slice(0, 8)}.${exportFormat.extension}"`);
+    res.send(output);
+  } catch (error) {
+    logger.error('Research export error:', error);
+    res.status(500).json({ error: 'Failed to export research dossier', message: error.message });
+  }
+});
+
+// Cancel a queued or running job
+router.delete('/research/:jobId', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    const job = await researchJobQueue.getJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.userId && req.user?.id && job.userId !== req.user.id) {
+      return res.status(403).json({ error: 'You can only cancel your own research jobs' });
+    }
+    
+    if (['completed', 'failed'].includes(job.status)) {
+      return res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+    }
+    
+    const cancelled = await researchJobQueue.cancel(job.id);
+    res.json({ jobId: cancelled.id, status: cancelled.status });
+  } catch (error) {
+    logger.error('Failed to cancel research job:', error);
+    res.status(500).json({ error: 'Failed to cancel job', message: error.message });
   }
-  
-  res.json(job.data);
 });
 
 // Stream updates via SSE
-router.get('/research/:jobId/stream', authenticateToken, requireCanvasAccess, (req, res) => {
+// Progress updates are sent as default `message` events; partial results
+// (website intel, reviews, competitors, synthesis) as named `partial` events.
+// Clients may resume with the Last-Event-ID header or ?lastEventId=.
+router.get('/research/:jobId/stream', authenticateToken, requireCanvasAccess, async (req, res) => {
   const jobId = req.params.jobId;
   
+  let job;
+  try {
+    job = await researchJobQueue.getJob(jobId);
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to load job', message: error.message });
+  }
+  
+  if (!job || !isOwnJob(job, req)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive'
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
   });
+  res.write('retry: 5000\n\n');
   
-  const sendUpdate = () => {
-    const job = researchJobs.get(jobId);
-    if (job) {
-      res.write(`data: ${JSON.stringify({
-        progress: job.progress,
-        stage: job.stage,
-        message: job.message,
-        status: job.status
-      })}\n\n`);
-      
-      if (job.status === 'completed' || job.status === 'failed') {
-        res.end();
-        return;
-      }
+  let closed = false;
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  let lastSnapshot = null;
+  
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+  };
+  
+  const send = (event) => {
+    if (closed) return;
+    
+    const lines = [`id: ${event.id}`];
+    if (event.type !== 'progress') {
+      lines.push(`event: ${event.type}`);
     }
+    lines.push(`data: ${JSON.stringify(event.payload)}`);
+    res.write(`${lines.join('\n')}\n\n`);
     
-    setTimeout(sendUpdate, 1000);
+    if (researchEventStream.isTerminal(event)) {
+      cleanup();
+      res.end();
+    }
+  };
+  
+  const sendSnapshot = (current) => {
+    const payload = researchEventStream.snapshot(current);
+    const serialized = JSON.stringify(payload);
+    if (serialized === lastSnapshot) return;
+    lastSnapshot = serialized;
+    send({ id: researchEventStream.lastEventId(jobId), type: 'progress', payload });
   };
   
-  sendUpdate();
+  req.on('close', cleanup);
+  
+  // Replay anything the client missed, or start from the persisted state
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const missed = researchEventStream.replay(jobId, lastEventId);
+  if (missed.length > 0) {
+    missed.forEach(send);
+  } else {
+    sendSnapshot(job);
+  }
+  
+  if (closed) return;
+  unsubscribe = researchEventStream.subscribe(jobId, send);
+  
+  // Heartbeats keep proxies from closing the connection. Jobs running on
+  // another instance produce no local events, so re-read their stored state.
+  heartbeat = setInterval(async () => {
+    if (closed) return;
+    res.write(': heartbeat\n\n');
+    
+    if (!researchJobQueue.isRunningLocally(jobId)) {
+      const current = await researchJobQueue.getJob(jobId).catch(() => null);
+      if (current) sendSnapshot(current);
+    }
+  }, 15000);
 });
 
 // Batch research
@@ -545,49 +861,136 @@ router.post('/research/batch', authenticateToken, requireCanvasAccess, async (re
     return res.status(400).json({ error: 'Invalid doctors array' });
   }
   
-  if (doctors.length > 10) {
-    return res.status(400).json({ error: 'Maximum 10 doctors per batch' });
+  if (doctors.length > researchBatchService.config.maxDoctors) {
+    return res.status(400).json({ error: `Maximum ${researchBatchService.config.maxDoctors} doctors per batch` });
   }
   
-  const jobs = doctors.map(doctor => ({
-    doctor,
-    jobId: uuidv4()
-  }));
+  try {
+    // Jobs are queued; the worker pool bounds how many of a batch run at once
+    const batch = await researchBatchService.createBatch({
+      doctors,
+      product,
+      userId: req.user?.id || userId || null
+    });
+    
+    res.json(batch);
+  } catch (error) {
+    logger.error('Failed to queue research batch:', error);
+    res.status(500).json({ error: 'Failed to start batch research', message: error.message });
+  }
+});
+
+// Batch research from a CSV roster of NPIs or names
+// Accepts a multipart `roster` file or a JSON body with a `csv` string
+router.post('/research/batch/roster', authenticateToken, requireCanvasAccess, rosterUpload.single('roster'), async (req, res) => {
+  const { product, userId } = req.body;
+  const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
   
-  // Start all jobs
-  jobs.forEach(({ doctor, jobId }) => {
-    const job = {
-      id: jobId,
-      status: 'processing',
-      progress: 0,
-      doctor,
-      product
-    };
-    researchJobs.set(jobId, job);
-    
-    // Start research
-    conductResearch(doctor, product, jobId, (update) => {
-      const job = researchJobs.get(jobId);
-      if (job) Object.assign(job, update);
-    }).then(data => {
-      const job = researchJobs.get(jobId);
-      if (job) {
-        job.status = 'completed';
-        job.data = data;
-      }
-    }).catch(error => {
-      const job = researchJobs.get(jobId);
-      if (job) {
-        job.status = 'failed';
-        job.error = error.message;
-      }
+  if (!csvText) {
+    return res.status(400).json({ error: 'Upload a CSV file as `roster` or send `csv` in the body' });
+  }
+  
+  try {
+    const { doctors, unresolved } = await researchBatchService.resolveRoster(csvText, {
+      taxonomyFilter: await npiTaxonomySettings.getForTenant(tenantIdFor(req.user))
     });
-  });
+    
+    if (doctors.length === 0) {
+      return res.status(422).json({ error: 'No providers in the roster could be resolved', unresolved });
+    }
+    
+    if (doctors.length > researchBatchService.config.maxDoctors) {
+      return res.status(400).json({
+        error: `Maximum ${researchBatchService.config.maxDoctors} doctors per batch`,
+        resolved: doctors.length
+      });
+    }
+    
+    const batch = await researchBatchService.createBatch({
+      doctors,
+      product,
+      userId: req.user?.id || userId || null,
+      unresolved,
+      source: 'csv'
+    });
+    
+    res.json({ ...batch, resolved: doctors.length, unresolved });
+  } catch (error) {
+    if (/^Maximum/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to import research roster:', error);
+    res.status(500).json({ error: 'Failed to import roster', message: error.message });
+  }
+});
+
+// Batch status with aggregate progress
+router.get('/research/batch/:batchId', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    const batch = await researchBatchService.getBatch(req.params.batchId);
+    
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    if (batch.userId && req.user?.id && batch.userId !== req.user.id) {
+      return res.status(403).json({ error: 'You can only view your own research batches' });
+    }
+    
+    res.json(batch);
+  } catch (error) {
+    logger.error('Failed to load research batch:', error);
+    res.status(500).json({ error: 'Failed to load batch', message: error.message });
+  }
+});
+
+// Ranked batch summary, sorted by confidence score (?format=csv|json)
+router.get('/research/batch/:batchId/summary', authenticateToken, requireCanvasAccess, async (req, res) => {
+  const format = (req.query.format || 'json').toLowerCase();
   
-  res.json({
-    batchId: uuidv4(),
-    jobs: jobs.map(j => ({ doctorName: j.doctor.displayName, jobId: j.jobId }))
-  });
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be csv or json' });
+  }
+  
+  try {
+    const batch = await researchBatchService.getBatch(req.params.batchId);
+    
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    if (batch.userId && req.user?.id && batch.userId !== req.user.id) {
+      return res.status(403).json({ error: 'You can only view your own research batches' });
+    }
+    
+    if (batch.status !== 'completed' && req.query.partial !== 'true') {
+      return res.status(409).json({
+        error: 'Batch still processing',
+        progress: batch.progress,
+        counts: batch.counts
+      });
+    }
+    
+    const ranked = await researchBatchService.getRankedSummary(batch.batchId);
+    
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="research-batch-${batch.batchId}.csv"`);
+      return res.send(toCsv(ranked, BATCH_SUMMARY_COLUMNS));
+    }
+    
+    res.json({
+      batchId: batch.batchId,
+      product: batch.product,
+      status: batch.status,
+      completedAt: batch.completedAt,
+      unresolved: batch.unresolved,
+      results: ranked
+    });
+  } catch (error) {
+    logger.error('Failed to build batch summary:', error);
+    res.status(500).json({ error: 'Failed to build batch summary', message: error.message });
+  }
 });
 
 // Brave Search endpoint for Canvas
@@ -599,24 +1002,14 @@ router.post('/brave-search', authenticateToken, requireCanvasAccess, async (req,
       return res.status(400).json({ error: 'Query is required' });
     }
 
-    // Debug: Check if API key is set
-    if (!process.env.BRAVE_API_KEY) {
+    if (!researchProviders.brave.isConfigured()) {
       logger.error('BRAVE_API_KEY not set in environment');
       return res.status(500).json({ error: 'Brave API key not configured' });
     }
 
-    const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-      headers: {
-        'Accept': 'application/json',
-        'X-Subscription-Token': process.env.BRAVE_API_KEY
-      },
-      params: {
-        q: query,
-        count: Math.min(count, 20)
-      }
-    });
+    const { raw } = await researchProviders.brave.webSearch(query, { count: Math.min(count, 20) });
 
-    res.json(response.data);
+    res.json(raw);
   } catch (error) {
     logger.error('Brave search error:', error.response?.data || error.message);
     res.status(500).json({ 
@@ -637,33 +1030,22 @@ router.post('/firecrawl-scrape', authenticateToken, requireCanvasAccess, async (
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    // Debug: Check if API key is set
-    if (!process.env.FIRECRAWL_API_KEY) {
+    if (!researchProviders.firecrawl.isConfigured()) {
       logger.error('FIRECRAWL_API_KEY not set in environment');
       return res.status(500).json({ error: 'Firecrawl API key not configured' });
     }
 
     logger.info(`🌐 Scraping website with Firecrawl: ${url}`);
 
-    const response = await axios.post(
-      'https://api.firecrawl.dev/v0/scrape',
-      {
-        url,
-        pageOptions: {
-          includeHtml: false,
-          onlyMainContent: true,
-          screenshot: false
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.FIRECRAWL_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
+    const { raw } = await researchProviders.firecrawl.scrape(url, {
+      pageOptions: {
+        includeHtml: false,
+        onlyMainContent: true,
+        screenshot: false
       }
-    );
+    });
 
-    res.json(response.data);
+    res.json(raw);
   } catch (error) {
     logger.error('Firecrawl scraping error:', error.response?.data || error.message);
     res.status(500).json({ 
@@ -817,22 +1199,7 @@ router.post('/openrouter', authenticateToken, requireCanvasAccess, async (req, r
 
     logger.info(`Claude API request - Model: ${model}, Prompt length: ${prompt.length}`);
 
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model,
-        max_tokens: 4000,
-        messages: [{ role: 'user', content: prompt }],
-        stream: false
-      },
-      {
-        headers: {
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        }
-      }
-    );
+    const { text, usage } = await researchProviders.anthropic.message(prompt, { model, maxTokens: 4000 });
 
     logger.info('Claude API response received successfully');
     
@@ -841,11 +1208,11 @@ router.post('/openrouter', authenticateToken, requireCanvasAccess, async (req, r
       choices: [{
         message: {
           role: 'assistant',
-          content: response.data.content[0].text
+          content: text
         },
         finish_reason: 'stop'
       }],
-      usage: response.data.usage
+      usage
     };
     
     res.json(openaiResponse);
@@ -866,98 +1233,59 @@ router.post('/openrouter', authenticateToken, requireCanvasAccess, async (req, r
 });
 
 // NPI Lookup endpoint for Canvas
+// Accepts free text (?search=John Smith Buffalo, NY 14221) and/or structured
+// params: name, firstName, lastName, organization, city, state, postalCode,
+// radius (miles), taxonomy (code or description), type (individual|organization),
+// page and pageSize. Results are limited to the tenant's allowed taxonomies.
 router.get('/npi-lookup', authenticateToken, requireCanvasAccess, async (req, res) => {
   try {
-    const { search } = req.query;
-    
-    if (!search || search.length < 3) {
-      return res.json({ results: [] });
+    const { search, name, firstName, lastName, organization, city, state, postalCode, zip, radius, taxonomy, type } = req.query;
+    const pageSize = Math.min(parseInt(req.query.pageSize) || 20, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const query = {
+      ...(search ? parseSearchText(search) : {}),
+      ...(name && parseSearchText(name)),
+      ...(firstName && { firstName }),
+      ...(lastName && { lastName }),
+      ...(organization && { organization }),
+      ...(city && { city }),
+      ...(state && { state }),
+      ...((postalCode || zip) && { postalCode: postalCode || zip }),
+      ...(radius && { radius }),
+      ...(taxonomy && { taxonomy }),
+      ...(type && { type }),
+      skip: req.query.skip !== undefined ? parseInt(req.query.skip) || 0 : (page - 1) * pageSize,
+      limit: pageSize
+    };
+
+    // Free text names an organization when searching NPI-2 records
+    if (search && ['organization', 'npi-2'].includes(String(type).toLowerCase()) && !organization) {
+      query.organization = search.trim();
+      delete query.firstName;
+      delete query.lastName;
     }
 
-    // Parse search term - handle variations
-    const searchLower = search.toLowerCase().trim();
-    const terms = search.trim().split(/\s+/);
-    const firstName = terms[0];
-    const lastName = terms.length > 1 ? terms[terms.length - 1] : '';
-    let state = '';
-    const city = '';
-    
-    // Check if search includes location hints
-    if (searchLower.includes('buffalo') || searchLower.includes('ny')) {
-      // For Buffalo area, don't specify city - just use state
-      // This catches suburbs like Williamsville, Amherst, etc.
-      if (searchLower.includes('ny')) {
-        state = 'NY';
-        // Don't set city for Buffalo area - too many suburbs
+    if (!hasSearchCriteria(query)) {
+      // Short or location-only free text has always returned an empty list
+      if (search !== undefined && !name && !organization) {
+        return res.json({ results: [] });
       }
+      return res.status(400).json({
+        error: 'Search requires a name, organization, city or postal code'
+      });
     }
 
-    // Build NPI API URL with flexible parameters
-    const params = new URLSearchParams({
-      version: '2.1',
-      limit: '20',  // Increased limit
-      first_name: firstName,
-      ...(lastName && { last_name: lastName }),
-      ...(state && { state: state }),
-      ...(city && { city: city })
-    });
-
-    const response = await axios.get(
-      `https://npiregistry.cms.hhs.gov/api/?${params}`
-    );
-    
-    if (!response.data || !response.data.results) {
-      return res.json({ results: [] });
-    }
+    const taxonomySettings = await npiTaxonomySettings.getForTenant(tenantIdFor(req.user));
+    const { results, pagination } = await searchRegistry(query, { taxonomyFilter: taxonomySettings });
+    const { skip: _skip, limit: _limit, ...criteria } = query;
 
-    // Transform results to match Canvas format
-    const doctors = response.data.results.map(result => {
-      const basic = result.basic || {};
-      // Prefer location address over mailing address
-      const locationAddress = result.addresses?.find(a => a.address_purpose === 'LOCATION') || {};
-      const mailingAddress = result.addresses?.find(a => a.address_purpose === 'MAILING') || {};
-      const address = locationAddress.address_1 ? locationAddress : mailingAddress;
-      
-      const taxonomy = result.taxonomies?.find(t => t.primary) || {};
-      
-      // Format name properly
-      const formattedFirstName = basic.first_name
-        ? basic.first_name.charAt(0).toUpperCase() + basic.first_name.slice(1).toLowerCase()
-        : '';
-      const formattedLastName = basic.last_name
-        ? basic.last_name.charAt(0).toUpperCase() + basic.last_name.slice(1).toLowerCase()
-        : '';
-      
-      return {
-        npi: result.number,
-        displayName: `Dr. ${formattedFirstName} ${formattedLastName}${basic.credential ? ', ' + basic.credential : ''}`,
-        firstName: formattedFirstName,
-        lastName: formattedLastName,
-        credential: basic.credential || '',
-        specialty: taxonomy.desc || 'Not specified',
-        city: address.city || '',
-        state: address.state || '',
-        fullAddress: address.address_1 
-          ? `${address.address_1}, ${address.city}, ${address.state} ${address.postal_code}`
-          : '',
-        phone: address.telephone_number || '',
-        organizationName: basic.organization_name || ''
-      };
-    }).filter(doc => {
-      // Filter for dental and aesthetic specialties
-      const specialtyLower = doc.specialty.toLowerCase();
-      return (
-        specialtyLower.includes('dent') ||
-        specialtyLower.includes('oral') ||
-        specialtyLower.includes('maxillofacial') ||
-        specialtyLower.includes('dermat') ||
-        specialtyLower.includes('plastic') ||
-        specialtyLower.includes('aesthetic') ||
-        specialtyLower.includes('cosmetic')
-      ) && doc.city && doc.state;
+    res.json({
+      results,
+      query: criteria,
+      pagination: { ...pagination, page, pageSize },
+      taxonomyFilter: { tenantId: taxonomySettings.tenantId, isDefault: taxonomySettings.isDefault }
     });
-
-    res.json({ results: doctors }); // Return all filtered results
     
   } catch (error) {
     logger.error('NPI lookup error:', error);
@@ -968,6 +1296,75 @@ router.get('/npi-lookup', authenticateToken, requireCanvasAccess, async (req, re
   }
 });
 
+// Allowed specialty taxonomies for the caller's tenant
+router.get('/npi-lookup/taxonomies', authenticateToken, requireCanvasAccess, async (req, res) => {
+  try {
+    res.json(await npiTaxonomySettings.getForTenant(tenantIdFor(req.user)));
+  } catch (error) {
+    logger.error('NPI taxonomy settings error:', error);
+    res.status(500).json({ error: 'Failed to load taxonomy settings', message: error.message });
+  }
+});
+
+// Replace a tenant's allowed taxonomy list (admin only)
+// Body: { tenantId?, codes: ['1223', '207N00000X'], keywords: ['dermat'] }
+router.put('/npi-lookup/taxonomies', authenticateToken, requireCanvasAccess, requireResearchAdmin, async (req, res) => {
+  try {
+    const tenantId = req.body.tenantId || tenantIdFor(req.user);
+    const settings = await npiTaxonomySettings.setForTenant(tenantId, req.body, req.user.id);
+    res.json(settings);
+  } catch (error) {
+    if (error.message.startsWith('Invalid taxonomy code')) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('NPI taxonomy settings error:', error);
+    res.status(500).json({ error: 'Failed to save taxonomy settings', message: error.message });
+  }
+});
+
+// Restore a tenant's default taxonomy list (admin only)
+router.delete('/npi-lookup/taxonomies', authenticateToken, requireCanvasAccess, requireResearchAdmin, async (req, res) => {
+  try {
+    const tenantId = req.query.tenantId || tenantIdFor(req.user);
+    res.json(await npiTaxonomySettings.resetTenant(tenantId));
+  } catch (error) {
+    logger.error('NPI taxonomy settings error:', error);
+    res.status(500).json({ error: 'Failed to reset taxonomy settings', message: error.message });
+  }
+});
+
+// What changed at a practice since the rep's last visit (or ?since=ISO date).
+// Viewing the timeline counts as a visit unless ?markVisited=false.
+router.get('/practices/:npi/timeline', authenticateToken, requireCanvasAccess, async (req, res) => {
+  const { npi } = req.params;
+  const { since, markVisited } = req.query;
+
+  if (!/^\d{10}$/.test(npi)) {
+    return res.status(400).json({ error: 'NPI must be 10 digits' });
+  }
+
+  if (since && isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'since must be an ISO date' });
+  }
+
+  try {
+    const timeline = await practiceEntityStore.getTimeline(npi, {
+      userId: req.user?.id,
+      since: since ? new Date(since).toISOString() : null,
+      recordVisit: markVisited !== 'false'
+    });
+
+    if (!timeline) {
+      return res.status(404).json({ error: 'No research recorded for this practice yet' });
+    }
+
+    res.json(timeline);
+  } catch (error) {
+    logger.error('Practice timeline error:', error);
+    res.status(500).json({ error: 'Failed to load practice timeline', message: error.message });
+  }
+});
+
 // Apify Actor proxy
 router.post('/apify-actor', authenticateToken, requireCanvasAccess, async (req, res) => {
   const { actorId, input, waitForFinish = true } = req.body;
@@ -976,48 +1373,27 @@ router.post('/apify-actor', authenticateToken, requireCanvasAccess, async (req,
     return res.status(400).json({ error: 'Actor ID and input required' });
   }
   
-  const APIFY_API_KEY = process.env.APIFY_API_KEY;
-  if (!APIFY_API_KEY) {
+  if (!researchProviders.apify.isConfigured()) {
     logger.error('APIFY_API_KEY not configured');
     return res.status(500).json({ error: 'Apify not configured' });
   }
   
   try {
     // Start the actor run
-    const runResponse = await axios.post(
-      `https://api.apify.com/v2/acts/${actorId}/runs`,
-      input,
-      {
-        headers: {
-          'Authorization': `Bearer ${APIFY_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          waitForFinish: waitForFinish ? '300' : '0' // Wait up to 5 minutes
-        }
-      }
-    );
-    
-    const runId = runResponse.data.data.id;
+    const run = await researchProviders.apify.runActor(actorId, input, { waitForFinish }); // Waits up to 5 minutes
+    const { runId } = run;
     
     if (!waitForFinish) {
       return res.json({ runId, status: 'RUNNING' });
     }
     
     // Get the results
-    const resultsResponse = await axios.get(
-      `https://api.apify.com/v2/actor-runs/${runId}/dataset/items`,
-      {
-        headers: {
-          'Authorization': `Bearer ${APIFY_API_KEY}`
-        }
-      }
-    );
+    const results = await researchProviders.apify.datasetItems(runId);
     
     res.json({
       runId,
-      status: runResponse.data.data.status,
-      results: resultsResponse.data
+      status: run.status,
+      results
     });
     
   } catch (error) {
@@ -1034,8 +1410,7 @@ router.post('/anthropic', authenticateToken, requireCanvasAccess, async (req, re
     return res.status(400).json({ error: 'Prompt required' });
   }
   
-  const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-  if (!ANTHROPIC_API_KEY) {
+  if (!researchProviders.anthropic.isConfigured()) {
     logger.error('ANTHROPIC_API_KEY not configured');
     return res.status(500).json({ error: 'Anthropic not configured' });
   }
@@ -1046,35 +1421,21 @@ router.post('/anthropic', authenticateToken, requireCanvasAccess, async (req, re
   try {
     logger.info(`🤖 Anthropic API call: ${model} (using ${apiModel})`);
     
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: apiModel,
-        max_tokens: 4096,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }],
-        temperature: 0.7
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        }
-      }
-    );
+    const { text, usage } = await researchProviders.anthropic.message(prompt, {
+      model: apiModel,
+      maxTokens: 4096,
+      temperature: 0.7
+    });
     
     // Format response to match OpenRouter/Canvas expected format
     res.json({
       choices: [{
         message: {
-          content: response.data.content[0].text
+          content: text
         }
       }],
       model: model,
-      usage: response.data.usage
+      usage
     });
     
     logger.info(`✅ Anthropic API call completed`);
@@ -1095,8 +1456,7 @@ router.post('/perplexity-research', authenticateToken, requireCanvasAccess, asyn
     return res.status(400).json({ error: 'Query required' });
   }
   
-  const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-  if (!ANTHROPIC_API_KEY) {
+  if (!researchProviders.anthropic.isConfigured()) {
     logger.error('ANTHROPIC_API_KEY not configured');
     return res.status(500).json({ error: 'Anthropic not configured' });
   }
@@ -1104,17 +1464,9 @@ router.post('/perplexity-research', authenticateToken, requireCanvasAccess, asyn
   try {
     // First do a Brave search to get real-time context
     let searchContext = '';
-    if (process.env.BRAVE_API_KEY) {
+    if (researchProviders.brave.isConfigured()) {
       try {
-        const searchResponse = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-          params: { q: query, count: 5 },
-          headers: {
-            'X-Subscription-Token': process.env.BRAVE_API_KEY,
-            'Accept': 'application/json'
-          }
-        });
-        
-        const results = searchResponse.data.results || [];
+        const { results } = await researchProviders.brave.webSearch(query, { count: 5 });
         searchContext = results.slice(0, 3).map(r => 
           `${r.title}: ${r.description}`
         ).join('\n\n');
@@ -1138,28 +1490,14 @@ Provide a comprehensive answer that includes:
 
 Format your response to be clear and well-structured.`;
 
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-3-5-sonnet-20241022',
-        messages: [{
-          role: 'user',
-          content: enhancedPrompt
-        }],
-        temperature: 0.3,
-        max_tokens: 1500
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        }
-      }
-    );
+    const { text } = await researchProviders.anthropic.message(enhancedPrompt, {
+      model: 'claude-3-5-sonnet-20241022',
+      maxTokens: 1500,
+      temperature: 0.3
+    });
     
     res.json({
-      answer: response.data.content[0].text,
+      answer: text,
       sources: searchContext ? ['Brave Search Results'] : [],
       model: 'claude-3-opus (direct)'
     });
@@ -1170,14 +1508,19 @@ Format your response to be clear and well-structured.`;
 });
 
 // Health check
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
+  const cacheStats = await researchCache.getStats();
+  
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    activeJobs: researchJobs.size,
-    cacheSize: researchCache.size,
+    activeJobs: researchJobQueue.getStats().runningJobs,
+    jobQueue: researchJobQueue.getStats(),
+    cacheSize: cacheStats.size,
+    researchCache: cacheStats,
     version: '1.0.4',
+    researchProviders: researchProviders.getStats(),
     env: {
       hasBraveKey: !!process.env.BRAVE_API_KEY,
       hasFirecrawlKey: !!process.env.FIRECRAWL_API_KEY,
@@ -1323,19 +1666,7 @@ async function practiceDiscoveryAgent(doctor) {
       try {
         logger.info(`🔍 Trying: "${query}"`);
         
-        const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-          headers: {
-            'Accept': 'application/json',
-            'X-Subscription-Token': process.env.BRAVE_API_KEY
-          },
-          params: { 
-            q: query, 
-            count: 10,
-            country: 'US'
-          }
-        });
-
-        const results = response.data.web?.results || [];
+        const { results } = await researchProviders.brave.webSearch(query, { count: 10, country: 'US' });
         logger.info(`📊 Found ${results.length} results for "${query}"`);
         
         // Debug: show all results for first query
@@ -1468,20 +1799,12 @@ async function practiceDiscoveryAgent(doctor) {
 }
 
 // Agent 2: Medical Tech Stack Scanner Agent 
-async function medicalTechStackAgent(doctor) {
+async function medicalTechStackAgent(doctor, signal) {
   try {
     // Use a general search to find medical equipment mentions for this practice
     const techQuery = `"${doctor.displayName}" ${doctor.specialty} ${doctor.city} equipment technology services`;
     
-    const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-      headers: {
-        'Accept': 'application/json',
-        'X-Subscription-Token': process.env.BRAVE_API_KEY
-      },
-      params: { q: techQuery, count: 5 }
-    });
-
-    const results = response.data.results || [];
+    const { results } = await researchProviders.brave.webSearch(techQuery, { count: 5, signal });
     const allContent = results.map(r => r.description || '').join(' ').toLowerCase();
     
     // Medical equipment brands to detect
@@ -1509,25 +1832,17 @@ async function medicalTechStackAgent(doctor) {
     };
   } catch (error) {
     logger.error('Tech stack analysis error:', error.message);
-    return { equipment: [], searchResults: [], totalBrandsChecked: 0 };
+    return { equipment: [], searchResults: [], totalBrandsChecked: 0, failed: true };
   }
 }
 
 // Agent 3: Social Media Agent (Instagram Analysis)
-async function socialMediaAgent(doctor, practiceData) {
+async function socialMediaAgent(doctor, practiceData, signal) {
   try {
     // Search for Instagram profile
     const instagramQuery = `"${doctor.displayName}" instagram ${doctor.specialty} ${doctor.city}`;
     
-    const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-      headers: {
-        'Accept': 'application/json',
-        'X-Subscription-Token': process.env.BRAVE_API_KEY
-      },
-      params: { q: instagramQuery, count: 10 }
-    });
-
-    const results = response.data.results || [];
+    const { results } = await researchProviders.brave.webSearch(instagramQuery, { count: 10, signal });
     const instagramResult = results.find(r => 
       r.url && r.url.includes('instagram.com')
     );
@@ -1550,15 +1865,9 @@ async function marketIntelligenceAgent(doctor) {
   try {
     const competitorQuery = `${doctor.specialty} near "${doctor.city}, ${doctor.state}"`;
     
-    const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-      headers: {
-        'Accept': 'application/json', 
-        'X-Subscription-Token': process.env.BRAVE_API_KEY
-      },
-      params: { q: competitorQuery, count: 10 }
-    });
+    const { results } = await researchProviders.brave.webSearch(competitorQuery, { count: 10 });
 
-    const competitors = (response.data.results || [])
+    const competitors = results
       .filter(r => r.url && !r.url.includes('healthgrades'))
       .slice(0, 5);
 
@@ -1570,31 +1879,19 @@ async function marketIntelligenceAgent(doctor) {
 }
 
 // Agent 5: Psychological Profiling Agent (Education + Practice Details + Motivators)
-async function psychologicalProfilingAgent(doctor, collectedData) {
+async function psychologicalProfilingAgent(doctor, collectedData, signal) {
   try {
     // Search for education/medical school background + practice details
     const educationQuery = `"${doctor.displayName}" ${doctor.specialty} education medical school residency university years experience`;
     const practiceQuery = `"${doctor.displayName}" practice locations providers staff "years in practice" established`;
     
     const [eduResponse, practiceResponse] = await Promise.all([
-      axios.get('https://api.search.brave.com/res/v1/web/search', {
-        headers: {
-          'Accept': 'application/json',
-          'X-Subscription-Token': process.env.BRAVE_API_KEY
-        },
-        params: { q: educationQuery, count: 5 }
-      }),
-      axios.get('https://api.search.brave.com/res/v1/web/search', {
-        headers: {
-          'Accept': 'application/json',
-          'X-Subscription-Token': process.env.BRAVE_API_KEY
-        },
-        params: { q: practiceQuery, count: 5 }
-      })
+      researchProviders.brave.webSearch(educationQuery, { count: 5, signal }),
+      researchProviders.brave.webSearch(practiceQuery, { count: 5, signal })
     ]);
 
-    const eduResults = eduResponse.data.results || [];
-    const practiceResults = practiceResponse.data.results || [];
+    const eduResults = eduResponse.results;
+    const practiceResults = practiceResponse.results;
     const eduContent = eduResults.map(r => r.description || '').join(' ').toLowerCase();
     const practiceContent = practiceResults.map(r => r.description || '').join(' ').toLowerCase();
     
@@ -1641,25 +1938,15 @@ Return JSON format:
   "educationalBackground": ["school1", "school2"]
 }`;
 
-    const profileResponse = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 1000,
-        messages: [{ role: 'user', content: profilePrompt }]
-      },
-      {
-        headers: {
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        }
-      }
-    );
+    const { text: profileText } = await researchProviders.anthropic.message(profilePrompt, {
+      model: 'claude-3-5-sonnet-20241022',
+      maxTokens: 1000,
+      signal
+    });
 
     let profile;
     try {
-      profile = JSON.parse(profileResponse.data.content[0].text);
+      profile = JSON.parse(profileText);
     } catch {
       profile = {
         primaryMotivators: ["achievement", "financial"],
@@ -1697,19 +1984,11 @@ Return JSON format:
 // Game-Changing Intelligence Agents
 
 // Agent: Patient Pain Points Analyzer
-async function patientPainPointAgent(doctor) {
+async function patientPainPointAgent(doctor, signal) {
   try {
     const query = `"${doctor.displayName}" reviews complaints "waiting" "equipment" "outdated" "slow" "appointment" problems`;
     
-    const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-      headers: {
-        'Accept': 'application/json',
-        'X-Subscription-Token': process.env.BRAVE_API_KEY
-      },
-      params: { q: query, count: 10 }
-    });
-
-    const results = response.data.results || [];
+    const { results } = await researchProviders.brave.webSearch(query, { count: 10, signal });
     const reviewContent = results.map(r => r.description || '').join(' ').toLowerCase();
     
     // Extract common pain points
@@ -1731,19 +2010,11 @@ async function patientPainPointAgent(doctor) {
 }
 
 // Agent: Recent News & Recognition Finder
-async function recentNewsAgent(doctor) {
+async function recentNewsAgent(doctor, signal) {
   try {
     const query = `"${doctor.displayName}" ${doctor.specialty} news awards recognition 2024 2023 speaking conference`;
     
-    const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-      headers: {
-        'Accept': 'application/json',
-        'X-Subscription-Token': process.env.BRAVE_API_KEY
-      },
-      params: { q: query, count: 5 }
-    });
-
-    const results = response.data.results || [];
+    const { results } = await researchProviders.brave.webSearch(query, { count: 5, signal });
     const newsItems = results.filter(r => 
       r.title && (
         r.title.toLowerCase().includes('award') ||
@@ -1763,24 +2034,17 @@ async function recentNewsAgent(doctor) {
     };
   } catch (error) {
     logger.error('News analysis error:', error.message);
-    return { newsItems: [] };
+    return { newsItems: [], failed: true };
   }
 }
 
 // Agent: Team Analysis Agent
-async function teamAnalysisAgent(doctor) {
+async function teamAnalysisAgent(doctor, signal) {
   try {
     const query = `"${doctor.displayName}" practice staff team hygienist assistant "meet our team"`;
     
-    const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-      headers: {
-        'Accept': 'application/json',
-        'X-Subscription-Token': process.env.BRAVE_API_KEY
-      },
-      params: { q: query, count: 5 }
-    });
-
-    const results = response.data.results || [];
+    const { results } = await researchProviders.brave.webSearch(query, { count: 5, signal });
+    const rawContent = results.map(r => `${r.title || ''}. ${r.description || ''}`).join(' ');
     const teamContent = results.map(r => r.description || '').join(' ').toLowerCase();
     
     // Extract team size indicators
@@ -1796,28 +2060,40 @@ async function teamAnalysisAgent(doctor) {
     return { 
       teamSize, 
       credentials: foundCredentials,
+      members: extractTeamMembers(rawContent, doctor),
       teamContent: teamContent.substring(0, 500)
     };
   } catch (error) {
     logger.error('Team analysis error:', error.message);
-    return { teamSize: 'Unknown', credentials: [], teamContent: '' };
+    return { teamSize: 'Unknown', credentials: [], members: [], teamContent: '', failed: true };
   }
 }
 
+// Named team members ("Dr. Mark Lee", "Sarah Kim, RDH"), excluding the doctor being researched
+function extractTeamMembers(content, doctor) {
+  const members = new Map();
+  const addMember = (name, credential) => {
+    const key = name.toLowerCase();
+    if (doctor.lastName && key.endsWith(doctor.lastName.toLowerCase())) return;
+    members.set(key, { name, credential: credential || members.get(key)?.credential || null });
+  };
+
+  for (const match of content.matchAll(/\bDr\.? ([A-Z][a-z]+(?: [A-Z]\.)? [A-Z][a-z'-]+)/g)) {
+    addMember(match[1], null);
+  }
+  for (const match of content.matchAll(/\b([A-Z][a-z]+ [A-Z][a-z'-]+),? (DDS|DMD|MD|RDH|RDA|RN|NP|PA-C)\b/g)) {
+    addMember(match[1], match[2]);
+  }
+
+  return [...members.values()].slice(0, 20);
+}
+
 // Agent: Service Gap Analysis Agent
-async function serviceGapAgent(doctor) {
+async function serviceGapAgent(doctor, signal) {
   try {
     const query = `"${doctor.displayName}" services "we offer" treatments specialties procedures`;
     
-    const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-      headers: {
-        'Accept': 'application/json',
-        'X-Subscription-Token': process.env.BRAVE_API_KEY
-      },
-      params: { q: query, count: 5 }
-    });
-
-    const results = response.data.results || [];
+    const { results } = await researchProviders.brave.webSearch(query, { count: 5, signal });
     const servicesContent = results.map(r => r.description || '').join(' ').toLowerCase();
     
     // Standard services by specialty
@@ -1846,7 +2122,7 @@ async function serviceGapAgent(doctor) {
 }
 
 // Agent: Practice Sentiment Analyzer
-async function practiceSentimentAgent(practiceData) {
+async function practiceSentimentAgent(practiceData, signal) {
   try {
     if (!practiceData.websiteUrl) {
       return { sentiment: 'neutral', positioning: 'unknown', tone: 'professional' };
@@ -1866,24 +2142,14 @@ Based on this information, determine:
 
 Return JSON: {"sentiment": "...", "positioning": "...", "tone": "..."}`;
 
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 500,
-        messages: [{ role: 'user', content: prompt }]
-      },
-      {
-        headers: {
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        }
-      }
-    );
+    const { text } = await researchProviders.anthropic.message(prompt, {
+      model: 'claude-3-5-sonnet-20241022',
+      maxTokens: 500,
+      signal
+    });
 
     try {
-      return JSON.parse(response.data.content[0].text);
+      return JSON.parse(text);
     } catch {
       return { sentiment: 'professional', positioning: 'general practice', tone: 'professional' };
     }
@@ -1893,8 +2159,61 @@ Return JSON: {"sentiment": "...", "positioning": "...", "tone": "..."}`;
   }
 }
 
+// Intelligence for exported dossiers, built on top of a research run
+// Reuses the team and news the run already gathered; every provider call gets
+// `signal`, so cancelling the job or hitting the timeout stops the spending.
+async function gatherDossierIntelligence(doctor, product, researchData, signal) {
+  const practice = {
+    websiteUrl: researchData.websiteData?.url || null,
+    isPrivatePractice: !doctor.organizationName
+  };
+  const { team, news } = researchData;
+
+  const [techStack, gaps, painPoints, social] = await Promise.all([
+    medicalTechStackAgent(doctor, signal),
+    serviceGapAgent(doctor, signal),
+    patientPainPointAgent(doctor, signal),
+    practice.websiteUrl ? socialMediaAgent(doctor, practice, signal) : { instagram: null, followers: 0, recentPosts: 0 }
+  ]);
+  throwIfCancelled(signal);
+  const sentiment = await practiceSentimentAgent(practice, signal);
+  throwIfCancelled(signal);
+
+  const psychologicalProfile = await psychologicalProfilingAgent(doctor, { practice, techStack, social }, signal);
+  throwIfCancelled(signal);
+  const salesRepBrief = await generateSalesRepBrief(doctor, product, {
+    practice, techStack, painPoints, news, team, gaps, social, sentiment
+  }, signal);
+  throwIfCancelled(signal);
+
+  return {
+    techStack: techStack.failed ? { equipment: [], failed: true } : { equipment: techStack.equipment || [] },
+    serviceGaps: { currentServices: gaps.currentServices || [], gaps: gaps.gaps || [] },
+    psychologicalProfile,
+    salesRepBrief,
+    gatheredAt: new Date().toISOString()
+  };
+}
+
+// Dossier intelligence for a research job, or null when it fails, is cancelled or takes too long
+async function gatherDossierIntelligenceWithin(doctor, product, researchData, signal) {
+  const timeoutSignal = AbortSignal.timeout(DOSSIER_TIMEOUT);
+  const dossierSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+  const intelligence = await gatherDossierIntelligence(doctor, product, researchData, dossierSignal).catch(error => {
+    if (error.name !== 'AbortError') {
+      logger.error('Dossier intelligence error:', error.message);
+    }
+    return null;
+  });
+  if (!intelligence) {
+    logger.warn(`Dossier intelligence unavailable for NPI ${doctor.npi}, exports will omit it`);
+  }
+  return intelligence;
+}
+
 // Enhanced Sales Rep Brief Generator (Uses Claude-3-Opus for reasoning)
-async function generateSalesRepBrief(doctor, product, data) {
+async function generateSalesRepBrief(doctor, product, data, signal) {
   try {
     const prompt = `You are an elite medical sales intelligence analyst. Create a GAME-CHANGING sales rep brief.
 
@@ -1937,23 +2256,13 @@ Create a sales rep brief with:
 
 Focus on ACTIONABLE INTELLIGENCE that gives this sales rep a massive advantage. Include specific talking points and pain points.`;
 
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-3-opus-20240229',
-        max_tokens: 3000,
-        messages: [{ role: 'user', content: prompt }]
-      },
-      {
-        headers: {
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        }
-      }
-    );
+    const { text } = await researchProviders.anthropic.message(prompt, {
+      model: 'claude-3-opus-20240229',
+      maxTokens: 3000,
+      signal
+    });
 
-    return response.data.content[0].text;
+    return text;
   } catch (error) {
     logger.error('Sales rep brief generation error:', error.message);
     return `Enhanced Sales Brief for ${doctor.displayName}: Game-changing intelligence analysis pending due to technical issue.`;
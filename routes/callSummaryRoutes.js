@@ -1,12 +1,60 @@
 import express from 'express';
 
-import { successResponse, errorResponse } from '../utils/responseHelpers.js';
+import { successResponse, errorResponse, commonErrors } from '../utils/responseHelpers.js';
+import logger from '../utils/logger.js';
+import { authenticateToken } from '../middleware/unifiedAuth.js';
+import callScorecardService from '../services/callScorecard/index.js';
 
 const router = express.Router();
 
-// Placeholder - implementation integrated into main routes
-router.get('/api/calls/:callSid/summary', (req, res) => {
-  res.status(501).json(errorResponse('NOT_IMPLEMENTED', 'Call summary endpoint - implementation pending', null, 501));
+/**
+ * Rubrics calls can be scored against
+ */
+router.get('/api/calls/scorecard-rubrics', authenticateToken, (req, res) => {
+  res.json(successResponse({
+    defaultRubric: callScorecardService.defaultRubricId,
+    rubrics: callScorecardService.listRubrics()
+  }));
 });
 
-export default router;
\ No newline at end of file
+/**
+ * Post-call summary and scorecard
+ * Query: rubric (default: the configured default rubric), regenerate=true to
+ * rescore from the stored transcript. Calls without a scorecard are scored
+ * from their stored transcript on first request. Reps only see their own calls.
+ */
+router.get('/api/calls/:callSid/summary', authenticateToken, async (req, res) => {
+  try {
+    const { callSid } = req.params;
+    if (!(await callScorecardService.canAccessCall(callSid, req.user))) {
+      return res.status(404).json(commonErrors.notFound('Call'));
+    }
+
+    const rubric = callScorecardService.getRubric(req.query.rubric || undefined);
+    if (!rubric) {
+      return res.status(400).json(errorResponse('UNKNOWN_RUBRIC', `Unknown rubric "${req.query.rubric}"`, {
+        rubrics: callScorecardService.listRubrics().map(({ id }) => id)
+      }, 400));
+    }
+
+    const regenerate = req.query.regenerate === 'true';
+    let scorecard = regenerate ? null : await callScorecardService.getScorecard(callSid, rubric.id);
+    if (!scorecard) {
+      // A live scorecard is kept when there is no transcript to rescore from
+      scorecard = await callScorecardService.scoreStoredTranscript(callSid, rubric) ||
+        (regenerate ? await callScorecardService.getScorecard(callSid, rubric.id) : null);
+    }
+    const summary = await callScorecardService.getCallSummary(callSid);
+
+    if (!scorecard && !summary) {
+      return res.status(404).json(commonErrors.notFound('Call summary'));
+    }
+
+    res.json(successResponse({ callSid, summary, scorecard }));
+  } catch (error) {
+    logger.error('Error getting call summary:', error);
+    res.status(500).json(commonErrors.serverError(error.message));
+  }
+});
+
+export default router;
@@ -0,0 +1,230 @@
+import express from 'express';
+
+import { successResponse, errorResponse, commonErrors } from '../utils/responseHelpers.js';
+import logger from '../utils/logger.js';
+import { authenticateToken } from '../middleware/unifiedAuth.js';
+import coachingTriggerEngine from '../services/coachingTriggerEngine.js';
+import { CONTEXT_FIELDS, RULE_LIMITS, validateRule } from '../services/coachingRuleDsl.js';
+
+const router = express.Router();
+
+const MAX_DRY_RUN_UTTERANCES = 2000;
+
+router.use(authenticateToken);
+
+function isAdmin(user) {
+  return !!user?.email && user.email === process.env.ADMIN_EMAIL;
+}
+
+// Only the trigger's author (or the platform admin) may change it
+function canManage(user, trigger) {
+  return trigger.createdBy === user?.id || isAdmin(user);
+}
+
+/**
+ * List custom coaching triggers
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(successResponse(await coachingTriggerEngine.listCustomTriggers()));
+  } catch (error) {
+    logger.error('Error listing coaching triggers:', error);
+    res.status(500).json(commonErrors.serverError(error.message));
+  }
+});
+
+/**
+ * Rule language reference: fields, operators and limits
+ */
+router.get('/schema', (req, res) => {
+  res.json(successResponse({
+    fields: CONTEXT_FIELDS,
+    operators: { number: ['>', '>=', '<', '<=', '==', '!=', 'between'], string: ['==', '!=', 'in'] },
+    nodes: ['all', 'any', 'not', 'keyword', 'regex', 'window'],
+    limits: RULE_LIMITS
+  }));
+});
+
+/**
+ * Validate a draft rule without saving it
+ */
+router.post('/validate', (req, res) => {
+  res.json(successResponse(validateRule(req.body.rule)));
+});
+
+/**
+ * Replay a stored (or inline) transcript against a draft rule
+ * Body: { rule, cooldown?, transcriptionId | callSid | utterances: [{ speaker, text, offsetSeconds }] }
+ * Stored transcripts are limited to the rep's own calls (any call for the admin).
+ */
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { rule, cooldown = 0, transcriptionId, callSid, utterances: inline } = req.body;
+
+    const { valid, errors } = validateRule(rule);
+    if (!valid) {
+      return res.status(400).json(commonErrors.validation(errors));
+    }
+
+    let utterances = inline;
+    if (!utterances) {
+      if (!transcriptionId && !callSid) {
+        return res.status(400).json(commonErrors.badRequest('Provide transcriptionId, callSid or utterances'));
+      }
+      utterances = await coachingTriggerEngine.loadStoredTranscript({
+        transcriptionId,
+        callSid,
+        userId: isAdmin(req.user) ? null : req.user.id
+      });
+      if (!utterances) {
+        return res.status(404).json(commonErrors.notFound('Transcript'));
+      }
+    }
+
+    if (!Array.isArray(utterances) || utterances.some(item => typeof item?.text !== 'string')) {
+      return res.status(400).json(commonErrors.badRequest('utterances must be an array of { speaker, text, offsetSeconds }'));
+    }
+    if (utterances.length > MAX_DRY_RUN_UTTERANCES) {
+      return res.status(400).json(commonErrors.badRequest(`At most ${MAX_DRY_RUN_UTTERANCES} utterances per dry run`));
+    }
+
+    res.json(successResponse(coachingTriggerEngine.dryRun(rule, utterances, { cooldown: Number(cooldown) || 0 })));
+  } catch (error) {
+    logger.error('Error running coaching trigger dry run:', error);
+    res.status(500).json(commonErrors.serverError(error.message));
+  }
+});
+
+/**
+ * Trigger activity, broken down by trigger, rep and session
+ * Query: timeframe (24h | 7d), repId, sessionId
+ * Reps only see their own activity; the admin may ask for any rep or all of them.
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const { timeframe = '24h', sessionId } = req.query;
+    let { repId } = req.query;
+
+    if (!isAdmin(req.user)) {
+      if (repId && repId !== req.user.id) {
+        return res.status(403).json(commonErrors.notAuthorized());
+      }
+      repId = req.user.id;
+    }
+
+    res.json(successResponse(await coachingTriggerEngine.getTriggerStats(timeframe, { repId, sessionId })));
+  } catch (error) {
+    logger.error('Error loading coaching trigger stats:', error);
+    res.status(500).json(commonErrors.serverError(error.message));
+  }
+});
+
+/**
+ * The signed-in rep's coaching budget and per-trigger severity/cooldown overrides
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json(successResponse(await coachingTriggerEngine.getRepPreferences(req.user.id)));
+  } catch (error) {
+    logger.error('Error loading coaching preferences:', error);
+    res.status(500).json(commonErrors.serverError(error.message));
+  }
+});
+
+/**
+ * Body: { budgetPerMinute?, overrides?: { [triggerId]: { severity?, cooldown? } } }
+ */
+router.put('/preferences', async (req, res) => {
+  try {
+    const errors = coachingTriggerEngine.validatePreferences(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json(commonErrors.validation(errors));
+    }
+
+    const preferences = await coachingTriggerEngine.updateRepPreferences(req.user.id, req.body);
+    res.json(successResponse(preferences, 'Coaching preferences updated'));
+  } catch (error) {
+    logger.error('Error updating coaching preferences:', error);
+    res.status(500).json(errorResponse('PREFERENCES_UPDATE_ERROR', 'Failed to update coaching preferences', error.message, 500));
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const trigger = await coachingTriggerEngine.getCustomTrigger(req.params.id);
+    if (!trigger) {
+      return res.status(404).json(commonErrors.notFound('Trigger'));
+    }
+    res.json(successResponse(trigger));
+  } catch (error) {
+    logger.error('Error loading coaching trigger:', error);
+    res.status(500).json(commonErrors.serverError(error.message));
+  }
+});
+
+/**
+ * Create a custom trigger (admin only: triggers fire on every rep's calls)
+ * Body: { name, rule, message, severity?, cooldown?, isActive? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json(commonErrors.notAuthorized());
+    }
+
+    const input = { ...req.body, id: undefined };
+    const errors = coachingTriggerEngine.validateTrigger(input);
+    if (errors.length > 0) {
+      return res.status(400).json(commonErrors.validation(errors));
+    }
+
+    const trigger = await coachingTriggerEngine.createCustomTrigger(input, req.user.id);
+    res.status(201).json(successResponse(trigger, 'Coaching trigger created'));
+  } catch (error) {
+    logger.error('Error creating coaching trigger:', error);
+    res.status(500).json(errorResponse('TRIGGER_CREATE_ERROR', 'Failed to create coaching trigger', error.message, 500));
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const existing = await coachingTriggerEngine.getCustomTrigger(req.params.id);
+    if (!existing) {
+      return res.status(404).json(commonErrors.notFound('Trigger'));
+    }
+    if (!canManage(req.user, existing)) {
+      return res.status(403).json(commonErrors.notAuthorized());
+    }
+
+    const errors = coachingTriggerEngine.validateTrigger(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json(commonErrors.validation(errors));
+    }
+
+    const trigger = await coachingTriggerEngine.updateCustomTrigger(req.params.id, req.body);
+    res.json(successResponse(trigger, 'Coaching trigger updated'));
+  } catch (error) {
+    logger.error('Error updating coaching trigger:', error);
+    res.status(500).json(errorResponse('TRIGGER_UPDATE_ERROR', 'Failed to update coaching trigger', error.message, 500));
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await coachingTriggerEngine.getCustomTrigger(req.params.id);
+    if (!existing) {
+      return res.status(404).json(commonErrors.notFound('Trigger'));
+    }
+    if (!canManage(req.user, existing)) {
+      return res.status(403).json(commonErrors.notAuthorized());
+    }
+
+    await coachingTriggerEngine.deleteCustomTrigger(req.params.id);
+    res.json(successResponse({ id: req.params.id }, 'Coaching trigger deleted'));
+  } catch (error) {
+    logger.error('Error deleting coaching trigger:', error);
+    res.status(500).json(errorResponse('TRIGGER_DELETE_ERROR', 'Failed to delete coaching trigger', error.message, 500));
+  }
+});
+
+export default router;
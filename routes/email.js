@@ -6,10 +6,36 @@ import {
   createCampaign, 
   getEmailStats 
 } from '../services/emailService.js';
+import campaignScheduler from '../services/emailCampaigns/scheduler.js';
+import sequenceEngine from '../services/emailCampaigns/sequenceEngine.js';
+import emailTemplateStore from '../services/emailTemplates/templateStore.js';
 import { successResponse, errorResponse } from '../utils/responseHelpers.js';
 
 const router = express.Router();
 
+const CAMPAIGN_ERROR_STATUS = {
+  INVALID_CAMPAIGN: 400,
+  CAMPAIGN_NOT_FOUND: 404,
+  CAMPAIGN_STATE: 409
+};
+
+const SEQUENCE_ERROR_STATUS = {
+  INVALID_SEQUENCE: 400,
+  SEQUENCE_NOT_FOUND: 404,
+  ENROLLMENT_NOT_FOUND: 404
+};
+
+const TEMPLATE_ERROR_STATUS = {
+  INVALID_TEMPLATE: 400,
+  TEMPLATE_NOT_FOUND: 404,
+  TEMPLATE_EXISTS: 409
+};
+
+function templateErrorResponse(res, error, message) {
+  const status = TEMPLATE_ERROR_STATUS[error.code] || 500;
+  res.status(status).json(errorResponse(error.code || 'TEMPLATE_ERROR', message, error.details || error.message, status));
+}
+
 // Middleware to check authentication
 const requireAuth = (req, res, next) => {
   if (!req.session?.user?.id) {
@@ -91,6 +117,8 @@ router.post('/campaign', requireAuth, async (req, res) => {
       recipients,
       subject,
       htmlTemplate,
+      textTemplate,
+      from,
       schedule
     } = req.body;
 
@@ -103,6 +131,8 @@ router.post('/campaign', requireAuth, async (req, res) => {
       recipients,
       subject,
       htmlTemplate,
+      textTemplate,
+      from,
       schedule,
       userId: req.session.user.id
     });
@@ -110,7 +140,195 @@ router.post('/campaign', requireAuth, async (req, res) => {
     res.json(successResponse({ campaign }, 'Email campaign created successfully'));
   } catch (error) {
     console.error('Campaign creation error:', error);
-    res.status(500).json(errorResponse('CAMPAIGN_ERROR', 'Failed to create email campaign', error.message, 500));
+    const status = CAMPAIGN_ERROR_STATUS[error.code] || 500;
+    res.status(status).json(errorResponse(error.code || 'CAMPAIGN_ERROR', 'Failed to create email campaign', error.message, status));
+  }
+});
+
+// Campaign progress, with send counts by status
+router.get('/campaign/:id', requireAuth, async (req, res) => {
+  try {
+    const campaign = await campaignScheduler.getCampaign(req.params.id, req.session.user.id);
+    if (!campaign) {
+      return res.status(404).json(errorResponse('CAMPAIGN_NOT_FOUND', 'Campaign not found', null, 404));
+    }
+    res.json(successResponse({ campaign }));
+  } catch (error) {
+    console.error('Campaign lookup error:', error);
+    res.status(500).json(errorResponse('CAMPAIGN_ERROR', 'Failed to get email campaign', error.message, 500));
+  }
+});
+
+// Every recipient's send state, per step
+router.get('/campaign/:id/sends', requireAuth, async (req, res) => {
+  try {
+    const sends = await campaignScheduler.listSends(req.params.id, req.session.user.id);
+    if (!sends) {
+      return res.status(404).json(errorResponse('CAMPAIGN_NOT_FOUND', 'Campaign not found', null, 404));
+    }
+    res.json(successResponse({ sends }));
+  } catch (error) {
+    console.error('Campaign sends error:', error);
+    res.status(500).json(errorResponse('CAMPAIGN_ERROR', 'Failed to get campaign sends', error.message, 500));
+  }
+});
+
+// Pause, resume or cancel a campaign
+for (const action of ['pause', 'resume', 'cancel']) {
+  router.post(`/campaign/:id/${action}`, requireAuth, async (req, res) => {
+    try {
+      const campaign = await campaignScheduler[action](req.params.id, req.session.user.id);
+      res.json(successResponse({ campaign }, `Campaign ${campaign.status}`));
+    } catch (error) {
+      console.error(`Campaign ${action} error:`, error);
+      const status = CAMPAIGN_ERROR_STATUS[error.code] || 500;
+      res.status(status).json(errorResponse(error.code || 'CAMPAIGN_ERROR', `Failed to ${action} email campaign`, error.message, status));
+    }
+  });
+}
+
+// Create a drip sequence
+router.post('/sequences', requireAuth, async (req, res) => {
+  try {
+    const sequence = await sequenceEngine.createSequence(req.session.user.id, req.body);
+    res.json(successResponse({ sequence }, 'Email sequence created successfully'));
+  } catch (error) {
+    console.error('Sequence creation error:', error);
+    const status = SEQUENCE_ERROR_STATUS[error.code] || 500;
+    res.status(status).json(errorResponse(error.code || 'SEQUENCE_ERROR', 'Failed to create email sequence', error.details || error.message, status));
+  }
+});
+
+router.get('/sequences', requireAuth, async (req, res) => {
+  try {
+    const sequences = await sequenceEngine.listSequences(req.session.user.id);
+    res.json(successResponse({ sequences }));
+  } catch (error) {
+    console.error('Sequence list error:', error);
+    res.status(500).json(errorResponse('SEQUENCE_ERROR', 'Failed to list email sequences', error.message, 500));
+  }
+});
+
+// Sequence with enrollment counts and per-step, per-variant results
+router.get('/sequences/:id', requireAuth, async (req, res) => {
+  try {
+    const sequence = await sequenceEngine.getSequence(req.params.id, req.session.user.id);
+    if (!sequence) {
+      return res.status(404).json(errorResponse('SEQUENCE_NOT_FOUND', 'Sequence not found', null, 404));
+    }
+    res.json(successResponse({ sequence }));
+  } catch (error) {
+    console.error('Sequence lookup error:', error);
+    res.status(500).json(errorResponse('SEQUENCE_ERROR', 'Failed to get email sequence', error.message, 500));
+  }
+});
+
+// Enroll contacts: { contacts: [{ email, ...fields }], startAt? }
+router.post('/sequences/:id/enroll', requireAuth, async (req, res) => {
+  try {
+    const { contacts, startAt } = req.body;
+    const results = await sequenceEngine.enroll(req.params.id, req.session.user.id, contacts, { startAt });
+    res.json(successResponse({ results }, `Enrolled ${results.filter(result => result.enrolled).length} contacts`));
+  } catch (error) {
+    console.error('Sequence enroll error:', error);
+    const status = SEQUENCE_ERROR_STATUS[error.code] || 500;
+    res.status(status).json(errorResponse(error.code || 'SEQUENCE_ERROR', 'Failed to enroll contacts', error.message, status));
+  }
+});
+
+router.get('/sequences/:id/enrollments', requireAuth, async (req, res) => {
+  try {
+    const enrollments = await sequenceEngine.listEnrollments(req.params.id, req.session.user.id);
+    if (!enrollments) {
+      return res.status(404).json(errorResponse('SEQUENCE_NOT_FOUND', 'Sequence not found', null, 404));
+    }
+    res.json(successResponse({ enrollments }));
+  } catch (error) {
+    console.error('Sequence enrollments error:', error);
+    res.status(500).json(errorResponse('SEQUENCE_ERROR', 'Failed to get sequence enrollments', error.message, 500));
+  }
+});
+
+// Take a contact out of a sequence
+router.delete('/sequences/:id/enrollments/:email', requireAuth, async (req, res) => {
+  try {
+    const enrollment = await sequenceEngine.unenroll(req.params.id, req.session.user.id, req.params.email);
+    res.json(successResponse({ enrollment }, 'Contact unenrolled'));
+  } catch (error) {
+    console.error('Sequence unenroll error:', error);
+    const status = SEQUENCE_ERROR_STATUS[error.code] || 500;
+    res.status(status).json(errorResponse(error.code || 'SEQUENCE_ERROR', 'Failed to unenroll contact', error.message, status));
+  }
+});
+
+// Save a template, layout or partial: { name, kind?, subject, html, text?, layout?, sample? }
+router.post('/templates', requireAuth, async (req, res) => {
+  try {
+    const template = await emailTemplateStore.createTemplate(req.session.user.id, req.body);
+    res.json(successResponse({ template }, 'Email template created successfully'));
+  } catch (error) {
+    console.error('Template creation error:', error);
+    templateErrorResponse(res, error, 'Failed to create email template');
+  }
+});
+
+router.get('/templates', requireAuth, async (req, res) => {
+  try {
+    const templates = await emailTemplateStore.listTemplates(req.session.user.id, { kind: req.query.kind });
+    res.json(successResponse({ templates }));
+  } catch (error) {
+    console.error('Template list error:', error);
+    templateErrorResponse(res, error, 'Failed to list email templates');
+  }
+});
+
+// Current version, or ?version=N
+router.get('/templates/:id', requireAuth, async (req, res) => {
+  try {
+    const template = await emailTemplateStore.getTemplate(req.params.id, req.session.user.id, { version: req.query.version });
+    if (!template) {
+      return res.status(404).json(errorResponse('TEMPLATE_NOT_FOUND', 'Template not found', null, 404));
+    }
+    res.json(successResponse({ template }));
+  } catch (error) {
+    console.error('Template lookup error:', error);
+    templateErrorResponse(res, error, 'Failed to get email template');
+  }
+});
+
+// Save changes as a new version
+router.put('/templates/:id', requireAuth, async (req, res) => {
+  try {
+    const template = await emailTemplateStore.updateTemplate(req.params.id, req.session.user.id, req.body);
+    res.json(successResponse({ template }, `Saved as version ${template.version}`));
+  } catch (error) {
+    console.error('Template update error:', error);
+    templateErrorResponse(res, error, 'Failed to update email template');
+  }
+});
+
+router.get('/templates/:id/versions', requireAuth, async (req, res) => {
+  try {
+    const versions = await emailTemplateStore.listVersions(req.params.id, req.session.user.id);
+    if (!versions) {
+      return res.status(404).json(errorResponse('TEMPLATE_NOT_FOUND', 'Template not found', null, 404));
+    }
+    res.json(successResponse({ versions }));
+  } catch (error) {
+    console.error('Template versions error:', error);
+    templateErrorResponse(res, error, 'Failed to get template versions');
+  }
+});
+
+// Render against a sample contact: { contact?, version? }; lint lists variables the contact lacks
+router.post('/templates/:id/preview', requireAuth, async (req, res) => {
+  try {
+    const { contact, version } = req.body || {};
+    const preview = await emailTemplateStore.preview(req.params.id, req.session.user.id, { contact, version });
+    res.json(successResponse({ preview }));
+  } catch (error) {
+    console.error('Template preview error:', error);
+    templateErrorResponse(res, error, 'Failed to preview email template');
   }
 });
 
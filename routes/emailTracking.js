@@ -0,0 +1,45 @@
+import express from 'express';
+
+import emailGateway from '../services/emailGateway/index.js';
+import { TRACKING_PIXEL } from '../services/emailGateway/tracking.js';
+import logger from '../utils/logger.js';
+import { errorResponse } from '../utils/responseHelpers.js';
+
+const router = express.Router();
+
+// Opens and clicks come from recipients' mail clients, so these routes take no
+// session; the signed token is what identifies the message.
+function record(trackingId, type, req, url = null) {
+  emailGateway.recordEngagement(trackingId, type, { method: req.method, headers: req.headers, url })
+    .catch(error => logger.error(`Email tracking: failed to record ${type}:`, error));
+}
+
+// Open pixel
+router.get('/open/:token.gif', (req, res) => {
+  const payload = emailGateway.tracking.verify(req.params.token);
+  if (payload) {
+    record(payload.trackingId, 'open', req);
+  }
+
+  // Always answer with the image so mail clients never show a broken one
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Expires: '0'
+  });
+  res.send(TRACKING_PIXEL);
+});
+
+// Tracked link: count the click and send the reader on to the original URL
+router.get('/click/:token', (req, res) => {
+  const payload = emailGateway.tracking.verify(req.params.token);
+  if (!payload?.url) {
+    return res.status(404).json(errorResponse('INVALID_TRACKING_LINK', 'This link is invalid or has been altered', null, 404));
+  }
+
+  record(payload.trackingId, 'click', req, payload.url);
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, payload.url);
+});
+
+export default router;
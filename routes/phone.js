@@ -3,7 +3,11 @@ import { createClient } from '@supabase/supabase-js';
 
 import { authenticateUser } from '../middleware/unifiedAuth.js';
 import julieAI from '../services/julieAI.js';
+import callerMemoryStore from '../services/julie/callerMemory.js';
+import escalationService from '../services/julie/escalations.js';
+import practiceProfileStore, { greetingFor, normalizePhoneNumber, validateProfile } from '../services/julie/practiceProfiles.js';
 import WebRTCVoiceService from '../services/webrtcVoiceService.js';
+import { getWebhookBaseUrl, validateTwilioSignature } from '../twilio_service.js';
 import { successResponse, errorResponse } from '../utils/responseHelpers.js';
 
 const router = express.Router();
@@ -43,6 +47,31 @@ router.get('/health', (req, res) => {
   }));
 });
 
+// Practice names in profiles are admin-entered text going into TwiML
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Practice profiles and escalations are managed by the platform admin only
+const requireAdmin = (req, res, next) => {
+  if (req.user?.email !== process.env.ADMIN_EMAIL) {
+    return res.status(403).json(errorResponse('NOT_AUTHORIZED', 'Admin access required', null, 403));
+  }
+  next();
+};
+
+// Webhooks Julie hands to Twilio act on calls and pages, so only Twilio may call them.
+// Twilio signs the URL it was given, which is built from the webhook base URL.
+const requireTwilioSignature = (req, res, next) => {
+  const url = `${getWebhookBaseUrl()}${req.originalUrl}`;
+  if (!validateTwilioSignature(req.get('X-Twilio-Signature'), url, req.body || {})) {
+    return res.status(403).send('Forbidden');
+  }
+  next();
+};
+
 // Middleware to check phone system configuration
 const checkPhoneSystemConfig = (req, res, next) => {
   const sb = getSupabase();
@@ -241,7 +270,7 @@ router.post('/webhooks/twilio/voice', async (req, res) => {
   }
 });
 
-router.post('/webhooks/twilio/sms', async (req, res) => {
+router.post('/webhooks/twilio/sms', requireTwilioSignature, async (req, res) => {
   try {
     const { MessageSid, From, To, Body, MessageStatus } = req.body;
     
@@ -255,6 +284,9 @@ router.post('/webhooks/twilio/sms', async (req, res) => {
         direction: 'inbound',
         status: MessageStatus
       });
+      
+      // On-call doctors acknowledge Julie's pages by replying
+      await escalationService.handleInboundSms(From, Body);
     }
     
     res.sendStatus(200);
@@ -288,8 +320,8 @@ router.post('/webhooks/voipms/sms', async (req, res) => {
 // Julie AI Voice Assistant Routes
 router.post('/julie/start-session', async (req, res) => {
   try {
-    const { callSid, phoneNumber } = req.body;
-    const connection = await julieAI.startSession(callSid, phoneNumber);
+    const { callSid, phoneNumber, dialedNumber } = req.body;
+    await julieAI.startSession(callSid, phoneNumber, dialedNumber);
     res.json(successResponse({ 
       sessionId: callSid,
       status: 'started' 
@@ -336,17 +368,26 @@ router.get('/julie/session/:callSid', authenticateUser, async (req, res) => {
   try {
     const { callSid } = req.params;
     const session = julieAI.getSession(callSid);
+    // The escalation audit trail outlives the call
+    const escalations = await escalationService.listForCall(callSid);
     
-    if (!session) {
+    if (!session && escalations.length === 0) {
       return res.status(404).json(errorResponse('NOT_FOUND', 'Session not found', null, 404));
     }
     
     res.json(successResponse({ 
       callSid,
-      phoneNumber: session.phoneNumber,
-      duration: Math.floor((new Date() - session.startTime) / 1000),
-      stage: session.connection.context.conversationStage,
-      patientInfo: session.connection.context.patientInfo
+      active: !!session,
+      ...(session && {
+        phoneNumber: session.phoneNumber,
+        practiceId: session.context.profile.id,
+        duration: Math.floor((Date.now() - session.startTime) / 1000),
+        stage: session.context.currentStage,
+        patientInfo: session.context.patientInfo,
+        returningCaller: !!session.context.history,
+        triage: session.context.triage?.result() || null
+      }),
+      escalations
     }));
   } catch (error) {
     console.error('Error getting session details:', error);
@@ -354,20 +395,119 @@ router.get('/julie/session/:callSid', authenticateUser, async (req, res) => {
   }
 });
 
+// Acknowledge an emergency page from the dashboard
+router.post('/julie/escalations/:id/acknowledge', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const escalation = await escalationService.acknowledge(req.params.id, {
+      name: req.user.email,
+      via: 'dashboard'
+    });
+    
+    if (!escalation) {
+      return res.status(404).json(errorResponse('NOT_FOUND', 'Escalation not found', null, 404));
+    }
+    res.json(successResponse({ escalation }, 'Escalation acknowledged'));
+  } catch (error) {
+    console.error('Error acknowledging escalation:', error);
+    res.status(500).json(errorResponse('ACKNOWLEDGE_ERROR', 'Failed to acknowledge escalation', error.message, 500));
+  }
+});
+
+// Julie practice profiles (selected by the dialed number)
+router.get('/julie/profiles', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.json(successResponse({ profiles: await practiceProfileStore.listProfiles() }));
+  } catch (error) {
+    console.error('Error listing practice profiles:', error);
+    res.status(500).json(errorResponse('FETCH_ERROR', 'Failed to list practice profiles', error.message, 500));
+  }
+});
+
+router.get('/julie/profiles/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const profile = await practiceProfileStore.loadById(req.params.id);
+    if (!profile) {
+      return res.status(404).json(errorResponse('NOT_FOUND', 'Practice profile not found', null, 404));
+    }
+    res.json(successResponse(profile));
+  } catch (error) {
+    console.error('Error getting practice profile:', error);
+    res.status(500).json(errorResponse('FETCH_ERROR', 'Failed to get practice profile', error.message, 500));
+  }
+});
+
+// Create or replace a profile; live calls pick it up on their next turn
+router.put('/julie/profiles/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    if (!/^[a-z0-9-]{1,64}$/.test(req.params.id)) {
+      return res.status(400).json(errorResponse('VALIDATION_ERROR', 'Profile id must be lowercase letters, digits and dashes', null, 400));
+    }
+    const errors = validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json(errorResponse('VALIDATION_ERROR', 'Invalid practice profile', errors, 400));
+    }
+
+    const profile = await practiceProfileStore.saveProfile(req.params.id, req.body, { updatedBy: req.user.email });
+    res.json(successResponse(profile, 'Practice profile saved'));
+  } catch (error) {
+    if (error.code === 'NUMBER_IN_USE') {
+      return res.status(409).json(errorResponse('NUMBER_IN_USE', error.message, null, 409));
+    }
+    console.error('Error saving practice profile:', error);
+    res.status(500).json(errorResponse('SAVE_ERROR', 'Failed to save practice profile', error.message, 500));
+  }
+});
+
+router.delete('/julie/profiles/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    await practiceProfileStore.deleteProfile(req.params.id);
+    res.json(successResponse({ id: req.params.id }, 'Practice profile deleted'));
+  } catch (error) {
+    console.error('Error deleting practice profile:', error);
+    res.status(500).json(errorResponse('DELETE_ERROR', 'Failed to delete practice profile', error.message, 500));
+  }
+});
+
+// What Julie remembers about a caller (?practiceId= narrows it to one practice)
+router.get('/julie/callers/:phoneNumber/memory', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const calls = await callerMemoryStore.loadCalls({
+      practiceId: req.query.practiceId || null,
+      phone: normalizePhoneNumber(req.params.phoneNumber)
+    });
+    res.json(successResponse({ phoneNumber: req.params.phoneNumber, calls }));
+  } catch (error) {
+    console.error('Error loading caller memory:', error);
+    res.status(500).json(errorResponse('FETCH_ERROR', 'Failed to load caller memory', error.message, 500));
+  }
+});
+
+router.delete('/julie/callers/:phoneNumber/memory', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await callerMemoryStore.forget(req.params.phoneNumber, req.query.practiceId || null);
+    res.json(successResponse({ phoneNumber: req.params.phoneNumber, deleted }, 'Caller memory deleted'));
+  } catch (error) {
+    console.error('Error deleting caller memory:', error);
+    res.status(500).json(errorResponse('DELETE_ERROR', 'Failed to delete caller memory', error.message, 500));
+  }
+});
+
 // Twilio webhook for Julie AI integration
 router.post('/webhooks/julie/incoming-call', async (req, res) => {
   try {
     const { CallSid, From, To } = req.body;
     
-    // Start Julie AI session for incoming call
-    await julieAI.startSession(CallSid, From);
+    // Start Julie AI session for the practice that owns the dialed number
+    const connection = await julieAI.startSession(CallSid, From, To);
+    const greeting = escapeXml(greetingFor(connection.context.profile));
+    const statusUrl = escapeXml(`${getWebhookBaseUrl()}/api/phone/webhooks/julie/call-status`);
     
-    // Generate TwiML response that starts Julie AI
+    // Generate TwiML response that starts Julie AI; the stream reports when the call ends
     const response = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-    <Say voice="alice">Thank you for calling Dr. Pedro's office. This is Julie. How can I help you today?</Say>
+    <Say voice="alice">${greeting}</Say>
     <Start>
-        <Stream url="wss://${req.get('host')}/api/julie/stream/${CallSid}" />
+        <Stream url="wss://${req.get('host')}/api/julie/stream/${CallSid}" statusCallback="${statusUrl}" />
     </Start>
     <Pause length="30"/>
 </Response>`;
@@ -379,6 +519,45 @@ router.post('/webhooks/julie/incoming-call', async (req, res) => {
   }
 });
 
+// Twilio reports the end of a Julie call: the stream stopping (set in the TwiML above)
+// or the call completing (when the number's status callback points here)
+router.post('/webhooks/julie/call-status', requireTwilioSignature, async (req, res) => {
+  try {
+    const { CallSid, CallStatus, StreamEvent } = req.body;
+    const ended = StreamEvent === 'stream-stopped' ||
+      ['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(CallStatus);
+    
+    if (CallSid && ended) {
+      await julieAI.endSession(CallSid);
+    }
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Julie call status webhook error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Twilio webhook for on-call doctors pressing 1 on a page call
+router.post('/webhooks/julie/escalations/:id/voice-ack', requireTwilioSignature, async (req, res) => {
+  try {
+    const { Digits, To } = req.body;
+    let message = 'We did not get that. We will try you again shortly.';
+    
+    if (Digits === '1') {
+      const escalation = await escalationService.acknowledge(req.params.id, { phone: To, via: 'voice' });
+      message = escalation ? 'Thank you. The page is acknowledged.' : 'This page is no longer active.';
+    }
+    
+    res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say voice="alice">${escapeXml(message)}</Say>
+</Response>`);
+  } catch (error) {
+    console.error('Julie escalation voice webhook error:', error);
+    res.status(500).send('Error');
+  }
+});
+
 // WebRTC Voice Call Routes
 router.post('/webrtc/start-session', async (req, res) => {
   try {
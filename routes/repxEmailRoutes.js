@@ -1,6 +1,6 @@
 import express from 'express';
 import { authenticateToken, requireTier } from '../middleware/unifiedAuth.js';
-import repxEmailService from '../services/repxEmailService.js';
+import emailGateway, { EMAIL_ERROR_STATUS } from '../services/emailGateway/index.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -17,7 +17,7 @@ router.post('/send', authenticateToken, requireTier('repx2'), async (req, res) =
       });
     }
 
-    const result = await repxEmailService.sendEmail({
+    const result = await emailGateway.send({
       userId,
       to,
       subject,
@@ -27,14 +27,12 @@ router.post('/send', authenticateToken, requireTier('repx2'), async (req, res) =
       attachments
     });
 
-    res.json({
-      success: true,
-      ...result
-    });
+    res.json(result);
   } catch (error) {
     logger.error('Email send error:', error);
-    res.status(400).json({
-      error: error.message || 'Failed to send email'
+    res.status(EMAIL_ERROR_STATUS[error.code] || 400).json({
+      error: error.message || 'Failed to send email',
+      code: error.code
     });
   }
 });
@@ -52,8 +50,8 @@ router.post('/send-bulk', authenticateToken, requireTier('repx4'), async (req, r
     }
 
     // Check if user has unlimited email (RepX4+)
-    const emailConfig = await repxEmailService.getUserEmailConfig(userId);
-    if (!emailConfig.useVultr) {
+    const emailConfig = await emailGateway.getUserEmailConfig(userId);
+    if (!emailConfig.unlimited) {
       return res.status(403).json({
         error: 'Bulk email requires RepX4 or higher subscription',
         currentTier: emailConfig.tier
@@ -63,16 +61,16 @@ router.post('/send-bulk', authenticateToken, requireTier('repx4'), async (req, r
     // Send emails in batches
     const results = [];
     const batchSize = 10;
-    
+
     for (let i = 0; i < recipients.length; i += batchSize) {
       const batch = recipients.slice(i, i + batchSize);
       const batchResults = await Promise.allSettled(
-        batch.map(recipient => 
-          repxEmailService.sendEmail({
+        batch.map(recipient =>
+          emailGateway.send({
             userId,
             to: recipient.email || recipient,
             subject,
-            html: html.replace(/\{\{name\}\}/g, recipient.name || ''),
+            html: html?.replace(/\{\{name\}\}/g, recipient.name || ''),
             text: text?.replace(/\{\{name\}\}/g, recipient.name || ''),
             replyTo
           })
@@ -103,13 +101,7 @@ router.post('/send-bulk', authenticateToken, requireTier('repx4'), async (req, r
 router.get('/stats', authenticateToken, requireTier('repx2'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const stats = await repxEmailService.getEmailStats(userId);
-
-    if (!stats) {
-      return res.status(500).json({
-        error: 'Failed to retrieve email statistics'
-      });
-    }
+    const stats = await emailGateway.getUserStats(userId);
 
     res.json(stats);
   } catch (error) {
@@ -124,21 +116,21 @@ router.get('/stats', authenticateToken, requireTier('repx2'), async (req, res) =
 router.get('/quota', authenticateToken, requireTier('repx2'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const emailConfig = await repxEmailService.getUserEmailConfig(userId);
-    
-    if (emailConfig.tier === 'repx0') {
+    const emailConfig = await emailGateway.getUserEmailConfig(userId);
+
+    if (!emailConfig.emailAccess) {
       return res.json({
         allowed: false,
         message: 'Email access requires RepX1 or higher subscription',
-        tier: 'repx0'
+        tier: emailConfig.tier
       });
     }
 
-    const quota = await repxEmailService.checkEmailQuota(userId, emailConfig);
+    const quota = await emailGateway.checkQuota(userId, emailConfig);
 
     res.json({
       tier: emailConfig.tier,
-      unlimited: emailConfig.useVultr,
+      unlimited: emailConfig.unlimited,
       ...quota
     });
   } catch (error) {
@@ -149,7 +141,7 @@ router.get('/quota', authenticateToken, requireTier('repx2'), async (req, res) =
   }
 });
 
-// Test SMTP connection (admin only)
+// Test transport connections (admin only)
 router.get('/test-smtp', authenticateToken, async (req, res) => {
   try {
     // Check if user is admin
@@ -159,28 +151,15 @@ router.get('/test-smtp', authenticateToken, async (req, res) => {
       });
     }
 
-    const vultrStatus = repxEmailService.vultrTransporter ? 
-      await repxEmailService.vultrTransporter.verify() : false;
-    
-    const sendgridStatus = !!repxEmailService.sendgridClient;
+    const status = await emailGateway.getStatus({ verify: true });
 
-    res.json({
-      vultr: {
-        configured: !!repxEmailService.vultrTransporter,
-        connected: vultrStatus,
-        host: process.env.VULTR_SMTP_HOST
-      },
-      sendgrid: {
-        configured: sendgridStatus,
-        from: process.env.SENDGRID_FROM_EMAIL
-      }
-    });
+    res.json(status);
   } catch (error) {
     logger.error('SMTP test error:', error);
     res.status(500).json({
-      error: 'Failed to test SMTP connections'
+      error: 'Failed to test email transports'
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
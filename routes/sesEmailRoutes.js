@@ -1,5 +1,6 @@
 import express from 'express';
 import { authenticateToken, requireTier } from '../middleware/unifiedAuth.js';
+import emailGateway, { EMAIL_ERROR_STATUS } from '../services/emailGateway/index.js';
 import sesEmailService from '../services/sesEmailService.js';
 import logger from '../utils/logger.js';
 
@@ -9,15 +10,16 @@ const router = express.Router();
 router.post('/send', authenticateToken, requireTier('repx2'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const result = await sesEmailService.sendEmail({
+    const result = await emailGateway.send({
+      ...req.body,
       userId,
-      ...req.body
+      route: 'tier'
     });
     
     res.json(result);
   } catch (error) {
     logger.error('Email send error:', error);
-    res.status(400).json({
+    res.status(EMAIL_ERROR_STATUS[error.code] || 400).json({
       error: error.message,
       code: error.code
     });
@@ -43,15 +45,17 @@ router.post('/send-bulk', authenticateToken, requireTier('repx4'), async (req, r
   }
 });
 
-// Create email template
+// Save an email template (versioned in the template store) and publish it to SES for bulk sends
 router.post('/templates', authenticateToken, requireTier('repx2'), async (req, res) => {
   try {
-    const result = await sesEmailService.createEmailTemplate(req.body);
+    const result = await sesEmailService.createEmailTemplate(req.user.id, req.body);
     res.json(result);
   } catch (error) {
     logger.error('Template creation error:', error);
     res.status(400).json({
-      error: error.message
+      error: error.message,
+      code: error.code,
+      details: error.details
     });
   }
 });
@@ -74,8 +78,8 @@ router.get('/stats', authenticateToken, requireTier('repx2'), async (req, res) =
 router.get('/quota', authenticateToken, requireTier('repx2'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const emailConfig = await sesEmailService.getUserEmailConfig(userId);
-    const quota = await sesEmailService.checkEmailQuota(userId, emailConfig);
+    const emailConfig = await emailGateway.getUserEmailConfig(userId);
+    const quota = await emailGateway.checkQuota(userId, emailConfig);
     
     res.json({
       tier: emailConfig.tier,
@@ -145,7 +149,9 @@ router.post('/test', authenticateToken, requireTier('repx2'), async (req, res) =
     const userId = req.user.id;
     const testEmail = req.user.email;
     
-    const result = await sesEmailService.sendEmail({
+    const emailConfig = await emailGateway.getUserEmailConfig(userId);
+    
+    const result = await emailGateway.send({
       userId,
       to: testEmail,
       subject: 'RepSpheres Email Test',
@@ -153,11 +159,11 @@ router.post('/test', authenticateToken, requireTier('repx2'), async (req, res) =
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h2>Email Service Test</h2>
           <p>This is a test email from your RepSpheres account.</p>
-          <p>Your current tier: <strong>${result.tier}</strong></p>
+          <p>Your current tier: <strong>${emailConfig.tier}</strong></p>
           <p>If you received this email, your email service is working correctly!</p>
           <hr>
           <p style="color: #666; font-size: 12px;">
-            Sent via Amazon SES | Cost: ${result.cost}
+            Sent via ${emailConfig.transports.join(' / ') || 'the email gateway'}
           </p>
         </div>
       `,
@@ -173,8 +179,9 @@ router.post('/test', authenticateToken, requireTier('repx2'), async (req, res) =
     });
   } catch (error) {
     logger.error('Test email error:', error);
-    res.status(400).json({
-      error: error.message
+    res.status(EMAIL_ERROR_STATUS[error.code] || 400).json({
+      error: error.message,
+      code: error.code
     });
   }
 });
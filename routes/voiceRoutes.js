@@ -141,7 +141,7 @@ router.get('/agents/voice-enabled', authenticateToken, async (req, res) => {
 // Voice coaching session (for whisper feature)
 router.post('/coaching/start', authenticateToken, async (req, res) => {
   try {
-    const { repPhone, clientPhone } = req.body;
+    const { repId, repPhone, clientPhone } = req.body;
     const coachId = req.user.id;
     
     // Create Twilio conference with whisper
@@ -154,7 +154,9 @@ router.post('/coaching/start', authenticateToken, async (req, res) => {
     // Start real-time analysis
     const analyzer = await realtimeCallAnalyzer.startAnalysis({
       conferenceId: conference.sid,
+      callSid: conference.participants?.rep?.callSid,
       coachId,
+      repId,
       repPhone
     });
     
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Train and evaluate the objection or intent classifier on a labeled dataset
+ * Usage: node scripts/evaluate-classifier.js [--taxonomy=objection|intent] [--backend=keyword|bayes|logistic]
+ *        [--dataset=train.jsonl] [--test=test.jsonl] [--save=model.json]
+ * Datasets are JSONL, one { "text": "...", "label": "..." } per line. Without --test the
+ * training set is scored, which only shows how well the model fits its own examples.
+ * A model saved with --save can be loaded with OBJECTION_CLASSIFIER_MODEL / INTENT_CLASSIFIER_MODEL.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+  createClassifier,
+  DATASETS_DIR,
+  INTENT_TAXONOMY,
+  loadDataset,
+  OBJECTION_TAXONOMY
+} from '../services/textClassifier/index.js';
+
+const TAXONOMIES = {
+  objection: { taxonomy: OBJECTION_TAXONOMY, dataset: 'objections.jsonl' },
+  intent: { taxonomy: INTENT_TAXONOMY, dataset: 'intents.jsonl' }
+};
+
+const args = process.argv.slice(2);
+const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+const percent = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function main() {
+  const taxonomyName = option('taxonomy') || 'objection';
+  const spec = TAXONOMIES[taxonomyName];
+  if (!spec) {
+    throw new Error(`Unknown taxonomy "${taxonomyName}" (expected ${Object.keys(TAXONOMIES).join(' or ')})`);
+  }
+
+  const labels = Object.keys(spec.taxonomy.descriptions);
+  const backend = option('backend') || 'bayes';
+  const trainPath = option('dataset') || path.join(DATASETS_DIR, spec.dataset);
+  const training = loadDataset(trainPath, labels);
+  const testing = option('test') ? loadDataset(option('test'), labels) : training;
+
+  const classifier = createClassifier(spec.taxonomy, { name: taxonomyName, backend, dataset: training });
+  const report = classifier.evaluate(testing);
+
+  console.log(`\n🧪 ${taxonomyName} classifier (${backend}), trained on ${training.length} examples from ${trainPath}`);
+  console.log(`   Scored on ${option('test') || 'the training set'}: accuracy ${percent(report.accuracy)} over ${report.total} examples\n`);
+  console.log('   label        precision  recall  support');
+  for (const [label, stats] of Object.entries(report.labels)) {
+    console.log(`   ${label.padEnd(12)} ${percent(stats.precision)}    ${percent(stats.recall)}  ${String(stats.support).padStart(5)}`);
+  }
+
+  if (report.misses.length > 0) {
+    console.log('\n❌ Misclassified:');
+    report.misses.forEach(miss => console.log(`   [${miss.expected} → ${miss.predicted}] ${miss.text}`));
+  }
+
+  const savePath = option('save');
+  if (savePath) {
+    if (backend === 'keyword') {
+      throw new Error('Keyword classifiers have no model to save; edit textClassifier/taxonomies.js instead');
+    }
+    fs.writeFileSync(savePath, JSON.stringify(classifier.backend.toJSON()));
+    console.log(`\n💾 Model saved to ${savePath}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Replay a recorded call through the real-time analyzer and coaching triggers
+ * Usage: node scripts/replay-transcript.js --file=path/to/call.jsonl [--speed=10] [--rep-id=ID] [--rubric=ID] [--json]
+ *        node scripts/replay-transcript.js --transcription-id=UUID | --call-sid=CA...
+ * Without a source, the bundled price-objection fixture is replayed.
+ */
+
+import path from 'path';
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+async function main() {
+  // Services read their configuration on import, so load them after dotenv
+  const {
+    default: transcriptReplayer,
+    FIXTURES_DIR,
+    loadStoredTranscript,
+    loadTranscriptFile
+  } = await import('../services/transcriptReplay/index.js');
+
+  const transcriptionId = option('transcription-id');
+  const callSid = option('call-sid');
+  const file = option('file') || (!transcriptionId && !callSid && path.join(FIXTURES_DIR, 'price-objection-call.jsonl'));
+
+  const utterances = file
+    ? await loadTranscriptFile(file)
+    : await loadStoredTranscript({ transcriptionId, callSid });
+
+  if (!utterances) {
+    throw new Error(`No transcript found for ${transcriptionId ? `transcription ${transcriptionId}` : `call ${callSid}`}`);
+  }
+
+  const report = await transcriptReplayer.replay(utterances, {
+    speed: option('speed') !== undefined ? Number(option('speed')) : 0,
+    repId: option('rep-id') || null,
+    rubricId: option('rubric'),
+    label: file || transcriptionId || callSid
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`\n🎧 Replayed ${report.utterances} utterances (${report.durationSeconds}s) from ${report.label}\n`);
+
+  report.timeline.forEach(entry => {
+    const flags = [
+      entry.objection && 'OBJECTION',
+      entry.questions.length > 0 && `question: ${entry.questions.join(', ')}`,
+      entry.interrupted && 'INTERRUPTION',
+      entry.silenceBefore > 0 && `after ${entry.silenceBefore.toFixed(1)}s silence`,
+      entry.keyPhrases.length > 0 && `phrases: ${entry.keyPhrases.join(', ')}`,
+      ...entry.triggers.map(id => `⚡ ${id}`)
+    ].filter(Boolean);
+    console.log(`[${entry.at.toFixed(1).padStart(6)}s] ${entry.speaker.padEnd(7)} ${entry.text.slice(0, 70)}`);
+    console.log(`          talk ${entry.talkRatio.toFixed(2)}  sentiment ${entry.sentiment.toFixed(2)}${flags.length ? `  ${flags.join('  ')}` : ''}`);
+  });
+
+  console.log('\n📋 Triggers fired:');
+  if (report.firings.length === 0) {
+    console.log('  (none)');
+  }
+  report.firings.forEach(firing => {
+    console.log(`  ${firing.at.toFixed(1).padStart(6)}s  [${firing.severity}] ${firing.name}: ${firing.message}`);
+  });
+
+  console.log(`\n📊 Talk balance ${report.summary.talkBalance.toFixed(2)}, final sentiment ${report.summary.finalSentiment.toFixed(2)}, ${report.summary.totalObjections} objections, ${report.summary.totalQuestions} rep questions`);
+  for (const [speaker, metrics] of Object.entries(report.summary.conversation.speakers)) {
+    console.log(`   ${speaker.padEnd(7)} ${metrics.words} words, ${metrics.questions.open} open / ${metrics.questions.closed} closed questions, longest monologue ${metrics.longestMonologueSeconds}s, ${metrics.interruptions} interruptions, ${metrics.wordsPerMinute ?? '-'} wpm, filler rate ${(metrics.fillerRate * 100).toFixed(1)}%`);
+  }
+  const { silence } = report.summary.conversation;
+  console.log(`   silence ${silence.count} gaps, ${silence.totalSeconds}s total, longest ${silence.longestSeconds}s`);
+
+  const { scorecard } = report;
+  console.log(`\n🏁 Scorecard (${scorecard.rubric.name}): ${scorecard.overallScore ?? 'n/a'} ${scorecard.rating ?? ''}`);
+  scorecard.criteria.forEach(criterion => {
+    console.log(`   ${criterion.name.padEnd(20)} ${String(criterion.score ?? 'n/a').padStart(3)}  ${criterion.summary}`);
+    criterion.evidence.forEach(evidence => {
+      console.log(`      ${evidence.timestamp.padStart(5)} ${evidence.speaker}: "${evidence.quote.slice(0, 80)}"`);
+    });
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,196 @@
+/**
+ * Conversational metrics for the real-time call analyzer
+ *
+ * Tracks, per speaker: questions (open vs closed), longest monologue,
+ * interruptions, words per minute and filler-word rate, plus silence gaps
+ * between utterances. Utterances carry a start time and, when the transcript
+ * provides one, an end time; without it the end is estimated from the word
+ * count, which is good enough for silence gaps but not for pace or overlaps,
+ * so words per minute and interruptions only come from measured timing.
+ */
+
+export const FILLER_PHRASES = ['um', 'uh', 'erm', 'hmm', 'you know', 'i mean', 'kind of', 'sort of', 'basically', 'literally'];
+
+// Questions that invite the other side to talk
+const OPEN_STARTERS = ['what', 'how', 'why'];
+const OPEN_PROMPTS = ['tell me', 'walk me through', 'describe', 'explain', 'help me understand'];
+// Auxiliary + pronoun openings are questions even when the transcript drops the "?"
+const AUXILIARIES = ['do', 'does', 'did', 'is', 'are', 'was', 'were', 'can', 'could', 'would', 'will', 'should', 'have', 'has', 'may'];
+const PRONOUNS = ['you', 'your', 'it', 'they', 'we', 'there', 'that', 'this', 'he', 'she', 'i'];
+// Skipped before looking at how a question starts ("So, what ...")
+const LEAD_INS = ['so', 'and', 'but', 'well', 'okay', 'ok', 'now', 'then', 'also', 'just', 'um', 'uh'];
+
+const ESTIMATED_WORDS_PER_SECOND = 2.5; // ~150 wpm
+export const SILENCE_GAP_MS = 2000;
+
+const wordsOf = (text) => String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+
+function countPhrase(words, phrase) {
+  const parts = phrase.split(' ');
+  let count = 0;
+  for (let i = 0; i <= words.length - parts.length; i++) {
+    if (parts.every((part, offset) => words[i + offset] === part)) count++;
+  }
+  return count;
+}
+
+// Split on sentence terminators, keeping each sentence's own terminator
+function sentencesOf(text) {
+  const sentences = [];
+  let current = '';
+  for (const char of String(text || '')) {
+    current += char;
+    if (char === '.' || char === '!' || char === '?') {
+      if (current.trim()) sentences.push(current.trim());
+      current = '';
+    }
+  }
+  if (current.trim()) sentences.push(current.trim());
+  return sentences;
+}
+
+/**
+ * Questions asked in an utterance
+ * @param {string} text
+ * @returns {Array<object>} [{ text, type: 'open' | 'closed' }]
+ */
+export function detectQuestions(text) {
+  const questions = [];
+
+  for (const sentence of sentencesOf(text)) {
+    const allWords = wordsOf(sentence);
+    const words = allWords.slice(Math.max(0, allWords.findIndex(word => !LEAD_INS.includes(word))));
+    if (words.length === 0) continue;
+
+    const startsWith = (phrase) => countPhrase(words.slice(0, phrase.split(' ').length), phrase) === 1;
+    const isPrompt = OPEN_PROMPTS.some(startsWith);
+    const isAuxiliaryQuestion = AUXILIARIES.includes(words[0]) && PRONOUNS.includes(words[1]);
+
+    if (!sentence.endsWith('?') && !isPrompt && !isAuxiliaryQuestion) continue;
+
+    const type = isPrompt || OPEN_STARTERS.includes(words[0]) ? 'open' : 'closed';
+    questions.push({ text: sentence, type });
+  }
+
+  return questions;
+}
+
+export function countFillers(text) {
+  const words = wordsOf(text);
+  return FILLER_PHRASES.reduce((sum, phrase) => sum + countPhrase(words, phrase), 0);
+}
+
+function createSpeakerStats() {
+  return {
+    utterances: 0,
+    words: 0,
+    fillers: 0,
+    measuredWords: 0,
+    measuredMs: 0,
+    openQuestions: 0,
+    closedQuestions: 0,
+    longestMonologueMs: 0,
+    interruptions: 0
+  };
+}
+
+export function createConversationMetrics() {
+  return {
+    speakers: {}, // speaker -> stats
+    turn: null, // { speaker, startAt, endAt }
+    lastEndAt: null,
+    lastEndMeasured: false,
+    silence: { count: 0, totalMs: 0, longestMs: 0 },
+    overlaps: 0
+  };
+}
+
+/**
+ * Fold one utterance into the metrics
+ * @param {object} metrics - From createConversationMetrics()
+ * @param {object} utterance - { speaker, text, startAt, endAt } with times in ms; endAt is optional
+ * @returns {object} { questions, fillers, silenceMs, interrupted }
+ */
+export function recordUtterance(metrics, { speaker, text, startAt, endAt = null }) {
+  const words = wordsOf(text).length;
+  const measured = Number.isFinite(endAt) && endAt > startAt;
+  const end = measured ? endAt : startAt + (words / ESTIMATED_WORDS_PER_SECOND) * 1000;
+
+  const stats = metrics.speakers[speaker] || (metrics.speakers[speaker] = createSpeakerStats());
+  const questions = detectQuestions(text);
+  const fillers = countFillers(text);
+
+  stats.utterances++;
+  stats.words += words;
+  stats.fillers += fillers;
+  questions.forEach(question => {
+    if (question.type === 'open') stats.openQuestions++;
+    else stats.closedQuestions++;
+  });
+  if (measured) {
+    stats.measuredWords += words;
+    stats.measuredMs += endAt - startAt;
+  }
+
+  // Silence since the previous utterance ended, or overlap when this one started first
+  let silenceMs = 0;
+  let interrupted = false;
+  if (metrics.lastEndAt !== null) {
+    const gap = startAt - metrics.lastEndAt;
+    if (gap >= SILENCE_GAP_MS) {
+      silenceMs = gap;
+      metrics.silence.count++;
+      metrics.silence.totalMs += gap;
+      metrics.silence.longestMs = Math.max(metrics.silence.longestMs, gap);
+    } else if (gap < 0 && metrics.lastEndMeasured && metrics.turn && metrics.turn.speaker !== speaker) {
+      interrupted = true;
+      stats.interruptions++;
+      metrics.overlaps++;
+    }
+  }
+
+  // Consecutive utterances by one speaker form a single turn (monologue)
+  if (metrics.turn?.speaker === speaker) {
+    metrics.turn.endAt = Math.max(metrics.turn.endAt, end);
+  } else {
+    metrics.turn = { speaker, startAt, endAt: end };
+  }
+  stats.longestMonologueMs = Math.max(stats.longestMonologueMs, metrics.turn.endAt - metrics.turn.startAt);
+  if (metrics.lastEndAt === null || end >= metrics.lastEndAt) {
+    metrics.lastEndAt = end;
+    metrics.lastEndMeasured = measured;
+  }
+
+  return { questions, fillers, silenceMs, interrupted };
+}
+
+/**
+ * Per-speaker report for saving and summaries
+ * @param {object} metrics
+ * @returns {object} { speakers: { [speaker]: {...} }, silence, overlaps }
+ */
+export function summarizeConversation(metrics) {
+  const seconds = (ms) => Math.round(ms / 100) / 10;
+
+  return {
+    speakers: Object.fromEntries(Object.entries(metrics.speakers).map(([speaker, stats]) => [speaker, {
+      utterances: stats.utterances,
+      words: stats.words,
+      questions: {
+        open: stats.openQuestions,
+        closed: stats.closedQuestions,
+        total: stats.openQuestions + stats.closedQuestions
+      },
+      longestMonologueSeconds: seconds(stats.longestMonologueMs),
+      interruptions: stats.interruptions,
+      wordsPerMinute: stats.measuredMs > 0 ? Math.round((stats.measuredWords / stats.measuredMs) * 60000) : null,
+      fillerRate: stats.words > 0 ? stats.fillers / stats.words : 0
+    }])),
+    silence: {
+      count: metrics.silence.count,
+      totalSeconds: seconds(metrics.silence.totalMs),
+      longestSeconds: seconds(metrics.silence.longestMs)
+    },
+    overlaps: metrics.overlaps
+  };
+}
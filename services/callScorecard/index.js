@@ -0,0 +1,258 @@
+import { createClient } from '@supabase/supabase-js';
+
+import logger from '../../utils/logger.js';
+import coachingTriggerEngine from '../coachingTriggerEngine.js';
+import realtimeCallAnalyzer from '../realtimeCallAnalyzer.js';
+
+import { DEFAULT_RUBRICS, loadRubrics, validateRubric } from './rubrics.js';
+import { formatTimestamp, SCORERS } from './scorers.js';
+
+export { DEFAULT_RUBRICS, formatTimestamp, loadRubrics, SCORERS, validateRubric };
+
+export function ratingFor(score) {
+  if (score === null) return null;
+  if (score >= 80) return 'strong';
+  if (score >= 60) return 'developing';
+  return 'needs_work';
+}
+
+/**
+ * Score a finished analyzer session against a rubric
+ * @param {object} call - { session, summary } as reported by 'analysis-ended'
+ * @param {object} rubric - See ./rubrics.js
+ * @param {object} options
+ * @param {string} options.source - 'live' (scored when the call ended) or 'transcript' (from the stored transcript)
+ * @returns {object} Scorecard: overall score, rating, per-criterion scores with evidence quotes, and call metrics
+ */
+export function scoreCall({ session, summary }, rubric, { source = 'live' } = {}) {
+  const utterances = session.utterances.map(utterance => ({
+    ...utterance,
+    at: Math.round((utterance.at - session.startTime) / 100) / 10
+  }));
+  const call = { utterances, durationSeconds: summary.duration, summary };
+
+  const criteria = rubric.criteria.map(criterion => ({
+    id: criterion.id,
+    name: criterion.name || criterion.id,
+    type: criterion.type,
+    weight: criterion.weight,
+    ...SCORERS[criterion.type](call, criterion.params || {})
+  }));
+
+  // Criteria that do not apply to this call drop out of the weighting
+  const applicable = criteria.filter(criterion => criterion.score !== null);
+  const totalWeight = applicable.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const overallScore = totalWeight > 0
+    ? Math.round(applicable.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / totalWeight)
+    : null;
+
+  const rep = summary.conversation?.speakers?.rep;
+
+  return {
+    callSid: session.callSid || session.conferenceId || null,
+    sessionId: session.id,
+    repId: session.repId,
+    rubric: { id: rubric.id, name: rubric.name },
+    overallScore,
+    rating: ratingFor(overallScore),
+    criteria,
+    metrics: {
+      durationSeconds: summary.duration,
+      talkRatio: summary.talkBalance,
+      sentiment: summary.finalSentiment,
+      objections: summary.totalObjections,
+      objectionsByType: summary.objectionsByType,
+      repQuestions: rep?.questions || { open: 0, closed: 0, total: 0 },
+      longestMonologueSeconds: rep?.longestMonologueSeconds || 0
+    },
+    source,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Call Scorecard Service
+ *
+ * Scores every live call against the default rubric when its analyzer
+ * session ends, and on demand from the stored transcript for calls that were
+ * not analyzed live (or to score them against another rubric). Scorecards
+ * live in `call_scorecards`, one per call and rubric.
+ */
+class CallScorecardService {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('CallScorecardService: Supabase credentials not configured, using in-memory store');
+      this.supabase = null;
+    }
+
+    this.table = 'call_scorecards';
+    this.memoryScorecards = new Map(); // callSid:rubricId -> scorecard
+    this.rubrics = loadRubrics();
+    this.defaultRubricId = process.env.SCORECARD_DEFAULT_RUBRIC || DEFAULT_RUBRICS[0].id;
+
+    realtimeCallAnalyzer.on('analysis-ended', (event) => this.handleAnalysisEnded(event));
+  }
+
+  listRubrics() {
+    return [...this.rubrics.values()];
+  }
+
+  getRubric(rubricId = this.defaultRubricId) {
+    return this.rubrics.get(rubricId) || null;
+  }
+
+  async handleAnalysisEnded({ session, summary }) {
+    // Replays are scored by whoever runs them
+    if (!session || session.replay || session.utterances.length === 0) return;
+
+    if (!session.callSid && !session.conferenceId) {
+      logger.warn(`CallScorecardService: session ${session.id} has no call to attach a scorecard to`);
+      return;
+    }
+
+    try {
+      const rubric = this.getRubric();
+      if (!rubric) {
+        throw new Error(`unknown default rubric "${this.defaultRubricId}"`);
+      }
+      const scorecard = scoreCall({ session, summary }, rubric);
+      await this.saveScorecard(scorecard);
+      logger.info(`CallScorecardService: scored ${scorecard.callSid} ${scorecard.overallScore ?? 'n/a'} (${rubric.id})`);
+    } catch (error) {
+      logger.error(`CallScorecardService: failed to score session ${session.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Score a call from its stored transcript and save the scorecard
+   * @param {string} callSid
+   * @param {object} rubric
+   * @returns {Promise<object|null>} The scorecard, or null when there is no transcript
+   */
+  async scoreStoredTranscript(callSid, rubric = this.getRubric()) {
+    const utterances = await coachingTriggerEngine.loadStoredTranscript({ callSid });
+    if (!utterances || utterances.length === 0) return null;
+
+    const call = realtimeCallAnalyzer.analyzeCompletedTranscript(utterances, { callSid });
+    const scorecard = scoreCall(call, rubric, { source: 'transcript' });
+    await this.saveScorecard(scorecard);
+
+    return scorecard;
+  }
+
+  async getScorecard(callSid, rubricId = this.defaultRubricId) {
+    if (!this.supabase) {
+      return this.memoryScorecards.get(`${callSid}:${rubricId}`) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('call_sid', callSid)
+      .eq('rubric_id', rubricId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load scorecard: ${error.message}`);
+    }
+    return data ? this.fromRow(data) : null;
+  }
+
+  async saveScorecard(scorecard) {
+    if (!this.supabase) {
+      this.memoryScorecards.set(`${scorecard.callSid}:${scorecard.rubric.id}`, scorecard);
+      return;
+    }
+
+    const { error } = await this.supabase
+      .from(this.table)
+      .upsert(this.toRow(scorecard), { onConflict: 'call_sid,rubric_id' });
+
+    if (error) {
+      throw new Error(`Failed to save scorecard: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a user may see a call's summary and scorecard: their own calls,
+   * or any call for the admin (ADMIN_EMAIL). Without a database there are no
+   * call records to check against, as in the transcription routes.
+   * @param {string} callSid
+   * @param {object} user - The authenticated user
+   * @returns {Promise<boolean>}
+   */
+  async canAccessCall(callSid, user) {
+    const isAdmin = !!user?.email && user.email === process.env.ADMIN_EMAIL;
+    if (!this.supabase || isAdmin) return true;
+
+    const { data, error } = await this.supabase
+      .from('twilio_calls')
+      .select('user_id')
+      .eq('call_sid', callSid)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load call: ${error.message}`);
+    }
+    return !!data && !!user?.id && data.user_id === user.id;
+  }
+
+  // The post-call summary written by the transcription pipeline, if any
+  async getCallSummary(callSid) {
+    if (!this.supabase) return null;
+
+    const { data, error } = await this.supabase
+      .from('call_summaries')
+      .select('summary, key_points, action_items, sentiment_score, created_at')
+      .eq('call_sid', callSid)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load call summary: ${error.message}`);
+    }
+    return data;
+  }
+
+  toRow(scorecard) {
+    return {
+      call_sid: scorecard.callSid,
+      session_id: scorecard.sessionId,
+      rep_id: scorecard.repId,
+      rubric_id: scorecard.rubric.id,
+      rubric_name: scorecard.rubric.name,
+      overall_score: scorecard.overallScore,
+      rating: scorecard.rating,
+      criteria: scorecard.criteria,
+      metrics: scorecard.metrics,
+      source: scorecard.source,
+      generated_at: scorecard.generatedAt
+    };
+  }
+
+  fromRow(row) {
+    return {
+      callSid: row.call_sid,
+      sessionId: row.session_id,
+      repId: row.rep_id,
+      rubric: { id: row.rubric_id, name: row.rubric_name },
+      overallScore: row.overall_score,
+      rating: row.rating,
+      criteria: row.criteria,
+      metrics: row.metrics,
+      source: row.source,
+      generatedAt: row.generated_at
+    };
+  }
+}
+
+// Export singleton
+const callScorecardService = new CallScorecardService();
+export { CallScorecardService };
+export default callScorecardService;
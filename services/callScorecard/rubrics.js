@@ -0,0 +1,129 @@
+import fs from 'fs';
+
+import logger from '../../utils/logger.js';
+
+import { SCORERS } from './scorers.js';
+
+/**
+ * Scorecard rubrics
+ *
+ * A rubric is a weighted list of criteria, each scored by one of the scorers
+ * in ./scorers.js with its own params. More rubrics (or replacements for the
+ * built-in one, by id) can be loaded from the JSON array in
+ * SCORECARD_RUBRICS_FILE; SCORECARD_DEFAULT_RUBRIC picks the one used for
+ * live calls.
+ */
+
+export const DEFAULT_RUBRICS = [
+  {
+    id: 'consultative',
+    name: 'Consultative selling',
+    description: 'Discovery first, objections explored rather than argued, and a committed next step',
+    criteria: [
+      {
+        id: 'discovery',
+        name: 'Discovery',
+        type: 'discovery',
+        weight: 30,
+        params: { targetQuestions: 6, targetOpenRatio: 0.5 }
+      },
+      {
+        id: 'objection_handling',
+        name: 'Objection handling',
+        type: 'objectionHandling',
+        weight: 25,
+        params: { responseWindow: 2 }
+      },
+      {
+        id: 'next_step',
+        name: 'Next step secured',
+        type: 'nextStep',
+        weight: 25,
+        params: { finalPortion: 0.4 }
+      },
+      {
+        id: 'talk_ratio',
+        name: 'Talk ratio',
+        type: 'talkRatio',
+        weight: 20,
+        params: { idealMin: 0.35, idealMax: 0.55, maxMonologueSeconds: 60 }
+      }
+    ]
+  }
+];
+
+/**
+ * Validate a rubric definition
+ * @param {object} rubric
+ * @returns {Array<object>} Validation errors as [{ path, message }]
+ */
+export function validateRubric(rubric) {
+  const errors = [];
+
+  if (!rubric || typeof rubric !== 'object') {
+    return [{ path: '', message: 'must be an object' }];
+  }
+  if (typeof rubric.id !== 'string' || !/^[a-z0-9_-]+$/.test(rubric.id)) {
+    errors.push({ path: 'id', message: 'must be lowercase letters, digits, "-" or "_"' });
+  }
+  if (typeof rubric.name !== 'string' || !rubric.name.trim()) {
+    errors.push({ path: 'name', message: 'is required' });
+  }
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    errors.push({ path: 'criteria', message: 'must be a non-empty array' });
+    return errors;
+  }
+
+  const ids = new Set();
+  rubric.criteria.forEach((criterion, index) => {
+    const path = `criteria[${index}]`;
+    if (typeof criterion?.id !== 'string' || !criterion.id) {
+      errors.push({ path: `${path}.id`, message: 'is required' });
+    } else if (ids.has(criterion.id)) {
+      errors.push({ path: `${path}.id`, message: `duplicates "${criterion.id}"` });
+    } else {
+      ids.add(criterion.id);
+    }
+    if (!SCORERS[criterion?.type]) {
+      errors.push({ path: `${path}.type`, message: `must be one of ${Object.keys(SCORERS).join(', ')}` });
+    }
+    if (typeof criterion?.weight !== 'number' || !(criterion.weight > 0)) {
+      errors.push({ path: `${path}.weight`, message: 'must be a positive number' });
+    }
+    if (criterion?.params !== undefined && (typeof criterion.params !== 'object' || Array.isArray(criterion.params))) {
+      errors.push({ path: `${path}.params`, message: 'must be an object' });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Built-in rubrics plus any valid ones from a JSON file
+ * @param {string} filePath - JSON array of rubrics (default: SCORECARD_RUBRICS_FILE)
+ * @returns {Map<string, object>} id -> rubric
+ */
+export function loadRubrics(filePath = process.env.SCORECARD_RUBRICS_FILE) {
+  const rubrics = new Map(DEFAULT_RUBRICS.map(rubric => [rubric.id, rubric]));
+  if (!filePath) return rubrics;
+
+  let custom;
+  try {
+    custom = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.error(`CallScorecard: could not read rubrics from ${filePath}:`, error.message);
+    return rubrics;
+  }
+
+  for (const rubric of Array.isArray(custom) ? custom : [custom]) {
+    const errors = validateRubric(rubric);
+    if (errors.length > 0) {
+      logger.error(`CallScorecard: skipping invalid rubric ${rubric?.id || '(no id)'}:`,
+        errors.map(error => `${error.path} ${error.message}`).join('; '));
+      continue;
+    }
+    rubrics.set(rubric.id, rubric);
+  }
+
+  return rubrics;
+}
@@ -0,0 +1,138 @@
+import { findPhrases } from '../textClassifier/index.js';
+
+/**
+ * Criterion scorers for post-call scorecards
+ *
+ * Each scorer takes the finished call ({ utterances, durationSeconds, summary },
+ * utterance times in seconds from the start of the call) and the criterion's
+ * params, and returns { score, summary, evidence }. `score` is 0-100, or null
+ * when the criterion does not apply to the call (no objections to handle);
+ * `evidence` quotes the utterances the score is based on.
+ */
+
+const MAX_QUOTE_LENGTH = 200;
+const MAX_EVIDENCE = 3;
+
+const ACKNOWLEDGE_PHRASES = ['i understand', 'i hear you', 'that makes sense', 'makes sense', 'fair', 'good question', 'i get that', 'totally', 'appreciate'];
+const NEXT_STEP_PHRASES = ['next step', 'follow up', 'follow-up', 'schedule', 'book', 'calendar', 'demo', 'send you', 'send over', 'proposal', 'trial', 'meet again', 'next week'];
+const AGREEMENT_PHRASES = ['yes', 'yeah', 'sure', 'sounds good', 'works for me', 'that works', "let's do", 'okay', 'ok', 'perfect', 'great'];
+
+export function formatTimestamp(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+export function quote(utterance) {
+  const text = utterance.text.length > MAX_QUOTE_LENGTH
+    ? `${utterance.text.slice(0, MAX_QUOTE_LENGTH - 1)}…`
+    : utterance.text;
+  return { at: utterance.at, timestamp: formatTimestamp(utterance.at), speaker: utterance.speaker, quote: text };
+}
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+const isRep = (utterance) => utterance.speaker === 'rep';
+
+// Questions asked, weighted towards open questions that get the customer talking
+function discovery({ utterances }, { targetQuestions = 6, targetOpenRatio = 0.5 }) {
+  const asked = utterances.filter(utterance => isRep(utterance) && utterance.questions.length > 0);
+  const total = asked.reduce((sum, utterance) => sum + utterance.questions.length, 0);
+  const open = asked.reduce((sum, utterance) => sum + utterance.questions.filter(type => type === 'open').length, 0);
+
+  if (total === 0) {
+    return { score: 0, summary: 'The rep asked no questions', evidence: [] };
+  }
+
+  const volume = Math.min(1, total / targetQuestions);
+  const openness = Math.min(1, open / total / targetOpenRatio);
+  const withOpen = asked.filter(utterance => utterance.questions.includes('open'));
+
+  return {
+    score: clamp(100 * (0.6 * volume + 0.4 * openness)),
+    summary: `${total} question${total === 1 ? '' : 's'} asked, ${open} open`,
+    evidence: [...withOpen, ...asked.filter(utterance => !withOpen.includes(utterance))]
+      .slice(0, MAX_EVIDENCE)
+      .sort((a, b) => a.at - b.at)
+      .map(quote)
+  };
+}
+
+// Each customer objection should get an acknowledgement or a clarifying question
+// from the rep within the next few rep utterances
+function objectionHandling({ utterances }, { responseWindow = 2, acknowledgePhrases = ACKNOWLEDGE_PHRASES }) {
+  const objections = utterances
+    .map((utterance, index) => ({ utterance, index }))
+    .filter(({ utterance }) => !isRep(utterance) && utterance.objectionType && utterance.objectionType !== 'none');
+
+  if (objections.length === 0) {
+    return { score: null, summary: 'The customer raised no objections', evidence: [] };
+  }
+
+  const evidence = [];
+  let credit = 0;
+  let handled = 0;
+
+  for (const { utterance, index } of objections) {
+    const responses = utterances.slice(index + 1).filter(isRep).slice(0, responseWindow);
+    const asked = responses.find(response => response.questions.length > 0);
+    const acknowledged = responses.find(response => findPhrases(response.text, acknowledgePhrases).length > 0);
+    const points = asked ? 1 : acknowledged ? 0.5 : 0;
+
+    credit += points;
+    if (points > 0) handled++;
+    if (evidence.length < MAX_EVIDENCE * 2) {
+      evidence.push(quote(utterance));
+      if (asked || acknowledged) evidence.push(quote(asked || acknowledged));
+    }
+  }
+
+  return {
+    score: clamp((credit / objections.length) * 100),
+    summary: `${handled} of ${objections.length} objection${objections.length === 1 ? '' : 's'} addressed`,
+    evidence
+  };
+}
+
+// The rep proposes a concrete next step late in the call and the customer agrees to it
+function nextStep({ utterances, durationSeconds }, { finalPortion = 0.4, phrases = NEXT_STEP_PHRASES, agreementPhrases = AGREEMENT_PHRASES }) {
+  const closingFrom = durationSeconds * (1 - finalPortion);
+  const proposals = utterances.filter(utterance =>
+    isRep(utterance) && utterance.at >= closingFrom && findPhrases(utterance.text, phrases).length > 0);
+
+  if (proposals.length === 0) {
+    return { score: 0, summary: 'No next step was proposed', evidence: [] };
+  }
+
+  for (const proposal of proposals) {
+    const reply = utterances.slice(utterances.indexOf(proposal) + 1).find(utterance => !isRep(utterance));
+    if (reply && reply.objectionType === 'none' && findPhrases(reply.text, agreementPhrases).length > 0) {
+      return { score: 100, summary: 'Next step proposed and agreed', evidence: [quote(proposal), quote(reply)] };
+    }
+  }
+
+  return {
+    score: 50,
+    summary: 'Next step proposed but not confirmed',
+    evidence: proposals.slice(-MAX_EVIDENCE).map(quote)
+  };
+}
+
+// Share of the words spoken by the rep, with a penalty for long monologues
+function talkRatio({ utterances, summary }, { idealMin = 0.35, idealMax = 0.55, tolerance = 0.3, maxMonologueSeconds = 60 }) {
+  const ratio = summary.talkBalance;
+  const distance = ratio < idealMin ? idealMin - ratio : ratio > idealMax ? ratio - idealMax : 0;
+  const longestMonologue = summary.conversation?.speakers?.rep?.longestMonologueSeconds || 0;
+  const penalty = longestMonologue > maxMonologueSeconds ? 20 : 0;
+
+  const longest = utterances
+    .filter(isRep)
+    .reduce((best, utterance) => (!best || utterance.text.length > best.text.length ? utterance : best), null);
+
+  return {
+    score: clamp(100 * (1 - distance / tolerance) - penalty),
+    summary: `Rep spoke ${Math.round(ratio * 100)}% of the words (target ${Math.round(idealMin * 100)}-${Math.round(idealMax * 100)}%)` +
+      (penalty ? `, longest monologue ${longestMonologue}s` : ''),
+    evidence: distance > 0 && longest ? [quote(longest)] : []
+  };
+}
+
+export const SCORERS = { discovery, objectionHandling, nextStep, talkRatio };
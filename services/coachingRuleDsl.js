@@ -0,0 +1,361 @@
+/**
+ * Coaching Rule DSL
+ *
+ * Custom coaching triggers are stored as JSON rules instead of code. A rule is
+ * a tree of nodes evaluated against the real-time call analyzer's context:
+ *
+ *   Comparison   { "field": "talkRatio", "op": ">", "value": 0.7 }
+ *                { "field": "duration", "op": "between", "value": [60, 300] }
+ *                { "field": "speaker", "op": "in", "value": ["rep"] }
+ *   Combinators  { "all": [ ...nodes ] }  { "any": [ ...nodes ] }  { "not": node }
+ *   Keywords     { "keyword": { "anyOf": ["expensive", "cost"], "allOf": [], "wholeWord": true } }
+ *   Regex        { "regex": { "pattern": "too (pricey|expensive)", "flags": "i" } }
+ *   Time window  { "window": { "seconds": 60, "atLeast": 2, "condition": node } }
+ *                { "window": { "seconds": 30, "sustained": true, "condition": node } }
+ *
+ * Keyword and regex nodes match `currentText` unless they name another string
+ * field. Windows use the call clock (`duration`, in seconds) so a replayed
+ * transcript behaves exactly like the live call: `atLeast` counts utterances
+ * that matched within the window, `sustained` requires the condition to have
+ * held on every utterance for the whole window.
+ */
+
+export const CONTEXT_FIELDS = {
+  talkRatio: 'number',
+  sentiment: 'number',
+  objectionCount: 'number',
+  objectionType: 'string', // price, timing, authority, competitor, need or none
+  // Rep conversation metrics (seconds where timed; wordsPerMinute is 0 without measured timing)
+  questionCount: 'number',
+  openQuestionCount: 'number',
+  closedQuestionCount: 'number',
+  longestMonologue: 'number',
+  currentMonologue: 'number',
+  interruptionCount: 'number',
+  wordsPerMinute: 'number',
+  fillerRate: 'number',
+  silenceBefore: 'number',
+  longestSilence: 'number',
+  duration: 'number',
+  currentText: 'string',
+  speaker: 'string'
+};
+
+const OPERATORS = {
+  number: ['>', '>=', '<', '<=', '==', '!=', 'between'],
+  string: ['==', '!=', 'in']
+};
+
+const NODE_TYPES = ['all', 'any', 'not', 'keyword', 'regex', 'window'];
+const REGEX_FLAGS = ['i', 'm', 's', 'u'];
+
+export const RULE_LIMITS = {
+  maxDepth: 8,
+  maxNodes: 50,
+  maxKeywords: 50,
+  maxPatternLength: 200,
+  maxWindowSeconds: 3600,
+  maxTextLength: 5000 // Longer utterances are truncated before matching
+};
+
+// Patterns like (a+)+, (\w*)* or (a|aa)+ backtrack catastrophically on long
+// input: a repeated group may not contain a quantifier or an alternation
+function hasNestedQuantifier(pattern) {
+  const groups = [];
+  let inner = { quantified: false, alternation: false };
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(inner);
+      inner = { quantified: false, alternation: false };
+    } else if (char === ')') {
+      const next = pattern[i + 1];
+      if ((inner.quantified || inner.alternation) && (next === '*' || next === '+' || next === '{')) {
+        return true;
+      }
+      const outer = groups.pop() || { quantified: false, alternation: false };
+      inner = {
+        quantified: outer.quantified || inner.quantified,
+        alternation: outer.alternation || inner.alternation
+      };
+    } else if (char === '*' || char === '+' || char === '{') {
+      inner.quantified = true;
+    } else if (char === '|' && groups.length > 0) {
+      inner.alternation = true;
+    }
+  }
+
+  return false;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a rule
+ * @param {object} rule - Rule tree
+ * @returns {object} { valid, errors: [{ path, message }] }
+ */
+export function validateRule(rule) {
+  const errors = [];
+  let nodes = 0;
+
+  const fail = (path, message) => errors.push({ path, message });
+
+  const checkStringField = (field, path) => {
+    if (field !== undefined && CONTEXT_FIELDS[field] !== 'string') {
+      fail(`${path}.field`, `must be a text field (${Object.keys(CONTEXT_FIELDS).filter(name => CONTEXT_FIELDS[name] === 'string').join(', ')})`);
+    }
+  };
+
+  const visit = (node, path, depth) => {
+    nodes++;
+    if (depth > RULE_LIMITS.maxDepth) {
+      return fail(path, `rules may nest at most ${RULE_LIMITS.maxDepth} levels deep`);
+    }
+    if (!isPlainObject(node)) {
+      return fail(path, 'must be an object');
+    }
+
+    if ('field' in node) {
+      const type = CONTEXT_FIELDS[node.field];
+      if (!type) {
+        return fail(`${path}.field`, `unknown field "${node.field}" (allowed: ${Object.keys(CONTEXT_FIELDS).join(', ')})`);
+      }
+      if (!OPERATORS[type].includes(node.op)) {
+        return fail(`${path}.op`, `"${node.op}" is not valid for ${node.field} (allowed: ${OPERATORS[type].join(', ')})`);
+      }
+      if (node.op === 'between') {
+        if (!Array.isArray(node.value) || node.value.length !== 2 || !node.value.every(Number.isFinite) || node.value[0] > node.value[1]) {
+          fail(`${path}.value`, 'between needs [min, max] numbers');
+        }
+      } else if (node.op === 'in') {
+        if (!Array.isArray(node.value) || node.value.length === 0 || !node.value.every(item => typeof item === 'string')) {
+          fail(`${path}.value`, 'in needs a non-empty array of strings');
+        }
+      } else if (type === 'number' ? !Number.isFinite(node.value) : typeof node.value !== 'string') {
+        fail(`${path}.value`, `must be a ${type}`);
+      }
+      return;
+    }
+
+    const keys = Object.keys(node).filter(key => NODE_TYPES.includes(key));
+    if (keys.length !== 1) {
+      return fail(path, `must be a comparison or have exactly one of: ${NODE_TYPES.join(', ')}`);
+    }
+
+    const type = keys[0];
+    const body = node[type];
+    const bodyPath = `${path}.${type}`;
+
+    if (type === 'all' || type === 'any') {
+      if (!Array.isArray(body) || body.length === 0) {
+        return fail(bodyPath, 'must be a non-empty array of rules');
+      }
+      body.forEach((child, index) => visit(child, `${bodyPath}[${index}]`, depth + 1));
+    } else if (type === 'not') {
+      visit(body, bodyPath, depth + 1);
+    } else if (type === 'keyword') {
+      if (!isPlainObject(body)) return fail(bodyPath, 'must be an object');
+      checkStringField(body.field, bodyPath);
+      const lists = ['anyOf', 'allOf'].filter(key => body[key] !== undefined);
+      if (lists.length === 0) {
+        return fail(bodyPath, 'needs anyOf and/or allOf');
+      }
+      for (const key of lists) {
+        const words = body[key];
+        if (!Array.isArray(words) || words.length === 0 || !words.every(word => typeof word === 'string' && word.trim())) {
+          fail(`${bodyPath}.${key}`, 'must be a non-empty array of words');
+        } else if (words.length > RULE_LIMITS.maxKeywords) {
+          fail(`${bodyPath}.${key}`, `at most ${RULE_LIMITS.maxKeywords} keywords`);
+        }
+      }
+    } else if (type === 'regex') {
+      if (!isPlainObject(body)) return fail(bodyPath, 'must be an object');
+      checkStringField(body.field, bodyPath);
+      const { pattern, flags = '' } = body;
+      if (typeof pattern !== 'string' || !pattern) {
+        return fail(`${bodyPath}.pattern`, 'must be a non-empty string');
+      }
+      if (pattern.length > RULE_LIMITS.maxPatternLength) {
+        return fail(`${bodyPath}.pattern`, `at most ${RULE_LIMITS.maxPatternLength} characters`);
+      }
+      if (typeof flags !== 'string' || [...flags].some(flag => !REGEX_FLAGS.includes(flag))) {
+        return fail(`${bodyPath}.flags`, `only ${REGEX_FLAGS.join(', ')} are allowed`);
+      }
+      if (/\\[1-9]|\\k</.test(pattern)) {
+        return fail(`${bodyPath}.pattern`, 'backreferences are not allowed');
+      }
+      if (hasNestedQuantifier(pattern)) {
+        return fail(`${bodyPath}.pattern`, 'repeated groups containing a quantifier or alternation, such as (a+)+ or (a|aa)+, are not allowed');
+      }
+      try {
+        new RegExp(pattern, flags);
+      } catch (error) {
+        fail(`${bodyPath}.pattern`, error.message);
+      }
+    } else if (type === 'window') {
+      if (!isPlainObject(body)) return fail(bodyPath, 'must be an object');
+      if (!Number.isFinite(body.seconds) || body.seconds <= 0 || body.seconds > RULE_LIMITS.maxWindowSeconds) {
+        fail(`${bodyPath}.seconds`, `must be between 1 and ${RULE_LIMITS.maxWindowSeconds}`);
+      }
+      if ((body.atLeast === undefined) === (body.sustained === undefined)) {
+        fail(bodyPath, 'needs exactly one of atLeast or sustained');
+      } else if (body.atLeast !== undefined && (!Number.isInteger(body.atLeast) || body.atLeast < 1)) {
+        fail(`${bodyPath}.atLeast`, 'must be a positive integer');
+      } else if (body.sustained !== undefined && body.sustained !== true) {
+        fail(`${bodyPath}.sustained`, 'must be true');
+      }
+      if (body.condition === undefined) {
+        fail(`${bodyPath}.condition`, 'is required');
+      } else {
+        visit(body.condition, `${bodyPath}.condition`, depth + 1);
+      }
+    }
+  };
+
+  visit(rule, 'rule', 1);
+
+  if (nodes > RULE_LIMITS.maxNodes) {
+    fail('rule', `rules may have at most ${RULE_LIMITS.maxNodes} nodes`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fresh evaluation state for one rule in one call (time windows live here)
+ * @returns {object}
+ */
+export function createRuleState() {
+  return { windows: [] };
+}
+
+/**
+ * Compile a validated rule into a condition function
+ * @param {object} rule - Rule tree
+ * @returns {Function} (context, state) => boolean
+ * @throws {Error} When the rule is invalid
+ */
+export function compileRule(rule) {
+  const { valid, errors } = validateRule(rule);
+  if (!valid) {
+    const error = new Error(`Invalid coaching rule: ${errors.map(item => `${item.path} ${item.message}`).join('; ')}`);
+    error.code = 'INVALID_RULE';
+    error.details = errors;
+    throw error;
+  }
+
+  let windowCount = 0;
+
+  const textOf = (context, field = 'currentText') =>
+    String(context[field] ?? '').slice(0, RULE_LIMITS.maxTextLength);
+
+  const build = (node) => {
+    if ('field' in node) {
+      const { field, op, value } = node;
+      return (context) => {
+        const actual = context[field];
+        switch (op) {
+        case '>': return actual > value;
+        case '>=': return actual >= value;
+        case '<': return actual < value;
+        case '<=': return actual <= value;
+        case '==': return actual === value;
+        case '!=': return actual !== value;
+        case 'between': return actual >= value[0] && actual <= value[1];
+        case 'in': return value.includes(actual);
+        default: return false;
+        }
+      };
+    }
+
+    if (node.all || node.any) {
+      const children = (node.all || node.any).map(build);
+      const needAll = !!node.all;
+      // No short-circuiting: every window must see every utterance
+      return (context, state) => {
+        const results = children.map(child => child(context, state));
+        return needAll ? results.every(Boolean) : results.some(Boolean);
+      };
+    }
+
+    if (node.not) {
+      const child = build(node.not);
+      return (context, state) => !child(context, state);
+    }
+
+    if (node.keyword) {
+      const { field, anyOf = [], allOf = [], wholeWord = false } = node.keyword;
+      const matcher = (word) => {
+        const needle = word.trim().toLowerCase();
+        if (!wholeWord) return (text) => text.includes(needle);
+        const pattern = new RegExp(`\\b${escapeRegex(needle)}\\b`);
+        return (text) => pattern.test(text);
+      };
+      const anyMatchers = anyOf.map(matcher);
+      const allMatchers = allOf.map(matcher);
+      return (context) => {
+        const text = textOf(context, field).toLowerCase();
+        return (anyMatchers.length === 0 || anyMatchers.some(match => match(text))) &&
+          allMatchers.every(match => match(text));
+      };
+    }
+
+    if (node.regex) {
+      const { field, pattern, flags = '' } = node.regex;
+      const regex = new RegExp(pattern, flags);
+      return (context) => regex.test(textOf(context, field));
+    }
+
+    const { seconds, atLeast, sustained, condition } = node.window;
+    const child = build(condition);
+    const index = windowCount++;
+    return (context, state) => {
+      const matched = child(context, state);
+      const now = Number(context.duration) || 0;
+      if (!state.windows[index]) {
+        state.windows[index] = { samples: [], streakStart: null };
+      }
+      const window = state.windows[index];
+
+      if (sustained) {
+        window.streakStart = matched ? window.streakStart ?? now : null;
+        return window.streakStart !== null && now - window.streakStart >= seconds;
+      }
+
+      window.samples = window.samples.filter(at => now - at < seconds);
+      if (matched) window.samples.push(now);
+      return window.samples.length >= atLeast;
+    };
+  };
+
+  const condition = build(rule);
+  return (context, state = createRuleState()) => condition(context, state);
+}
+
+export default {
+  CONTEXT_FIELDS,
+  RULE_LIMITS,
+  validateRule,
+  compileRule,
+  createRuleState
+};
@@ -1,19 +1,42 @@
 import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../utils/logger.js';
+
 import realtimeCallAnalyzer from './realtimeCallAnalyzer.js';
+import { compileRule, createRuleState, validateRule } from './coachingRuleDsl.js';
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY
+);
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const MAX_COOLDOWN = 3600; // seconds
+const MAX_BUDGET_PER_MINUTE = 30;
+const BUDGET_WINDOW_MS = 60 * 1000;
+const DEFAULT_BUDGET_PER_MINUTE = parseInt(process.env.COACHING_BUDGET_PER_MINUTE || '3', 10);
 
 /**
  * Coaching Trigger Engine
  * Determines when to deliver coaching interventions
+ *
+ * Built-in triggers are code; custom triggers are declarative JSON rules (see
+ * coachingRuleDsl.js) stored in `custom_coaching_triggers.rule`, so nothing
+ * loaded from the database is ever executed as code.
  */
 class CoachingTriggerEngine {
   constructor() {
     this.triggers = this.loadTriggers();
-    this.cooldowns = new Map(); // Prevent trigger spam
+    this.sessions = new Map(); // sessionId -> { repId, cooldowns, ruleStates, suppressed }
+    this.repDeliveries = new Map(); // repId -> delivery timestamps inside the budget window
+    this.repPreferences = new Map(); // repId -> { budgetPerMinute, overrides }
     
     // Connect to analyzer
     realtimeCallAnalyzer.setTriggerEngine(this);
+    realtimeCallAnalyzer.on('analysis-ended', ({ sessionId }) => this.endSession(sessionId));
+    
+    this.loadCustomTriggers();
   }
   
   loadTriggers() {
@@ -22,7 +45,7 @@ class CoachingTriggerEngine {
         id: 'talk-too-much',
         name: 'Rep Talking Too Much',
         condition: (context) => context.talkRatio > 0.7,
-        message: 'You're doing 70% of the talking. Ask a question and let them speak.',
+        message: "You're doing 70% of the talking. Ask a question and let them speak.",
         severity: 'medium',
         cooldown: 60 // seconds
       },
@@ -38,16 +61,16 @@ class CoachingTriggerEngine {
         id: 'negative-sentiment',
         name: 'Conversation Going South',
         condition: (context) => context.sentiment < -0.5,
-        message: 'They're losing interest. Change direction. Ask about their biggest challenge.',
+        message: "They're losing interest. Change direction. Ask about their biggest challenge.",
         severity: 'high',
         cooldown: 90
       },
       {
         id: 'price-objection',
         name: 'Price Objection Detected',
-        condition: (context) => context.currentText.toLowerCase().includes('expensive') || 
+        condition: (context) => context.currentText.toLowerCase().includes('expensive') ||
                                 context.currentText.toLowerCase().includes('cost'),
-        message: 'Price objection. Redirect to value. "Let's talk about ROI..."',
+        message: 'Price objection. Redirect to value. "Let\'s talk about ROI..."',
         severity: 'medium',
         cooldown: 180
       },
@@ -55,7 +78,7 @@ class CoachingTriggerEngine {
         id: 'long-monologue',
         name: 'Monologuing',
         condition: (context) => context.speaker === 'rep' && context.currentText.length > 500,
-        message: 'You're monologuing. Wrap it up with a question.',
+        message: "You're monologuing. Wrap it up with a question.",
         severity: 'low',
         cooldown: 60
       },
@@ -63,30 +86,96 @@ class CoachingTriggerEngine {
         id: 'no-questions',
         name: 'Not Asking Questions',
         condition: (context) => context.duration > 180 && context.questionCount === 0,
-        message: 'Three minutes and no questions? You're presenting, not selling.',
+        message: "Three minutes and no questions? You're presenting, not selling.",
         severity: 'high',
         cooldown: 300
       }
     ];
   }
   
+  endSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    this.sessions.delete(sessionId);
+    if (session) {
+      this.repDeliveries.delete(`${sessionId}:${session.repId}`); // replay budget, if any
+    }
+  }
+  
+  // Cooldowns and time-window state of one call; nothing is shared between calls
+  sessionStateFor(sessionId, repId = null) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, {
+        repId,
+        cooldowns: new Map(), // triggerId -> last delivered at
+        ruleStates: new Map(), // triggerId -> rule state
+        suppressed: 0
+      });
+    }
+    return this.sessions.get(sessionId);
+  }
+  
+  ruleStateFor(session, triggerId) {
+    if (!session.ruleStates.has(triggerId)) {
+      session.ruleStates.set(triggerId, createRuleState());
+    }
+    return session.ruleStates.get(triggerId);
+  }
+  
+  // Apply a rep's severity/cooldown overrides on top of the shared definition
+  effectiveTrigger(trigger, preferences) {
+    const override = preferences.overrides[trigger.id];
+    if (!override) return trigger;
+    return {
+      ...trigger,
+      severity: override.severity ?? trigger.severity,
+      cooldown: override.cooldown ?? trigger.cooldown
+    };
+  }
+  
+  // Rolling per-rep budget: returns false once the rep has had budgetPerMinute interventions in the last minute
+  takeBudget(budgetKey, budgetPerMinute, now) {
+    const recent = (this.repDeliveries.get(budgetKey) || []).filter(at => now - at < BUDGET_WINDOW_MS);
+    if (recent.length >= budgetPerMinute) {
+      this.repDeliveries.set(budgetKey, recent);
+      return false;
+    }
+    recent.push(now);
+    this.repDeliveries.set(budgetKey, recent);
+    return true;
+  }
+  
   async evaluateTriggers(context) {
     const activeTriggers = [];
-    const now = Date.now();
+    // Replays run on the recorded call's clock, so keep their budget apart from live calls
+    const now = context.at ?? Date.now();
+    const repId = context.repId || null;
+    const budgetKey = context.replay ? `${context.sessionId}:${repId}` : repId;
+    const session = this.sessionStateFor(context.sessionId, repId);
+    const preferences = await this.getRepPreferences(repId);
+    
+    // Evaluate every rule before cooldowns so time windows see every utterance
+    const matched = this.triggers
+      .filter(trigger => trigger.condition(context, this.ruleStateFor(session, trigger.id)))
+      .map(trigger => this.effectiveTrigger(trigger, preferences))
+      // Spend the budget on the most severe interventions first
+      .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
     
-    for (const trigger of this.triggers) {
-      // Check cooldown
-      const lastTriggered = this.cooldowns.get(trigger.id) || 0;
-      if (now - lastTriggered < trigger.cooldown * 1000) {
+    for (const trigger of matched) {
+      const lastTriggered = session.cooldowns.get(trigger.id);
+      if (lastTriggered !== undefined && now - lastTriggered < trigger.cooldown * 1000) {
         continue;
       }
       
-      // Evaluate condition
-      if (trigger.condition(context)) {
-        activeTriggers.push(trigger);
-        this.cooldowns.set(trigger.id, now);
-        
-        // Log trigger activation
+      if (repId && !this.takeBudget(budgetKey, preferences.budgetPerMinute, now)) {
+        session.suppressed++;
+        continue;
+      }
+      
+      activeTriggers.push(trigger);
+      session.cooldowns.set(trigger.id, now);
+      
+      // Log trigger activation
+      if (!context.replay) {
         await this.logTrigger(trigger, context);
       }
     }
@@ -99,60 +188,372 @@ class CoachingTriggerEngine {
       await supabase.from('coaching_triggers_log').insert({
         trigger_id: trigger.id,
         trigger_name: trigger.name,
+        session_id: context.sessionId || null,
+        rep_id: context.repId || null,
+        severity: trigger.severity,
         context,
         activated_at: new Date()
       });
     } catch (error) {
-      console.error('Error logging trigger:', error);
+      logger.error('CoachingTriggerEngine: error logging trigger:', error);
     }
   }
   
-  // Dynamic trigger management
+  /**
+   * Validate a custom trigger definition
+   * @param {object} input - { name, rule, message, severity, cooldown, isActive }
+   * @param {object} options
+   * @param {boolean} options.partial - Only check the fields present (updates)
+   * @returns {Array<object>} Validation errors as [{ path, message }]
+   */
+  validateTrigger(input, { partial = false } = {}) {
+    const errors = [];
+    const has = (key) => input[key] !== undefined;
+    
+    if (!partial || has('name')) {
+      if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 100) {
+        errors.push({ path: 'name', message: 'must be 1-100 characters' });
+      }
+    }
+    if (!partial || has('message')) {
+      if (typeof input.message !== 'string' || !input.message.trim() || input.message.length > 500) {
+        errors.push({ path: 'message', message: 'must be 1-500 characters' });
+      }
+    }
+    if (!partial || has('rule')) {
+      errors.push(...validateRule(input.rule).errors);
+    }
+    if (has('severity') && !SEVERITIES.includes(input.severity)) {
+      errors.push({ path: 'severity', message: `must be one of ${SEVERITIES.join(', ')}` });
+    }
+    if (has('cooldown') && (!Number.isInteger(input.cooldown) || input.cooldown < 0 || input.cooldown > MAX_COOLDOWN)) {
+      errors.push({ path: 'cooldown', message: `must be a whole number of seconds between 0 and ${MAX_COOLDOWN}` });
+    }
+    if (has('isActive') && typeof input.isActive !== 'boolean') {
+      errors.push({ path: 'isActive', message: 'must be true or false' });
+    }
+    
+    return errors;
+  }
+  
+  toTrigger(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      rule: row.rule,
+      message: row.message,
+      severity: row.severity,
+      cooldown: row.cooldown,
+      isActive: row.is_active,
+      createdBy: row.created_by || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+  
+  async listCustomTriggers() {
+    const { data, error } = await supabase
+      .from('custom_coaching_triggers')
+      .select('*')
+      .not('rule', 'is', null)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      throw new Error(`Failed to list coaching triggers: ${error.message}`);
+    }
+    return (data || []).map(row => this.toTrigger(row));
+  }
+  
+  async getCustomTrigger(id) {
+    const { data, error } = await supabase
+      .from('custom_coaching_triggers')
+      .select('*')
+      .eq('id', id)
+      .not('rule', 'is', null)
+      .maybeSingle();
+    
+    if (error) {
+      throw new Error(`Failed to load coaching trigger: ${error.message}`);
+    }
+    return data ? this.toTrigger(data) : null;
+  }
+  
+  async createCustomTrigger(input, createdBy = null) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('custom_coaching_triggers')
+      .insert({
+        id: input.id || `custom-${uuidv4()}`,
+        name: input.name.trim(),
+        rule: input.rule,
+        message: input.message.trim(),
+        severity: input.severity || 'medium',
+        cooldown: input.cooldown ?? 120,
+        is_active: input.isActive ?? true,
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      throw new Error(`Failed to save coaching trigger: ${error.message}`);
+    }
+    
+    await this.loadCustomTriggers();
+    return this.toTrigger(data);
+  }
+  
+  async updateCustomTrigger(id, input) {
+    const updates = { updated_at: new Date().toISOString() };
+    if (input.name !== undefined) updates.name = input.name.trim();
+    if (input.rule !== undefined) updates.rule = input.rule;
+    if (input.message !== undefined) updates.message = input.message.trim();
+    if (input.severity !== undefined) updates.severity = input.severity;
+    if (input.cooldown !== undefined) updates.cooldown = input.cooldown;
+    if (input.isActive !== undefined) updates.is_active = input.isActive;
+    
+    const { data, error } = await supabase
+      .from('custom_coaching_triggers')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw new Error(`Failed to update coaching trigger: ${error.message}`);
+    }
+    
+    await this.loadCustomTriggers();
+    return data ? this.toTrigger(data) : null;
+  }
+  
+  async deleteCustomTrigger(id) {
+    const { error } = await supabase.from('custom_coaching_triggers').delete().eq('id', id);
+    if (error) {
+      throw new Error(`Failed to delete coaching trigger: ${error.message}`);
+    }
+    await this.loadCustomTriggers();
+  }
+  
+  // Kept for existing callers; conditions must now be JSON rules
   async addCustomTrigger(trigger) {
-    // Validate trigger
-    if (!trigger.id || !trigger.condition || !trigger.message) {
-      throw new Error('Invalid trigger format');
+    if (typeof trigger.condition === 'function') {
+      throw new Error('Function conditions are no longer supported; pass a JSON rule as trigger.rule');
     }
     
-    this.triggers.push(trigger);
+    const errors = this.validateTrigger(trigger);
+    if (errors.length > 0) {
+      throw new Error(`Invalid trigger format: ${errors.map(item => `${item.path} ${item.message}`).join('; ')}`);
+    }
     
-    // Save to database
-    await supabase.from('custom_coaching_triggers').insert({
-      id: trigger.id,
-      name: trigger.name,
-      condition_code: trigger.condition.toString(),
-      message: trigger.message,
-      severity: trigger.severity,
-      cooldown: trigger.cooldown
-    });
+    return this.createCustomTrigger(trigger);
   }
   
   async loadCustomTriggers() {
     try {
-      const { data: customTriggers } = await supabase
+      const { data: customTriggers, error } = await supabase
         .from('custom_coaching_triggers')
         .select('*')
         .eq('is_active', true);
       
-      customTriggers?.forEach(trigger => {
-        // Safely evaluate condition function
+      if (error) throw error;
+      
+      const loaded = [];
+      customTriggers?.forEach(row => {
+        // Legacy triggers stored as code are never executed
+        if (!row.rule) {
+          logger.warn(`CoachingTriggerEngine: skipping trigger ${row.id}, it has no JSON rule`);
+          return;
+        }
+        
         try {
-          const condition = new Function('context', trigger.condition_code);
-          this.triggers.push({
-            ...trigger,
-            condition
+          loaded.push({
+            ...this.toTrigger(row),
+            condition: compileRule(row.rule),
+            custom: true
           });
         } catch (error) {
-          console.error(`Error loading trigger ${trigger.id}:`, error);
+          logger.error(`CoachingTriggerEngine: error loading trigger ${row.id}:`, error.message);
         }
       });
+      
+      this.triggers = [...this.triggers.filter(trigger => !trigger.custom), ...loaded];
+      for (const session of this.sessions.values()) {
+        for (const triggerId of session.ruleStates.keys()) {
+          if (!this.triggers.some(trigger => trigger.id === triggerId)) session.ruleStates.delete(triggerId);
+        }
+      }
+    } catch (error) {
+      logger.error('CoachingTriggerEngine: error loading custom triggers:', error);
+    }
+  }
+  
+  /**
+   * Replay a transcript against a draft rule without activating anything
+   * @param {object} rule - Draft rule
+   * @param {Array<object>} utterances - [{ speaker, text, offsetSeconds }]
+   * @param {object} options
+   * @param {number} options.cooldown - Seconds between firings, as the live engine would apply
+   * @returns {object} { utterances, matches, firings }
+   */
+  dryRun(rule, utterances, { cooldown = 0 } = {}) {
+    const condition = compileRule(rule);
+    const state = createRuleState();
+    const contexts = realtimeCallAnalyzer.replayTranscript(utterances);
+    
+    const matches = [];
+    const firings = [];
+    let lastFiredAt = null;
+    
+    contexts.forEach((context, index) => {
+      if (!condition(context, state)) return;
+      
+      const { sessionId: _sessionId, repId: _repId, replay: _replay, at: _at, ...snapshot } = context;
+      const match = { index, at: context.duration, speaker: context.speaker, text: context.currentText, context: snapshot };
+      matches.push(match);
+      
+      if (lastFiredAt === null || context.duration - lastFiredAt >= cooldown) {
+        firings.push(match);
+        lastFiredAt = context.duration;
+      }
+    });
+    
+    return { utterances: contexts.length, matches, firings };
+  }
+  
+  /**
+   * Load a stored call transcript as utterances for a dry run
+   * @param {object} params - { transcriptionId } or { callSid }, and `userId`
+   *   to only load transcripts of that user's calls
+   * @returns {Promise<Array<object>|null>} Utterances, or null when not found
+   */
+  async loadStoredTranscript({ transcriptionId, callSid, userId = null }) {
+    let query = supabase
+      .from('call_transcriptions')
+      .select(userId
+        ? 'started_at, transcription, partial_transcriptions, twilio_calls!inner(user_id)'
+        : 'started_at, transcription, partial_transcriptions');
+    query = transcriptionId ? query.eq('id', transcriptionId) : query.eq('call_sid', callSid);
+    if (userId) query = query.eq('twilio_calls.user_id', userId);
+    
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) {
+      throw new Error(`Failed to load transcript: ${error.message}`);
+    }
+    if (!data) return null;
+    
+    const partials = data.partial_transcriptions || [];
+    const startedAt = Date.parse(data.started_at || partials[0]?.timestamp) || 0;
+    
+    return partials
+      .filter(part => part.text)
+      .map(part => ({
+        speaker: part.speaker || 'unknown',
+        text: part.text,
+        offsetSeconds: part.timestamp && startedAt ? Math.max(0, (Date.parse(part.timestamp) - startedAt) / 1000) : 0
+      }));
+  }
+  
+  /**
+   * Validate a rep's coaching preferences
+   * @param {object} input - { budgetPerMinute, overrides: { [triggerId]: { severity, cooldown } } }
+   * @returns {Array<object>} Validation errors as [{ path, message }]
+   */
+  validatePreferences(input) {
+    const errors = [];
+    
+    if (input.budgetPerMinute !== undefined && input.budgetPerMinute !== null &&
+        (!Number.isInteger(input.budgetPerMinute) || input.budgetPerMinute < 1 || input.budgetPerMinute > MAX_BUDGET_PER_MINUTE)) {
+      errors.push({ path: 'budgetPerMinute', message: `must be a whole number between 1 and ${MAX_BUDGET_PER_MINUTE}` });
+    }
+    
+    if (input.overrides !== undefined) {
+      if (!input.overrides || typeof input.overrides !== 'object' || Array.isArray(input.overrides)) {
+        errors.push({ path: 'overrides', message: 'must be an object keyed by trigger id' });
+        return errors;
+      }
+      for (const [triggerId, override] of Object.entries(input.overrides)) {
+        const path = `overrides.${triggerId}`;
+        if (!this.triggers.some(trigger => trigger.id === triggerId)) {
+          errors.push({ path, message: 'unknown trigger' });
+        } else if (!override || typeof override !== 'object') {
+          errors.push({ path, message: 'must be { severity, cooldown }' });
+        } else {
+          if (override.severity !== undefined && !SEVERITIES.includes(override.severity)) {
+            errors.push({ path: `${path}.severity`, message: `must be one of ${SEVERITIES.join(', ')}` });
+          }
+          if (override.cooldown !== undefined &&
+              (!Number.isInteger(override.cooldown) || override.cooldown < 0 || override.cooldown > MAX_COOLDOWN)) {
+            errors.push({ path: `${path}.cooldown`, message: `must be a whole number of seconds between 0 and ${MAX_COOLDOWN}` });
+          }
+        }
+      }
+    }
+    
+    return errors;
+  }
+  
+  // Preferences are cached per rep; defaults apply when none are stored (or the lookup fails)
+  async getRepPreferences(repId) {
+    const defaults = { budgetPerMinute: DEFAULT_BUDGET_PER_MINUTE, overrides: {} };
+    if (!repId) return defaults;
+    if (this.repPreferences.has(repId)) return this.repPreferences.get(repId);
+    
+    let preferences = defaults;
+    try {
+      const { data, error } = await supabase
+        .from('coaching_rep_preferences')
+        .select('budget_per_minute, trigger_overrides')
+        .eq('rep_id', repId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      if (data) {
+        preferences = {
+          budgetPerMinute: data.budget_per_minute || DEFAULT_BUDGET_PER_MINUTE,
+          overrides: data.trigger_overrides || {}
+        };
+      }
     } catch (error) {
-      console.error('Error loading custom triggers:', error);
+      logger.warn(`CoachingTriggerEngine: using default preferences for rep ${repId}:`, error.message);
     }
+    
+    this.repPreferences.set(repId, preferences);
+    return preferences;
   }
   
-  // Get trigger statistics
-  async getTriggerStats(timeframe = '24h') {
+  async updateRepPreferences(repId, input) {
+    const current = await this.getRepPreferences(repId);
+    const preferences = {
+      budgetPerMinute: input.budgetPerMinute ?? current.budgetPerMinute,
+      overrides: input.overrides ?? current.overrides
+    };
+    
+    const { error } = await supabase
+      .from('coaching_rep_preferences')
+      .upsert({
+        rep_id: repId,
+        budget_per_minute: preferences.budgetPerMinute,
+        trigger_overrides: preferences.overrides,
+        updated_at: new Date().toISOString()
+      });
+    
+    if (error) {
+      throw new Error(`Failed to save coaching preferences: ${error.message}`);
+    }
+    
+    this.repPreferences.set(repId, preferences);
+    return preferences;
+  }
+  
+  // Get trigger statistics, optionally narrowed to one rep or session
+  async getTriggerStats(timeframe = '24h', { repId, sessionId } = {}) {
     const since = new Date();
     if (timeframe === '24h') {
       since.setHours(since.getHours() - 24);
@@ -160,22 +561,42 @@ class CoachingTriggerEngine {
       since.setDate(since.getDate() - 7);
     }
     
-    const { data: stats } = await supabase
+    let query = supabase
       .from('coaching_triggers_log')
-      .select('trigger_id, trigger_name')
-      .gte('activated_at', since.toISOString())
-      .order('activated_at', { ascending: false });
+      .select('trigger_id, trigger_name, rep_id, session_id')
+      .gte('activated_at', since.toISOString());
+    if (repId) query = query.eq('rep_id', repId);
+    if (sessionId) query = query.eq('session_id', sessionId);
     
-    // Count by trigger
+    const { data: stats } = await query.order('activated_at', { ascending: false });
+    
+    // Count by trigger, and by trigger within each rep and session
     const counts = {};
+    const byRep = {};
+    const bySession = {};
+    const tally = (groups, key, log) => {
+      const group = groups[key] || (groups[key] = { total: 0, byTrigger: {} });
+      group.total++;
+      group.byTrigger[log.trigger_name] = (group.byTrigger[log.trigger_name] || 0) + 1;
+    };
+    
     stats?.forEach(log => {
       counts[log.trigger_name] = (counts[log.trigger_name] || 0) + 1;
+      tally(byRep, log.rep_id || 'unknown', log);
+      tally(bySession, log.session_id || 'unknown', log);
     });
     
+    // Budget suppressions only exist in memory, for calls still in progress
+    for (const [id, session] of this.sessions) {
+      if (bySession[id]) bySession[id].suppressed = session.suppressed;
+    }
+    
     return {
       timeframe,
       totalTriggers: stats?.length || 0,
       byTrigger: counts,
+      byRep,
+      bySession,
       mostCommon: Object.entries(counts).sort((a, b) => b[1] - a[1])[0]
     };
   }
@@ -183,4 +604,5 @@ class CoachingTriggerEngine {
 
 // Export singleton
 const coachingTriggerEngine = new CoachingTriggerEngine();
-export default coachingTriggerEngine;
\ No newline at end of file
+export { CoachingTriggerEngine };
+export default coachingTriggerEngine;
@@ -0,0 +1,437 @@
+import PDFDocument from 'pdfkit';
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+
+// Branding shared by every export format
+const BRAND = {
+  name: process.env.DOSSIER_BRAND_NAME || 'RepSpheres Canvas',
+  tagline: 'Sales Intelligence Dossier',
+  color: '#1B2A4A',
+  accent: '#3D7BF7',
+  muted: '#6B7280'
+};
+
+export const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+const COMPETITOR_COLUMNS = [
+  { key: 'name', header: 'Practice', width: 0.4 },
+  { key: 'rating', header: 'Rating', width: 0.12 },
+  { key: 'reviews', header: 'Reviews', width: 0.12 },
+  { key: 'distance', header: 'Distance', width: 0.12 },
+  { key: 'address', header: 'Address', width: 0.24 }
+];
+
+function text(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, v]) => v !== null && v !== undefined && v !== '')
+      .map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(', ') : v}`)
+      .join('; ');
+  }
+  return String(value);
+}
+
+function list(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(text).filter(Boolean);
+}
+
+/**
+ * Assemble the dossier from a completed research job and its intelligence
+ * @param {object} job - Completed research job (see researchJobQueue.toJob)
+ * @param {object} intelligence - Tech stack, service gaps, psychological profile and sales brief
+ * @returns {object} Format-neutral dossier
+ */
+export function buildDossier(job, intelligence = {}) {
+  const data = job.data || {};
+  const doctor = data.doctor || job.doctor || {};
+  const synthesis = data.synthesis || {};
+  const profile = intelligence.psychologicalProfile || {};
+
+  const talkingPoints = (synthesis.buyingSignals || []).map(signal =>
+    typeof signal === 'string'
+      ? signal
+      : [signal.signal, signal.evidence].filter(Boolean).join(' - ')
+  ).filter(Boolean);
+
+  return {
+    title: `${doctor.displayName || 'Provider'} - ${job.product || 'Research'} Dossier`,
+    product: job.product,
+    generatedAt: new Date().toISOString(),
+    researchedAt: data.timestamp || job.completedAt,
+    jobId: job.id,
+    doctor: {
+      name: doctor.displayName,
+      npi: doctor.npi,
+      specialty: doctor.specialty,
+      organization: doctor.organizationName,
+      address: doctor.fullAddress || [doctor.city, doctor.state].filter(Boolean).join(', '),
+      phone: doctor.phone,
+      website: data.websiteData?.url,
+      rating: data.reviewData?.combinedRating,
+      totalReviews: data.reviewData?.totalReviews
+    },
+    confidence: data.confidence
+      ? { score: data.confidence.score, rubric: data.confidence.rubricId, version: data.confidence.rubricVersion }
+      : null,
+    executiveSummary: text(synthesis.executiveSummary),
+    techStack: intelligence.techStack?.equipment || [],
+    websiteTechnology: data.websiteData?.technology || [],
+    competitors: (data.competitors || []).map(c => ({
+      name: c.title || c.name || '',
+      rating: c.rating || '',
+      reviews: c.rating_count ?? '',
+      distance: c.distance || '',
+      address: text(c.address)
+    })),
+    psychologicalProfile: {
+      primaryMotivators: list(profile.primaryMotivators),
+      riskTolerance: text(profile.riskTolerance),
+      decisionStyle: text(profile.decisionStyle),
+      approachStyle: text(profile.approachStyle),
+      educationalBackground: list(profile.educationalBackground)
+    },
+    serviceGaps: {
+      current: intelligence.serviceGaps?.currentServices || data.websiteData?.services || [],
+      missing: intelligence.serviceGaps?.gaps || []
+    },
+    talkingPoints,
+    painPoints: list(synthesis.painPoints),
+    approachStrategy: text(synthesis.approachStrategy),
+    actionPlan: list(synthesis.actionPlan),
+    salesRepBrief: intelligence.salesRepBrief || '',
+    sources: (data.sources || []).map(source => ({ type: source.type, url: source.url }))
+  };
+}
+
+function profileRows(dossier) {
+  const d = dossier.doctor;
+  return [
+    ['NPI', d.npi],
+    ['Specialty', d.specialty],
+    ['Organization', d.organization],
+    ['Address', d.address],
+    ['Phone', d.phone],
+    ['Website', d.website],
+    ['Reviews', d.rating ? `${d.rating}/5 (${d.totalReviews || 0} reviews)` : ''],
+    ['Confidence', dossier.confidence ? `${dossier.confidence.score}% (rubric ${dossier.confidence.rubric} v${dossier.confidence.version})` : '']
+  ].filter(([, value]) => value);
+}
+
+function psychologyRows(dossier) {
+  const p = dossier.psychologicalProfile;
+  return [
+    ['Primary motivators', p.primaryMotivators.join(', ')],
+    ['Risk tolerance', p.riskTolerance],
+    ['Decision style', p.decisionStyle],
+    ['Recommended approach', p.approachStyle],
+    ['Education', p.educationalBackground.join(', ')]
+  ].filter(([, value]) => value);
+}
+
+// Ordered sections shared by every renderer
+function sections(dossier) {
+  return [
+    { heading: 'Doctor Profile', rows: profileRows(dossier) },
+    { heading: 'Executive Summary', paragraph: dossier.executiveSummary },
+    {
+      heading: 'Technology Stack',
+      items: [...new Set([...dossier.techStack, ...dossier.websiteTechnology])],
+      empty: 'No equipment or technology identified.'
+    },
+    { heading: 'Competitive Landscape', table: dossier.competitors, empty: 'No nearby competitors found.' },
+    { heading: 'Psychological Profile', rows: psychologyRows(dossier), empty: 'No profile available.' },
+    {
+      heading: 'Service Gaps',
+      rows: [
+        ['Currently offered', dossier.serviceGaps.current.join(', ')],
+        ['Gaps', dossier.serviceGaps.missing.join(', ')]
+      ].filter(([, value]) => value),
+      empty: 'No service gaps identified.'
+    },
+    { heading: 'Talking Points', items: dossier.talkingPoints, empty: 'No talking points generated.' },
+    { heading: 'Pain Points', items: dossier.painPoints },
+    { heading: 'Approach Strategy', paragraph: dossier.approachStrategy },
+    { heading: 'Action Plan', items: dossier.actionPlan, numbered: true },
+    { heading: 'Sales Rep Brief', paragraph: dossier.salesRepBrief },
+    {
+      heading: 'Sources',
+      items: dossier.sources.map((source, index) => `[${index + 1}] ${source.type}: ${source.url}`),
+      empty: 'No sources recorded.'
+    }
+  ].filter(section => section.empty ||
+    section.rows?.length || section.paragraph || section.items?.length || section.table?.length);
+}
+
+function isEmpty(section) {
+  return !section.rows?.length && !section.paragraph && !section.items?.length && !section.table?.length;
+}
+
+/**
+ * Render the dossier as Markdown
+ * @param {object} dossier
+ * @returns {string}
+ */
+export function renderMarkdown(dossier) {
+  const escapeCell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = [
+    `# ${dossier.title}`,
+    '',
+    `_${BRAND.name} - ${BRAND.tagline} - generated ${dossier.generatedAt}_`,
+    ''
+  ];
+
+  for (const section of sections(dossier)) {
+    lines.push(`## ${section.heading}`, '');
+
+    if (isEmpty(section)) {
+      lines.push(`_${section.empty}_`, '');
+      continue;
+    }
+    if (section.rows) {
+      section.rows.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+    }
+    if (section.paragraph) {
+      lines.push(section.paragraph);
+    }
+    if (section.items) {
+      section.items.forEach((item, index) => lines.push(section.numbered ? `${index + 1}. ${item}` : `- ${item}`));
+    }
+    if (section.table) {
+      lines.push(`| ${COMPETITOR_COLUMNS.map(c => c.header).join(' | ')} |`);
+      lines.push(`| ${COMPETITOR_COLUMNS.map(() => '---').join(' | ')} |`);
+      section.table.forEach(row => lines.push(`| ${COMPETITOR_COLUMNS.map(c => escapeCell(row[c.key])).join(' | ')} |`));
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Render the dossier as a PDF with pdfkit (no external services)
+ * @param {object} dossier
+ * @returns {Promise<Buffer>}
+ */
+export function renderPdf(dossier) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margins: { top: 72, bottom: 60, left: 54, right: 54 },
+      bufferPages: true,
+      info: { Title: dossier.title, Author: BRAND.name, Subject: BRAND.tagline }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const left = doc.page.margins.left;
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND.color).text(dossier.title);
+    doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted)
+      .text(`Researched ${dossier.researchedAt || 'n/a'} - generated ${dossier.generatedAt}`);
+    doc.moveDown();
+
+    for (const section of sections(dossier)) {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(13).fillColor(BRAND.accent).text(section.heading);
+      doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor(BRAND.accent).lineWidth(0.5).stroke();
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(10).fillColor('#111827');
+
+      if (isEmpty(section)) {
+        doc.fillColor(BRAND.muted).text(section.empty).fillColor('#111827');
+      }
+      if (section.rows) {
+        section.rows.forEach(([label, value]) => {
+          doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+        });
+      }
+      if (section.paragraph) {
+        doc.text(section.paragraph, { align: 'left' });
+      }
+      if (section.items) {
+        section.items.forEach((item, index) => {
+          doc.text(`${section.numbered ? `${index + 1}.` : '•'} ${item}`, { indent: 8 });
+        });
+      }
+      if (section.table?.length) {
+        drawPdfTable(doc, section.table, left, width);
+      }
+      doc.moveDown();
+    }
+
+    // Branded header and page numbers on every page
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const { margins } = doc.page;
+      doc.page.margins = { ...margins, top: 0, bottom: 0 };
+      doc.rect(0, 0, doc.page.width, 36).fill(BRAND.color);
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#FFFFFF')
+        .text(`${BRAND.name}  |  ${BRAND.tagline}`, left, 13, { width, lineBreak: false });
+      doc.font('Helvetica').fontSize(8).fillColor(BRAND.muted)
+        .text(`Page ${i - range.start + 1} of ${range.count}  -  Confidential`, left, doc.page.height - 36,
+          { width, align: 'center', lineBreak: false });
+      doc.page.margins = margins;
+    }
+
+    doc.end();
+  });
+}
+
+function drawPdfTable(doc, rows, left, width) {
+  const rowHeight = 18;
+  const drawRow = (values, bold) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    if (bold) doc.rect(left, y - 3, width, rowHeight).fill('#EEF2FF');
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111827');
+    COMPETITOR_COLUMNS.forEach((column, index) => {
+      const columnWidth = column.width * width;
+      doc.text(String(values[index] ?? ''), x + 2, y, { width: columnWidth - 4, height: rowHeight - 4, ellipsis: true, lineBreak: false });
+      x += columnWidth;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(COMPETITOR_COLUMNS.map(column => column.header), true);
+  rows.forEach(row => drawRow(COMPETITOR_COLUMNS.map(column => row[column.key]), false));
+}
+
+/**
+ * Render the dossier as a Word document with docx (no external services)
+ * @param {object} dossier
+ * @returns {Promise<Buffer>}
+ */
+export function renderDocx(dossier) {
+  const color = BRAND.accent.slice(1);
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun({ text: dossier.title, color: BRAND.color.slice(1) })] }),
+    new Paragraph({
+      children: [new TextRun({ text: `Researched ${dossier.researchedAt || 'n/a'} - generated ${dossier.generatedAt}`, italics: true, color: BRAND.muted.slice(1), size: 18 })]
+    })
+  ];
+
+  for (const section of sections(dossier)) {
+    children.push(new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      children: [new TextRun({ text: section.heading, color })],
+      border: { bottom: { color, style: BorderStyle.SINGLE, size: 6, space: 2 } }
+    }));
+
+    if (isEmpty(section)) {
+      children.push(new Paragraph({ children: [new TextRun({ text: section.empty, italics: true })] }));
+    }
+    if (section.rows) {
+      section.rows.forEach(([label, value]) => children.push(new Paragraph({
+        children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+      })));
+    }
+    if (section.paragraph) {
+      section.paragraph.split(/\n+/).forEach(line => children.push(new Paragraph(line)));
+    }
+    if (section.items) {
+      section.items.forEach((item, index) => children.push(new Paragraph(
+        section.numbered ? { text: `${index + 1}. ${item}` } : { text: item, bullet: { level: 0 } }
+      )));
+    }
+    if (section.table?.length) {
+      children.push(docxTable(section.table));
+    }
+  }
+
+  const doc = new Document({
+    creator: BRAND.name,
+    title: dossier.title,
+    description: BRAND.tagline,
+    sections: [{
+      headers: {
+        default: new Header({
+          children: [new Paragraph({
+            children: [new TextRun({ text: `${BRAND.name}  |  ${BRAND.tagline}`, bold: true, color: BRAND.color.slice(1) })]
+          })]
+        })
+      },
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: 'Confidential', size: 16 })] })]
+        })
+      },
+      children
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+function docxTable(rows) {
+  const cell = (value, header, width) => new TableCell({
+    width: { size: Math.round(width * 100), type: WidthType.PERCENTAGE },
+    shading: header ? { type: ShadingType.CLEAR, fill: 'EEF2FF', color: 'auto' } : undefined,
+    children: [new Paragraph({ children: [new TextRun({ text: String(value ?? ''), bold: header, size: 18 })] })]
+  });
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({ tableHeader: true, children: COMPETITOR_COLUMNS.map(c => cell(c.header, true, c.width)) }),
+      ...rows.map(row => new TableRow({ children: COMPETITOR_COLUMNS.map(c => cell(row[c.key], false, c.width)) }))
+    ]
+  });
+}
+
+/**
+ * Render a dossier in the requested format
+ * @param {object} dossier
+ * @param {string} format - 'pdf', 'docx' or 'md'
+ * @returns {Promise<Buffer|string>}
+ */
+export async function renderDossier(dossier, format) {
+  switch (format) {
+  case 'pdf':
+    return renderPdf(dossier);
+  case 'docx':
+    return renderDocx(dossier);
+  case 'md':
+    return renderMarkdown(dossier);
+  default:
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  buildDossier,
+  renderDossier,
+  renderMarkdown,
+  renderPdf,
+  renderDocx
+};
@@ -0,0 +1,555 @@
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../../utils/logger.js';
+import emailGateway, { EMAIL_ERROR_STATUS } from '../emailGateway/index.js';
+import { summarizeEngagement } from '../emailGateway/tracking.js';
+import { lintTemplate, personalize } from '../emailTemplates/templateEngine.js';
+
+import SendPolicy, { sendingDomain } from './sendPolicy.js';
+
+// Campaigns whose pending sends go out when due
+const RUNNABLE_STATUSES = ['scheduled', 'running'];
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+const INSERT_CHUNK = 500;
+
+function campaignError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toCampaign(row, counts = undefined, stats = undefined) {
+  return {
+    id: row.id,
+    name: row.name,
+    subject: row.subject,
+    from: row.from_email || null,
+    status: row.status,
+    userId: row.user_id,
+    recipients: row.recipients?.length || 0,
+    steps: row.schedule?.length || 0,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    pausedAt: row.paused_at,
+    completedAt: row.completed_at,
+    ...(counts && { sends: counts }),
+    ...(stats && { stats })
+  };
+}
+
+/**
+ * Email Campaign Scheduler
+ *
+ * Sends scheduled campaigns from the database instead of in-process cron
+ * jobs. Creating a campaign expands its `schedule` (one step per `sendAt`,
+ * each optionally with its own template) into one `email_campaign_sends`
+ * row per step and recipient; a poller picks up rows that are due, so
+ * campaigns resume after a restart and each recipient's state is visible.
+ * Sends go through the email gateway's system route at the pace the
+ * SendPolicy allows for the campaign's sending domain; transport failures
+ * are retried, rejected messages are not.
+ *
+ * A send is marked `sending` while it is handed to the gateway. One still
+ * in that state after `staleMinutes` was interrupted mid-send (another
+ * instance may be sending it right now until then) and is queued again, so
+ * a crash at the wrong moment can deliver one message twice rather than
+ * not at all.
+ *
+ * Campaign stats are not stored: sent and failed counts come from the
+ * sends, opens and clicks from the campaign's `email_logs` rows. Without
+ * Supabase, campaigns and sends are kept in memory.
+ */
+class CampaignScheduler {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('CampaignScheduler: Supabase credentials not configured, campaigns will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.table = 'email_campaigns';
+    this.sendsTable = 'email_campaign_sends';
+    this.memoryCampaigns = new Map(); // id -> row
+    this.memorySends = new Map(); // id -> row
+
+    this.config = {
+      pollInterval: parseInt(process.env.EMAIL_CAMPAIGN_POLL_INTERVAL) || 30000, // 30 seconds
+      batchSize: parseInt(process.env.EMAIL_CAMPAIGN_BATCH_SIZE) || 200, // Due sends loaded per pass
+      maxAttempts: parseInt(process.env.EMAIL_CAMPAIGN_MAX_ATTEMPTS) || 3,
+      retryMinutes: parseFloat(process.env.EMAIL_CAMPAIGN_RETRY_MINUTES) || 15,
+      staleMinutes: parseFloat(process.env.EMAIL_CAMPAIGN_STALE_SENDING_MINUTES) || 15 // Longest a send can take
+    };
+
+    this.policy = new SendPolicy();
+    this.sender = message => emailGateway.send({ ...message, route: 'system' });
+    this.now = () => new Date();
+    this.sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    this.pollTimer = null;
+    this.started = false;
+    this.ticking = false;
+  }
+
+  /**
+   * Start sending due sends, requeueing interrupted ones as they go stale
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.pollTimer = setInterval(() => this.tick(), this.config.pollInterval);
+    logger.info(`CampaignScheduler: started (polling every ${this.config.pollInterval}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    clearInterval(this.pollTimer);
+  }
+
+  /**
+   * Create a campaign and queue a send for every step and recipient
+   * @param {object} campaign
+   * @param {string} campaign.name
+   * @param {Array<object>} campaign.recipients - [{ email, ...fields for placeholders }]
+   * @param {string} campaign.subject - May use placeholders, conditionals and loops (see parseTemplate)
+   * @param {string} campaign.htmlTemplate
+   * @param {string} campaign.textTemplate
+   * @param {Array<object>} campaign.schedule - [{ sendAt, template?, subject? }]
+   * @param {string} campaign.from - Sender; defaults to the transport's
+   * @param {string} campaign.userId
+   * @returns {Promise<object>} The campaign row
+   */
+  async createCampaign({ name, recipients, subject, htmlTemplate, textTemplate = null, schedule, from = null, userId }) {
+    const invalid = (message) => campaignError('INVALID_CAMPAIGN', message);
+    if (!Array.isArray(recipients) || recipients.length === 0) throw invalid('recipients must be a non-empty array');
+    if (recipients.some(recipient => !recipient?.email)) throw invalid('Every recipient needs an email');
+    if (!Array.isArray(schedule) || schedule.length === 0) throw invalid('schedule must be a non-empty array');
+    if (schedule.some(step => Number.isNaN(new Date(step?.sendAt).getTime()))) throw invalid('Every schedule step needs a valid sendAt date');
+    const lint = lintTemplate([subject, htmlTemplate, textTemplate, ...schedule.flatMap(step => [step.subject, step.template, step.textTemplate])]);
+    if (!lint.valid) throw invalid(`Invalid template: ${lint.errors.join('; ')}`);
+
+    const now = this.now().toISOString();
+    const row = {
+      id: uuidv4(),
+      name,
+      subject,
+      html_template: htmlTemplate,
+      text_template: textTemplate,
+      from_email: from,
+      recipients,
+      schedule: schedule.map(step => ({ ...step, sendAt: new Date(step.sendAt).toISOString() })),
+      status: 'scheduled',
+      user_id: userId,
+      created_at: now,
+      updated_at: now
+    };
+
+    // The same address twice in a list gets one copy of each step
+    const seen = new Set();
+    const uniqueRecipients = recipients.filter(recipient => {
+      const email = recipient.email.toLowerCase();
+      if (seen.has(email)) return false;
+      seen.add(email);
+      return true;
+    });
+    const sends = row.schedule.flatMap((step, stepIndex) => uniqueRecipients.map(recipient => ({
+      id: uuidv4(),
+      campaign_id: row.id,
+      step_index: stepIndex,
+      recipient_email: recipient.email.toLowerCase(),
+      recipient,
+      send_at: step.sendAt,
+      status: 'pending',
+      attempts: 0,
+      created_at: now,
+      updated_at: now
+    })));
+
+    if (!this.supabase) {
+      this.memoryCampaigns.set(row.id, row);
+      sends.forEach(send => this.memorySends.set(send.id, send));
+    } else {
+      const { error } = await this.supabase.from(this.table).insert(row);
+      if (error) {
+        throw new Error(`Failed to save campaign: ${error.message}`);
+      }
+      for (let i = 0; i < sends.length; i += INSERT_CHUNK) {
+        const { error: sendsError } = await this.supabase.from(this.sendsTable).insert(sends.slice(i, i + INSERT_CHUNK));
+        if (sendsError) {
+          await this.supabase.from(this.table).delete().eq('id', row.id);
+          throw new Error(`Failed to queue campaign sends: ${sendsError.message}`);
+        }
+      }
+    }
+
+    logger.info(`CampaignScheduler: campaign ${row.id} (${name}) queued ${sends.length} sends over ${row.schedule.length} steps`);
+    return row;
+  }
+
+  /**
+   * A campaign with per-status send counts and its stats
+   * @param {string} campaignId
+   * @param {string} userId - Only that user's campaign, when given
+   * @returns {Promise<object|null>}
+   */
+  async getCampaign(campaignId, userId = null) {
+    const row = await this.loadCampaign(campaignId, userId);
+    if (!row) return null;
+
+    const counts = {};
+    for (const send of await this.loadSends(campaignId)) {
+      counts[send.status] = (counts[send.status] || 0) + 1;
+    }
+    const { opened, clicked, bounced, openRate, clickRate } = summarizeEngagement(await this.loadEmailLogs(campaignId));
+    const stats = { sent: counts.sent || 0, failed: counts.failed || 0, opened, clicked, bounced, openRate, clickRate };
+    return toCampaign(row, counts, stats);
+  }
+
+  /**
+   * A campaign's sends, in send order
+   * @param {string} campaignId
+   * @param {string} userId - Only that user's campaign, when given
+   * @returns {Promise<Array<object>|null>} null when the campaign is not found
+   */
+  async listSends(campaignId, userId = null) {
+    if (!await this.loadCampaign(campaignId, userId)) return null;
+    return (await this.loadSends(campaignId)).map(send => ({
+      id: send.id,
+      step: send.step_index,
+      email: send.recipient_email,
+      status: send.status,
+      sendAt: send.send_at,
+      attempts: send.attempts,
+      messageId: send.message_id || null,
+      transport: send.transport || null,
+      error: send.error || null,
+      sentAt: send.sent_at || null
+    }));
+  }
+
+  /**
+   * Stop sending until resumed; sends that come due meanwhile go out on resume
+   */
+  async pause(campaignId, userId = null) {
+    return this.transition(campaignId, userId, RUNNABLE_STATUSES, () => ({ status: 'paused', paused_at: this.now().toISOString() }));
+  }
+
+  async resume(campaignId, userId = null) {
+    return this.transition(campaignId, userId, ['paused'], row => ({ status: row.started_at ? 'running' : 'scheduled', paused_at: null }));
+  }
+
+  /**
+   * Stop the campaign for good; pending sends are cancelled
+   */
+  async cancel(campaignId, userId = null) {
+    const campaign = await this.transition(campaignId, userId, ['scheduled', 'running', 'paused'], () => ({
+      status: 'cancelled',
+      completed_at: this.now().toISOString()
+    }));
+    await this.updateSends(campaignId, 'pending', { status: 'cancelled' });
+    return campaign;
+  }
+
+  async transition(campaignId, userId, from, updates) {
+    const row = await this.loadCampaign(campaignId, userId);
+    if (!row) {
+      throw campaignError('CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    if (!from.includes(row.status)) {
+      throw campaignError('CAMPAIGN_STATE', `Campaign is ${row.status}`);
+    }
+
+    const saved = await this.saveCampaign(campaignId, { ...updates(row), updated_at: this.now().toISOString() });
+    logger.info(`CampaignScheduler: campaign ${campaignId} ${row.status} -> ${saved.status}`);
+    return toCampaign(saved);
+  }
+
+  /**
+   * Send everything that is due, at the pace the send policy allows
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const requeued = await this.requeueInterrupted();
+      if (requeued) {
+        logger.warn(`CampaignScheduler: requeued ${requeued} sends interrupted mid-send`);
+      }
+
+      const campaignIds = await this.loadRunnableCampaignIds();
+      const deferred = new Set(); // Domains at their rate limit for this pass
+      const touched = new Map();
+
+      for (const send of campaignIds.length ? await this.loadDueSends(campaignIds) : []) {
+        if (!this.started) break;
+
+        // Reloaded for every send, so a pause or cancel takes effect mid-pass
+        const campaign = await this.loadCampaign(send.campaign_id);
+        if (!campaign || !RUNNABLE_STATUSES.includes(campaign.status)) continue;
+
+        const domain = sendingDomain(campaign.from_email);
+        if (deferred.has(domain)) continue;
+        const wait = this.policy.waitTime(domain, this.now());
+        if (wait > this.policy.maxInlineWait) {
+          deferred.add(domain);
+          continue;
+        }
+        if (wait > 0) await this.sleep(wait);
+
+        await this.deliver(campaign, send, domain);
+        touched.set(campaign.id, campaign);
+      }
+
+      for (const campaign of touched.values()) {
+        await this.completeIfDone(campaign);
+      }
+    } catch (error) {
+      logger.error('CampaignScheduler: tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async deliver(campaign, send, domain) {
+    // Claim the send so a second instance polling the same table skips it
+    const claimed = await this.claimSend(send.id);
+    if (!claimed) return;
+
+    if (!campaign.started_at) {
+      Object.assign(campaign, await this.saveCampaign(campaign.id, {
+        status: 'running',
+        started_at: this.now().toISOString(),
+        updated_at: this.now().toISOString()
+      }));
+    }
+
+    const step = campaign.schedule[send.step_index] || {};
+    const attempt = send.attempts + 1;
+    try {
+      const result = await this.sender({
+        from: campaign.from_email || undefined,
+        to: send.recipient_email,
+        subject: personalize(step.subject || campaign.subject, send.recipient),
+        html: personalize(step.template || campaign.html_template, send.recipient, { html: true }),
+        text: personalize(step.textTemplate || campaign.text_template, send.recipient) || undefined,
+        campaignId: campaign.id,
+        tags: { campaignId: campaign.id, step: send.step_index }
+      });
+
+      const now = this.now().toISOString();
+      await this.saveSend(send.id, {
+        status: 'sent',
+        attempts: attempt,
+        message_id: result.messageId,
+        transport: result.transport,
+        error: null,
+        sent_at: now,
+        updated_at: now
+      });
+    } catch (error) {
+      // Rejected and invalid messages will not go through on a retry either
+      const permanent = EMAIL_ERROR_STATUS[error.code] === 400;
+      const retry = !permanent && attempt < this.config.maxAttempts;
+      const now = this.now();
+      await this.saveSend(send.id, {
+        status: retry ? 'pending' : 'failed',
+        attempts: attempt,
+        send_at: retry ? new Date(now.getTime() + this.config.retryMinutes * 60 * 1000).toISOString() : send.send_at,
+        error: error.message,
+        updated_at: now.toISOString()
+      });
+      logger.warn(`CampaignScheduler: send to ${send.recipient_email} for campaign ${campaign.id} failed` +
+                  `${retry ? `, retrying in ${this.config.retryMinutes} minutes` : ''}: ${error.message}`);
+    } finally {
+      this.policy.recordSend(domain, this.now());
+    }
+  }
+
+  async completeIfDone(campaign) {
+    if (!campaign || CLOSED_STATUSES.includes(campaign.status)) return;
+    const sends = await this.loadSends(campaign.id);
+    if (sends.some(send => ['pending', 'sending'].includes(send.status))) return;
+
+    const now = this.now().toISOString();
+    await this.saveCampaign(campaign.id, { status: 'completed', completed_at: now, updated_at: now });
+    const count = status => sends.filter(send => send.status === status).length;
+    logger.info(`CampaignScheduler: campaign ${campaign.id} completed (${count('sent')} sent, ${count('failed')} failed)`);
+  }
+
+  // Sends left in `sending` for longer than any send takes, by an instance that stopped mid-send
+  async requeueInterrupted() {
+    const cutoff = new Date(this.now().getTime() - this.config.staleMinutes * 60 * 1000).toISOString();
+    return this.updateSends(null, 'sending', { status: 'pending' }, { updatedBefore: cutoff });
+  }
+
+  async loadCampaign(campaignId, userId = null) {
+    if (!this.supabase) {
+      const row = this.memoryCampaigns.get(campaignId);
+      return row && (!userId || row.user_id === userId) ? row : null;
+    }
+
+    let query = this.supabase.from(this.table).select('*').eq('id', campaignId);
+    if (userId) query = query.eq('user_id', userId);
+    const { data, error } = await query.maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load campaign: ${error.message}`);
+    }
+    return data;
+  }
+
+  async saveCampaign(campaignId, updates) {
+    if (!this.supabase) {
+      const row = { ...this.memoryCampaigns.get(campaignId), ...updates };
+      this.memoryCampaigns.set(campaignId, row);
+      return row;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update(updates)
+      .eq('id', campaignId)
+      .select()
+      .single();
+    if (error) {
+      throw new Error(`Failed to update campaign: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadSends(campaignId) {
+    if (!this.supabase) {
+      return [...this.memorySends.values()]
+        .filter(send => send.campaign_id === campaignId)
+        .sort((a, b) => a.send_at.localeCompare(b.send_at) || a.step_index - b.step_index);
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.sendsTable)
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('send_at')
+      .order('step_index');
+    if (error) {
+      throw new Error(`Failed to load campaign sends: ${error.message}`);
+    }
+    return data;
+  }
+
+  // Gateway log rows for a campaign's messages, for open and click counts
+  async loadEmailLogs(campaignId) {
+    if (!this.supabase) return [];
+
+    const { data, error } = await this.supabase
+      .from('email_logs')
+      .select('status, opened_at, clicked_at')
+      .eq('campaign_id', campaignId);
+    if (error) {
+      throw new Error(`Failed to load campaign email logs: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadRunnableCampaignIds() {
+    if (!this.supabase) {
+      return [...this.memoryCampaigns.values()].filter(row => RUNNABLE_STATUSES.includes(row.status)).map(row => row.id);
+    }
+
+    const { data, error } = await this.supabase.from(this.table).select('id').in('status', RUNNABLE_STATUSES);
+    if (error) {
+      throw new Error(`Failed to load running campaigns: ${error.message}`);
+    }
+    return data.map(row => row.id);
+  }
+
+  async loadDueSends(campaignIds) {
+    const now = this.now().toISOString();
+    if (!this.supabase) {
+      return [...this.memorySends.values()]
+        .filter(send => campaignIds.includes(send.campaign_id) && send.status === 'pending' && send.send_at <= now)
+        .sort((a, b) => a.send_at.localeCompare(b.send_at))
+        .slice(0, this.config.batchSize);
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.sendsTable)
+      .select('*')
+      .in('campaign_id', campaignIds)
+      .eq('status', 'pending')
+      .lte('send_at', now)
+      .order('send_at')
+      .limit(this.config.batchSize);
+    if (error) {
+      throw new Error(`Failed to load due campaign sends: ${error.message}`);
+    }
+    return data;
+  }
+
+  async claimSend(sendId) {
+    const updates = { status: 'sending', updated_at: this.now().toISOString() };
+    if (!this.supabase) {
+      const send = this.memorySends.get(sendId);
+      if (send?.status !== 'pending') return false;
+      this.memorySends.set(sendId, { ...send, ...updates });
+      return true;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.sendsTable)
+      .update(updates)
+      .eq('id', sendId)
+      .eq('status', 'pending')
+      .select('id');
+    if (error) {
+      throw new Error(`Failed to claim campaign send: ${error.message}`);
+    }
+    return data.length > 0;
+  }
+
+  async saveSend(sendId, updates) {
+    if (!this.supabase) {
+      this.memorySends.set(sendId, { ...this.memorySends.get(sendId), ...updates });
+      return;
+    }
+
+    const { error } = await this.supabase.from(this.sendsTable).update(updates).eq('id', sendId);
+    if (error) {
+      throw new Error(`Failed to update campaign send: ${error.message}`);
+    }
+  }
+
+  // Update every send in a status, for one campaign or all, optionally only
+  // those last updated before a time; returns how many changed
+  async updateSends(campaignId, status, updates, { updatedBefore = null } = {}) {
+    const stamped = { ...updates, updated_at: this.now().toISOString() };
+    if (!this.supabase) {
+      const sends = [...this.memorySends.values()]
+        .filter(send => send.status === status && (!campaignId || send.campaign_id === campaignId) &&
+          (!updatedBefore || send.updated_at < updatedBefore));
+      sends.forEach(send => this.memorySends.set(send.id, { ...send, ...stamped }));
+      return sends.length;
+    }
+
+    let query = this.supabase.from(this.sendsTable).update(stamped).eq('status', status);
+    if (campaignId) query = query.eq('campaign_id', campaignId);
+    if (updatedBefore) query = query.lt('updated_at', updatedBefore);
+    const { data, error } = await query.select('id');
+    if (error) {
+      throw new Error(`Failed to update campaign sends: ${error.message}`);
+    }
+    return data.length;
+  }
+}
+
+// Export singleton
+const campaignScheduler = new CampaignScheduler();
+export { CampaignScheduler };
+export default campaignScheduler;
@@ -0,0 +1,114 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_LIMITS = { perMinute: 10, perHour: 300 };
+
+function parseDelay(value) {
+  const bounds = String(value || '').split('-').map(part => part.trim());
+  if (bounds.length > 2 || bounds.some(part => !/^\d+$/.test(part))) return null;
+  const [min, max = min] = bounds.map(Number);
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+function parseLimits(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Bare, lowercased address from an address header value
+ * @param {string} value - e.g. '"Dr. Lee" <Lee@Smiles.com>'
+ * @returns {string} e.g. 'lee@smiles.com' ('' when empty)
+ */
+export function emailAddress(value) {
+  return (/<([^>]+)>/.exec(value || '')?.[1] || value || '').trim().toLowerCase();
+}
+
+/**
+ * Domain a campaign sends from, used to share throttles between campaigns
+ * @param {string} from - Sender address, e.g. '"Dr. Lee" <lee@smiles.com>'
+ * @returns {string} The domain, or 'default' for platform mail without a sender
+ */
+export function sendingDomain(from) {
+  return emailAddress(from).split('@')[1] || 'default';
+}
+
+/**
+ * Campaign Send Policy
+ *
+ * How fast campaign mail leaves, per sending domain: a random gap between
+ * consecutive sends (EMAIL_CAMPAIGN_DELAY_MS, "min-max" in ms, default
+ * 2000-7000) and per-minute / per-hour caps (EMAIL_CAMPAIGN_DOMAIN_LIMITS,
+ * JSON keyed by domain with a `default` entry, e.g.
+ * `{"default":{"perMinute":10,"perHour":300},"smiles.com":{"perHour":50}}`).
+ *
+ * Counts are kept per process, so they start over after a restart.
+ */
+export class SendPolicy {
+  constructor({
+    delay = parseDelay(process.env.EMAIL_CAMPAIGN_DELAY_MS) || { min: 2000, max: 7000 },
+    limits = parseLimits(process.env.EMAIL_CAMPAIGN_DOMAIN_LIMITS),
+    random = Math.random
+  } = {}) {
+    this.delay = delay;
+    this.limits = limits;
+    this.random = random;
+    this.domains = new Map(); // domain -> { nextAt, sentAt: [timestamps within the last hour] }
+  }
+
+  limitsFor(domain) {
+    return { ...DEFAULT_LIMITS, ...this.limits.default, ...this.limits[domain] };
+  }
+
+  /**
+   * How long until the domain may send again
+   * @param {string} domain
+   * @param {Date} now
+   * @returns {number} Milliseconds, 0 when it may send now
+   */
+  waitTime(domain, now) {
+    const state = this.domains.get(domain);
+    if (!state) return 0;
+
+    const time = now.getTime();
+    state.sentAt = state.sentAt.filter(at => at > time - HOUR);
+    const { perMinute, perHour } = this.limitsFor(domain);
+    const lastMinute = state.sentAt.filter(at => at > time - MINUTE);
+
+    let until = state.nextAt;
+    if (perMinute && lastMinute.length >= perMinute) {
+      until = Math.max(until, lastMinute[lastMinute.length - perMinute] + MINUTE);
+    }
+    if (perHour && state.sentAt.length >= perHour) {
+      until = Math.max(until, state.sentAt[state.sentAt.length - perHour] + HOUR);
+    }
+    return Math.max(until - time, 0);
+  }
+
+  /**
+   * Count a send and pick the gap before the domain's next one
+   * @param {string} domain
+   * @param {Date} now
+   */
+  recordSend(domain, now) {
+    const state = this.domains.get(domain) || { nextAt: 0, sentAt: [] };
+    const gap = this.delay.min + this.random() * (this.delay.max - this.delay.min);
+    state.sentAt.push(now.getTime());
+    state.nextAt = now.getTime() + gap;
+    this.domains.set(domain, state);
+  }
+
+  /**
+   * Longest wait worth sleeping through inside one scheduler pass; anything
+   * longer is a rate limit and waits for a later pass
+   */
+  get maxInlineWait() {
+    return this.delay.max;
+  }
+}
+
+export default SendPolicy;
@@ -0,0 +1,148 @@
+import { lintTemplate } from '../emailTemplates/templateEngine.js';
+import { addDays, localParts, localTimeToDate } from '../julie/practiceProfiles.js';
+
+export const STEP_TYPES = ['email', 'wait', 'branch', 'exit'];
+export const BRANCH_EVENTS = ['opened', 'clicked', 'replied'];
+
+const WAIT_UNITS = { minutes: 60 * 1000, hours: 60 * 60 * 1000, days: 24 * 60 * 60 * 1000 };
+const WEEKEND = [0, 6]; // Sunday, Saturday
+
+function sequenceError(errors) {
+  const error = new Error(`Invalid sequence: ${errors.join('; ')}`);
+  error.code = 'INVALID_SEQUENCE';
+  error.details = errors;
+  return error;
+}
+
+function isTime(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Validate a sequence definition and fill in defaults
+ *
+ * A sequence is an ordered list of steps; each step moves on to `next` (a
+ * step id) or, without one, to the step after it, and the sequence ends
+ * after the last step or at an `exit` step:
+ *
+ *   { type: 'email', subject: 'Hi {{firstName}}' | ['Variant A', 'Variant B'], html, text? }
+ *   { type: 'wait', businessDays: 2 } (or days / hours / minutes)
+ *   { type: 'branch', on: 'opened' | 'clicked' | 'replied', step?: emailStepId, then: stepId, else: stepId }
+ *   { type: 'exit' }
+ *
+ * A subject given as a list is an A/B test: each enrollee gets one variant.
+ * Branches on opened/clicked look at the named email step (default: the
+ * last email sent); `replied` means any reply since enrollment.
+ *
+ * @param {object} input - { name, steps, from?, stopOnReply?, timezone?, sendTime?, holidays? }
+ * @returns {object} Normalised definition; every step has an `id`
+ * @throws {Error} code INVALID_SEQUENCE with `details`
+ */
+export function validateSequence(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') throw sequenceError(['definition must be an object']);
+  if (!input.name) errors.push('name is required');
+  if (!Array.isArray(input.steps) || input.steps.length === 0) errors.push('steps must be a non-empty array');
+
+  const timezone = input.timezone || 'America/New_York';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    errors.push(`unknown timezone ${timezone}`);
+  }
+  if (input.sendTime && !isTime(input.sendTime)) errors.push('sendTime must be HH:MM');
+  if (input.holidays && (!Array.isArray(input.holidays) || input.holidays.some(day => !/^\d{4}-\d{2}-\d{2}$/.test(day)))) {
+    errors.push('holidays must be a list of YYYY-MM-DD dates');
+  }
+  if (errors.length) throw sequenceError(errors);
+
+  const steps = input.steps.map((step, index) => ({ ...step, id: String(step?.id || `step-${index + 1}`) }));
+  const ids = new Set();
+  steps.forEach((step, index) => {
+    const at = `step ${step.id}`;
+    if (ids.has(step.id)) errors.push(`duplicate step id ${step.id}`);
+    ids.add(step.id);
+
+    if (!STEP_TYPES.includes(step.type)) {
+      errors.push(`${at}: type must be one of ${STEP_TYPES.join(', ')}`);
+      return;
+    }
+    if (step.type === 'email') {
+      const subjects = Array.isArray(step.subject) ? step.subject : [step.subject];
+      if (subjects.length === 0 || subjects.some(subject => !subject || typeof subject !== 'string')) {
+        errors.push(`${at}: subject must be a string or a list of subject variants`);
+      }
+      if (!step.html && !step.text) errors.push(`${at}: html or text is required`);
+      lintTemplate([...subjects, step.html, step.text].filter(part => typeof part === 'string')).errors
+        .forEach(message => errors.push(`${at}: ${message}`));
+    }
+    if (step.type === 'wait') {
+      const units = ['businessDays', ...Object.keys(WAIT_UNITS)].filter(unit => step[unit] !== undefined);
+      if (units.length !== 1 || !(Number(step[units[0]]) > 0)) {
+        errors.push(`${at}: wait needs one positive businessDays, days, hours or minutes`);
+      } else if (units[0] === 'businessDays' && !Number.isInteger(Number(step.businessDays))) {
+        errors.push(`${at}: businessDays must be a whole number`);
+      }
+    }
+    if (step.type === 'branch') {
+      if (!BRANCH_EVENTS.includes(step.on)) errors.push(`${at}: on must be one of ${BRANCH_EVENTS.join(', ')}`);
+      if (!step.then || !step.else) errors.push(`${at}: branch needs then and else step ids`);
+      if (step.step && !steps.slice(0, index).some(other => other.id === step.step && other.type === 'email')) {
+        errors.push(`${at}: step must name an earlier email step`);
+      }
+    }
+  });
+
+  for (const step of steps) {
+    for (const target of [step.next, step.then, step.else].filter(Boolean)) {
+      if (!ids.has(target)) errors.push(`step ${step.id}: unknown step ${target}`);
+    }
+  }
+  if (errors.length) throw sequenceError(errors);
+
+  return {
+    name: input.name,
+    from: input.from || null,
+    stopOnReply: input.stopOnReply !== false,
+    timezone,
+    sendTime: input.sendTime || null,
+    holidays: input.holidays || [],
+    steps
+  };
+}
+
+/**
+ * The step a step moves on to, or null at the end of the sequence
+ * @param {object} definition
+ * @param {object} step
+ */
+export function nextStepId(definition, step) {
+  if (step.next) return step.next;
+  const index = definition.steps.findIndex(candidate => candidate.id === step.id);
+  return definition.steps[index + 1]?.id || null;
+}
+
+/**
+ * When a wait step ends. Business days skip weekends and the sequence's
+ * holidays in its time zone and end at `sendTime` (default: the current
+ * local time of day).
+ * @param {object} definition
+ * @param {object} step - A wait step
+ * @param {Date} from
+ * @returns {Date}
+ */
+export function waitUntil(definition, step, from) {
+  const unit = Object.keys(WAIT_UNITS).find(key => step[key] !== undefined);
+  if (unit) {
+    return new Date(from.getTime() + Number(step[unit]) * WAIT_UNITS[unit]);
+  }
+
+  const local = localParts(from, definition.timezone);
+  let date = local.date;
+  for (let remaining = Number(step.businessDays); remaining > 0;) {
+    date = addDays(date, 1);
+    const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+    if (!WEEKEND.includes(weekday) && !definition.holidays.includes(date)) remaining--;
+  }
+  return localTimeToDate(definition.timezone, date, definition.sendTime || local.time);
+}
@@ -0,0 +1,734 @@
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../../utils/logger.js';
+import emailGateway, { EMAIL_ERROR_STATUS } from '../emailGateway/index.js';
+import { personalize } from '../emailTemplates/templateEngine.js';
+
+import campaignScheduler from './scheduler.js';
+import { emailAddress, sendingDomain } from './sendPolicy.js';
+import { nextStepId, validateSequence, waitUntil } from './sequenceDefinition.js';
+
+// Steps one pass may walk through without reaching a wait or an email (guards branch loops)
+const MAX_TRANSITIONS = 50;
+// How long a claimed enrollment is held; a crashed worker's enrollments are picked up after it
+const LEASE_MINUTES = 5;
+const ENGAGEMENT_CHUNK = 200;
+
+function sequenceError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function subjectVariants(step) {
+  return Array.isArray(step.subject) ? step.subject : [step.subject];
+}
+
+function toSequence(row, stats = undefined) {
+  return {
+    id: row.id,
+    name: row.name,
+    status: row.status,
+    userId: row.user_id,
+    definition: row.definition,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(stats && { stats })
+  };
+}
+
+function toEnrollment(row) {
+  return {
+    id: row.id,
+    sequenceId: row.sequence_id,
+    email: row.contact_email,
+    contact: row.contact,
+    status: row.status,
+    currentStep: row.current_step,
+    nextRunAt: row.next_run_at,
+    variants: row.variants,
+    history: row.history,
+    enrolledAt: row.enrolled_at,
+    completedAt: row.completed_at,
+    exitReason: row.exit_reason
+  };
+}
+
+/**
+ * Email Sequence Engine
+ *
+ * Runs multi-step drip sequences (see validateSequence for the format) for
+ * each enrolled contact: emails go out through the email gateway on the
+ * rep's behalf (their tier's transports and monthly limit), waits are
+ * measured in business days or plain time, and branches follow whether the
+ * contact opened, clicked or replied. A reply (an inbound email from the
+ * contact, synced by gmailSyncService) ends the sequence for that contact
+ * unless the sequence sets `stopOnReply: false`. The inboxes of reps with
+ * active enrollments are synced every `inboxSyncMinutes` so replies are found
+ * without anyone syncing by hand.
+ *
+ * Each enrollment stores the step it is on, when it is next due, its A/B
+ * subject variants and a history of what happened, in
+ * `email_sequence_enrollments`; a poller advances the ones that are due,
+ * paced by the campaign scheduler's send policy. Without Supabase,
+ * sequences and enrollments are kept in memory.
+ */
+class SequenceEngine {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('SequenceEngine: Supabase credentials not configured, sequences will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.table = 'email_sequences';
+    this.enrollmentsTable = 'email_sequence_enrollments';
+    this.memorySequences = new Map(); // id -> row
+    this.memoryEnrollments = new Map(); // id -> row
+
+    this.config = {
+      pollInterval: parseInt(process.env.EMAIL_SEQUENCE_POLL_INTERVAL) || 60000, // 1 minute
+      batchSize: parseInt(process.env.EMAIL_SEQUENCE_BATCH_SIZE) || 100, // Due enrollments advanced per pass
+      maxAttempts: parseInt(process.env.EMAIL_CAMPAIGN_MAX_ATTEMPTS) || 3,
+      retryMinutes: parseFloat(process.env.EMAIL_CAMPAIGN_RETRY_MINUTES) || 15,
+      inboxSyncMinutes: parseFloat(process.env.EMAIL_SEQUENCE_INBOX_SYNC_MINUTES) || 10
+    };
+
+    // Per-domain caps cover campaigns and sequences together
+    this.policy = campaignScheduler.policy;
+    this.sender = message => emailGateway.send(message);
+    this.engagement = messageIds => this.loadEngagement(messageIds);
+    this.random = Math.random;
+    this.now = () => new Date();
+    this.sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    this.inboundListener = email => this.handleInboundEmail(email).catch(error => {
+      logger.error('SequenceEngine: failed to handle inbound email:', error);
+    });
+    this.inbox = null;
+    this.lastInboxSyncAt = 0;
+    this.pollTimer = null;
+    this.started = false;
+    this.ticking = false;
+  }
+
+  /**
+   * Start advancing due enrollments and listening for replies
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    try {
+      const { gmailSyncService } = await import('../gmailSyncService.js');
+      this.inbox = gmailSyncService;
+      this.inbox.on('inbound', this.inboundListener);
+    } catch (error) {
+      logger.warn('SequenceEngine: Gmail sync unavailable, replies are only found in email_logs:', error.message);
+    }
+
+    this.pollTimer = setInterval(() => this.tick(), this.config.pollInterval);
+    logger.info(`SequenceEngine: started (polling every ${this.config.pollInterval}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    clearInterval(this.pollTimer);
+    this.inbox?.off('inbound', this.inboundListener);
+  }
+
+  /**
+   * Save a new sequence
+   * @param {string} userId - The rep who owns it and sends its emails
+   * @param {object} input - Sequence definition
+   * @returns {Promise<object>}
+   */
+  async createSequence(userId, input) {
+    const definition = validateSequence(input);
+    const now = this.now().toISOString();
+    const row = {
+      id: uuidv4(),
+      user_id: userId,
+      name: definition.name,
+      definition,
+      status: 'active',
+      created_at: now,
+      updated_at: now
+    };
+
+    if (!this.supabase) {
+      this.memorySequences.set(row.id, row);
+    } else {
+      const { error } = await this.supabase.from(this.table).insert(row);
+      if (error) {
+        throw new Error(`Failed to save sequence: ${error.message}`);
+      }
+    }
+
+    logger.info(`SequenceEngine: sequence ${row.id} (${row.name}) created with ${definition.steps.length} steps`);
+    return toSequence(row);
+  }
+
+  async listSequences(userId) {
+    if (!this.supabase) {
+      return [...this.memorySequences.values()]
+        .filter(row => row.user_id === userId)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(row => toSequence(row));
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+    if (error) {
+      throw new Error(`Failed to load sequences: ${error.message}`);
+    }
+    return data.map(row => toSequence(row));
+  }
+
+  /**
+   * A sequence with enrollment counts and per-variant results for each email step
+   * @returns {Promise<object|null>}
+   */
+  async getSequence(sequenceId, userId = null) {
+    const row = await this.loadSequence(sequenceId, userId);
+    if (!row) return null;
+    return toSequence(row, await this.getStats(row));
+  }
+
+  /**
+   * Enroll contacts; a contact already active in the sequence is skipped
+   * @param {string} sequenceId
+   * @param {string} userId
+   * @param {Array<object>} contacts - [{ email, ...fields for placeholders }]
+   * @param {object} options - { startAt } when the first step runs (default now)
+   * @returns {Promise<Array<object>>} [{ email, enrolled, enrollmentId?, reason? }]
+   */
+  async enroll(sequenceId, userId, contacts, { startAt = null } = {}) {
+    const sequence = await this.loadSequence(sequenceId, userId);
+    if (!sequence) throw sequenceError('SEQUENCE_NOT_FOUND', 'Sequence not found');
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      throw sequenceError('INVALID_SEQUENCE', 'contacts must be a non-empty array');
+    }
+
+    const results = [];
+    for (const contact of contacts) {
+      const email = emailAddress(contact?.email);
+      if (!email.includes('@')) {
+        results.push({ email: contact?.email || null, enrolled: false, reason: 'invalid email' });
+        continue;
+      }
+
+      const existing = await this.findActiveEnrollment(sequenceId, email);
+      if (existing) {
+        results.push({ email, enrolled: false, enrollmentId: existing.id, reason: 'already enrolled' });
+        continue;
+      }
+
+      const now = this.now().toISOString();
+      const row = {
+        id: uuidv4(),
+        sequence_id: sequenceId,
+        user_id: sequence.user_id,
+        contact_email: email,
+        contact: { ...contact, email },
+        status: 'active',
+        current_step: sequence.definition.steps[0].id,
+        next_run_at: startAt ? new Date(startAt).toISOString() : now,
+        variants: {},
+        history: [{ type: 'enrolled', at: now }],
+        attempts: 0,
+        enrolled_at: now,
+        updated_at: now
+      };
+
+      if (!this.supabase) {
+        this.memoryEnrollments.set(row.id, row);
+      } else {
+        const { error } = await this.supabase.from(this.enrollmentsTable).insert(row);
+        if (error?.code === '23505') {
+          // Enrolled by a concurrent request
+          results.push({ email, enrolled: false, reason: 'already enrolled' });
+          continue;
+        }
+        if (error) {
+          throw new Error(`Failed to enroll contact: ${error.message}`);
+        }
+      }
+      results.push({ email, enrolled: true, enrollmentId: row.id });
+    }
+
+    const enrolled = results.filter(result => result.enrolled).length;
+    logger.info(`SequenceEngine: enrolled ${enrolled} of ${contacts.length} contacts in sequence ${sequenceId}`);
+    return results;
+  }
+
+  /**
+   * Take a contact out of a sequence
+   * @returns {Promise<object>} The enrollment
+   */
+  async unenroll(sequenceId, userId, email) {
+    if (!await this.loadSequence(sequenceId, userId)) {
+      throw sequenceError('SEQUENCE_NOT_FOUND', 'Sequence not found');
+    }
+    const row = await this.findActiveEnrollment(sequenceId, emailAddress(email));
+    if (!row) {
+      throw sequenceError('ENROLLMENT_NOT_FOUND', `${email} is not active in this sequence`);
+    }
+    return toEnrollment(await this.finish(row, 'unenrolled', 'unenrolled'));
+  }
+
+  /**
+   * A sequence's enrollments, newest first
+   * @returns {Promise<Array<object>|null>} null when the sequence is not found
+   */
+  async listEnrollments(sequenceId, userId = null) {
+    if (!await this.loadSequence(sequenceId, userId)) return null;
+    return (await this.loadEnrollments(sequenceId)).map(toEnrollment);
+  }
+
+  /**
+   * A contact wrote back: record the reply and end their sequences that stop on replies
+   * @param {object} email - { userId, from, receivedAt }; userId limits it to that rep's sequences
+   * @returns {Promise<number>} Enrollments that ended
+   */
+  async handleInboundEmail({ userId = null, from, receivedAt = null }) {
+    const address = emailAddress(from);
+    if (!address) return 0;
+
+    let ended = 0;
+    for (const row of await this.loadActiveEnrollmentsFor(address, userId)) {
+      const sequence = await this.loadSequence(row.sequence_id);
+      const enrollment = { ...row, history: [...row.history, { type: 'replied', at: receivedAt || this.now().toISOString() }] };
+      if (sequence?.definition.stopOnReply !== false) {
+        await this.finish(enrollment, 'replied', 'replied');
+        ended++;
+      } else {
+        await this.saveEnrollment(row.id, { history: enrollment.history, updated_at: this.now().toISOString() });
+      }
+    }
+
+    if (ended) {
+      logger.info(`SequenceEngine: ${address} replied, ended ${ended} sequence enrollments`);
+    }
+    return ended;
+  }
+
+  /**
+   * Advance every enrollment that is due
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      // Replies first, so a contact who wrote back is not sent the next step
+      if (this.now().getTime() - this.lastInboxSyncAt >= this.config.inboxSyncMinutes * 60 * 1000) {
+        await this.syncInboxes();
+      }
+
+      for (const row of await this.loadDueEnrollments()) {
+        if (!this.started) break;
+        const claimed = await this.claim(row);
+        if (!claimed) continue;
+
+        try {
+          await this.advance(claimed);
+        } catch (error) {
+          logger.error(`SequenceEngine: failed to advance enrollment ${row.id}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('SequenceEngine: tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Pull new mail for every rep with active enrollments; replies reach
+   * handleInboundEmail through the inbox's 'inbound' events
+   */
+  async syncInboxes() {
+    this.lastInboxSyncAt = this.now().getTime();
+    if (!this.inbox) return;
+
+    for (const userId of await this.loadActiveUserIds()) {
+      try {
+        await this.inbox.syncGmailEmails(userId);
+      } catch (error) {
+        // Reps without a connected Gmail account land here on every pass
+        logger.debug(`SequenceEngine: inbox sync skipped for rep ${userId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Walk an enrollment forward until it has to wait, sends, or finishes
+   * @param {object} row - A claimed enrollment
+   */
+  async advance(row) {
+    const sequence = await this.loadSequence(row.sequence_id);
+    if (!sequence) return this.finish(row, 'failed', 'sequence deleted');
+
+    const { definition } = sequence;
+    const steps = new Map(definition.steps.map(step => [step.id, step]));
+    const enrollment = { ...row, history: [...row.history], variants: { ...row.variants } };
+
+    for (let transitions = 0; transitions < MAX_TRANSITIONS; transitions++) {
+      const step = steps.get(enrollment.current_step);
+      if (!step || step.type === 'exit') {
+        return this.finish(enrollment, 'completed', step ? `exit at ${step.id}` : 'end of sequence');
+      }
+
+      if (step.type === 'wait') {
+        const until = waitUntil(definition, step, this.now());
+        enrollment.history.push({ type: 'waiting', step: step.id, until: until.toISOString(), at: this.now().toISOString() });
+        return this.save(enrollment, { current_step: nextStepId(definition, step), next_run_at: until.toISOString() });
+      }
+
+      if (step.type === 'branch') {
+        const result = await this.evaluate(enrollment, step);
+        enrollment.history.push({ type: 'branch', step: step.id, on: step.on, result, at: this.now().toISOString() });
+        enrollment.current_step = result ? step.then : step.else;
+        continue;
+      }
+
+      if (definition.stopOnReply && await this.hasReplied(enrollment)) {
+        return this.finish(enrollment, 'replied', 'replied');
+      }
+
+      const domain = sendingDomain(definition.from);
+      const wait = this.policy.waitTime(domain, this.now());
+      if (wait > this.policy.maxInlineWait) {
+        return this.save(enrollment, { next_run_at: new Date(this.now().getTime() + wait).toISOString() });
+      }
+      if (wait > 0) await this.sleep(wait);
+
+      if (!await this.sendStep(enrollment, sequence, step, domain)) return enrollment;
+    }
+
+    logger.warn(`SequenceEngine: enrollment ${row.id} went through ${MAX_TRANSITIONS} steps without waiting`);
+    return this.finish(enrollment, 'failed', 'sequence loops without a wait');
+  }
+
+  // Send an email step; false when the enrollment was saved for a retry or failed
+  async sendStep(enrollment, sequence, step, domain) {
+    const { definition } = sequence;
+    const subjects = subjectVariants(step);
+    if (subjects.length > 1 && enrollment.variants[step.id] === undefined) {
+      enrollment.variants[step.id] = Math.floor(this.random() * subjects.length);
+    }
+    const variant = subjects.length > 1 ? enrollment.variants[step.id] : null;
+    const contact = { ...enrollment.contact, email: enrollment.contact_email };
+
+    try {
+      const result = await this.sender({
+        userId: sequence.user_id,
+        from: definition.from || undefined,
+        to: enrollment.contact_email,
+        subject: personalize(subjects[variant ?? 0], contact),
+        html: personalize(step.html, contact, { html: true }) || undefined,
+        text: personalize(step.text, contact) || undefined,
+        tags: { sequenceId: sequence.id, step: step.id, ...(variant !== null && { variant }) }
+      });
+
+      enrollment.history.push({
+        type: 'sent',
+        step: step.id,
+        ...(variant !== null && { variant }),
+        messageId: result.messageId,
+        at: this.now().toISOString()
+      });
+      enrollment.attempts = 0;
+      enrollment.current_step = nextStepId(definition, step);
+      return true;
+    } catch (error) {
+      const permanent = [400, 403].includes(EMAIL_ERROR_STATUS[error.code]);
+      const attempts = (enrollment.attempts || 0) + 1;
+      logger.warn(`SequenceEngine: step ${step.id} to ${enrollment.contact_email} failed (attempt ${attempts}): ${error.message}`);
+      enrollment.history.push({ type: 'send_failed', step: step.id, error: error.message, at: this.now().toISOString() });
+
+      if (permanent || attempts >= this.config.maxAttempts) {
+        await this.finish(enrollment, 'failed', error.message);
+      } else {
+        await this.save({ ...enrollment, attempts }, {
+          next_run_at: new Date(this.now().getTime() + this.config.retryMinutes * 60 * 1000).toISOString()
+        });
+      }
+      return false;
+    } finally {
+      this.policy.recordSend(domain, this.now());
+    }
+  }
+
+  async evaluate(enrollment, step) {
+    if (step.on === 'replied') return this.hasReplied(enrollment);
+
+    const sent = enrollment.history.filter(event => event.type === 'sent' && (!step.step || event.step === step.step));
+    const last = sent[sent.length - 1];
+    if (!last?.messageId) return false;
+
+    const engagement = (await this.engagement([last.messageId])).get(last.messageId) || {};
+    return step.on === 'clicked' ? !!engagement.clicked : !!(engagement.opened || engagement.clicked);
+  }
+
+  /**
+   * Whether the contact has written back since enrolling: a reply already
+   * recorded, or an inbound email from them in email_logs (synced from Gmail)
+   */
+  async hasReplied(enrollment) {
+    if (enrollment.history.some(event => event.type === 'replied')) return true;
+    if (!this.supabase) return false;
+
+    const { data, error } = await this.supabase
+      .from('email_logs')
+      .select('sent_at')
+      .eq('email_type', 'inbound')
+      .eq('user_id', enrollment.user_id)
+      .eq('from_email', enrollment.contact_email)
+      .gte('sent_at', enrollment.enrolled_at)
+      .order('sent_at')
+      .limit(1);
+    if (error) {
+      throw new Error(`Failed to check for replies: ${error.message}`);
+    }
+    if (!data.length) return false;
+
+    enrollment.history.push({ type: 'replied', at: data[0].sent_at });
+    return true;
+  }
+
+  /**
+   * Opened / clicked state of sent messages, from their email_logs rows
+   * (recorded by the gateway's open and click tracking)
+   * @param {Array<string>} messageIds
+   * @returns {Promise<Map>} messageId -> { opened, clicked }
+   */
+  async loadEngagement(messageIds) {
+    const engagement = new Map();
+    if (!this.supabase || messageIds.length === 0) return engagement;
+
+    for (let i = 0; i < messageIds.length; i += ENGAGEMENT_CHUNK) {
+      const { data, error } = await this.supabase
+        .from('email_logs')
+        .select('message_id, status, opened_at, clicked_at')
+        .in('message_id', messageIds.slice(i, i + ENGAGEMENT_CHUNK));
+      if (error) {
+        throw new Error(`Failed to load email engagement: ${error.message}`);
+      }
+      for (const row of data) {
+        engagement.set(row.message_id, {
+          opened: !!row.opened_at || ['opened', 'clicked'].includes(row.status),
+          clicked: !!row.clicked_at || row.status === 'clicked'
+        });
+      }
+    }
+    return engagement;
+  }
+
+  async getStats(sequence) {
+    const enrollments = await this.loadEnrollments(sequence.id);
+    const byStatus = {};
+    enrollments.forEach(row => { byStatus[row.status] = (byStatus[row.status] || 0) + 1; });
+
+    const steps = sequence.definition.steps.filter(step => step.type === 'email').map(step => ({
+      step: step.id,
+      variants: subjectVariants(step).map(subject => ({ subject, sent: 0, opened: 0, clicked: 0, replied: 0 }))
+    }));
+    const sends = [];
+    for (const row of enrollments) {
+      const replied = row.history.some(event => event.type === 'replied');
+      for (const event of row.history.filter(entry => entry.type === 'sent')) {
+        const variant = steps.find(entry => entry.step === event.step)?.variants[event.variant ?? 0];
+        if (!variant) continue;
+        variant.sent++;
+        if (replied) variant.replied++;
+        sends.push({ variant, messageId: event.messageId });
+      }
+    }
+
+    const engagement = await this.engagement(sends.map(send => send.messageId).filter(Boolean));
+    for (const { variant, messageId } of sends) {
+      const state = engagement.get(messageId);
+      if (state?.opened || state?.clicked) variant.opened++;
+      if (state?.clicked) variant.clicked++;
+    }
+
+    return { enrollments: byStatus, steps };
+  }
+
+  async save(enrollment, updates = {}) {
+    const changes = {
+      current_step: enrollment.current_step,
+      variants: enrollment.variants,
+      history: enrollment.history,
+      attempts: enrollment.attempts || 0,
+      ...updates,
+      updated_at: this.now().toISOString()
+    };
+    await this.saveEnrollment(enrollment.id, changes);
+    return { ...enrollment, ...changes };
+  }
+
+  async finish(enrollment, status, reason) {
+    const now = this.now().toISOString();
+    return this.save(enrollment, { status, exit_reason: reason, next_run_at: null, completed_at: now });
+  }
+
+  async loadSequence(sequenceId, userId = null) {
+    if (!this.supabase) {
+      const row = this.memorySequences.get(sequenceId);
+      return row && (!userId || row.user_id === userId) ? row : null;
+    }
+
+    let query = this.supabase.from(this.table).select('*').eq('id', sequenceId);
+    if (userId) query = query.eq('user_id', userId);
+    const { data, error } = await query.maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load sequence: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadEnrollments(sequenceId) {
+    if (!this.supabase) {
+      return [...this.memoryEnrollments.values()]
+        .filter(row => row.sequence_id === sequenceId)
+        .sort((a, b) => b.enrolled_at.localeCompare(a.enrolled_at));
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.enrollmentsTable)
+      .select('*')
+      .eq('sequence_id', sequenceId)
+      .order('enrolled_at', { ascending: false });
+    if (error) {
+      throw new Error(`Failed to load enrollments: ${error.message}`);
+    }
+    return data;
+  }
+
+  async findActiveEnrollment(sequenceId, email) {
+    if (!this.supabase) {
+      return [...this.memoryEnrollments.values()]
+        .find(row => row.sequence_id === sequenceId && row.contact_email === email && row.status === 'active') || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.enrollmentsTable)
+      .select('*')
+      .eq('sequence_id', sequenceId)
+      .eq('contact_email', email)
+      .eq('status', 'active')
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load enrollment: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadActiveEnrollmentsFor(email, userId) {
+    if (!this.supabase) {
+      return [...this.memoryEnrollments.values()]
+        .filter(row => row.contact_email === email && row.status === 'active' && (!userId || row.user_id === userId));
+    }
+
+    let query = this.supabase
+      .from(this.enrollmentsTable)
+      .select('*')
+      .eq('contact_email', email)
+      .eq('status', 'active');
+    if (userId) query = query.eq('user_id', userId);
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load enrollments: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadActiveUserIds() {
+    if (!this.supabase) {
+      return [...new Set([...this.memoryEnrollments.values()].filter(row => row.status === 'active').map(row => row.user_id))];
+    }
+
+    const { data, error } = await this.supabase.from(this.enrollmentsTable).select('user_id').eq('status', 'active');
+    if (error) {
+      throw new Error(`Failed to load reps with active enrollments: ${error.message}`);
+    }
+    return [...new Set(data.map(row => row.user_id))];
+  }
+
+  async loadDueEnrollments() {
+    const now = this.now().toISOString();
+    if (!this.supabase) {
+      return [...this.memoryEnrollments.values()]
+        .filter(row => row.status === 'active' && row.next_run_at && row.next_run_at <= now)
+        .sort((a, b) => a.next_run_at.localeCompare(b.next_run_at))
+        .slice(0, this.config.batchSize);
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.enrollmentsTable)
+      .select('*')
+      .eq('status', 'active')
+      .lte('next_run_at', now)
+      .order('next_run_at')
+      .limit(this.config.batchSize);
+    if (error) {
+      throw new Error(`Failed to load due enrollments: ${error.message}`);
+    }
+    return data;
+  }
+
+  // Push next_run_at out by a lease, only if nobody else did first; returns the claimed row
+  async claim(row) {
+    const lease = new Date(this.now().getTime() + LEASE_MINUTES * 60 * 1000).toISOString();
+    if (!this.supabase) {
+      const current = this.memoryEnrollments.get(row.id);
+      if (current?.status !== 'active' || current.next_run_at !== row.next_run_at) return null;
+      const claimed = { ...current, next_run_at: lease };
+      this.memoryEnrollments.set(row.id, claimed);
+      return claimed;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.enrollmentsTable)
+      .update({ next_run_at: lease })
+      .eq('id', row.id)
+      .eq('status', 'active')
+      .eq('next_run_at', row.next_run_at)
+      .select();
+    if (error) {
+      throw new Error(`Failed to claim enrollment: ${error.message}`);
+    }
+    return data[0] || null;
+  }
+
+  async saveEnrollment(enrollmentId, updates) {
+    if (!this.supabase) {
+      this.memoryEnrollments.set(enrollmentId, { ...this.memoryEnrollments.get(enrollmentId), ...updates });
+      return;
+    }
+
+    const { error } = await this.supabase.from(this.enrollmentsTable).update(updates).eq('id', enrollmentId);
+    if (error) {
+      throw new Error(`Failed to update enrollment: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton
+const sequenceEngine = new SequenceEngine();
+export { SequenceEngine };
+export default sequenceEngine;
@@ -0,0 +1,120 @@
+import { htmlToText } from '../emailTemplates/htmlToText.js';
+import CircuitBreaker from '../researchProviders/circuitBreaker.js';
+
+export { htmlToText };
+
+// SMTP replies that reject the message or mailbox itself: another transport would be refused too
+const MESSAGE_REJECTION_CODES = [550, 551, 552, 553, 554];
+
+/**
+ * Whether a send failed because of the message (bad recipient, rejected
+ * content) rather than the transport, so failing over would not help
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isMessageRejection(error) {
+  return MESSAGE_REJECTION_CODES.includes(error.responseCode) || error.code === 'EMAIL_MESSAGE_REJECTED';
+}
+
+/**
+ * Base class for email transports
+ *
+ * Every send goes through `send()`, which fails fast while the transport's
+ * circuit is open, trips the breaker after repeated transport failures and
+ * keeps per-transport counters. Subclasses implement `deliver()` for one
+ * normalised message:
+ *
+ *   { from, to: [], cc: [], bcc: [], replyTo, subject, html, text, headers, attachments, tags }
+ */
+export class EmailTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Transport id used in routes, logs and `email_logs.transport`
+   * @param {string} options.defaultFrom - Sender when the message has none
+   * @param {object} options.breaker - { failureThreshold, resetTimeout }
+   */
+  constructor({ name, defaultFrom = 'noreply@repspheres.com', breaker = {} }) {
+    this.name = name;
+    this.defaultFrom = defaultFrom;
+    this.breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 5 * 60 * 1000, ...breaker });
+    this.sent = 0;
+    this.failed = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether credentials for this transport are present
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Whether the transport can take another message now (daily sending limits)
+   * @returns {boolean}
+   */
+  hasCapacity() {
+    return true;
+  }
+
+  /**
+   * Hand one message to the provider
+   * @param {object} _message - Normalised message
+   * @returns {Promise<object>} { messageId, from }
+   */
+  async deliver(_message) {
+    throw new Error(`${this.name} does not implement deliver()`);
+  }
+
+  /**
+   * Check the connection or credentials without sending
+   * @returns {Promise<boolean>}
+   */
+  async verify() {
+    return this.isConfigured();
+  }
+
+  /**
+   * Send one message through the breaker
+   * @param {object} message - Normalised message
+   * @returns {Promise<object>} { messageId, from, transport }
+   */
+  async send(message) {
+    if (!this.breaker.canRequest()) {
+      const error = new Error(`${this.name} is temporarily unavailable (circuit open)`);
+      error.code = 'EMAIL_TRANSPORT_UNAVAILABLE';
+      throw error;
+    }
+
+    try {
+      const result = await this.deliver({ ...message, from: message.from || this.defaultFrom });
+      this.breaker.recordSuccess();
+      this.sent++;
+      return { ...result, transport: this.name };
+    } catch (error) {
+      this.failed++;
+      this.lastError = error.message;
+      // A rejected message says nothing about the transport's health
+      if (isMessageRejection(error)) {
+        this.breaker.recordSuccess();
+      } else {
+        this.breaker.recordFailure();
+      }
+      throw error;
+    }
+  }
+
+  getStatus() {
+    return {
+      configured: this.isConfigured(),
+      hasCapacity: this.hasCapacity(),
+      sent: this.sent,
+      failed: this.failed,
+      lastError: this.lastError,
+      circuit: this.breaker.getState()
+    };
+  }
+}
+
+export default EmailTransport;
@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { v4 as uuidv4 } from 'uuid';
+
+import EmailTransport from './emailTransport.js';
+import { buildRawMessage } from './sesTransport.js';
+
+/**
+ * Local maildir sink (EMAIL_FILE_SINK_DIR, default ./data/mail)
+ *
+ * Nothing leaves the machine: each message is written as an .eml file to
+ * `<dir>/new`, the way a maildir delivery works (written to `tmp` first, then
+ * moved), with a JSON sidecar holding the envelope and tags. Meant for tests
+ * and local development, typically with EMAIL_TRANSPORTS=file.
+ */
+export class FileTransport extends EmailTransport {
+  constructor({ directory = process.env.EMAIL_FILE_SINK_DIR || './data/mail', ...options } = {}) {
+    super({ name: 'file', ...options });
+    this.directory = directory;
+  }
+
+  async deliver(message) {
+    const id = `${Date.now()}.${uuidv4()}`;
+    const messageId = `<${id}@file.local>`;
+    const raw = await buildRawMessage({ ...message, messageId });
+
+    const tmpDir = path.join(this.directory, 'tmp');
+    const newDir = path.join(this.directory, 'new');
+    await fs.mkdir(tmpDir, { recursive: true });
+    await fs.mkdir(newDir, { recursive: true });
+
+    const tmpFile = path.join(tmpDir, `${id}.eml`);
+    await fs.writeFile(tmpFile, raw);
+    await fs.rename(tmpFile, path.join(newDir, `${id}.eml`));
+    await fs.writeFile(path.join(newDir, `${id}.json`), JSON.stringify({
+      messageId,
+      from: message.from,
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      subject: message.subject,
+      tags: message.tags
+    }, null, 2));
+
+    return { messageId, from: message.from, file: path.join(newDir, `${id}.eml`) };
+  }
+
+  /**
+   * Messages delivered so far, oldest first (envelope sidecars)
+   * @returns {Promise<Array<object>>}
+   */
+  async list() {
+    const newDir = path.join(this.directory, 'new');
+    const files = await fs.readdir(newDir).catch(() => []);
+    const envelopes = await Promise.all(files.filter(file => file.endsWith('.json')).sort()
+      .map(async file => JSON.parse(await fs.readFile(path.join(newDir, file), 'utf8'))));
+    return envelopes;
+  }
+}
+
+export default FileTransport;
@@ -0,0 +1,485 @@
+import { randomUUID } from 'crypto';
+
+import { createClient } from '@supabase/supabase-js';
+
+import logger from '../../utils/logger.js';
+import { getRepXTier, REPX_FEATURES } from '../../utils/repxHelpers.js';
+
+import { htmlToText, isMessageRejection } from './emailTransport.js';
+import FileTransport from './fileTransport.js';
+import SendGridTransport from './sendgridTransport.js';
+import SesTransport from './sesTransport.js';
+import { createGmailTransport, createPostalTransport, createVultrTransport } from './smtpTransport.js';
+import EmailTracking, { automatedReason } from './tracking.js';
+
+export { htmlToText };
+
+const TRANSPORT_FACTORIES = {
+  smtp: createVultrTransport,
+  gmail: createGmailTransport,
+  postal: createPostalTransport,
+  ses: options => new SesTransport(options),
+  sendgrid: options => new SendGridTransport(options),
+  file: options => new FileTransport(options)
+};
+
+export const TRANSPORT_NAMES = Object.keys(TRANSPORT_FACTORIES);
+
+// Platform mail that is not sent on a rep's behalf (alerts, campaigns, /api/emails)
+const DEFAULT_SYSTEM_ROUTE = ['gmail', 'postal', 'ses', 'smtp', 'sendgrid'];
+
+const MEMORY_LOG_LIMIT = 1000;
+// Engagement events kept per email_logs row
+const MAX_ENGAGEMENT_EVENTS = 50;
+
+// HTTP status for each error code send() throws
+export const EMAIL_ERROR_STATUS = {
+  EMAIL_INVALID_MESSAGE: 400,
+  EMAIL_MESSAGE_REJECTED: 400,
+  EMAIL_ACCESS_DENIED: 403,
+  EMAIL_QUOTA_EXCEEDED: 429,
+  EMAIL_NO_TRANSPORT: 503
+};
+
+function parseList(value) {
+  return value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : null;
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+function emailError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function currentMonth(now) {
+  return now.toISOString().slice(0, 7);
+}
+
+/**
+ * Build email transports
+ * @param {object} options - Per-transport constructor options, e.g. { file: { directory } }
+ * @returns {object} name -> EmailTransport
+ */
+export function createEmailTransports(options = {}) {
+  return Object.fromEntries(Object.entries(TRANSPORT_FACTORIES).map(([name, create]) => [name, create(options[name])]));
+}
+
+/**
+ * Email Gateway
+ *
+ * The one way the platform sends email. A message is routed to an ordered list
+ * of transports (SMTP relay, Gmail pool, Postal, SES, SendGrid, or the local
+ * file sink) and handed to the first that is configured, has capacity and has
+ * a closed circuit; if it fails, the next one is tried. Routes come from
+ * `REPX_FEATURES[tier].emailTransports` for mail sent on a rep's behalf, and
+ * from EMAIL_SYSTEM_TRANSPORTS for platform mail. EMAIL_TRANSPORTS overrides
+ * every route (e.g. `file` in development).
+ *
+ * Reps' monthly limits (`REPX_FEATURES[tier].emailLimit`) are counted in
+ * `user_email_usage`, and every send, delivered or not, is logged to
+ * `email_logs` with the transport that took it and the failover attempts.
+ * Without Supabase, usage and logs are kept in memory.
+ *
+ * HTML mail gets open and click tracking when it is configured (see
+ * EmailTracking); opens and clicks are recorded on the message's
+ * `email_logs` row by recordEngagement().
+ */
+class EmailGateway {
+  constructor({ transports = null } = {}) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('EmailGateway: Supabase credentials not configured, email usage and logs will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.transports = transports || createEmailTransports();
+    this.systemRoute = parseList(process.env.EMAIL_SYSTEM_TRANSPORTS) || DEFAULT_SYSTEM_ROUTE;
+    this.routeOverride = parseList(process.env.EMAIL_TRANSPORTS);
+    this.tracking = new EmailTracking();
+    this.getTier = getRepXTier;
+    this.now = () => new Date();
+
+    this.memoryUsage = new Map(); // `${userId}:${month}` -> count
+    this.memoryLogs = [];
+
+    const configured = Object.values(this.transports).filter(transport => transport.isConfigured()).map(transport => transport.name);
+    logger.info(`EmailGateway: transports configured: ${configured.join(', ') || 'none'}`);
+  }
+
+  /**
+   * A rep's email entitlements
+   * @param {string} userId
+   * @returns {Promise<object>} { tier, emailAccess, emailLimit, unlimited, transports }
+   */
+  async getUserEmailConfig(userId) {
+    let tier = 'repx0';
+    try {
+      tier = await this.getTier(userId);
+    } catch (error) {
+      logger.error('EmailGateway: error getting RepX tier:', error.message);
+    }
+
+    const features = REPX_FEATURES[tier] || REPX_FEATURES.repx0;
+    return {
+      tier: REPX_FEATURES[tier] ? tier : 'repx0',
+      emailAccess: !!features.emailAccess,
+      emailLimit: features.emailLimit ?? 0,
+      unlimited: features.emailLimit === null,
+      transports: features.emailTransports || []
+    };
+  }
+
+  /**
+   * Where a rep stands against their monthly limit
+   * @param {string} userId
+   * @param {object} emailConfig - From getUserEmailConfig()
+   * @returns {Promise<object>} { allowed, sent, limit, remaining } (remaining is null when unlimited)
+   */
+  async checkQuota(userId, emailConfig) {
+    if (!emailConfig.emailAccess) {
+      return { allowed: false, sent: 0, limit: 0, remaining: 0 };
+    }
+
+    const sent = await this.getMonthlyUsage(userId);
+    if (emailConfig.unlimited) {
+      return { allowed: true, sent, limit: null, remaining: null };
+    }
+
+    const remaining = Math.max(emailConfig.emailLimit - sent, 0);
+    return { allowed: remaining > 0, sent, limit: emailConfig.emailLimit, remaining };
+  }
+
+  /**
+   * Transports a message will be tried on, in order
+   * @param {Array<string>} route - Transport names
+   * @param {string} prefer - Transport to try first, if it is on the route
+   * @returns {Array<EmailTransport>}
+   */
+  resolveRoute(route, prefer = null) {
+    let names = this.routeOverride || route;
+    if (prefer && names.includes(prefer)) {
+      names = [prefer, ...names.filter(name => name !== prefer)];
+    }
+    return names.map(name => this.transports[name]).filter(Boolean);
+  }
+
+  /**
+   * Send one email
+   * @param {object} options
+   * @param {string|Array<string>} options.to
+   * @param {string} options.subject
+   * @param {string} options.html - html and/or text
+   * @param {string} options.text - Derived from html when omitted
+   * @param {string} options.from, options.replyTo, options.cc, options.bcc, options.headers, options.attachments
+   * @param {string} options.userId - Rep sending; with the default 'tier' route, their tier picks the
+   *   transports and their monthly limit applies
+   * @param {string} options.route - 'tier' (default with a userId) or 'system' (platform mail, no limits)
+   * @param {string} options.prefer - Transport to try first, e.g. 'postal' for bulk
+   * @param {string} options.campaignId - Logged, and sent as X-Campaign-ID
+   * @param {object} options.tags - Provider tags / custom args
+   * @param {boolean} options.track - Add open and click tracking to HTML mail (default true when configured)
+   * @returns {Promise<object>} { success, messageId, transport, tier, quotaRemaining, attempts }
+   */
+  async send(options) {
+    const { userId = null, campaignId = null, prefer = null } = options;
+    const routeName = options.route || (userId ? 'tier' : 'system');
+    const message = this.normalize(options);
+
+    if (message.to.length === 0 || !message.subject || (!message.html && !message.text)) {
+      throw emailError('EMAIL_INVALID_MESSAGE', 'An email needs a recipient, a subject and an html or text body');
+    }
+
+    // After normalize(), so the plain-text part keeps the original links
+    const trackingId = options.track !== false && this.tracking.enabled && message.html ? randomUUID() : null;
+    if (trackingId) {
+      message.html = this.tracking.instrument(message.html, trackingId);
+    }
+
+    let emailConfig = null;
+    let quota = null;
+    let route = this.systemRoute;
+    if (routeName === 'tier') {
+      if (!userId) {
+        throw emailError('EMAIL_INVALID_MESSAGE', 'userId is required to send on a rep\'s behalf');
+      }
+      emailConfig = await this.getUserEmailConfig(userId);
+      if (!emailConfig.emailAccess) {
+        throw emailError('EMAIL_ACCESS_DENIED', 'Email access requires RepX1 or higher subscription');
+      }
+      quota = await this.checkQuota(userId, emailConfig);
+      if (!quota.allowed) {
+        throw emailError('EMAIL_QUOTA_EXCEEDED',
+          `Monthly email limit reached (${emailConfig.emailLimit} emails/month). Upgrade to RepX4 for unlimited emails.`);
+      }
+      route = emailConfig.transports;
+    }
+
+    const attempts = [];
+    let result = null;
+    let lastError = null;
+    for (const transport of this.resolveRoute(route, prefer)) {
+      if (!transport.isConfigured()) continue;
+      if (!transport.hasCapacity()) {
+        attempts.push({ transport: transport.name, error: 'daily limit reached' });
+        continue;
+      }
+
+      try {
+        result = await transport.send(message);
+        break;
+      } catch (error) {
+        lastError = error;
+        attempts.push({ transport: transport.name, error: error.message });
+        logger.warn(`EmailGateway: ${transport.name} failed to send "${message.subject}": ${error.message}`);
+        if (isMessageRejection(error)) break;
+      }
+    }
+
+    const logBase = { message, userId, campaignId, tier: emailConfig?.tier || null, attempts, trackingId };
+    if (!result) {
+      const error = lastError && isMessageRejection(lastError)
+        ? lastError
+        : emailError('EMAIL_NO_TRANSPORT', attempts.length
+          ? `No email transport could send the message (${attempts.map(attempt => `${attempt.transport}: ${attempt.error}`).join('; ')})`
+          : 'No email transport is configured');
+      await this.log({ ...logBase, status: 'failed', error: error.message });
+      throw error;
+    }
+
+    if (routeName === 'tier') {
+      await this.trackUsage(userId);
+    }
+    await this.log({ ...logBase, status: 'sent', result });
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      transport: result.transport,
+      account: result.account || result.transport,
+      tier: emailConfig?.tier || null,
+      quotaRemaining: quota && quota.remaining !== null ? quota.remaining - 1 : null,
+      attempts
+    };
+  }
+
+  normalize(options) {
+    const html = options.html || null;
+    return {
+      from: options.from || null,
+      to: toList(options.to),
+      cc: toList(options.cc),
+      bcc: toList(options.bcc),
+      replyTo: options.replyTo || null,
+      subject: options.subject,
+      html,
+      text: options.text || (html ? htmlToText(html) : null),
+      headers: {
+        ...(options.campaignId && { 'X-Campaign-ID': String(options.campaignId) }),
+        ...options.headers
+      },
+      attachments: options.attachments || [],
+      tags: {
+        ...(options.userId && { userId: options.userId }),
+        ...options.tags
+      }
+    };
+  }
+
+  async getMonthlyUsage(userId) {
+    const month = currentMonth(this.now());
+    if (!this.supabase) {
+      return this.memoryUsage.get(`${userId}:${month}`) || 0;
+    }
+
+    const { data, error } = await this.supabase
+      .from('user_email_usage')
+      .select('emails_sent')
+      .eq('user_id', userId)
+      .eq('month', month)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load email usage: ${error.message}`);
+    }
+    return data?.emails_sent || 0;
+  }
+
+  async trackUsage(userId, count = 1) {
+    const month = currentMonth(this.now());
+    if (!this.supabase) {
+      const key = `${userId}:${month}`;
+      this.memoryUsage.set(key, (this.memoryUsage.get(key) || 0) + count);
+      return;
+    }
+
+    // The email is already out; a missed count must not turn it into an error
+    const { error } = await this.supabase.rpc('increment_email_usage', {
+      p_user_id: userId,
+      p_month: month,
+      p_count: count
+    });
+    if (error) {
+      logger.error('EmailGateway: failed to track email usage:', error.message);
+    }
+  }
+
+  async log({ message, userId, campaignId, tier, attempts, status, result = null, error = null, trackingId = null }) {
+    const row = {
+      message_id: result?.messageId || null,
+      from_email: result?.from || message.from || 'unknown',
+      to_email: message.to.join(', '),
+      subject: message.subject,
+      status,
+      sent_at: this.now().toISOString(),
+      campaign_id: campaignId,
+      user_id: userId,
+      error,
+      transport: result?.transport || null,
+      tier,
+      email_type: 'outbound',
+      tracking_id: trackingId,
+      metadata: {
+        attempts,
+        ...(message.cc.length && { cc: message.cc }),
+        ...(message.bcc.length && { bcc: message.bcc }),
+        ...(result?.account && { account: result.account })
+      }
+    };
+
+    if (!this.supabase) {
+      this.memoryLogs.push(row);
+      if (this.memoryLogs.length > MEMORY_LOG_LIMIT) this.memoryLogs.shift();
+      return;
+    }
+
+    const { error: insertError } = await this.supabase.from('email_logs').insert(row);
+    if (insertError) {
+      logger.error('EmailGateway: failed to log email:', insertError.message);
+    }
+  }
+
+  /**
+   * Log a message that was sent outside send(), e.g. an SES templated bulk send
+   * @param {object} options - { userId, tier, transport, from, to, subject, messageId, status, error, campaignId }
+   */
+  async recordSend({ userId = null, tier = null, transport, from = null, to, subject, messageId = null, status = 'sent', error = null, campaignId = null }) {
+    await this.log({
+      message: { from, to: toList(to), cc: [], bcc: [], subject },
+      userId,
+      campaignId,
+      tier,
+      attempts: [],
+      status,
+      result: status === 'sent' ? { messageId, from, transport } : null,
+      error
+    });
+  }
+
+  /**
+   * Record an open or a click of a tracked message on its email_logs row.
+   * Requests from scanners, prefetchers and bots are not counted.
+   * @param {string} trackingId
+   * @param {string} type - 'open' or 'click'
+   * @param {object} request - { method, headers (lowercased names), url (clicks) }
+   * @returns {Promise<object>} { counted, reason? }; reason says why an event was not counted
+   */
+  async recordEngagement(trackingId, type, { method = 'GET', headers = {}, url = null } = {}) {
+    const row = await this.findTrackedLog(trackingId);
+    if (!row) return { counted: false, reason: 'unknown message' };
+
+    const now = this.now();
+    const reason = automatedReason({ method, headers }, { sentAt: row.sent_at, now, minSeconds: this.tracking.minSeconds });
+    if (reason) {
+      logger.debug(`EmailGateway: ignored ${type} of ${trackingId}: ${reason}`);
+      return { counted: false, reason };
+    }
+
+    const at = now.toISOString();
+    const event = { type, at, ...(url && { url }), userAgent: headers['user-agent'] };
+    const updates = {
+      // A click means the email was opened, even when images were blocked
+      opened_at: row.opened_at || at,
+      clicked_at: type === 'click' ? row.clicked_at || at : row.clicked_at || null,
+      open_count: (row.open_count || 0) + (type === 'open' ? 1 : 0),
+      click_count: (row.click_count || 0) + (type === 'click' ? 1 : 0),
+      status: ['sent', 'opened'].includes(row.status) ? (type === 'click' ? 'clicked' : 'opened') : row.status,
+      metadata: { ...row.metadata, events: [...(row.metadata?.events || []), event].slice(-MAX_ENGAGEMENT_EVENTS) }
+    };
+
+    if (!this.supabase) {
+      Object.assign(row, updates);
+      return { counted: true };
+    }
+
+    const { error } = await this.supabase.from('email_logs').update(updates).eq('id', row.id);
+    if (error) {
+      throw new Error(`Failed to record email ${type}: ${error.message}`);
+    }
+    return { counted: true };
+  }
+
+  async findTrackedLog(trackingId) {
+    if (!this.supabase) {
+      return this.memoryLogs.find(row => row.tracking_id === trackingId) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from('email_logs')
+      .select('id, status, sent_at, opened_at, clicked_at, open_count, click_count, metadata')
+      .eq('tracking_id', trackingId)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load tracked email: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Transport health, optionally checking each configured transport's connection
+   * @param {object} options - { verify }
+   * @returns {Promise<object>} { routeOverride, systemRoute, transports: { name: status } }
+   */
+  async getStatus({ verify = false } = {}) {
+    const transports = {};
+    for (const [name, transport] of Object.entries(this.transports)) {
+      transports[name] = transport.getStatus();
+      if (verify && transport.isConfigured()) {
+        transports[name].connected = await transport.verify().catch(() => false);
+      }
+    }
+    return { routeOverride: this.routeOverride, systemRoute: this.systemRoute, transports };
+  }
+
+  /**
+   * A rep's tier, limit and usage this month
+   * @param {string} userId
+   */
+  async getUserStats(userId) {
+    const emailConfig = await this.getUserEmailConfig(userId);
+    const quota = await this.checkQuota(userId, emailConfig);
+    return {
+      tier: emailConfig.tier,
+      transports: emailConfig.transports,
+      unlimited: emailConfig.unlimited,
+      limit: quota.limit,
+      sent: quota.sent,
+      remaining: quota.remaining,
+      percentUsed: quota.limit ? Number((quota.sent / quota.limit * 100).toFixed(1)) : 0
+    };
+  }
+}
+
+// Export singleton
+const emailGateway = new EmailGateway();
+export { EmailGateway };
+export default emailGateway;
@@ -0,0 +1,54 @@
+import sendgrid from '@sendgrid/mail';
+
+import EmailTransport from './emailTransport.js';
+
+/**
+ * SendGrid transport (SENDGRID_API_KEY / SENDGRID_FROM_EMAIL)
+ *
+ * Message tags become SendGrid custom args, so they show up in event webhooks.
+ */
+export class SendGridTransport extends EmailTransport {
+  constructor({ client = null, ...options } = {}) {
+    super({ name: 'sendgrid', defaultFrom: process.env.SENDGRID_FROM_EMAIL || 'noreply@repspheres.com', ...options });
+    this.client = client;
+    if (!client && process.env.SENDGRID_API_KEY) {
+      this.client = new sendgrid.MailService();
+      this.client.setApiKey(process.env.SENDGRID_API_KEY);
+    }
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  async deliver(message) {
+    const [response] = await this.client.send({
+      from: message.from,
+      to: message.to,
+      cc: message.cc?.length ? message.cc : undefined,
+      bcc: message.bcc?.length ? message.bcc : undefined,
+      replyTo: message.replyTo || undefined,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      headers: message.headers,
+      customArgs: Object.keys(message.tags || {}).length ? message.tags : undefined,
+      attachments: message.attachments?.map(attachment => ({
+        content: Buffer.isBuffer(attachment.content)
+          ? attachment.content.toString('base64')
+          : Buffer.from(String(attachment.content)).toString('base64'),
+        filename: attachment.filename,
+        type: attachment.contentType,
+        disposition: 'attachment'
+      }))
+    }).catch(error => {
+      // 400s are about the message (bad address, missing content), not SendGrid being down
+      if (error.code === 400) error.code = 'EMAIL_MESSAGE_REJECTED';
+      throw error;
+    });
+
+    return { messageId: response.headers['x-message-id'], from: message.from };
+  }
+}
+
+export default SendGridTransport;
@@ -0,0 +1,62 @@
+import AWS from 'aws-sdk';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+
+import EmailTransport from './emailTransport.js';
+
+// SES tag values allow letters, digits, _ - . @
+function tagValue(value) {
+  return String(value).replace(/[^\w.@-]/g, '_').slice(0, 256) || '_';
+}
+
+/**
+ * Build the raw MIME message (headers, cc/bcc and attachments included)
+ * @param {object} message - Normalised message
+ * @returns {Promise<Buffer>}
+ */
+export function buildRawMessage(message) {
+  const { bcc: _bcc, ...visible } = message;
+  return new MailComposer(visible).compile().build();
+}
+
+/**
+ * Amazon SES transport (AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY / AWS_REGION)
+ *
+ * Messages go out with SendRawEmail so attachments, cc, bcc and custom
+ * headers work the same as over SMTP. Message tags become SES tags.
+ */
+export class SesTransport extends EmailTransport {
+  constructor({ ses = null, ...options } = {}) {
+    super({ name: 'ses', defaultFrom: process.env.SES_FROM_EMAIL || 'noreply@repspheres.com', ...options });
+    this.ses = ses || new AWS.SES({
+      apiVersion: '2010-12-01',
+      region: process.env.AWS_REGION || 'us-east-1',
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    });
+    this.injected = !!ses;
+  }
+
+  isConfigured() {
+    return this.injected || !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY);
+  }
+
+  async deliver(message) {
+    const raw = await buildRawMessage(message);
+    const result = await this.ses.sendRawEmail({
+      Source: message.from,
+      Destinations: [...message.to, ...(message.cc || []), ...(message.bcc || [])],
+      RawMessage: { Data: raw },
+      Tags: Object.entries(message.tags || {}).map(([name, value]) => ({ Name: tagValue(name), Value: tagValue(value) }))
+    }).promise();
+
+    return { messageId: result.MessageId, from: message.from };
+  }
+
+  async verify() {
+    if (!this.isConfigured()) return false;
+    const { Enabled } = await this.ses.getAccountSendingEnabled().promise();
+    return Enabled !== false;
+  }
+}
+
+export default SesTransport;
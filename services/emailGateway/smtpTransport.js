@@ -0,0 +1,185 @@
+import { createTransport } from 'nodemailer';
+
+import EmailTransport from './emailTransport.js';
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * SMTP transport over one or more accounts
+ *
+ * Accounts are used in rotation, each up to its `dailyLimit` (null for no
+ * limit); counts start over each UTC day. A single-account pool is a plain
+ * SMTP relay (Vultr, Postal), a multi-account pool spreads sends across
+ * mailboxes (Gmail).
+ */
+export class SmtpTransport extends EmailTransport {
+  /**
+   * @param {object} options
+   * @param {Array<object>} options.accounts - [{ email, dailyLimit, smtp }] where `smtp` is nodemailer transport config
+   * @param {boolean} options.senderPerAccount - Send as the account when the message has no sender
+   * @param {object} options.headers - Headers added to every message
+   * @param {Function} options.createTransport - nodemailer factory, injectable for tests
+   */
+  constructor({ name = 'smtp', accounts = [], senderPerAccount = false, headers = {}, createTransport: factory = createTransport, ...options } = {}) {
+    super({ name, ...options });
+    this.senderPerAccount = senderPerAccount;
+    this.headers = headers;
+    this.accounts = accounts.map(account => ({
+      email: account.email,
+      dailyLimit: account.dailyLimit ?? null,
+      sentToday: 0,
+      transporter: factory(account.smtp)
+    }));
+    this.accountIndex = 0;
+    this.countsDate = today();
+  }
+
+  isConfigured() {
+    return this.accounts.length > 0;
+  }
+
+  resetCountsIfNewDay() {
+    if (this.countsDate === today()) return;
+    this.countsDate = today();
+    this.accounts.forEach(account => { account.sentToday = 0; });
+  }
+
+  hasCapacity() {
+    this.resetCountsIfNewDay();
+    return this.accounts.some(account => account.dailyLimit === null || account.sentToday < account.dailyLimit);
+  }
+
+  nextAccount() {
+    this.resetCountsIfNewDay();
+    for (let i = 0; i < this.accounts.length; i++) {
+      const index = (this.accountIndex + i) % this.accounts.length;
+      const account = this.accounts[index];
+      if (account.dailyLimit === null || account.sentToday < account.dailyLimit) {
+        this.accountIndex = (index + 1) % this.accounts.length;
+        return account;
+      }
+    }
+
+    const error = new Error(`All ${this.name} accounts have reached their daily limits`);
+    error.code = 'EMAIL_TRANSPORT_EXHAUSTED';
+    throw error;
+  }
+
+  async send(message) {
+    // The gateway already passed on a transport without capacity; the
+    // message's own sender must not hide which account sent it
+    const account = this.nextAccount();
+    return super.send({ ...message, account });
+  }
+
+  async deliver({ account, ...message }) {
+    const from = this.senderPerAccount && message.from === this.defaultFrom
+      ? `"RepSpheres" <${account.email}>`
+      : message.from;
+
+    const info = await account.transporter.sendMail({
+      from,
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      replyTo: message.replyTo || (this.senderPerAccount ? account.email : undefined),
+      headers: { ...this.headers, ...message.headers },
+      attachments: message.attachments
+    });
+
+    account.sentToday++;
+    return { messageId: info.messageId, from, account: account.email };
+  }
+
+  async verify() {
+    if (!this.isConfigured()) return false;
+    const results = await Promise.allSettled(this.accounts.map(account => account.transporter.verify()));
+    return results.every(result => result.status === 'fulfilled');
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      accounts: this.accounts.map(account => ({
+        email: account.email,
+        sentToday: account.sentToday,
+        remainingToday: account.dailyLimit === null ? null : account.dailyLimit - account.sentToday
+      }))
+    };
+  }
+}
+
+/**
+ * Vultr SMTP relay (VULTR_SMTP_*)
+ */
+export function createVultrTransport(options = {}) {
+  const { VULTR_SMTP_HOST: host, VULTR_SMTP_USER: user, VULTR_SMTP_PASS: pass } = process.env;
+  const port = parseInt(process.env.VULTR_SMTP_PORT || '587');
+  return new SmtpTransport({
+    name: 'smtp',
+    defaultFrom: `"RepSpheres" <${process.env.VULTR_SMTP_FROM || 'noreply@repspheres.com'}>`,
+    accounts: host && user && pass
+      ? [{ email: user, smtp: { host, port, secure: port === 465, auth: { user, pass }, tls: { rejectUnauthorized: true } } }]
+      : [],
+    ...options
+  });
+}
+
+/**
+ * Gmail account pool (GMAIL_EMAIL_<n> / GMAIL_APP_PASSWORD_<n>, up to 10).
+ * Workspace accounts send 2000 a day, consumer accounts 500.
+ */
+export function createGmailTransport(options = {}) {
+  const accounts = [];
+  for (let i = 1; i <= 10; i++) {
+    const email = process.env[`GMAIL_EMAIL_${i}`];
+    const password = process.env[`GMAIL_APP_PASSWORD_${i}`];
+    if (email && password && !email.includes('your-email')) {
+      accounts.push({
+        email,
+        dailyLimit: email.includes('bowerycreativeagency.com') ? 2000 : 500,
+        smtp: { service: 'gmail', auth: { user: email, pass: password } }
+      });
+    }
+  }
+
+  return new SmtpTransport({
+    name: 'gmail',
+    accounts,
+    senderPerAccount: true,
+    headers: { 'X-Mailer': 'RepSpheres Platform' },
+    ...options
+  });
+}
+
+/**
+ * Self-hosted Postal server over SMTP (POSTAL_HOST / POSTAL_PORT / POSTAL_API_KEY), no daily limit
+ */
+export function createPostalTransport(options = {}) {
+  const { POSTAL_HOST: host, POSTAL_API_KEY: apiKey } = process.env;
+  return new SmtpTransport({
+    name: 'postal',
+    defaultFrom: '"RepSpheres" <noreply@repspheres.com>',
+    accounts: host && apiKey
+      ? [{
+        email: 'postal',
+        smtp: {
+          host,
+          port: parseInt(process.env.POSTAL_PORT || '25'),
+          secure: false,
+          auth: { user: apiKey, pass: apiKey },
+          tls: { rejectUnauthorized: false }
+        }
+      }]
+      : [],
+    headers: { 'X-Mailer': 'RepSpheres Postal Server' },
+    ...options
+  });
+}
+
+export default SmtpTransport;
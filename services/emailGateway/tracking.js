@@ -0,0 +1,163 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Agents that fetch images and follow links without a person reading the email:
+// crawlers, link scanners of mail security gateways, and scripted HTTP clients
+const AUTOMATED_AGENTS = /bot|crawl|spider|slurp|preview|scanner|barracuda|proofpoint|mimecast|forcepoint|symantec|trendmicro|python-requests|curl\/|wget|go-http-client|okhttp|headless/i;
+const PREFETCH_HEADERS = ['purpose', 'sec-purpose', 'x-purpose', 'x-moz'];
+
+// A transparent 1x1 GIF
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function toBase64Url(buffer) {
+  return buffer.toString('base64url');
+}
+
+function decodeHref(url) {
+  return url.replace(/&amp;/g, '&');
+}
+
+function rate(count, total) {
+  return total ? Number((count / total * 100).toFixed(1)) : 0;
+}
+
+/**
+ * Sign a tracking payload
+ * @param {object} payload - { t: trackingId, u?: url }
+ * @param {string} secret
+ * @returns {string} `<payload>.<signature>`, both base64url
+ */
+export function signToken(payload, secret) {
+  const body = toBase64Url(Buffer.from(JSON.stringify(payload)));
+  const signature = toBase64Url(createHmac('sha256', secret).update(body).digest());
+  return `${body}.${signature}`;
+}
+
+/**
+ * Check a token's signature and read its payload
+ * @param {string} token
+ * @param {string} secret
+ * @returns {object|null} The payload, or null when the token is malformed or was not signed with the secret
+ */
+export function verifyToken(token, secret) {
+  const [body, signature, extra] = String(token || '').split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  const expected = createHmac('sha256', secret).update(body).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return typeof payload?.t === 'string' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Why a tracking request was made by software rather than by the recipient
+ * @param {object} request - { method, headers }, header names lowercased
+ * @param {object} options - { sentAt, now, minSeconds }: events this soon after sending are link scanners
+ * @returns {string|null} The reason, or null for a human
+ */
+export function automatedReason({ method = 'GET', headers = {} }, { sentAt = null, now = new Date(), minSeconds = 0 } = {}) {
+  if (method === 'HEAD') return 'HEAD request';
+
+  const userAgent = headers['user-agent'] || '';
+  if (!userAgent) return 'no user agent';
+  if (AUTOMATED_AGENTS.test(userAgent)) return 'automated user agent';
+
+  const prefetch = PREFETCH_HEADERS.find(name => /prefetch|preview/i.test(headers[name] || ''));
+  if (prefetch) return `${prefetch} header`;
+
+  if (sentAt && now.getTime() - new Date(sentAt).getTime() < minSeconds * 1000) {
+    return 'too soon after sending';
+  }
+  return null;
+}
+
+/**
+ * Open and click counts and rates for a set of email_logs rows
+ * @param {Array<object>} logs - Rows with status, opened_at, clicked_at
+ * @returns {object} { sent, opened, clicked, bounced, failed, openRate, clickRate } (rates in percent of sent)
+ */
+export function summarizeEngagement(logs) {
+  const delivered = logs.filter(log => ['sent', 'opened', 'clicked'].includes(log.status));
+  const opened = delivered.filter(log => log.opened_at || ['opened', 'clicked'].includes(log.status)).length;
+  const clicked = delivered.filter(log => log.clicked_at || log.status === 'clicked').length;
+  return {
+    sent: delivered.length,
+    opened,
+    clicked,
+    bounced: logs.filter(log => log.status === 'bounced').length,
+    failed: logs.filter(log => log.status === 'failed').length,
+    openRate: rate(opened, delivered.length),
+    clickRate: rate(clicked, delivered.length)
+  };
+}
+
+/**
+ * Email Open and Click Tracking
+ *
+ * Instruments outgoing HTML: every http(s) link is rewritten to the click
+ * endpoint, which redirects to the original URL, and a 1x1 pixel pointing
+ * at the open endpoint is added. Both carry an HMAC-signed token naming the
+ * message's tracking id (and, for clicks, the destination), so the redirect
+ * cannot be used to send people anywhere else.
+ *
+ * Tracking is on when EMAIL_TRACKING_SECRET is set and a public base URL
+ * (EMAIL_TRACKING_BASE_URL, else BACKEND_URL) is known. Links marked
+ * `data-no-track` are left alone.
+ */
+export class EmailTracking {
+  constructor({
+    secret = process.env.EMAIL_TRACKING_SECRET,
+    baseUrl = process.env.EMAIL_TRACKING_BASE_URL || process.env.BACKEND_URL,
+    minSeconds = parseInt(process.env.EMAIL_TRACKING_MIN_SECONDS) || 5
+  } = {}) {
+    this.secret = secret || null;
+    this.baseUrl = baseUrl ? `${baseUrl.replace(/\/+$/, '')}/api/emails/track` : null;
+    this.minSeconds = minSeconds;
+  }
+
+  get enabled() {
+    return !!(this.secret && this.baseUrl);
+  }
+
+  openUrl(trackingId) {
+    return `${this.baseUrl}/open/${signToken({ t: trackingId }, this.secret)}.gif`;
+  }
+
+  clickUrl(trackingId, url) {
+    return `${this.baseUrl}/click/${signToken({ t: trackingId, u: url }, this.secret)}`;
+  }
+
+  /**
+   * Rewrite links and add the open pixel
+   * @param {string} html
+   * @param {string} trackingId
+   * @returns {string}
+   */
+  instrument(html, trackingId) {
+    const linked = html.replace(/<a\b[^>]*>/gi, tag => {
+      if (/\bdata-no-track\b/i.test(tag)) return tag;
+      return tag.replace(/\bhref\s*=\s*(["'])(https?:\/\/[^"']+)\1/i,
+        (_match, quote, url) => `href=${quote}${this.clickUrl(trackingId, decodeHref(url))}${quote}`);
+    });
+
+    const pixel = `<img src="${this.openUrl(trackingId)}" width="1" height="1" alt="" style="display:none" />`;
+    return /<\/body>/i.test(linked) ? linked.replace(/<\/body>/i, `${pixel}</body>`) : `${linked}${pixel}`;
+  }
+
+  /**
+   * Read a token from a tracking URL
+   * @returns {object|null} { trackingId, url? }
+   */
+  verify(token) {
+    if (!this.secret) return null;
+    const payload = verifyToken(token, this.secret);
+    return payload && { trackingId: payload.t, ...(payload.u && { url: payload.u }) };
+  }
+}
+
+export default EmailTracking;
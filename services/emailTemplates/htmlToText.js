@@ -0,0 +1,87 @@
+import * as cheerio from 'cheerio';
+
+const SKIPPED_TAGS = ['head', 'style', 'script', 'title', 'noscript'];
+const BLOCK_TAGS = ['p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'address', 'center', 'table', 'thead', 'tbody', 'tfoot', 'form', 'pre'];
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const RULE = '----------';
+
+function isHidden(node) {
+  return /display\s*:\s*none/i.test(node.attribs?.style || '') || node.attribs?.hidden !== undefined;
+}
+
+function renderLink(node, text) {
+  const href = (node.attribs.href || '').trim();
+  if (/^mailto:/i.test(href)) return text || href.slice('mailto:'.length);
+  if (!/^https?:\/\//i.test(href) || text === href) return text;
+  return text ? `${text} (${href})` : href;
+}
+
+function renderList(node, ordered) {
+  let index = 0;
+  const items = node.children
+    .filter(child => child.type === 'tag' && child.name === 'li' && !isHidden(child))
+    .map(child => {
+      const marker = ordered ? `${++index}.` : '-';
+      return `${marker} ${renderNodes(child.children).trim().replace(/\n+/g, '\n  ')}`;
+    });
+  return `\n\n${items.join('\n')}\n\n`;
+}
+
+function renderNodes(nodes) {
+  return nodes.map(renderNode).join('');
+}
+
+function renderNode(node) {
+  if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+  if (node.type !== 'tag' || SKIPPED_TAGS.includes(node.name) || isHidden(node)) return '';
+
+  const inner = () => renderNodes(node.children);
+  switch (node.name) {
+    case 'br':
+      return '\n';
+    case 'hr':
+      return `\n\n${RULE}\n\n`;
+    case 'img':
+      return node.attribs.alt ? node.attribs.alt.trim() : '';
+    case 'a':
+      return renderLink(node, inner().trim());
+    case 'ul':
+      return renderList(node, false);
+    case 'ol':
+      return renderList(node, true);
+    case 'blockquote':
+      return `\n\n${inner().trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+    case 'tr':
+      return `\n${node.children.filter(child => child.type === 'tag').map(cell => renderNode(cell).trim()).filter(Boolean).join('  ')}\n`;
+    case 'td':
+    case 'th':
+      return inner();
+    default:
+      if (HEADING_TAGS.includes(node.name)) return `\n\n${inner().trim().toUpperCase()}\n\n`;
+      if (BLOCK_TAGS.includes(node.name)) return `\n\n${inner()}\n\n`;
+      return inner();
+  }
+}
+
+/**
+ * Plain-text alternative for an HTML body
+ *
+ * Keeps the document's structure: paragraphs and headings become blocks,
+ * list items get bullets or numbers, table rows become lines, links are
+ * written as "text (url)" and images as their alt text. Hidden elements
+ * (`display: none`, e.g. preheaders and tracking pixels) are left out.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  const $ = cheerio.load(html);
+  return renderNodes($.root().contents().toArray())
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default htmlToText;
@@ -0,0 +1,248 @@
+// {{{raw}}} or {{tag}}
+const TAG = /\{\{\{\s*([^{}]+?)\s*\}\}\}|\{\{\s*([^{}]+?)\s*\}\}/g;
+const PARTIAL_TAG = /\{\{>\s*([\w-]+)\s*\}\}/g;
+const BODY_TAG = /\{\{\{\s*body\s*\}\}\}/;
+const BLOCKS = ['if', 'unless', 'each'];
+const MAX_PARTIAL_DEPTH = 10;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function templateError(errors) {
+  const error = new Error(`Invalid template: ${errors.join('; ')}`);
+  error.code = 'INVALID_TEMPLATE';
+  error.details = errors;
+  return error;
+}
+
+function isPath(path) {
+  if (path === 'this' || path === '@index') return true;
+  return path.split('.').every(segment => /^[\w-]+$/.test(segment));
+}
+
+function escapeHtml(value) {
+  return value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ *
+ * Syntax (a Handlebars subset, which SES templates share):
+ *
+ *   {{firstName}}  {{practice.name}}       Variable, HTML-escaped in HTML
+ *   {{{signature}}}                        Variable, inserted as is
+ *   {{#if field}} ... {{else}} ... {{/if}} Conditional (also {{#unless}})
+ *   {{#each items}} {{name}} {{@index}} {{this}} {{/each}}
+ *   {{> partialName}}                      Partial, expanded by expandTemplate
+ *   {{! comment}}
+ *
+ * Inside {{#each}}, names are looked up on the item first, then outside it.
+ * @param {string} source
+ * @returns {Array<object>} Nodes
+ * @throws {Error} code INVALID_TEMPLATE with `details`
+ */
+export function parseTemplate(source) {
+  const errors = [];
+  const root = { type: 'root', children: [] };
+  const stack = [{ node: root, target: root.children }];
+  let last = 0;
+
+  for (const match of String(source ?? '').matchAll(TAG)) {
+    const top = stack[stack.length - 1];
+    if (match.index > last) top.target.push({ type: 'text', value: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    if (match[1] !== undefined) {
+      if (!isPath(match[1])) errors.push(`invalid variable ${match[0]}`);
+      top.target.push({ type: 'var', path: match[1], raw: true, tag: match[0] });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('#')) {
+      const [kind, path, ...rest] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCKS.includes(kind) || !path || rest.length || !isPath(path)) {
+        errors.push(`invalid block ${match[0]}`);
+      }
+      const node = { type: kind, path, children: [], otherwise: [] };
+      top.target.push(node);
+      stack.push({ node, target: node.children });
+    } else if (tag === 'else') {
+      if (top.node === root || top.target === top.node.otherwise) {
+        errors.push('{{else}} outside a block');
+      } else {
+        top.target = top.node.otherwise;
+      }
+    } else if (tag.startsWith('/')) {
+      const kind = tag.slice(1).trim();
+      if (top.node === root) {
+        errors.push(`{{/${kind}}} without an opening block`);
+      } else {
+        if (top.node.type !== kind) errors.push(`{{#${top.node.type} ${top.node.path}}} closed by {{/${kind}}}`);
+        stack.pop();
+      }
+    } else if (tag.startsWith('>')) {
+      errors.push(`unknown partial ${tag.slice(1).trim()}`);
+    } else {
+      if (!isPath(tag)) errors.push(`invalid variable ${match[0]}`);
+      top.target.push({ type: 'var', path: tag, raw: false, tag: match[0] });
+    }
+  }
+
+  if (last < String(source ?? '').length) {
+    stack[stack.length - 1].target.push({ type: 'text', value: source.slice(last) });
+  }
+  for (const { node } of stack.slice(1)) {
+    errors.push(`{{#${node.type} ${node.path}}} is not closed`);
+  }
+  if (errors.length) throw templateError(errors);
+  return root.children;
+}
+
+/**
+ * Put a template into its layout and inline its partials, leaving variables
+ * and blocks for rendering (or for SES)
+ * @param {string} source
+ * @param {object} options - { layout: source with {{{body}}}, partials: { name: source } }
+ * @returns {string}
+ * @throws {Error} code INVALID_TEMPLATE for unknown or endlessly nested partials
+ */
+export function expandTemplate(source, { layout = null, partials = {} } = {}) {
+  const inline = (text, depth) => text.replace(PARTIAL_TAG, (_tag, name) => {
+    if (!Object.prototype.hasOwnProperty.call(partials, name)) throw templateError([`unknown partial ${name}`]);
+    if (depth >= MAX_PARTIAL_DEPTH) throw templateError([`partial ${name} nests more than ${MAX_PARTIAL_DEPTH} deep`]);
+    return inline(partials[name], depth + 1);
+  });
+
+  const body = source || '';
+  return inline(layout ? layout.replace(BODY_TAG, () => body) : body, 0);
+}
+
+// scopes: innermost first, [{ value, index }]
+function resolve(scopes, path) {
+  if (path === '@index') return scopes.find(scope => scope.index !== undefined)?.index;
+  if (path === 'this') return scopes[0].value;
+
+  const segments = path.startsWith('this.') ? path.split('.').slice(1) : path.split('.');
+  const candidates = path.startsWith('this.') ? scopes.slice(0, 1) : scopes;
+  const owner = candidates.find(scope =>
+    scope.value && typeof scope.value === 'object' && Object.prototype.hasOwnProperty.call(scope.value, segments[0]));
+  if (!owner) return undefined;
+
+  return segments.reduce((value, segment) =>
+    (value && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, segment) ? value[segment] : undefined), owner.value);
+}
+
+function renderNodes(nodes, scopes, options) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'var') {
+      const value = resolve(scopes, node.path);
+      if (value === undefined || value === null) return options.keepMissing ? node.tag : '';
+      const text = String(value);
+      return options.html && !node.raw ? escapeHtml(text) : text;
+    }
+
+    const value = resolve(scopes, node.path);
+    if (node.type === 'each') {
+      if (!Array.isArray(value) || value.length === 0) return renderNodes(node.otherwise, scopes, options);
+      return value.map((item, index) => renderNodes(node.children, [{ value: item, index }, ...scopes], options)).join('');
+    }
+
+    const show = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+    return renderNodes(show ? node.children : node.otherwise, scopes, options);
+  }).join('');
+}
+
+/**
+ * Render a template with data
+ * @param {string} source - Template, already expanded if it uses a layout or partials
+ * @param {object} data
+ * @param {object} options - { html: escape values for HTML, keepMissing: leave unknown {{variables}} in place }
+ * @returns {string}
+ */
+export function renderTemplate(source, data = {}, { html = false, keepMissing = false } = {}) {
+  if (!source) return source;
+  return renderNodes(parseTemplate(source), [{ value: data }], { html, keepMissing });
+}
+
+/**
+ * Fill a campaign or sequence message in for one recipient; fields the
+ * recipient does not have are left as they are
+ * @param {string} template
+ * @param {object} recipient
+ * @param {object} options - { html: escape values for an HTML body }
+ * @returns {string}
+ */
+export function personalize(template, recipient = {}, { html = false } = {}) {
+  return renderTemplate(template, recipient, { html, keepMissing: true });
+}
+
+// Name a variable for lint output: fields of a loop item read `items[].field`
+function displayName(node, scopes, prefix) {
+  if (!prefix) return node.path;
+  const onItem = node.path === 'this' || node.path.startsWith('this.') ||
+    resolve(scopes.slice(0, 1), node.path) !== undefined || resolve(scopes.slice(1), node.path) === undefined;
+  if (!onItem) return node.path;
+  const field = node.path.replace(/^this\.?/, '');
+  return field ? `${prefix}.${field}` : prefix;
+}
+
+function collect(nodes, scopes, prefix, report) {
+  for (const node of nodes) {
+    if (node.type === 'text' || node.path === '@index') continue;
+
+    const name = displayName(node, scopes, prefix);
+    const value = resolve(scopes, node.path);
+
+    if (node.type === 'var') {
+      report(name, value, true);
+      continue;
+    }
+
+    // Conditions may be absent; that is what the else branch is for
+    report(name, value, node.type === 'each');
+    if (node.type === 'each') {
+      const item = Array.isArray(value) ? value[0] : undefined;
+      collect(node.children, [{ value: item, index: 0 }, ...scopes], `${name}[]`, report);
+    } else {
+      collect(node.children, scopes, prefix, report);
+    }
+    collect(node.otherwise, scopes, prefix, report);
+  }
+}
+
+/**
+ * Check a template against sample data
+ * @param {string|Array<string>} sources - Template parts (subject, html, text), already expanded
+ * @param {object} sample - Data the template will be rendered with, e.g. a sample contact
+ * @returns {object} { valid, errors, variables, missing }: `variables` are the names the
+ *   template uses (`items[].name` inside loops), `missing` those the sample has no value for
+ */
+export function lintTemplate(sources, sample = {}) {
+  const errors = [];
+  const variables = new Set();
+  const missing = new Set();
+
+  for (const source of [].concat(sources).filter(Boolean)) {
+    let nodes;
+    try {
+      nodes = parseTemplate(source);
+    } catch (error) {
+      errors.push(...(error.details || [error.message]));
+      continue;
+    }
+    collect(nodes, [{ value: sample }], '', (name, value, required) => {
+      variables.add(name);
+      if (required && (value === undefined || value === null || value === '')) missing.add(name);
+    });
+  }
+
+  return { valid: errors.length === 0, errors, variables: [...variables], missing: [...missing] };
+}
@@ -0,0 +1,447 @@
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../../utils/logger.js';
+
+import { htmlToText } from './htmlToText.js';
+import { expandTemplate, lintTemplate, renderTemplate } from './templateEngine.js';
+
+export const TEMPLATE_KINDS = ['template', 'layout', 'partial'];
+
+// Rendered by preview when neither the request nor the template has a sample contact
+export const SAMPLE_CONTACT = {
+  firstName: 'Alex',
+  lastName: 'Rivera',
+  name: 'Dr. Alex Rivera',
+  email: 'alex.rivera@example.com',
+  practiceName: 'Bright Smiles Dental',
+  city: 'Austin',
+  state: 'TX'
+};
+
+const VERSION_FIELDS = ['subject', 'html', 'text', 'layout'];
+
+function storeError(code, message, details = undefined) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+// email_templates keeps a copy of the current version's content
+function currentContent(version) {
+  return {
+    subject: version.subject,
+    html_content: version.html,
+    text_content: version.text,
+    variables: version.variables
+  };
+}
+
+function toTemplate(row, version = undefined) {
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    currentVersion: row.current_version,
+    sample: row.sample,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(version && {
+      version: version.version,
+      subject: version.subject,
+      html: version.html,
+      text: version.text,
+      layout: version.layout,
+      variables: version.variables,
+      versionCreatedAt: version.created_at
+    })
+  };
+}
+
+/**
+ * Email Template Store
+ *
+ * Reps' email templates, kept in `email_templates` (with a copy of the
+ * current content) and every saved edit as a new row in
+ * `email_template_versions`. There are three kinds:
+ *
+ *   template - an email: subject, html and optionally text, and the name of a layout
+ *   layout   - html wrapped around a template's html at its {{{body}}}
+ *   partial  - html pulled in by name with {{> name}}
+ *
+ * Templates use the syntax of parseTemplate (variables, {{#if}}, {{#each}}).
+ * Saving checks the syntax and that the layout and partials exist; the text
+ * part, when a template has none, is generated from the rendered html.
+ * Without Supabase, templates are kept in memory.
+ */
+class EmailTemplateStore {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('EmailTemplateStore: Supabase credentials not configured, templates will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.table = 'email_templates';
+    this.versionsTable = 'email_template_versions';
+    this.memoryTemplates = new Map(); // id -> row
+    this.memoryVersions = new Map(); // template id -> [version rows]
+    this.now = () => new Date();
+  }
+
+  /**
+   * Save a new template as version 1
+   * @param {string} userId
+   * @param {object} input - { name, kind, subject, html, text, layout, sample }
+   * @returns {Promise<object>} The template with its content and `lint`
+   */
+  async createTemplate(userId, input = {}) {
+    const kind = input.kind || 'template';
+    const errors = [];
+    if (!input.name || !/^[\w-]+$/.test(input.name)) errors.push('name is required and may only use letters, numbers, _ and -');
+    if (!TEMPLATE_KINDS.includes(kind)) errors.push(`kind must be one of ${TEMPLATE_KINDS.join(', ')}`);
+    if (errors.length) throw storeError('INVALID_TEMPLATE', `Invalid template: ${errors.join('; ')}`, errors);
+
+    if (await this.findByName(userId, input.name)) {
+      throw storeError('TEMPLATE_EXISTS', `A template named ${input.name} already exists`);
+    }
+
+    const now = this.now().toISOString();
+    const row = {
+      id: uuidv4(),
+      user_id: userId,
+      name: input.name,
+      kind,
+      current_version: 1,
+      sample: input.sample || null,
+      created_at: now,
+      updated_at: now
+    };
+    const { version, lint } = await this.buildVersion(userId, row, 1, input);
+    Object.assign(row, currentContent(version));
+
+    if (!this.supabase) {
+      this.memoryTemplates.set(row.id, row);
+      this.memoryVersions.set(row.id, [version]);
+    } else {
+      const { error } = await this.supabase.from(this.table).insert(row);
+      if (error?.code === '23505') {
+        throw storeError('TEMPLATE_EXISTS', `A template named ${input.name} already exists`);
+      }
+      if (error) {
+        throw new Error(`Failed to save template: ${error.message}`);
+      }
+      await this.insertVersion(version);
+    }
+
+    logger.info(`EmailTemplateStore: ${kind} ${row.name} (${row.id}) created`);
+    return { ...toTemplate(row, version), lint };
+  }
+
+  /**
+   * Save changes as a new version; fields left out keep their current value
+   * @param {string} templateId
+   * @param {string} userId
+   * @param {object} changes - { subject, html, text, layout, sample }
+   * @returns {Promise<object>} The template with its new content and `lint`
+   */
+  async updateTemplate(templateId, userId, changes = {}) {
+    const row = await this.loadTemplate(templateId, userId);
+    if (!row) throw storeError('TEMPLATE_NOT_FOUND', 'Template not found');
+
+    const current = await this.loadVersion(row.id, row.current_version);
+    const input = Object.fromEntries(VERSION_FIELDS.map(field => [field, changes[field] !== undefined ? changes[field] : current[field]]));
+    const sample = changes.sample !== undefined ? changes.sample : row.sample;
+    const next = row.current_version + 1;
+    const { version, lint } = await this.buildVersion(userId, { ...row, sample }, next, input);
+
+    // Insert the version before moving the template to it
+    if (!this.supabase) {
+      this.memoryVersions.get(row.id).push(version);
+    } else {
+      await this.insertVersion(version);
+    }
+    const updated = await this.saveTemplate(row.id, {
+      ...currentContent(version),
+      current_version: next,
+      sample,
+      updated_at: this.now().toISOString()
+    });
+
+    logger.info(`EmailTemplateStore: ${row.kind} ${row.name} (${row.id}) saved as version ${next}`);
+    return { ...toTemplate(updated, version), lint };
+  }
+
+  /**
+   * A template with the content of its current (or a given) version
+   * @returns {Promise<object|null>}
+   */
+  async getTemplate(templateId, userId, { version = null } = {}) {
+    const row = await this.loadTemplate(templateId, userId);
+    if (!row) return null;
+    const content = await this.loadVersion(row.id, version || row.current_version);
+    if (!content) return null;
+    return toTemplate(row, content);
+  }
+
+  async listTemplates(userId, { kind = null } = {}) {
+    if (!this.supabase) {
+      return [...this.memoryTemplates.values()]
+        .filter(row => row.user_id === userId && (!kind || row.kind === kind))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(row => toTemplate(row));
+    }
+
+    let query = this.supabase.from(this.table).select('*').eq('user_id', userId);
+    if (kind) query = query.eq('kind', kind);
+    const { data, error } = await query.order('name');
+    if (error) {
+      throw new Error(`Failed to load templates: ${error.message}`);
+    }
+    return data.map(row => toTemplate(row));
+  }
+
+  /**
+   * Every version of a template, newest first
+   * @returns {Promise<Array<object>|null>} null when the template is not found
+   */
+  async listVersions(templateId, userId) {
+    const row = await this.loadTemplate(templateId, userId);
+    if (!row) return null;
+
+    let versions;
+    if (!this.supabase) {
+      versions = [...this.memoryVersions.get(row.id)].reverse();
+    } else {
+      const { data, error } = await this.supabase
+        .from(this.versionsTable)
+        .select('*')
+        .eq('template_id', row.id)
+        .order('version', { ascending: false });
+      if (error) {
+        throw new Error(`Failed to load template versions: ${error.message}`);
+      }
+      versions = data;
+    }
+
+    return versions.map(version => ({
+      version: version.version,
+      subject: version.subject,
+      layout: version.layout,
+      variables: version.variables,
+      createdBy: version.created_by,
+      createdAt: version.created_at
+    }));
+  }
+
+  /**
+   * A template's subject, html and text with its layout and partials put in,
+   * variables and blocks still in place
+   * @returns {Promise<object>} { subject, html, text }
+   */
+  async compile(templateId, userId, { version = null } = {}) {
+    const template = await this.getTemplate(templateId, userId, { version });
+    if (!template) throw storeError('TEMPLATE_NOT_FOUND', 'Template not found');
+    return this.expand(userId, template);
+  }
+
+  /**
+   * Render a template for one contact
+   * @param {string} templateId
+   * @param {string} userId
+   * @param {object} data - Contact fields and any other values the template uses
+   * @param {object} options - { version }
+   * @returns {Promise<object>} { subject, html, text, lint }
+   */
+  async render(templateId, userId, data = {}, { version = null } = {}) {
+    const template = await this.getTemplate(templateId, userId, { version });
+    if (!template) throw storeError('TEMPLATE_NOT_FOUND', 'Template not found');
+    if (template.kind !== 'template') {
+      throw storeError('INVALID_TEMPLATE', `A ${template.kind} is rendered as part of a template, not on its own`);
+    }
+
+    const compiled = await this.expand(userId, template);
+    const html = renderTemplate(compiled.html, data, { html: true });
+    return {
+      subject: renderTemplate(compiled.subject, data),
+      html,
+      text: compiled.text ? renderTemplate(compiled.text, data) : htmlToText(html),
+      lint: lintTemplate([compiled.subject, compiled.html, compiled.text], data)
+    };
+  }
+
+  /**
+   * Render a template against a sample contact: the one given, else the
+   * template's stored sample, else SAMPLE_CONTACT
+   * @returns {Promise<object>} { template, contact, subject, html, text, lint }
+   */
+  async preview(templateId, userId, { contact = null, version = null } = {}) {
+    const template = await this.getTemplate(templateId, userId, { version });
+    if (!template) throw storeError('TEMPLATE_NOT_FOUND', 'Template not found');
+
+    const sample = contact || template.sample || SAMPLE_CONTACT;
+    const rendered = await this.render(templateId, userId, sample, { version: template.version });
+    return {
+      template: { id: template.id, name: template.name, version: template.version },
+      contact: sample,
+      ...rendered
+    };
+  }
+
+  async findByName(userId, name) {
+    if (!this.supabase) {
+      return [...this.memoryTemplates.values()].find(row => row.user_id === userId && row.name === name) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('name', name)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load template: ${error.message}`);
+    }
+    return data;
+  }
+
+  // Validate content for a new version and lint it against the template's sample
+  async buildVersion(userId, row, number, input) {
+    const errors = [];
+    if (!input.html) errors.push('html is required');
+    if (row.kind === 'template' && !input.subject) errors.push('subject is required');
+    if (row.kind === 'layout' && input.html && !/\{\{\{\s*body\s*\}\}\}/.test(input.html)) {
+      errors.push('a layout needs {{{body}}} where the email goes');
+    }
+    if (row.kind !== 'template' && input.layout) errors.push(`a ${row.kind} cannot have a layout`);
+    if (errors.length) throw storeError('INVALID_TEMPLATE', `Invalid template: ${errors.join('; ')}`, errors);
+
+    const version = {
+      id: uuidv4(),
+      template_id: row.id,
+      version: number,
+      subject: input.subject || null,
+      html: input.html,
+      text: input.text || null,
+      layout: input.layout || null,
+      created_by: userId,
+      created_at: this.now().toISOString()
+    };
+
+    const compiled = await this.expand(userId, version);
+    const lint = lintTemplate([compiled.subject, compiled.html, compiled.text], row.sample || SAMPLE_CONTACT);
+    if (!lint.valid) throw storeError('INVALID_TEMPLATE', `Invalid template: ${lint.errors.join('; ')}`, lint.errors);
+    if (row.kind === 'layout') {
+      // {{{body}}} is where the template goes, not a variable
+      lint.variables = lint.variables.filter(name => name !== 'body');
+      lint.missing = lint.missing.filter(name => name !== 'body');
+    }
+
+    version.variables = lint.variables;
+    return { version, lint };
+  }
+
+  // Put the layout and the user's partials into a template version
+  async expand(userId, template) {
+    const partials = {};
+    for (const partial of await this.loadCurrentOf(userId, 'partial')) {
+      partials[partial.name] = partial.html;
+    }
+
+    let layout = null;
+    if (template.layout) {
+      const row = await this.findByName(userId, template.layout);
+      if (!row || row.kind !== 'layout') {
+        throw storeError('INVALID_TEMPLATE', `Invalid template: unknown layout ${template.layout}`, [`unknown layout ${template.layout}`]);
+      }
+      layout = (await this.loadVersion(row.id, row.current_version)).html;
+    }
+
+    return {
+      subject: template.subject ? expandTemplate(template.subject, { partials }) : template.subject,
+      html: expandTemplate(template.html, { layout, partials }),
+      text: template.text ? expandTemplate(template.text, { partials }) : null
+    };
+  }
+
+  // Current content of each of a user's templates of one kind: [{ name, html }]
+  async loadCurrentOf(userId, kind) {
+    const rows = await this.listTemplates(userId, { kind });
+    const current = [];
+    for (const row of rows) {
+      const version = await this.loadVersion(row.id, row.currentVersion);
+      if (version) current.push({ name: row.name, html: version.html });
+    }
+    return current;
+  }
+
+  async loadTemplate(templateId, userId = null) {
+    if (!this.supabase) {
+      const row = this.memoryTemplates.get(templateId);
+      return row && (!userId || row.user_id === userId) ? row : null;
+    }
+
+    let query = this.supabase.from(this.table).select('*').eq('id', templateId);
+    if (userId) query = query.eq('user_id', userId);
+    const { data, error } = await query.maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load template: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadVersion(templateId, version) {
+    if (!this.supabase) {
+      return (this.memoryVersions.get(templateId) || []).find(row => row.version === Number(version)) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.versionsTable)
+      .select('*')
+      .eq('template_id', templateId)
+      .eq('version', version)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load template version: ${error.message}`);
+    }
+    return data;
+  }
+
+  async insertVersion(version) {
+    const { error } = await this.supabase.from(this.versionsTable).insert(version);
+    if (error) {
+      throw new Error(`Failed to save template version: ${error.message}`);
+    }
+  }
+
+  async saveTemplate(templateId, updates) {
+    if (!this.supabase) {
+      const row = { ...this.memoryTemplates.get(templateId), ...updates };
+      this.memoryTemplates.set(templateId, row);
+      return row;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update(updates)
+      .eq('id', templateId)
+      .select()
+      .single();
+    if (error) {
+      throw new Error(`Failed to update template: ${error.message}`);
+    }
+    return data;
+  }
+}
+
+// Export singleton
+const emailTemplateStore = new EmailTemplateStore();
+export { EmailTemplateStore };
+export default emailTemplateStore;
@@ -1,7 +1,11 @@
+import { EventEmitter } from 'events';
+
 import { google } from 'googleapis';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 
+import { emailAddress } from './emailCampaigns/sendPolicy.js';
+
 dotenv.config();
 
 // Initialize Supabase client
@@ -10,11 +14,21 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// Mailbox queries synced per account, and the email_type each one is stored as
+const SYNC_QUERIES = [
+  { q: 'in:sent', direction: 'outbound' },
+  { q: 'in:inbox', direction: 'inbound' }
+];
+
 /**
- * Gmail sync service for syncing sent emails to CRM
+ * Gmail sync service for syncing sent and received emails to CRM
+ *
+ * Emits 'inbound' ({ userId, from, receivedAt, subject, threadId }) for each
+ * newly stored received email, which ends email sequences when a contact replies.
  */
-class GmailSyncService {
+class GmailSyncService extends EventEmitter {
   constructor() {
+    super();
     this.oauth2Client = new google.auth.OAuth2(
       process.env.GOOGLE_CLIENT_ID,
       process.env.GOOGLE_CLIENT_SECRET,
@@ -24,6 +38,25 @@ class GmailSyncService {
     this.gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
   }
 
+  /**
+   * An OAuth client of its own for one account, so syncs for different reps
+   * can run side by side without swapping credentials under each other
+   * @param {Object} credentials - access_token and refresh_token
+   * @returns {Object} OAuth2 client
+   */
+  createAuthClient(credentials) {
+    const auth = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      null
+    );
+    auth.setCredentials({
+      access_token: credentials.access_token,
+      refresh_token: credentials.refresh_token
+    });
+    return auth;
+  }
+
   /**
    * Get OAuth credentials for a user from the database
    * @param {string} userId - The user ID
@@ -45,13 +78,8 @@ class GmailSyncService {
       // Check if token is expired
       if (data.expires_at && new Date(data.expires_at) < new Date()) {
         // Try to refresh the token
-        this.oauth2Client.setCredentials({
-          access_token: data.access_token,
-          refresh_token: data.refresh_token
-        });
-
         try {
-          const { credentials } = await this.oauth2Client.refreshAccessToken();
+          const { credentials } = await this.createAuthClient(data).refreshAccessToken();
           
           // Update tokens in database
           await supabase
@@ -145,43 +173,47 @@ class GmailSyncService {
       throw new Error(`No valid credentials found for ${email}`);
     }
 
-    // Set OAuth credentials
-    this.oauth2Client.setCredentials({
-      access_token: credentials.access_token,
-      refresh_token: credentials.refresh_token
-    });
+    const gmail = google.gmail({ version: 'v1', auth: this.createAuthClient(credentials) });
 
     try {
-      // Get emails from Gmail API
-      const response = await this.gmail.users.messages.list({
-        userId: 'me',
-        q: 'in:sent', // Get sent emails
-        maxResults: 50 // Limit for initial sync
-      });
+      const emails = [];
 
-      if (!response.data.messages) {
-        return [];
-      }
+      for (const { q, direction } of SYNC_QUERIES) {
+        // Only mail newer than what is already stored, so each pass fetches new messages
+        const since = await this.getLastSyncedAt(userId, email, direction);
+        const response = await gmail.users.messages.list({
+          userId: 'me',
+          q: since ? `${q} after:${Math.floor(since.getTime() / 1000)}` : q,
+          maxResults: 50 // Limit for initial sync
+        });
 
-      const emails = [];
-      
-      // Fetch full details for each message
-      for (const message of response.data.messages) {
-        try {
-          const fullMessage = await this.gmail.users.messages.get({
-            userId: 'me',
-            id: message.id
-          });
-
-          const email = this.parseGmailMessage(fullMessage.data, userId, email);
-          if (email) {
-            const stored = await this.storeEmailInDatabase(email);
-            if (stored) {
-              emails.push(stored);
+        // Fetch full details for each message
+        for (const message of response.data.messages || []) {
+          try {
+            const fullMessage = await gmail.users.messages.get({
+              userId: 'me',
+              id: message.id
+            });
+
+            const parsed = this.parseGmailMessage(fullMessage.data, userId, email, direction);
+            if (parsed) {
+              const stored = await this.storeEmailInDatabase(parsed);
+              if (stored) {
+                emails.push(stored);
+                if (direction === 'inbound') {
+                  this.emit('inbound', {
+                    userId,
+                    from: stored.from_email,
+                    receivedAt: stored.sent_at,
+                    subject: stored.subject,
+                    threadId: stored.thread_id
+                  });
+                }
+              }
             }
+          } catch (error) {
+            console.error(`Error fetching message ${message.id}:`, error);
           }
-        } catch (error) {
-          console.error(`Error fetching message ${message.id}:`, error);
         }
       }
 
@@ -192,14 +224,41 @@ class GmailSyncService {
     }
   }
 
+  /**
+   * When the newest stored email for an account and direction was sent
+   * @param {string} userId - The user ID
+   * @param {string} email - The Gmail email address
+   * @param {string} direction - 'outbound' or 'inbound'
+   * @returns {Promise<Date|null>} null when nothing has been synced yet
+   */
+  async getLastSyncedAt(userId, email, direction) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .select('sent_at')
+      .eq('user_id', userId)
+      .eq('email_type', direction)
+      .eq(direction === 'inbound' ? 'to_email' : 'from_email', email)
+      .not('gmail_message_id', 'is', null)
+      .order('sent_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading last synced email:', error);
+      return null;
+    }
+    return data?.sent_at ? new Date(data.sent_at) : null;
+  }
+
   /**
    * Parse Gmail message into our email format
    * @param {Object} message - Gmail message object
    * @param {string} userId - The user ID
-   * @param {string} fromEmail - The sender email
+   * @param {string} accountEmail - The synced Gmail account
+   * @param {string} direction - 'outbound' (sent from the account) or 'inbound' (received by it)
    * @returns {Object|null}
    */
-  parseGmailMessage(message, userId, fromEmail) {
+  parseGmailMessage(message, userId, accountEmail, direction = 'outbound') {
     try {
       const headers = message.payload.headers;
       const getHeader = (name) => headers.find(h => h.name === name)?.value || '';
@@ -217,11 +276,11 @@ class GmailSyncService {
 
       return {
         user_id: userId,
-        from_email: fromEmail,
-        to_email: getHeader('To'),
+        from_email: direction === 'inbound' ? emailAddress(getHeader('From')) : accountEmail,
+        to_email: direction === 'inbound' ? accountEmail : getHeader('To'),
         subject: getHeader('Subject'),
         body: body,
-        email_type: 'outbound',
+        email_type: direction,
         sent_at: new Date(parseInt(message.internalDate)).toISOString(),
         gmail_message_id: message.id,
         thread_id: message.threadId
@@ -0,0 +1,210 @@
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../../utils/logger.js';
+
+function toRow(appointment) {
+  return {
+    practice_id: appointment.practiceId,
+    call_sid: appointment.callSid,
+    patient_name: appointment.patientName,
+    patient_dob: appointment.dateOfBirth,
+    patient_phone: appointment.phone,
+    reason: appointment.reason,
+    new_patient: appointment.newPatient,
+    starts_at: appointment.startsAt,
+    ends_at: appointment.endsAt,
+    doctor: appointment.doctor || null,
+    status: appointment.status
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    practiceId: row.practice_id,
+    callSid: row.call_sid,
+    patientName: row.patient_name,
+    dateOfBirth: row.patient_dob,
+    phone: row.patient_phone,
+    reason: row.reason,
+    newPatient: row.new_patient,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    doctor: row.doctor,
+    status: row.status,
+    previousStartsAt: row.previous_starts_at,
+    smsStatus: row.sms_status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Postgres unique_violation, raised by the index on booked slots
+const UNIQUE_VIOLATION = '23505';
+
+function slotTakenError() {
+  const error = new Error('That appointment time is already booked');
+  error.code = 'SLOT_TAKEN';
+  return error;
+}
+
+// The in-memory store applies the same rule as the unique index on booked slots
+function sameSlot(a, b) {
+  return a.practiceId === b.practiceId && (a.doctor || '') === (b.doctor || '') &&
+    Date.parse(a.startsAt) === Date.parse(b.startsAt);
+}
+
+const CHANGE_COLUMNS = {
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  doctor: 'doctor',
+  status: 'status',
+  previousStartsAt: 'previous_starts_at',
+  smsStatus: 'sms_status'
+};
+
+/**
+ * Appointment Store
+ *
+ * Appointments Julie books over the phone, in `julie_appointments`. Times are
+ * ISO strings (UTC); `status` is 'booked' or 'cancelled', and a rescheduled
+ * appointment keeps its previous start in `previousStartsAt`. Booking or moving
+ * an appointment onto a slot that is already booked throws an error with code
+ * 'SLOT_TAKEN'.
+ */
+class AppointmentStore {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('AppointmentStore: Supabase credentials not configured, using in-memory store');
+      this.supabase = null;
+    }
+
+    this.table = 'julie_appointments';
+    this.memoryAppointments = new Map(); // id -> appointment
+  }
+
+  async create(appointment) {
+    const now = new Date().toISOString();
+
+    if (!this.supabase) {
+      const saved = { ...fromRow(toRow(appointment)), id: uuidv4(), createdAt: now, updatedAt: now };
+      if (this.isTakenInMemory(saved)) throw slotTakenError();
+      this.memoryAppointments.set(saved.id, saved);
+      return saved;
+    }
+
+    const { data, error } = await this.supabase.from(this.table).insert(toRow(appointment)).select().single();
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) throw slotTakenError();
+      throw new Error(`Failed to save appointment: ${error.message}`);
+    }
+    return fromRow(data);
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} changes - Any of startsAt, endsAt, doctor, status, previousStartsAt, smsStatus
+   */
+  async update(id, changes) {
+    const now = new Date().toISOString();
+
+    if (!this.supabase) {
+      const existing = this.memoryAppointments.get(id);
+      if (!existing) throw new Error(`Appointment ${id} not found`);
+      const updated = { ...existing, ...changes, updatedAt: now };
+      if (this.isTakenInMemory(updated)) throw slotTakenError();
+      this.memoryAppointments.set(id, updated);
+      return updated;
+    }
+
+    const row = Object.fromEntries(Object.entries(changes)
+      .filter(([key]) => CHANGE_COLUMNS[key])
+      .map(([key, value]) => [CHANGE_COLUMNS[key], value]));
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update({ ...row, updated_at: now })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) throw slotTakenError();
+      throw new Error(`Failed to update appointment: ${error.message}`);
+    }
+    return fromRow(data);
+  }
+
+  isTakenInMemory(appointment) {
+    if (appointment.status !== 'booked') return false;
+    return [...this.memoryAppointments.values()].some(other =>
+      other.id !== appointment.id && other.status === 'booked' && sameSlot(other, appointment));
+  }
+
+  // Booked appointments overlapping a time range, to take out of availability
+  async findBooked(practiceId, { from, to }) {
+    if (!this.supabase) {
+      return [...this.memoryAppointments.values()].filter(appointment =>
+        appointment.practiceId === practiceId && appointment.status === 'booked' &&
+        Date.parse(appointment.startsAt) < to.getTime() && Date.parse(appointment.endsAt) > from.getTime());
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('practice_id', practiceId)
+      .eq('status', 'booked')
+      .lt('starts_at', to.toISOString())
+      .gt('ends_at', from.toISOString());
+    if (error) {
+      throw new Error(`Failed to load appointments: ${error.message}`);
+    }
+    return data.map(fromRow);
+  }
+
+  /**
+   * A patient's upcoming booked appointments at a practice
+   * @param {string} practiceId
+   * @param {object} patient - { phone } or { name, dateOfBirth }
+   * @param {Date} now
+   */
+  async findUpcoming(practiceId, { phone, name, dateOfBirth }, now = new Date()) {
+    const matches = (appointment) => (phone
+      ? appointment.phone === phone
+      : appointment.dateOfBirth === dateOfBirth && appointment.patientName?.toLowerCase() === name?.toLowerCase());
+
+    if (!this.supabase) {
+      return [...this.memoryAppointments.values()]
+        .filter(appointment => appointment.practiceId === practiceId && appointment.status === 'booked' &&
+          Date.parse(appointment.startsAt) > now.getTime() && matches(appointment))
+        .sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt));
+    }
+
+    let query = this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('practice_id', practiceId)
+      .eq('status', 'booked')
+      .gt('starts_at', now.toISOString());
+    query = phone
+      ? query.eq('patient_phone', phone)
+      : query.eq('patient_dob', dateOfBirth).ilike('patient_name', name.replace(/[%_\\]/g, '\\$&'));
+
+    const { data, error } = await query.order('starts_at');
+    if (error) {
+      throw new Error(`Failed to load appointments: ${error.message}`);
+    }
+    return data.map(fromRow);
+  }
+}
+
+// Export singleton
+const appointmentStore = new AppointmentStore();
+export { AppointmentStore };
+export default appointmentStore;
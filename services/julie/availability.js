@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { createClient } from '@supabase/supabase-js';
+
+import logger from '../../utils/logger.js';
+
+import { addDays, hoursOnDate, localParts, localTimeToDate } from './practiceProfiles.js';
+
+export const SLOT_MINUTES = parseInt(process.env.JULIE_APPOINTMENT_MINUTES || '30', 10);
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// --- iCal ---
+
+// RFC 5545 folds long lines by starting continuations with a space or tab
+function unfold(content) {
+  return content.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+}
+
+function parseIcalDate(value, params, timeZone) {
+  const trimmed = value.trim();
+  if (/^\d{8}$/.test(trimmed)) {
+    const isoDate = `${trimmed.slice(0, 4)}-${trimmed.slice(4, 6)}-${trimmed.slice(6, 8)}`;
+    return { date: localTimeToDate(timeZone, isoDate, '00:00'), allDay: true };
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})\d{2}(Z?)$/.exec(trimmed);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, utc] = match;
+  const isoDate = `${year}-${month}-${day}`;
+  if (utc) {
+    return { date: new Date(`${isoDate}T${hour}:${minute}:00Z`), allDay: false };
+  }
+  // Floating or TZID times are read in the event's zone, defaulting to the practice's
+  return { date: localTimeToDate(params.TZID || timeZone, isoDate, `${hour}:${minute}`), allDay: false };
+}
+
+/**
+ * Busy periods from an iCalendar file
+ * @param {string} content - .ics contents
+ * @param {string} timeZone - Zone for floating times and all-day events
+ * @returns {Array<object>} [{ start, end, summary }] with Date bounds
+ */
+export function parseIcal(content, timeZone) {
+  const events = [];
+  let current = null;
+
+  for (const line of unfold(content).split('\n')) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current.start && current.status !== 'CANCELLED' && current.transparency !== 'TRANSPARENT') {
+        const end = current.end?.date ||
+          new Date(current.start.date.getTime() + (current.start.allDay ? 24 * 60 : SLOT_MINUTES) * 60 * 1000);
+        events.push({ start: current.start.date, end, summary: current.summary || null });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const params = Object.fromEntries(paramParts.map(part => part.split('=')));
+    const value = line.slice(separator + 1);
+
+    if (name === 'DTSTART') current.start = parseIcalDate(value, params, timeZone);
+    if (name === 'DTEND') current.end = parseIcalDate(value, params, timeZone);
+    if (name === 'SUMMARY') current.summary = value;
+    if (name === 'STATUS') current.status = value.trim();
+    if (name === 'TRANSP') current.transparency = value.trim();
+  }
+
+  return events;
+}
+
+/**
+ * Appointment slots inside a practice's opening hours
+ * @param {object} profile - Practice profile
+ * @param {object} range - { from, to } as Dates
+ * @param {number} slotMinutes
+ * @returns {Array<object>} [{ start, end }] in time order
+ */
+export function slotsWithinHours(profile, { from, to }, slotMinutes = SLOT_MINUTES) {
+  const slots = [];
+  const lastDate = localParts(to, profile.timezone).date;
+
+  for (let isoDate = localParts(from, profile.timezone).date; isoDate <= lastDate; isoDate = addDays(isoDate, 1)) {
+    for (const period of hoursOnDate(profile, isoDate).periods) {
+      const close = localTimeToDate(profile.timezone, isoDate, period.close);
+      let start = localTimeToDate(profile.timezone, isoDate, period.open);
+
+      while (start.getTime() + slotMinutes * 60 * 1000 <= close.getTime()) {
+        const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+        if (start >= from && end <= to) slots.push({ start, end });
+        start = end;
+      }
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * iCal availability: opening hours minus the events in the practice's
+ * calendar export, read from `<JULIE_AVAILABILITY_ICAL_DIR>/<practice id>.ics`.
+ * A practice without a file is free whenever it is open.
+ */
+export class IcalAvailabilityProvider {
+  constructor({ directory = process.env.JULIE_AVAILABILITY_ICAL_DIR || './data/availability' } = {}) {
+    this.name = 'ical';
+    this.directory = directory;
+  }
+
+  async loadBusy(profile) {
+    // Profile ids are slugs, but keep the lookup inside the directory regardless
+    const file = path.join(this.directory, `${path.basename(profile.id)}.ics`);
+    try {
+      return parseIcal(await fs.readFile(file, 'utf8'), profile.timezone);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`IcalAvailabilityProvider: could not read ${file}:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  async findOpenSlots(profile, range) {
+    const busy = await this.loadBusy(profile);
+    return slotsWithinHours(profile, range).filter(slot => !busy.some(event => overlaps(slot, event)));
+  }
+}
+
+/**
+ * Database availability: open slots published by the practice in
+ * `julie_availability_slots`
+ */
+export class DatabaseAvailabilityProvider {
+  constructor() {
+    this.name = 'database';
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    this.supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
+  }
+
+  async findOpenSlots(profile, { from, to }) {
+    if (!this.supabase) {
+      logger.warn('DatabaseAvailabilityProvider: Supabase credentials not configured, no slots available');
+      return [];
+    }
+
+    const { data, error } = await this.supabase
+      .from('julie_availability_slots')
+      .select('starts_at, ends_at, doctor')
+      .eq('practice_id', profile.id)
+      .gte('starts_at', from.toISOString())
+      .lte('ends_at', to.toISOString())
+      .order('starts_at');
+
+    if (error) {
+      throw new Error(`Failed to load availability: ${error.message}`);
+    }
+    return data.map(row => ({ start: new Date(row.starts_at), end: new Date(row.ends_at), doctor: row.doctor || null }));
+  }
+}
+
+/**
+ * @param {string} name - 'ical' or 'database' (default: JULIE_AVAILABILITY_PROVIDER)
+ */
+export function createAvailabilityProvider(name = process.env.JULIE_AVAILABILITY_PROVIDER || 'ical') {
+  if (name === 'database') return new DatabaseAvailabilityProvider();
+  if (name === 'ical') return new IcalAvailabilityProvider();
+  throw new Error(`Unknown availability provider "${name}" (expected ical or database)`);
+}
+
+export { overlaps };
@@ -0,0 +1,631 @@
+import { sendSms as twilioSendSms } from '../../twilio_service.js';
+import logger from '../../utils/logger.js';
+
+import appointmentStore from './appointments.js';
+import { createAvailabilityProvider, overlaps } from './availability.js';
+import escalationService from './escalations.js';
+import {
+  mentions,
+  parseChoice,
+  parseConfirmation,
+  parseDateOfBirth,
+  parseName,
+  parseNewPatient,
+  parsePhoneNumber,
+  parsePreference,
+  parseReason
+} from './bookingParsers.js';
+import { formatDate, formatTime, joinList, localParts, normalizePhoneNumber, primaryDoctor } from './practiceProfiles.js';
+
+const HORIZON_DAYS = parseInt(process.env.JULIE_BOOKING_HORIZON_DAYS || '14', 10);
+const MIN_NOTICE_MINUTES = 60;
+const MAX_OFFERS = 3;
+const OFFER_SPACING_MINUTES = 90;
+const MAX_ATTEMPTS = 3;
+
+const PARTS_OF_DAY = {
+  morning: ['00:00', '12:00'],
+  afternoon: ['12:00', '17:00'],
+  evening: ['17:00', '24:00']
+};
+
+const PATIENT_FIELDS = ['name', 'dateOfBirth', 'newPatient', 'reason'];
+
+let defaultAvailability = null;
+
+/**
+ * A slot start as Julie reads it out: "Tuesday, October 20 at 10:30 AM"
+ */
+export function formatSlot(profile, date) {
+  const local = localParts(new Date(date), profile.timezone);
+  return `${formatDate(local.date)} at ${formatTime(local.time)}`;
+}
+
+function formatDateOfBirth(isoDate) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', month: 'long', day: 'numeric', year: 'numeric' })
+    .format(new Date(`${isoDate}T12:00:00Z`));
+}
+
+const minutesOf = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+const firstName = (name) => (name || '').split(' ')[0];
+
+/**
+ * Whether a slot fits what the caller asked for (see parsePreference)
+ */
+export function matchesPreference(slot, preference, timeZone) {
+  const local = localParts(slot.start, timeZone);
+  if (preference.date && local.date !== preference.date) return false;
+  if (preference.weekday && local.weekday !== preference.weekday) return false;
+  if (preference.fromDate && local.date < preference.fromDate) return false;
+  if (preference.partOfDay) {
+    const [start, end] = PARTS_OF_DAY[preference.partOfDay];
+    if (local.time < start || local.time >= end) return false;
+  }
+  if (preference.after && local.time < preference.after) return false;
+  if (preference.before && local.time >= preference.before) return false;
+  return true;
+}
+
+/**
+ * Up to MAX_OFFERS slots to read out, spread across the day rather than three
+ * back-to-back half hours. With a requested time, the closest ones come first.
+ */
+export function pickOffers(slots, preference, timeZone) {
+  let ranked = slots;
+  if (preference?.time) {
+    const target = minutesOf(preference.time);
+    const distance = (slot) => Math.abs(minutesOf(localParts(slot.start, timeZone).time) - target);
+    ranked = [...slots].sort((a, b) =>
+      localParts(a.start, timeZone).date.localeCompare(localParts(b.start, timeZone).date) ||
+      distance(a) - distance(b) || a.start - b.start);
+  }
+
+  const spacing = OFFER_SPACING_MINUTES * 60 * 1000;
+  const offers = [];
+  for (const slot of ranked) {
+    if (offers.length === MAX_OFFERS) break;
+    if (offers.every(offer => Math.abs(offer.start - slot.start) >= spacing)) offers.push(slot);
+  }
+  for (const slot of ranked) {
+    if (offers.length === MAX_OFFERS) break;
+    if (!offers.includes(slot)) offers.push(slot);
+  }
+  return offers.sort((a, b) => a.start - b.start);
+}
+
+// Two doctors can see patients at the same time; an undoctored slot blocks everyone
+const sameChair = (a, b) => !a.doctor || !b.doctor || a.doctor === b.doctor;
+
+/**
+ * Booking Flow
+ *
+ * One multi-turn booking, rescheduling or cancellation conversation. Julie
+ * keeps the flow on the call's ConversationContext and hands it every caller
+ * utterance until it is done. Booking fills name, date of birth, new vs
+ * existing patient, reason and a preferred time (in any order, from whatever
+ * the caller volunteers), offers open slots from the availability provider,
+ * reads the details back and saves the appointment once the caller confirms.
+ * Rescheduling and cancelling look the appointment up by caller number, or by
+ * name and date of birth. Each change is confirmed to the patient by SMS.
+ */
+export class BookingFlow {
+  /**
+   * @param {object} options
+   * @param {string} options.kind - 'book', 'reschedule' or 'cancel'
+   * @param {object} options.profile - Practice profile
+   * @param {string} options.callSid
+   * @param {string} options.callerNumber - Caller ID, used for SMS and lookups
+   * @param {string} options.replyNumber - Number confirmations are sent from (the dialed number)
+   * @param {object} options.escalations - Where callback requests are recorded
+   */
+  constructor({
+    kind = 'book',
+    profile,
+    callSid = null,
+    callerNumber = null,
+    replyNumber = null,
+    availability = null,
+    appointments = appointmentStore,
+    escalations = escalationService,
+    sendSms = twilioSendSms,
+    now = () => new Date()
+  }) {
+    this.kind = kind;
+    this.profile = profile;
+    this.callSid = callSid;
+    this.callerNumber = callerNumber;
+    this.replyNumber = replyNumber;
+    this.availability = availability || (defaultAvailability ||= createAvailabilityProvider());
+    this.appointments = appointments;
+    this.escalations = escalations;
+    this.sendSms = sendSms;
+    this.now = now;
+
+    this.stage = 'collecting'; // collecting | choosing_appointment | offering | confirming | changing | done
+    this.patient = {};
+    this.preference = null;
+    this.asking = null;
+    this.attempts = 0;
+    this.offers = [];
+    this.candidates = [];
+    this.slot = null;
+    this.appointment = null; // The existing appointment being rescheduled or cancelled
+    this.result = null; // The appointment as saved
+    this.searchedByPhone = false;
+  }
+
+  get done() {
+    return this.stage === 'done';
+  }
+
+  get timeZone() {
+    return this.profile.timezone;
+  }
+
+  summary() {
+    return {
+      kind: this.kind,
+      stage: this.stage,
+      patient: this.patient,
+      slot: this.slot && { start: this.slot.start.toISOString(), end: this.slot.end.toISOString() },
+      appointmentId: this.result?.id || this.appointment?.id || null
+    };
+  }
+
+  // The caller changed their mind mid-flow
+  abandon() {
+    this.stage = 'done';
+  }
+
+  /**
+   * Begin with the utterance that triggered the flow, which often carries a
+   * reason or a time already ("I need a cleaning next Tuesday")
+   */
+  async start(text) {
+    const doctor = primaryDoctor(this.profile);
+    const intro = {
+      book: `I'd be happy to help you schedule an appointment${doctor ? ` with ${doctor}` : ''}.`,
+      reschedule: 'Sure, I can help you reschedule.',
+      cancel: 'I can help you with that.'
+    }[this.kind];
+
+    this.absorb(text);
+    return `${intro} ${await this.guard(() => this.advance())}`;
+  }
+
+  async handle(text) {
+    return this.guard(() => this.step(text));
+  }
+
+  // A scheduling backend failure ends the flow with a callback promise rather than dead air
+  async guard(action) {
+    try {
+      return await action();
+    } catch (error) {
+      logger.error(`BookingFlow: ${this.kind} flow failed for call ${this.callSid}:`, error);
+      this.stage = 'done';
+      return "I'm sorry, I'm having trouble with our scheduling system right now. " +
+             "I'll have someone from our team call you back to finish up.";
+    }
+  }
+
+  async step(text) {
+    switch (this.stage) {
+      case 'choosing_appointment':
+        return this.handleAppointmentChoice(text);
+      case 'offering':
+        return this.handleOffer(text);
+      case 'confirming':
+        return this.handleConfirmation(text);
+      case 'changing':
+        return this.handleChange(text);
+      case 'done':
+        return null;
+      default:
+        this.absorb(text);
+        return this.advance();
+    }
+  }
+
+  // Pick up every answer in the utterance, not just the one Julie asked for
+  absorb(text) {
+    const asked = this.asking;
+    const now = this.now();
+
+    const name = parseName(text, { asked: asked === 'name' });
+    if (name && (asked === 'name' || !this.patient.name)) this.patient.name = name;
+
+    const dateOfBirth = parseDateOfBirth(text, now);
+    if (dateOfBirth) this.patient.dateOfBirth = dateOfBirth;
+
+    if (this.kind === 'book') {
+      const newPatient = parseNewPatient(text, { asked: asked === 'newPatient' });
+      if (newPatient !== null) this.patient.newPatient = newPatient;
+
+      const reason = parseReason(text, { asked: asked === 'reason' });
+      if (reason && (asked === 'reason' || !this.patient.reason)) this.patient.reason = reason;
+    }
+
+    const phone = parsePhoneNumber(text);
+    if (phone) this.patient.phone = phone;
+
+    // A date of birth is not a preferred date
+    if (this.kind !== 'cancel' && !dateOfBirth && asked !== 'dateOfBirth') {
+      const preference = parsePreference(text, { now, timeZone: this.timeZone });
+      if (preference) this.setPreference(preference);
+    }
+  }
+
+  setPreference(preference) {
+    this.preference = preference;
+    this.slot = null;
+  }
+
+  async advance() {
+    if (this.kind === 'book') {
+      const missing = PATIENT_FIELDS.find(field => this.patient[field] === undefined || this.patient[field] === null);
+      if (missing) return this.ask(missing);
+    } else if (!this.appointment) {
+      return this.findAppointment();
+    }
+
+    if (this.kind === 'cancel' || this.slot) return this.confirm();
+    if (!this.preference) return this.ask('preference');
+    return this.offerSlots();
+  }
+
+  ask(field) {
+    this.attempts = this.asking === field ? this.attempts + 1 : 1;
+    this.asking = field;
+
+    if (this.attempts > MAX_ATTEMPTS) {
+      this.stage = 'done';
+      return "I'm sorry, I'm having trouble getting that. I'll have someone from our team call you back to finish up.";
+    }
+
+    const thanks = this.patient.name ? `Thanks, ${firstName(this.patient.name)}. ` : '';
+    const questions = {
+      name: 'Can I get your full name, please?',
+      dateOfBirth: `${thanks}What's your date of birth?`,
+      newPatient: `Have you been to ${this.profile.name} before?`,
+      reason: "And what's the reason for your visit?",
+      preference: this.kind === 'reschedule'
+        ? 'When would you like to move it to?'
+        : 'What day and time work best for you?'
+    };
+    return `${this.attempts > 1 ? "Sorry, I didn't catch that. " : ''}${questions[field]}`;
+  }
+
+  // --- Rescheduling and cancelling ---
+
+  async findAppointment() {
+    const now = this.now();
+    let found = [];
+
+    const phone = normalizePhoneNumber(this.patient.phone || this.callerNumber);
+    if (phone && !this.searchedByPhone) {
+      this.searchedByPhone = true;
+      found = await this.appointments.findUpcoming(this.profile.id, { phone }, now);
+    }
+
+    if (found.length === 0) {
+      if (!this.patient.name) return this.ask('name');
+      if (!this.patient.dateOfBirth) return this.ask('dateOfBirth');
+
+      found = await this.appointments.findUpcoming(this.profile.id, {
+        name: this.patient.name,
+        dateOfBirth: this.patient.dateOfBirth
+      }, now);
+      if (found.length === 0) {
+        this.stage = 'done';
+        return `I couldn't find an upcoming appointment for ${this.patient.name}. ` +
+               "I'll have someone from our team call you back to sort it out.";
+      }
+    }
+
+    if (found.length === 1) {
+      return this.selectAppointment(found[0]);
+    }
+
+    this.candidates = found.slice(0, MAX_OFFERS);
+    this.stage = 'choosing_appointment';
+    return `I see ${found.length} upcoming appointments: ${this.listAppointments(this.candidates)}. ` +
+           `Which one would you like to ${this.kind}?`;
+  }
+
+  listAppointments(appointments) {
+    return joinList(appointments.map(appointment => `${formatSlot(this.profile, appointment.startsAt)}` +
+      (appointment.reason ? ` for ${appointment.reason}` : '')), 'and');
+  }
+
+  async selectAppointment(appointment) {
+    this.appointment = appointment;
+    this.stage = 'collecting';
+    if (this.kind === 'cancel') return this.confirm();
+
+    const found = `I see your appointment on ${formatSlot(this.profile, appointment.startsAt)}.`;
+    return `${found} ${this.preference ? await this.offerSlots() : this.ask('preference')}`;
+  }
+
+  async handleAppointmentChoice(text) {
+    const options = this.candidates.map(appointment => ({ start: new Date(appointment.startsAt) }));
+    const index = parseChoice(text, options, this.timeZone);
+    if (index === null) {
+      return `Sorry, which one? ${this.listAppointments(this.candidates)}.`;
+    }
+    return this.selectAppointment(this.candidates[index]);
+  }
+
+  // --- Offering slots ---
+
+  /**
+   * Open slots from the availability provider that no booked appointment
+   * (other than the one being moved) already takes
+   */
+  async findFreeSlots({ from, to }) {
+    const [open, booked] = await Promise.all([
+      this.availability.findOpenSlots(this.profile, { from, to }),
+      this.appointments.findBooked(this.profile.id, { from, to })
+    ]);
+    const taken = booked
+      .filter(appointment => appointment.id !== this.appointment?.id)
+      .map(appointment => ({ start: new Date(appointment.startsAt), end: new Date(appointment.endsAt), doctor: appointment.doctor }));
+
+    return open.filter(slot => !taken.some(other => overlaps(slot, other) && sameChair(slot, other)));
+  }
+
+  async offerSlots() {
+    const from = new Date(this.now().getTime() + MIN_NOTICE_MINUTES * 60 * 1000);
+    const to = new Date(from.getTime() + HORIZON_DAYS * 24 * 60 * 60 * 1000);
+    // When rescheduling, the time they already have is not an option
+    const current = this.appointment && Date.parse(this.appointment.startsAt);
+    const slots = (await this.findFreeSlots({ from, to })).filter(slot => slot.start.getTime() !== current);
+
+    if (slots.length === 0) {
+      this.stage = 'done';
+      logger.warn(`BookingFlow: no open slots for ${this.profile.id} in the next ${HORIZON_DAYS} days`);
+      return `I'm sorry, I don't see any openings in the next ${HORIZON_DAYS} days. ` +
+             (await this.requestCallback()
+               ? "I'll have someone from our team call you to find a time."
+               : 'Please call us back during office hours and we will find a time for you.');
+    }
+
+    const matching = slots.filter(slot => matchesPreference(slot, this.preference || {}, this.timeZone));
+    this.offers = pickOffers(matching.length ? matching : slots, matching.length ? this.preference : null, this.timeZone);
+    this.stage = 'offering';
+    this.asking = null;
+
+    const times = joinList(this.offers.map(slot => formatSlot(this.profile, slot.start)), 'or');
+    if (matching.length === 0) {
+      return `I don't have anything open then. The earliest ${this.offers.length === 1 ? 'opening is' : 'openings are'} ${times}. ` +
+             `Would ${this.offers.length === 1 ? 'that' : 'one of those'} work?`;
+    }
+    return this.offers.length === 1
+      ? `I have ${times}. Does that work for you?`
+      : `I have ${times}. Which works best for you?`;
+  }
+
+  async handleOffer(text) {
+    const index = parseChoice(text, this.offers, this.timeZone);
+    if (index !== null) {
+      this.slot = this.offers[index];
+      return this.confirm();
+    }
+
+    const preference = parsePreference(text, { now: this.now(), timeZone: this.timeZone });
+    if (preference) {
+      this.setPreference(preference);
+      return this.offerSlots();
+    }
+
+    if (parseConfirmation(text) === false) {
+      this.setPreference(null);
+      this.stage = 'collecting';
+      return `No problem. ${this.ask('preference')}`;
+    }
+
+    return 'Sorry, which of those times works for you? You can say the first, second or third.';
+  }
+
+  // --- Confirmation ---
+
+  confirm() {
+    this.stage = 'confirming';
+    this.asking = null;
+
+    if (this.kind === 'cancel') {
+      return `Just to confirm, you'd like to cancel your appointment on ${formatSlot(this.profile, this.appointment.startsAt)}?`;
+    }
+    if (this.kind === 'reschedule') {
+      return `Just to confirm, I'll move your appointment from ${formatSlot(this.profile, this.appointment.startsAt)} ` +
+             `to ${formatSlot(this.profile, this.slot.start)}. Shall I go ahead?`;
+    }
+
+    const { name, dateOfBirth, newPatient, reason } = this.patient;
+    return `Let me read that back. ${name}, date of birth ${formatDateOfBirth(dateOfBirth)}, ` +
+           `${newPatient ? 'a new patient' : 'an existing patient'}. Reason for the visit: ${reason}. ` +
+           `Appointment: ${formatSlot(this.profile, this.slot.start)}. Is that all correct?`;
+  }
+
+  async handleConfirmation(text) {
+    const answer = parseConfirmation(text);
+    if (answer === true) return this.commit();
+
+    if (this.kind === 'cancel') {
+      if (answer === false) {
+        this.stage = 'done';
+        return "No problem, I've left your appointment as it is. Is there anything else I can help you with?";
+      }
+      return 'Sorry, should I cancel it? Please say yes or no.';
+    }
+
+    // "No, make it Thursday" changes the time in one go
+    const change = await this.applyChange(text);
+    if (change) return change;
+
+    if (answer === false) {
+      if (this.kind === 'reschedule') {
+        this.setPreference(null);
+        this.stage = 'collecting';
+        return this.ask('preference');
+      }
+      this.stage = 'changing';
+      return 'What would you like to change: the name, date of birth, reason for the visit, or the time?';
+    }
+    return 'Sorry, should I go ahead? Please say yes or no.';
+  }
+
+  async handleChange(text) {
+    return await this.applyChange(text) ||
+      'Sorry, which part should I change: the name, date of birth, reason for the visit, or the time?';
+  }
+
+  async applyChange(text) {
+    const recollect = (field) => {
+      delete this.patient[field];
+      this.stage = 'collecting';
+      return this.ask(field);
+    };
+
+    if (this.kind === 'book') {
+      if (mentions(text, ['birth', 'birthday', 'dob'])) return recollect('dateOfBirth');
+      if (mentions(text, ['name'])) return recollect('name');
+      if (mentions(text, ['reason', 'visit'])) return recollect('reason');
+      if (mentions(text, ['new patient', 'existing patient'])) {
+        this.patient.newPatient = !this.patient.newPatient;
+        return this.confirm();
+      }
+    }
+
+    const preference = parsePreference(text, { now: this.now(), timeZone: this.timeZone });
+    if (preference) {
+      this.setPreference(preference);
+      return this.offerSlots();
+    }
+    if (mentions(text, ['time', 'day', 'date'])) {
+      this.setPreference(null);
+      this.stage = 'collecting';
+      return this.ask('preference');
+    }
+    return null;
+  }
+
+  // --- Saving ---
+
+  // Someone else may have booked the slot while we were talking
+  async isStillFree(slot) {
+    const booked = await this.appointments.findBooked(this.profile.id, { from: slot.start, to: slot.end });
+    return !booked.some(appointment => appointment.id !== this.appointment?.id &&
+      sameChair(slot, appointment));
+  }
+
+  async slotTaken() {
+    this.slot = null;
+    return `I'm sorry, that time was just taken. ${await this.offerSlots()}`;
+  }
+
+  // Anything Julie could not finish is left for the team as a callback in the call's escalation trail
+  async requestCallback() {
+    try {
+      await this.escalations.escalate({
+        callSid: this.callSid,
+        profile: this.profile,
+        callerNumber: this.patient.phone || this.callerNumber,
+        reason: 'callback',
+        severity: 'routine'
+      });
+      return true;
+    } catch (error) {
+      logger.error(`BookingFlow: failed to request a callback for call ${this.callSid}:`, error);
+      return false;
+    }
+  }
+
+  async commit() {
+    // The unique index on booked slots catches the caller who confirms a moment after us
+    if (this.kind !== 'cancel' && !(await this.isStillFree(this.slot))) {
+      return this.slotTaken();
+    }
+
+    try {
+      if (this.kind === 'book') {
+        this.result = await this.appointments.create({
+          practiceId: this.profile.id,
+          callSid: this.callSid,
+          patientName: this.patient.name,
+          dateOfBirth: this.patient.dateOfBirth,
+          phone: normalizePhoneNumber(this.patient.phone || this.callerNumber),
+          reason: this.patient.reason,
+          newPatient: this.patient.newPatient,
+          startsAt: this.slot.start.toISOString(),
+          endsAt: this.slot.end.toISOString(),
+          doctor: this.slot.doctor || null,
+          status: 'booked'
+        });
+      } else if (this.kind === 'reschedule') {
+        this.result = await this.appointments.update(this.appointment.id, {
+          startsAt: this.slot.start.toISOString(),
+          endsAt: this.slot.end.toISOString(),
+          doctor: this.slot.doctor || this.appointment.doctor || null,
+          previousStartsAt: this.appointment.startsAt
+        });
+      } else {
+        this.result = await this.appointments.update(this.appointment.id, { status: 'cancelled' });
+      }
+    } catch (error) {
+      if (error.code === 'SLOT_TAKEN') return this.slotTaken();
+
+      logger.error(`BookingFlow: failed to ${this.kind} appointment for call ${this.callSid}:`, error);
+      this.stage = 'done';
+      return await this.requestCallback()
+        ? "I'm sorry, I wasn't able to save that. I'll have someone from our team call you back to confirm."
+        : "I'm sorry, I wasn't able to save that. Please call us back in a little while so we can get it sorted.";
+    }
+
+    this.stage = 'done';
+    const texted = await this.notify(this.result);
+    const when = formatSlot(this.profile, this.result.startsAt);
+    const text = texted ? " I've sent a confirmation text to your phone." : '';
+    const name = firstName(this.result.patientName);
+
+    const done = {
+      book: `You're all set${name ? `, ${name}` : ''}! I've booked you for ${when}.`,
+      reschedule: `Done! Your appointment is now on ${when}.`,
+      cancel: `Your appointment on ${when} has been cancelled.`
+    }[this.kind];
+    return `${done}${text} Is there anything else I can help you with?`;
+  }
+
+  smsBody(appointment) {
+    const greeting = `${this.profile.name}: Hi ${firstName(appointment.patientName) || 'there'},`;
+    const when = formatSlot(this.profile, appointment.startsAt);
+    return {
+      book: `${greeting} your appointment on ${when} is confirmed. Call us if you need to reschedule or cancel.`,
+      reschedule: `${greeting} your appointment has been moved to ${when}.`,
+      cancel: `${greeting} your appointment on ${when} has been cancelled.`
+    }[this.kind];
+  }
+
+  // SMS problems never undo a booking; they are recorded on the appointment
+  async notify(appointment) {
+    if (!appointment.phone) return false;
+
+    let smsStatus = 'sent';
+    try {
+      await this.sendSms(appointment.phone, this.smsBody(appointment), {
+        from: this.replyNumber || undefined,
+        metadata: { type: 'julie_appointment', event: this.kind, appointmentId: appointment.id, practiceId: this.profile.id }
+      });
+    } catch (error) {
+      logger.warn(`BookingFlow: confirmation SMS for appointment ${appointment.id} failed:`, error.message);
+      smsStatus = 'failed';
+    }
+
+    try {
+      this.result = await this.appointments.update(appointment.id, { smsStatus });
+    } catch (error) {
+      logger.warn(`BookingFlow: could not record SMS status for appointment ${appointment.id}:`, error.message);
+    }
+    return smsStatus === 'sent';
+  }
+}
@@ -0,0 +1,267 @@
+import { addDays, localParts, WEEKDAYS } from './practiceProfiles.js';
+
+/**
+ * Slot extraction for Julie's booking flow
+ *
+ * Each parser pulls one answer out of a caller utterance and returns null when
+ * it is not there. Parsers take `asked` when Julie has just asked for that
+ * slot, which lets a bare answer ("Maria Lopez", "no") count.
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+
+const AFFIRMATIVE = ['yes', 'yeah', 'yep', 'yup', 'correct', 'right', 'sure', 'ok', 'okay', 'perfect', 'great', 'absolutely', 'sounds good', 'that works', 'works for me', 'please do', 'go ahead'];
+const NEGATIVE = ['no', 'nope', 'nah', 'not', 'wrong', 'incorrect', "don't", "doesn't", "isn't", "can't"];
+
+const NEW_PATIENT = ['new patient', 'first time', 'first visit', 'never been', 'new here', "haven't been"];
+const EXISTING_PATIENT = ['existing patient', 'current patient', 'been there before', 'been here before', 'been before', 'returning', 'regular', 'seen me before', 'seen before', 'established'];
+
+export const VISIT_REASONS = ['cleaning', 'checkup', 'check-up', 'exam', 'toothache', 'tooth pain', 'filling', 'crown', 'root canal', 'whitening', 'extraction', 'implant', 'consultation', 'braces', 'invisalign', 'veneers', 'broken tooth', 'chipped tooth'];
+
+const FILLER = /^(?:yes|yeah|sure|ok|okay|hi|so|um|uh|well)[,.]?\s+/i;
+const NAME_INTRO = /^(?:my name is|my name's|name's|the name is|it's|it is|this is|i'm|i am)\s+/i;
+const REASON_INTRO = /^(?:it's|it is|i need|i want|i'd like|just)\s+/i;
+const NOT_NAMES = ['appointment', 'cleaning', 'calling', 'book', 'schedule', 'tomorrow', 'today', 'not', 'sure', 'yes', 'no'];
+
+export function tokenize(text) {
+  // "Wednesday's good" mentions Wednesday
+  return (String(text || '').toLowerCase().replace(/[’]/g, "'").match(/[a-z0-9']+/g) || [])
+    .map(word => word.replace(/'s$/, ''));
+}
+
+/**
+ * Whether any of the phrases occurs as whole words ("no" does not match "now")
+ */
+export function mentions(text, phrases) {
+  const words = tokenize(text);
+  return phrases.some(phrase => {
+    const parts = tokenize(phrase);
+    for (let i = 0; i <= words.length - parts.length; i++) {
+      if (parts.every((part, offset) => words[i + offset] === part)) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * @returns {boolean|null} true for yes, false for no, null when unclear
+ */
+export function parseConfirmation(text) {
+  if (mentions(text, NEGATIVE)) return false;
+  if (mentions(text, AFFIRMATIVE)) return true;
+  return null;
+}
+
+// "Um, yeah, my name is ..." -> "..."
+function stripIntro(text, intro) {
+  let rest = text;
+  while (FILLER.test(rest)) rest = rest.replace(FILLER, '');
+  return rest.replace(intro, '');
+}
+
+const titleCase = (words) => words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+
+export function parseName(text, { asked = false } = {}) {
+  const source = String(text || '').trim();
+  let candidate = null;
+
+  const introduced = /\bmy name is ([a-z][a-z' -]*)/i.exec(source);
+  if (introduced) {
+    candidate = introduced[1];
+  } else if (asked) {
+    candidate = stripIntro(source, NAME_INTRO);
+  }
+  if (!candidate) return null;
+
+  const words = candidate.split(/[\s,.!?]+/).filter(Boolean).filter(word => /^[a-z][a-z'-]*$/i.test(word));
+  const cut = words.findIndex(word => ['and', 'i', "i'm", 'calling', 'from', 'but'].includes(word.toLowerCase()));
+  const name = (cut === -1 ? words : words.slice(0, cut)).slice(0, 4);
+
+  if (name.length === 0 || name.some(word => NOT_NAMES.includes(word.toLowerCase()))) return null;
+  return titleCase(name);
+}
+
+function validDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+const monthNumber = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3))) + 1;
+
+/**
+ * A date of birth: "03/14/1985", "3-14-85", "March 14th, 1985" or "14 March 1985"
+ * @returns {string|null} 'YYYY-MM-DD'
+ */
+export function parseDateOfBirth(text, now = new Date()) {
+  const source = String(text || '').toLowerCase();
+  const thisYear = now.getUTCFullYear();
+  const fullYear = (year) => {
+    if (year.length === 4) return Number(year);
+    const short = Number(year);
+    return short > thisYear % 100 ? 1900 + short : 2000 + short;
+  };
+
+  let match = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/.exec(source);
+  let parsed = match && validDate(fullYear(match[3]), Number(match[1]), Number(match[2]));
+
+  if (!parsed) {
+    match = new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`).exec(source);
+    parsed = match && validDate(Number(match[3]), monthNumber(match[1]), Number(match[2]));
+  }
+  if (!parsed) {
+    match = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+${MONTH_PATTERN},?\\s+(\\d{4})\\b`).exec(source);
+    parsed = match && validDate(Number(match[3]), monthNumber(match[2]), Number(match[1]));
+  }
+
+  return parsed && parsed < now.toISOString().slice(0, 10) && Number(parsed.slice(0, 4)) > thisYear - 120 ? parsed : null;
+}
+
+/**
+ * @returns {boolean|null} true for a new patient, false for an existing one
+ */
+export function parseNewPatient(text, { asked = false } = {}) {
+  if (mentions(text, NEW_PATIENT)) return true;
+  if (mentions(text, EXISTING_PATIENT)) return false;
+  if (!asked) return null;
+
+  // Julie asks "Have you been to us before?", so yes means an existing patient
+  const answer = parseConfirmation(text);
+  return answer === null ? null : !answer;
+}
+
+export function parseReason(text, { asked = false } = {}) {
+  const lower = String(text || '').toLowerCase();
+  const known = VISIT_REASONS.find(reason => lower.includes(reason));
+  if (known) return known;
+  if (!asked) return null;
+
+  const reason = stripIntro(String(text).trim(), REASON_INTRO).replace(/^(?:a|an|to)\s+/i, '');
+  return reason ? reason.slice(0, 200) : null;
+}
+
+/**
+ * A US phone number: "212-555-0123", "(212) 555 0123" or "+1 212 555 0123"
+ * @returns {string|null} E.164
+ */
+export function parsePhoneNumber(text) {
+  for (const candidate of String(text || '').match(/[+(]?\d[\d\s().-]{8,}\d/g) || []) {
+    const digits = candidate.replace(/\D/g, '');
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  }
+  return null;
+}
+
+function parseClockTime(hourText, minuteText, meridiem) {
+  let hour = Number(hourText);
+  const minute = Number(minuteText || 0);
+  if (hour > 23 || minute > 59) return null;
+
+  if (meridiem) {
+    const pm = meridiem.startsWith('p');
+    if (hour > 12) return null;
+    hour = (hour % 12) + (pm ? 12 : 0);
+  } else if (hour >= 1 && hour <= 6) {
+    // Nobody books a 3 AM cleaning
+    hour += 12;
+  }
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * When the caller would like to come in
+ * @param {string} text
+ * @param {object} options - { now, timeZone }
+ * @returns {object|null} Any of { date, weekday, fromDate, partOfDay, time, after, before, soonest }
+ */
+export function parsePreference(text, { now = new Date(), timeZone = 'UTC' } = {}) {
+  const lower = String(text || '').toLowerCase();
+  const today = localParts(now, timeZone);
+  const preference = {};
+
+  if (mentions(lower, ['day after tomorrow'])) {
+    preference.date = addDays(today.date, 2);
+  } else if (mentions(lower, ['tomorrow'])) {
+    preference.date = addDays(today.date, 1);
+  } else if (mentions(lower, ['today', 'this afternoon', 'this morning', 'tonight'])) {
+    preference.date = today.date;
+  }
+
+  const weekday = WEEKDAYS.find(day => mentions(lower, [day]));
+  if (weekday) preference.weekday = weekday;
+
+  if (mentions(lower, ['next week'])) {
+    const daysToMonday = (7 - WEEKDAYS.indexOf(today.weekday)) % 7 || 7;
+    preference.fromDate = addDays(today.date, daysToMonday);
+  }
+
+  // "October 21", "Oct 21st", "21st of October" or "10/21", this year or next
+  let month = null;
+  let day = null;
+  let match = new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?!\\s*,?\\s*\\d{4})`).exec(lower);
+  if (match) {
+    [month, day] = [monthNumber(match[1]), Number(match[2])];
+  } else if ((match = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+of\\s+${MONTH_PATTERN}`).exec(lower))) {
+    [month, day] = [monthNumber(match[2]), Number(match[1])];
+  } else if ((match = /\b(\d{1,2})\/(\d{1,2})\b(?!\/)/.exec(lower))) {
+    [month, day] = [Number(match[1]), Number(match[2])];
+  }
+  if (month && day) {
+    const year = Number(today.date.slice(0, 4));
+    const date = validDate(year, month, day);
+    preference.date = date && date >= today.date ? date : validDate(year + 1, month, day) || preference.date;
+  }
+
+  if (mentions(lower, ['morning'])) preference.partOfDay = 'morning';
+  else if (mentions(lower, ['afternoon'])) preference.partOfDay = 'afternoon';
+  else if (mentions(lower, ['evening', 'after work', 'tonight'])) preference.partOfDay = 'evening';
+
+  const clock = '(\\d{1,2})(?::(\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)?';
+  if ((match = new RegExp(`\\b(after|before|at|around|by)\\s+${clock}`).exec(lower))) {
+    const time = parseClockTime(match[2], match[3], match[4]);
+    if (time) preference[{ after: 'after', before: 'before', by: 'before' }[match[1]] || 'time'] = time;
+  } else if ((match = new RegExp(`\\b${clock}(?=\\s|$|[,.!?])`).exec(lower)) && (match[2] || match[3])) {
+    const time = parseClockTime(match[1], match[2], match[3]);
+    if (time) preference.time = time;
+  }
+  if (mentions(lower, ['noon', 'lunchtime'])) preference.time = '12:00';
+
+  if (mentions(lower, ['soonest', 'earliest', 'asap', 'as soon as possible', 'first available', 'anytime', 'any time', "doesn't matter"])) {
+    preference.soonest = true;
+  }
+
+  return Object.keys(preference).length > 0 ? preference : null;
+}
+
+const ORDINALS = [['first', '1st', 'number one'], ['second', '2nd', 'number two'], ['third', '3rd', 'number three']];
+
+/**
+ * Which of the offered options the caller picked
+ * @param {string} text
+ * @param {Array<object>} options - Offered slots as [{ start }], in the order they were read out
+ * @param {string} timeZone
+ * @returns {number|null} Index into options
+ */
+export function parseChoice(text, options, timeZone) {
+  const ordinal = ORDINALS.findIndex(words => mentions(text, words));
+  if (ordinal !== -1 && ordinal < options.length) return ordinal;
+  if (mentions(text, ['last one', 'the last', 'latest'])) return options.length - 1;
+
+  // "the Tuesday one", "10:30 works": pick the only offer matching what was said
+  const preference = parsePreference(text, { timeZone });
+  if (preference) {
+    const matching = options
+      .map((option, index) => ({ local: localParts(option.start, timeZone), index }))
+      .filter(({ local }) =>
+        (!preference.weekday || local.weekday === preference.weekday) &&
+        (!preference.date || local.date === preference.date) &&
+        (!preference.time || local.time === preference.time) &&
+        (preference.weekday || preference.date || preference.time));
+    if (matching.length === 1) return matching[0].index;
+  }
+
+  if (options.length === 1 && parseConfirmation(text) === true) return 0;
+  return null;
+}
@@ -0,0 +1,313 @@
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../../utils/logger.js';
+
+import { formatSlot } from './bookingFlow.js';
+import { formatDate, joinList, localParts, normalizePhoneNumber } from './practiceProfiles.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intents worth remembering on their own; bookings and emergencies are summarized from their flows
+const INTENT_NOTES = {
+  information: 'asked about practice information',
+  inquiry: 'asked questions about treatment',
+  callback: 'asked for a callback'
+};
+
+// What Julie keeps about the patient between calls
+const REMEMBERED_FIELDS = ['name', 'dateOfBirth', 'newPatient'];
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    practiceId: row.practice_id,
+    callerPhone: row.caller_phone,
+    callSid: row.call_sid,
+    intents: row.intents || [],
+    summary: row.summary,
+    patient: row.patient_info || {},
+    startedAt: row.started_at,
+    endedAt: row.ended_at
+  };
+}
+
+/**
+ * One line about what happened on a call, from its conversation context
+ * @param {object} context - ConversationContext at the end of the call
+ * @returns {string|null} e.g. "Booked a cleaning for Tuesday, October 20 at 10:30 AM; asked about practice information."
+ */
+export function summarizeCall(context) {
+  const { booking, triage, profile } = context;
+  const notes = [];
+
+  if (triage?.done) {
+    const { severity, reasons } = triage.result();
+    notes.push(`reported a dental emergency (${severity}${reasons.length ? `: ${reasons.join(', ').toLowerCase()}` : ''})`);
+  }
+
+  if (booking) {
+    const saved = booking.result;
+    const when = saved && formatSlot(profile, saved.startsAt);
+    const reason = saved?.reason ? `a ${saved.reason.toLowerCase()}` : 'an appointment';
+    notes.push({
+      book: saved ? `booked ${reason} for ${when}` : 'started booking an appointment but did not finish',
+      reschedule: saved ? `moved their appointment to ${when}` : 'tried to reschedule an appointment',
+      cancel: saved ? `cancelled their appointment on ${when}` : 'tried to cancel an appointment'
+    }[booking.kind]);
+  }
+
+  const intents = new Set(context.metadata.intents.map(entry => entry.intent));
+  for (const [intent, note] of Object.entries(INTENT_NOTES)) {
+    if (intents.has(intent)) notes.push(note);
+  }
+
+  if (notes.length === 0) return null;
+  const text = notes.join('; ');
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+/**
+ * Prompt text for a returning caller's history
+ * @param {object} memory - From CallerMemoryStore.recall()
+ * @param {object} profile - Practice profile (for the timezone)
+ * @param {object} options - { nameConfirmed } whether the caller gave the remembered name
+ * @returns {string}
+ */
+export function describeHistory(memory, profile, { nameConfirmed = false } = {}) {
+  const { calls, patient, openCallbacks } = memory;
+  // The stored name is only shared once the caller has said it themselves
+  const who = patient.name && nameConfirmed ? `, who has confirmed the name ${patient.name}` : '';
+  const lines = [`This caller has called ${calls.length} time${calls.length === 1 ? '' : 's'} before${who}. Most recent first:`];
+
+  for (const call of calls) {
+    const day = formatDate(localParts(new Date(call.startedAt), profile.timezone).date);
+    lines.push(`- ${day}: ${call.summary || 'No details recorded.'}`);
+  }
+
+  if (openCallbacks.length > 0) {
+    const days = openCallbacks.map(callback => formatDate(localParts(new Date(callback.createdAt), profile.timezone).date));
+    lines.push(`They are still waiting on a callback requested ${joinList(days)}.`);
+  }
+
+  if (nameConfirmed) {
+    lines.push('Welcome them back.');
+  } else {
+    lines.push("The phone may be shared: ask for the caller's name before discussing appointments, and never suggest a name yourself.");
+  }
+  return lines.join('\n    ');
+}
+
+/**
+ * Caller Memory
+ *
+ * What Julie remembers about repeat callers: one row per finished call in
+ * `julie_caller_calls`, keyed by practice and caller number, with a short
+ * summary, the intents raised and the patient details given. Rows older than
+ * `retentionDays` are never recalled and are purged daily; a retention of 0
+ * turns memory off. Callers can ask Julie to forget them, and staff can do the
+ * same from the dashboard. Without Supabase, calls are kept in memory.
+ */
+class CallerMemoryStore {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('CallerMemoryStore: Supabase credentials not configured, caller memory will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.table = 'julie_caller_calls';
+    this.memoryCalls = [];
+
+    const retention = parseInt(process.env.JULIE_MEMORY_RETENTION_DAYS);
+    this.config = {
+      retentionDays: Number.isNaN(retention) ? 180 : retention,
+      maxCalls: parseInt(process.env.JULIE_MEMORY_MAX_CALLS) || 5, // Calls summarized into the prompt
+      purgeInterval: 24 * 60 * 60 * 1000 // Daily
+    };
+
+    this.now = () => new Date();
+    this.purgeTimer = null;
+    this.started = false;
+  }
+
+  get enabled() {
+    return this.config.retentionDays > 0;
+  }
+
+  cutoff() {
+    return new Date(this.now().getTime() - this.config.retentionDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * Purge expired calls now, then daily
+   */
+  start() {
+    if (this.started || !this.enabled) return;
+    this.started = true;
+    const purge = () => this.purgeExpired().catch(error => {
+      logger.error('CallerMemoryStore: retention purge failed:', error.message);
+    });
+    this.purgeTimer = setInterval(purge, this.config.purgeInterval);
+    logger.info(`CallerMemoryStore: started (keeping calls for ${this.config.retentionDays} days)`);
+    purge();
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    clearInterval(this.purgeTimer);
+  }
+
+  /**
+   * A caller's recent history with a practice
+   * @param {string} practiceId
+   * @param {string} callerNumber
+   * @param {object} options - { openCallbacks } escalations still waiting on the office
+   * @returns {Promise<object|null>} { callerPhone, calls, patient, openCallbacks }, or null for a first-time caller
+   */
+  async recall(practiceId, callerNumber, { openCallbacks = [] } = {}) {
+    const phone = normalizePhoneNumber(callerNumber);
+    if (!this.enabled || !phone) return null;
+
+    const calls = await this.loadCalls({ practiceId, phone, since: this.cutoff(), limit: this.config.maxCalls });
+    if (calls.length === 0) return null;
+
+    // Newest answers win; older calls fill the gaps
+    const patient = {};
+    for (const call of [...calls].reverse()) {
+      for (const field of REMEMBERED_FIELDS) {
+        if (call.patient[field] !== undefined && call.patient[field] !== null) patient[field] = call.patient[field];
+      }
+    }
+
+    return { callerPhone: phone, calls, patient, openCallbacks };
+  }
+
+  /**
+   * Remember a finished call
+   * @param {object} call - { practiceId, callerNumber, callSid, intents, summary, patient, startedAt, endedAt }
+   * @returns {Promise<object|null>} The saved call, or null when there is nothing to key it by
+   */
+  async remember({ practiceId, callerNumber, callSid, intents = [], summary = null, patient = {}, startedAt = this.now().toISOString(), endedAt = null }) {
+    const phone = normalizePhoneNumber(callerNumber);
+    if (!this.enabled || !phone) return null;
+
+    const row = {
+      id: uuidv4(),
+      practice_id: practiceId,
+      caller_phone: phone,
+      call_sid: callSid,
+      intents: [...new Set(intents)],
+      summary,
+      patient_info: Object.fromEntries(REMEMBERED_FIELDS.filter(field => patient[field] !== undefined).map(field => [field, patient[field]])),
+      started_at: startedAt,
+      ended_at: endedAt,
+      created_at: this.now().toISOString()
+    };
+
+    if (!this.supabase) {
+      this.memoryCalls.push(row);
+      return fromRow(row);
+    }
+
+    const { data, error } = await this.supabase.from(this.table).insert(row).select().single();
+    if (error) {
+      throw new Error(`Failed to save caller memory: ${error.message}`);
+    }
+    return fromRow(data);
+  }
+
+  /**
+   * Forget a caller
+   * @param {string} callerNumber
+   * @param {string} practiceId - Only this practice's memory; omit for every practice
+   * @returns {Promise<number>} Calls deleted
+   */
+  async forget(callerNumber, practiceId = null) {
+    const phone = normalizePhoneNumber(callerNumber);
+    if (!phone) return 0;
+
+    const matches = row => row.caller_phone === phone && (!practiceId || row.practice_id === practiceId);
+    let deleted;
+    if (!this.supabase) {
+      deleted = this.memoryCalls.filter(matches).length;
+      this.memoryCalls = this.memoryCalls.filter(row => !matches(row));
+    } else {
+      let query = this.supabase.from(this.table).delete().eq('caller_phone', phone);
+      if (practiceId) query = query.eq('practice_id', practiceId);
+      const { data, error } = await query.select('id');
+      if (error) {
+        throw new Error(`Failed to forget caller: ${error.message}`);
+      }
+      deleted = data.length;
+    }
+
+    logger.info(`CallerMemoryStore: forgot ${deleted} call(s) for a caller${practiceId ? ` at ${practiceId}` : ''}`);
+    return deleted;
+  }
+
+  /**
+   * Delete calls older than the retention period
+   * @returns {Promise<number>} Calls deleted
+   */
+  async purgeExpired() {
+    const cutoff = this.cutoff();
+    let deleted;
+    if (!this.supabase) {
+      deleted = this.memoryCalls.filter(row => row.created_at < cutoff).length;
+      this.memoryCalls = this.memoryCalls.filter(row => row.created_at >= cutoff);
+    } else {
+      const { data, error } = await this.supabase.from(this.table).delete().lt('created_at', cutoff).select('id');
+      if (error) {
+        throw new Error(`Failed to purge caller memory: ${error.message}`);
+      }
+      deleted = data.length;
+    }
+
+    if (deleted > 0) {
+      logger.info(`CallerMemoryStore: purged ${deleted} call(s) older than ${this.config.retentionDays} days`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Remembered calls, newest first
+   * @param {object} filter - { practiceId, phone, since, limit }
+   */
+  async loadCalls({ practiceId = null, phone, since = null, limit = null }) {
+    if (!this.supabase) {
+      const rows = this.memoryCalls
+        .filter(row => row.caller_phone === phone && (!practiceId || row.practice_id === practiceId))
+        .filter(row => !since || row.created_at >= since)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+      return (limit ? rows.slice(0, limit) : rows).map(fromRow);
+    }
+
+    let query = this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('caller_phone', phone)
+      .order('created_at', { ascending: false });
+    if (practiceId) query = query.eq('practice_id', practiceId);
+    if (since) query = query.gte('created_at', since);
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load caller memory: ${error.message}`);
+    }
+    return data.map(fromRow);
+  }
+}
+
+// Export singleton
+const callerMemoryStore = new CallerMemoryStore();
+export { CallerMemoryStore };
+export default callerMemoryStore;
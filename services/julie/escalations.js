@@ -0,0 +1,452 @@
+import { randomInt } from 'crypto';
+
+import { createClient } from '@supabase/supabase-js';
+import twilio from 'twilio';
+import { v4 as uuidv4 } from 'uuid';
+
+import { getWebhookBaseUrl, makeCall, sendSms } from '../../twilio_service.js';
+import logger from '../../utils/logger.js';
+
+import { escalationChain } from './onCall.js';
+import { isOpenAt, normalizePhoneNumber } from './practiceProfiles.js';
+
+const PAGED_SEVERITIES = ['urgent', 'critical'];
+const ACTIVE_STATUS = 'paging';
+// Still waiting on someone at the practice: closed by acknowledging
+const OPEN_STATUSES = [ACTIVE_STATUS, 'callback_queued', 'unassigned'];
+
+function toEscalation(row, events = undefined) {
+  return {
+    id: row.id,
+    callSid: row.call_sid,
+    practiceId: row.practice_id,
+    callerPhone: row.caller_phone,
+    reason: row.reason,
+    severity: row.severity,
+    triage: row.triage,
+    status: row.status,
+    contacts: row.contacts,
+    currentContact: row.contacts?.[row.contact_index] || null,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    acknowledgedBy: row.acknowledged_by,
+    acknowledgedAt: row.acknowledged_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(events && { events })
+  };
+}
+
+function toEvent(row) {
+  return { type: row.type, detail: row.detail, at: row.created_at };
+}
+
+/**
+ * Julie Escalations
+ *
+ * Pages the on-call doctor for urgent and critical calls, by SMS or a voice
+ * call, until someone acknowledges: each contact in the practice's escalation
+ * chain (on-call doctor, then backups) gets `maxAttempts` pages
+ * `retryMinutes` apart before the next one is tried. Doctors acknowledge by
+ * replying to the text, pressing 1 on the call, or from the dashboard.
+ *
+ * Escalations live in `julie_escalations` with an append-only audit trail in
+ * `julie_escalation_events`, so retries survive restarts; without Supabase
+ * both are kept in memory.
+ */
+class EscalationService {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('EscalationService: Supabase credentials not configured, escalations will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.table = 'julie_escalations';
+    this.eventsTable = 'julie_escalation_events';
+    this.memoryEscalations = new Map(); // id -> row
+    this.memoryEvents = []; // audit rows
+
+    this.config = {
+      maxAttempts: parseInt(process.env.JULIE_PAGE_MAX_ATTEMPTS) || 3, // Pages per contact before moving on
+      retryMinutes: parseFloat(process.env.JULIE_PAGE_RETRY_MINUTES) || 5,
+      pollInterval: parseInt(process.env.JULIE_ESCALATION_POLL_INTERVAL) || 30000 // 30 seconds
+    };
+
+    this.pager = { sendSms, makeCall };
+    this.now = () => new Date();
+    this.pollTimer = null;
+    this.started = false;
+    this.ticking = false;
+  }
+
+  /**
+   * Start retrying unacknowledged pages
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.pollTimer = setInterval(() => this.tick(), this.config.pollInterval);
+    logger.info(`EscalationService: started (polling every ${this.config.pollInterval}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    clearInterval(this.pollTimer);
+  }
+
+  /**
+   * Record a triaged call and page whoever is on call if it needs it
+   * @param {object} params
+   * @param {string} params.callSid
+   * @param {object} params.profile - Practice profile
+   * @param {string} params.callerNumber
+   * @param {string} params.reason - 'emergency' or 'callback'
+   * @param {string} params.severity - 'routine', 'urgent' or 'critical'
+   * @param {object} params.triage - { answers, reasons } from TriageFlow
+   * @returns {Promise<object>} The escalation
+   */
+  async escalate({ callSid, profile, callerNumber = null, reason = 'emergency', severity, triage = null }) {
+    const now = this.now();
+    const paged = PAGED_SEVERITIES.includes(severity);
+    const contacts = paged ? escalationChain(profile, now) : [];
+
+    let status = 'logged';
+    if (paged) status = contacts.length ? ACTIVE_STATUS : 'unassigned';
+    else if (!isOpenAt(profile, now)) status = 'callback_queued';
+
+    const row = {
+      id: uuidv4(),
+      call_sid: callSid,
+      practice_id: profile.id,
+      caller_phone: normalizePhoneNumber(callerNumber),
+      practice_name: profile.name,
+      reason,
+      severity,
+      triage,
+      status,
+      contacts,
+      contact_index: 0,
+      attempts: 0,
+      ack_code: String(randomInt(1000, 10000)),
+      next_attempt_at: null,
+      acknowledged_by: null,
+      acknowledged_at: null,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    };
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from(this.table).insert(row);
+      if (error) {
+        throw new Error(`Failed to save escalation: ${error.message}`);
+      }
+    } else {
+      this.memoryEscalations.set(row.id, row);
+    }
+
+    await this.recordEvent(row, 'triaged', { reason, severity, reasons: triage?.reasons || [], status });
+    if (status === 'unassigned') {
+      logger.error(`EscalationService: no dialable on-call contact for practice ${profile.id}, ${severity} call ${callSid} was not paged`);
+    }
+
+    const saved = status === ACTIVE_STATUS ? await this.page(row) || row : row;
+    return toEscalation(saved);
+  }
+
+  /**
+   * Mark an escalation acknowledged and stop paging (for queued callbacks,
+   * that the office has called back)
+   * @param {string} escalationId
+   * @param {object} by - { name, phone, via } who acknowledged and how (sms, voice, dashboard)
+   * @returns {Promise<object|null>} The escalation, or null when not found
+   */
+  async acknowledge(escalationId, { name = null, phone = null, via } = {}) {
+    const row = await this.loadRow(escalationId);
+    if (!row) return null;
+    if (!OPEN_STATUSES.includes(row.status)) return toEscalation(row);
+
+    const normalized = normalizePhoneNumber(phone);
+    const contact = row.contacts.find(entry => entry.phone === normalized);
+    name = name || contact?.name || null;
+    phone = normalized;
+
+    const now = this.now().toISOString();
+    const saved = await this.saveRow(row.id, {
+      status: 'acknowledged',
+      acknowledged_by: name || phone,
+      acknowledged_at: now,
+      next_attempt_at: null,
+      updated_at: now
+    }, { status: row.status });
+    if (!saved) {
+      // Acknowledged (or given up on) by someone else in the meantime
+      const current = await this.loadRow(row.id);
+      return current ? toEscalation(current) : null;
+    }
+    await this.recordEvent(saved, 'acknowledged', { name, phone, via });
+    logger.info(`EscalationService: escalation ${row.id} acknowledged by ${name || phone} via ${via}`);
+    return toEscalation(saved);
+  }
+
+  /**
+   * Acknowledge from a text reply carrying the page's code ("ACK 1234"). The
+   * code is required: a sender number alone is easy to spoof.
+   * @returns {Promise<object|null>} The acknowledged escalation, if the reply was one
+   */
+  async handleInboundSms(from, body) {
+    const phone = normalizePhoneNumber(from);
+    const code = /\b(\d{4})\b/.exec(String(body || ''))?.[1];
+    if (!phone || !code) return null;
+
+    const matches = (await this.loadActiveRows())
+      .filter(row => row.ack_code === code && row.contacts.some(contact => contact.phone === phone));
+    if (matches.length !== 1) return null;
+
+    return this.acknowledge(matches[0].id, { phone, via: 'sms' });
+  }
+
+  /**
+   * Escalations raised on a call, oldest first, each with its audit trail
+   */
+  async listForCall(callSid) {
+    if (!this.supabase) {
+      return [...this.memoryEscalations.values()]
+        .filter(row => row.call_sid === callSid)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(row => toEscalation(row, this.memoryEvents.filter(event => event.escalation_id === row.id).map(toEvent)));
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('call_sid', callSid)
+      .order('created_at');
+    if (error) {
+      throw new Error(`Failed to load escalations: ${error.message}`);
+    }
+
+    const { data: events, error: eventsError } = await this.supabase
+      .from(this.eventsTable)
+      .select('*')
+      .eq('call_sid', callSid)
+      .order('created_at');
+    if (eventsError) {
+      throw new Error(`Failed to load escalation events: ${eventsError.message}`);
+    }
+
+    return data.map(row => toEscalation(row, events.filter(event => event.escalation_id === row.id).map(toEvent)));
+  }
+
+  /**
+   * A caller's escalations nobody has acknowledged yet, oldest first
+   * @param {string} practiceId
+   * @param {string} callerNumber
+   */
+  async listOpenForCaller(practiceId, callerNumber) {
+    const phone = normalizePhoneNumber(callerNumber);
+    if (!phone) return [];
+
+    if (!this.supabase) {
+      return [...this.memoryEscalations.values()]
+        .filter(row => row.practice_id === practiceId && row.caller_phone === phone && OPEN_STATUSES.includes(row.status))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(row => toEscalation(row));
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('practice_id', practiceId)
+      .eq('caller_phone', phone)
+      .in('status', OPEN_STATUSES)
+      .order('created_at');
+    if (error) {
+      throw new Error(`Failed to load open escalations: ${error.message}`);
+    }
+    return data.map(row => toEscalation(row));
+  }
+
+  /**
+   * Retry or move down the chain for every page that is due
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = this.now().toISOString();
+      for (const row of await this.loadActiveRows()) {
+        if (row.next_attempt_at && row.next_attempt_at <= now) {
+          await this.advance(row);
+        }
+      }
+    } catch (error) {
+      logger.error('EscalationService: tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Every step is a compare-and-set on the row as it was loaded, so a page
+  // acknowledged meanwhile, or advanced by another instance, is left alone
+  expectedState(row) {
+    return { status: ACTIVE_STATUS, contact_index: row.contact_index, attempts: row.attempts };
+  }
+
+  async advance(row) {
+    if (row.attempts < this.config.maxAttempts) {
+      return this.page(row);
+    }
+
+    if (row.contact_index + 1 < row.contacts.length) {
+      const next = row.contacts[row.contact_index + 1];
+      const saved = await this.saveRow(row.id, { contact_index: row.contact_index + 1, attempts: 0 }, this.expectedState(row));
+      if (!saved) return null;
+      await this.recordEvent(saved, 'escalated', { to: next.name, phone: next.phone, role: next.role });
+      return this.page(saved);
+    }
+
+    const now = this.now().toISOString();
+    const saved = await this.saveRow(row.id, { status: 'exhausted', next_attempt_at: null, updated_at: now }, this.expectedState(row));
+    if (!saved) return null;
+    await this.recordEvent(saved, 'exhausted', { contacts: row.contacts.length, attemptsEach: this.config.maxAttempts });
+    logger.error(`EscalationService: nobody acknowledged ${row.severity} escalation ${row.id} for call ${row.call_sid}`);
+    return saved;
+  }
+
+  pageMessage(row, caller = row.caller_phone || 'an unknown number') {
+    const reasons = row.triage?.reasons?.length ? ` ${row.triage.reasons.join('; ')}.` : '';
+    return `${row.severity.toUpperCase()} dental emergency for ${row.practice_name || row.practice_id}. ` +
+           `Please call the patient at ${caller}.${reasons}`;
+  }
+
+  voiceTwiml(row) {
+    const response = new twilio.twiml.VoiceResponse();
+    const gather = response.gather({
+      numDigits: 1,
+      action: `${getWebhookBaseUrl()}/api/phone/webhooks/julie/escalations/${row.id}/voice-ack`,
+      method: 'POST'
+    });
+    // Read the caller's number digit by digit
+    const spokenCaller = row.caller_phone ? row.caller_phone.replace(/\D/g, '').split('').join(' ') : undefined;
+    gather.say({ voice: 'alice' }, `${this.pageMessage(row, spokenCaller)} Press 1 to acknowledge.`);
+    response.say({ voice: 'alice' }, 'No response received. We will try again shortly.');
+    return response.toString();
+  }
+
+  // One page to the current contact; failures count as attempts so the chain keeps moving.
+  // The attempt is claimed before sending so no two instances page for it.
+  async page(row) {
+    const contact = row.contacts[row.contact_index];
+    const attempt = row.attempts + 1;
+    const metadata = { type: 'julie_escalation', escalationId: row.id, callSid: row.call_sid, attempt };
+
+    const now = this.now();
+    const saved = await this.saveRow(row.id, {
+      attempts: attempt,
+      next_attempt_at: new Date(now.getTime() + this.config.retryMinutes * 60 * 1000).toISOString(),
+      updated_at: now.toISOString()
+    }, this.expectedState(row));
+    if (!saved) return null;
+
+    let event;
+    try {
+      const result = contact.channel === 'voice'
+        ? await this.pager.makeCall(contact.phone, this.pageMessage(row), { twiml: this.voiceTwiml(row), metadata })
+        : await this.pager.sendSms(contact.phone, `${this.pageMessage(row)} Reply ACK ${row.ack_code} to acknowledge.`, { metadata });
+      event = ['page_sent', { to: contact.name, phone: contact.phone, channel: contact.channel, attempt, sid: result?.sid || null }];
+    } catch (error) {
+      logger.warn(`EscalationService: page ${attempt} to ${contact.name} for escalation ${row.id} failed:`, error.message);
+      event = ['page_failed', { to: contact.name, phone: contact.phone, channel: contact.channel, attempt, error: error.message }];
+    }
+
+    await this.recordEvent(saved, ...event);
+    return saved;
+  }
+
+  async recordEvent(row, type, detail = {}) {
+    const event = {
+      id: uuidv4(),
+      escalation_id: row.id,
+      call_sid: row.call_sid,
+      type,
+      detail,
+      created_at: this.now().toISOString()
+    };
+
+    if (!this.supabase) {
+      this.memoryEvents.push(event);
+      return;
+    }
+
+    // The audit trail must never stop a page from going out
+    const { error } = await this.supabase.from(this.eventsTable).insert(event);
+    if (error) {
+      logger.error(`EscalationService: failed to record ${type} for escalation ${row.id}:`, error.message);
+    }
+  }
+
+  async loadRow(escalationId) {
+    if (!this.supabase) {
+      return this.memoryEscalations.get(escalationId) || null;
+    }
+
+    const { data, error } = await this.supabase.from(this.table).select('*').eq('id', escalationId).maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load escalation: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadActiveRows() {
+    if (!this.supabase) {
+      return [...this.memoryEscalations.values()].filter(row => row.status === ACTIVE_STATUS);
+    }
+
+    const { data, error } = await this.supabase.from(this.table).select('*').eq('status', ACTIVE_STATUS);
+    if (error) {
+      throw new Error(`Failed to load active escalations: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Update an escalation, only while it still has the `expected` column values
+   * @returns {Promise<object|null>} The updated row, or null when it had changed
+   */
+  async saveRow(escalationId, updates, expected = {}) {
+    if (!this.supabase) {
+      const current = this.memoryEscalations.get(escalationId);
+      if (!current || Object.entries(expected).some(([key, value]) => current[key] !== value)) return null;
+      const row = { ...current, ...updates };
+      this.memoryEscalations.set(escalationId, row);
+      return row;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update(updates)
+      .eq('id', escalationId)
+      .match(expected)
+      .select()
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to update escalation: ${error.message}`);
+    }
+    return data;
+  }
+}
+
+// Export singleton
+const escalationService = new EscalationService();
+export { EscalationService };
+export default escalationService;
@@ -0,0 +1,92 @@
+import { addDays, localParts, normalizePhoneNumber } from './practiceProfiles.js';
+
+/**
+ * On-call rotation
+ *
+ * A practice's rotation lives on its profile as `emergency.onCall`:
+ *
+ *   {
+ *     "startDate": "2026-01-05",     // First day of the first shift
+ *     "shiftDays": 7,                // Shift length (default 7)
+ *     "handoffTime": "08:00",        // Local time shifts change over (default 08:00)
+ *     "rotation": [{ "name": "Dr. Lee", "phone": "+12125550101", "channel": "sms" }],
+ *     "overrides": [{ "from": "2026-12-24", "to": "2026-12-26", "name": "Dr. Kim", "phone": "+12125550102" }],
+ *     "backup": [{ "name": "Office manager", "phone": "+12125550103", "channel": "voice" }]
+ *   }
+ *
+ * Override dates are shift dates: a shift that starts at 8 AM on the 26th is
+ * the 26th's until 8 AM on the 27th.
+ */
+
+export const PAGE_CHANNELS = ['sms', 'voice'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only numbers Twilio can dial; profile placeholders like 555-EMERGENCY are skipped
+export function dialable(phone) {
+  const normalized = normalizePhoneNumber(phone);
+  return normalized && /^\+\d{11,15}$/.test(normalized) ? normalized : null;
+}
+
+function toContact(entry, role) {
+  const phone = dialable(entry?.phone);
+  if (!phone) return null;
+  return {
+    name: entry.name || 'On-call doctor',
+    phone,
+    channel: PAGE_CHANNELS.includes(entry.channel) ? entry.channel : 'sms',
+    role
+  };
+}
+
+/**
+ * The local date whose shift covers an instant (before the handoff time it is
+ * still the previous day's shift)
+ */
+export function shiftDate(profile, date = new Date()) {
+  const handoff = profile.emergency?.onCall?.handoffTime || '08:00';
+  const local = localParts(date, profile.timezone);
+  return local.time < handoff ? addDays(local.date, -1) : local.date;
+}
+
+/**
+ * Who is on call at an instant, overrides first
+ * @returns {object|null} { name, phone, channel, role }
+ */
+export function onCallAt(profile, date = new Date()) {
+  const onCall = profile.emergency?.onCall;
+  if (!onCall) return null;
+
+  const day = shiftDate(profile, date);
+  const override = (onCall.overrides || []).find(entry => entry.from <= day && day <= entry.to);
+  if (override) return toContact(override, 'on_call');
+
+  const rotation = onCall.rotation || [];
+  if (rotation.length === 0) return null;
+
+  const start = onCall.startDate || day;
+  const elapsedDays = Math.round((Date.parse(`${day}T12:00:00Z`) - Date.parse(`${start}T12:00:00Z`)) / DAY_MS);
+  const shift = Math.floor(elapsedDays / (onCall.shiftDays || 7));
+  const index = ((shift % rotation.length) + rotation.length) % rotation.length;
+  return toContact(rotation[index], 'on_call');
+}
+
+/**
+ * Everyone to page, in order: the on-call doctor, then the backups. Practices
+ * without a rotation fall back to their after-hours or emergency line.
+ * @returns {Array<object>} [{ name, phone, channel, role }], duplicates removed
+ */
+export function escalationChain(profile, date = new Date()) {
+  const emergency = profile.emergency || {};
+  const chain = [
+    onCallAt(profile, date),
+    ...(emergency.onCall?.backup || []).map(entry => toContact(entry, 'backup'))
+  ].filter(Boolean);
+
+  if (chain.length === 0) {
+    const fallback = toContact({ name: 'Emergency line', phone: emergency.afterHoursPhone || emergency.phone, channel: 'voice' }, 'practice');
+    if (fallback) chain.push(fallback);
+  }
+
+  return chain.filter((contact, index) => chain.findIndex(other => other.phone === contact.phone) === index);
+}
@@ -0,0 +1,646 @@
+import { createClient } from '@supabase/supabase-js';
+
+import logger from '../../utils/logger.js';
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const PROFILE_CACHE_TTL_MS = parseInt(process.env.JULIE_PROFILE_CACHE_TTL_MS || '60000', 10);
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * The practice Julie answered for before profiles existed; used for calls to
+ * numbers no profile claims
+ */
+export const DEFAULT_PRACTICE_PROFILE = {
+  id: 'default',
+  name: "Dr. Pedro's office",
+  phoneNumbers: [],
+  timezone: 'America/New_York',
+  doctors: [{ name: 'Dr. Pedro', title: 'DMD', specialties: ['general dentistry'] }],
+  hours: {
+    monday: [{ open: '08:00', close: '18:00' }],
+    tuesday: [{ open: '08:00', close: '18:00' }],
+    wednesday: [{ open: '08:00', close: '18:00' }],
+    thursday: [{ open: '08:00', close: '18:00' }],
+    friday: [{ open: '08:00', close: '18:00' }],
+    saturday: [{ open: '09:00', close: '15:00' }],
+    sunday: []
+  },
+  holidays: [],
+  locations: [{
+    name: 'Main office',
+    address: '123 Main Street, Suite 200',
+    city: 'New York',
+    state: 'NY',
+    zip: '10001',
+    notes: "We're easily accessible by subway and have parking available."
+  }],
+  insurance: ['Delta Dental', 'MetLife', 'Cigna'],
+  emergency: {
+    phone: '555-EMERGENCY',
+    instructions: 'For a medical emergency, call 911 immediately.'
+  },
+  tone: {
+    assistantName: 'Julie',
+    style: 'friendly and professional, warm but concise',
+    greeting: null
+  }
+};
+
+/**
+ * Normalise a phone number to E.164 so Twilio's "To" matches what admins typed
+ * @param {string} number
+ * @returns {string|null}
+ */
+export function normalizePhoneNumber(number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  if (!digits) return null;
+  if (digits.length === 10) return `+1${digits}`;
+  return `+${digits}`;
+}
+
+// --- Validation ---
+
+function validatePeriods(periods, path, errors) {
+  if (!Array.isArray(periods)) {
+    errors.push({ path, message: 'must be an array of { open, close } (empty when closed)' });
+    return;
+  }
+  periods.forEach((period, index) => {
+    if (!TIME_PATTERN.test(period?.open) || !TIME_PATTERN.test(period?.close)) {
+      errors.push({ path: `${path}[${index}]`, message: 'open and close must be HH:MM (24-hour)' });
+    } else if (period.open >= period.close) {
+      errors.push({ path: `${path}[${index}]`, message: 'must close after it opens' });
+    }
+  });
+}
+
+const isString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Rotation format is documented in onCall.js
+function validateOnCall(onCall, errors) {
+  const path = 'emergency.onCall';
+  if (typeof onCall !== 'object' || onCall === null || Array.isArray(onCall)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  const validateContacts = (contacts, field, { dates = false } = {}) => {
+    if (contacts === undefined) return;
+    if (!Array.isArray(contacts)) {
+      errors.push({ path: `${path}.${field}`, message: 'must be an array' });
+      return;
+    }
+    contacts.forEach((contact, index) => {
+      if (!normalizePhoneNumber(contact?.phone)) {
+        errors.push({ path: `${path}.${field}[${index}].phone`, message: 'is required' });
+      }
+      if (contact?.channel !== undefined && !['sms', 'voice'].includes(contact.channel)) {
+        errors.push({ path: `${path}.${field}[${index}].channel`, message: 'must be sms or voice' });
+      }
+      if (dates && (!isIsoDate(contact?.from) || !isIsoDate(contact?.to) || contact.from > contact.to)) {
+        errors.push({ path: `${path}.${field}[${index}]`, message: 'from and to must be YYYY-MM-DD, from on or before to' });
+      }
+    });
+  };
+
+  validateContacts(onCall.rotation, 'rotation');
+  validateContacts(onCall.overrides, 'overrides', { dates: true });
+  validateContacts(onCall.backup, 'backup');
+
+  if (onCall.startDate !== undefined && !isIsoDate(onCall.startDate)) {
+    errors.push({ path: `${path}.startDate`, message: 'must be YYYY-MM-DD' });
+  }
+  if (onCall.shiftDays !== undefined && !(Number.isInteger(onCall.shiftDays) && onCall.shiftDays > 0)) {
+    errors.push({ path: `${path}.shiftDays`, message: 'must be a positive whole number of days' });
+  }
+  if (onCall.handoffTime !== undefined && !TIME_PATTERN.test(onCall.handoffTime)) {
+    errors.push({ path: `${path}.handoffTime`, message: 'must be HH:MM (24-hour)' });
+  }
+}
+
+/**
+ * Validate a practice profile
+ * @param {object} input - Profile fields (camelCase); only name is required
+ * @returns {Array<object>} Validation errors as [{ path, message }]
+ */
+export function validateProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (!isString(input.name)) {
+    errors.push({ path: 'name', message: 'is required' });
+  }
+  if (has('timezone')) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: input.timezone });
+    } catch {
+      errors.push({ path: 'timezone', message: 'must be an IANA time zone such as America/New_York' });
+    }
+  }
+  if (has('phoneNumbers')) {
+    if (!Array.isArray(input.phoneNumbers) || input.phoneNumbers.some(number => !normalizePhoneNumber(number))) {
+      errors.push({ path: 'phoneNumbers', message: 'must be an array of phone numbers' });
+    }
+  }
+  if (has('doctors')) {
+    if (!Array.isArray(input.doctors)) {
+      errors.push({ path: 'doctors', message: 'must be an array' });
+    } else {
+      input.doctors.forEach((doctor, index) => {
+        if (!isString(doctor?.name)) errors.push({ path: `doctors[${index}].name`, message: 'is required' });
+      });
+    }
+  }
+  if (has('hours')) {
+    if (!input.hours || typeof input.hours !== 'object' || Array.isArray(input.hours)) {
+      errors.push({ path: 'hours', message: `must map ${WEEKDAYS.join(', ')} to opening periods` });
+    } else {
+      Object.keys(input.hours).filter(day => !WEEKDAYS.includes(day))
+        .forEach(day => errors.push({ path: `hours.${day}`, message: 'is not a day of the week' }));
+      WEEKDAYS.filter(day => input.hours[day] !== undefined)
+        .forEach(day => validatePeriods(input.hours[day], `hours.${day}`, errors));
+    }
+  }
+  if (has('holidays')) {
+    if (!Array.isArray(input.holidays)) {
+      errors.push({ path: 'holidays', message: 'must be an array' });
+    } else {
+      input.holidays.forEach((holiday, index) => {
+        if (!isIsoDate(holiday?.date) && !/^\d{2}-\d{2}$/.test(holiday?.date)) {
+          errors.push({ path: `holidays[${index}].date`, message: 'must be YYYY-MM-DD, or MM-DD for every year' });
+        }
+        if (holiday?.hours !== undefined) validatePeriods(holiday.hours, `holidays[${index}].hours`, errors);
+      });
+    }
+  }
+  if (has('locations')) {
+    if (!Array.isArray(input.locations)) {
+      errors.push({ path: 'locations', message: 'must be an array' });
+    } else {
+      input.locations.forEach((location, index) => {
+        if (!isString(location?.address)) errors.push({ path: `locations[${index}].address`, message: 'is required' });
+      });
+    }
+  }
+  if (has('insurance') && (!Array.isArray(input.insurance) || !input.insurance.every(isString))) {
+    errors.push({ path: 'insurance', message: 'must be an array of plan names' });
+  }
+  if (has('emergency')) {
+    if (typeof input.emergency !== 'object' || input.emergency === null) {
+      errors.push({ path: 'emergency', message: 'must be an object' });
+    } else if (input.emergency.onCall !== undefined) {
+      validateOnCall(input.emergency.onCall, errors);
+    }
+  }
+  if (has('tone') && (typeof input.tone !== 'object' || input.tone === null)) {
+    errors.push({ path: 'tone', message: 'must be an object' });
+  }
+
+  return errors;
+}
+
+// --- Time and wording helpers ---
+
+/**
+ * Local calendar date, weekday and HH:MM of an instant in a time zone
+ * @returns {object} { date: 'YYYY-MM-DD', weekday: 'monday', time: 'HH:MM' }
+ */
+export function localParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    weekday: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+function holidayOn(profile, isoDate) {
+  return (profile.holidays || []).find(holiday => holiday.date === isoDate || holiday.date === isoDate.slice(5)) || null;
+}
+
+/**
+ * The instant a local date and time in a time zone refers to
+ * @param {string} timeZone
+ * @param {string} isoDate - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @returns {Date}
+ */
+export function localTimeToDate(timeZone, isoDate, time) {
+  const target = Date.parse(`${isoDate}T${time}:00Z`);
+  let result = target;
+
+  // Two passes settle the offset even when it changes in between (DST)
+  for (let pass = 0; pass < 2; pass++) {
+    const local = localParts(new Date(result), timeZone);
+    result += target - Date.parse(`${local.date}T${local.time}:00Z`);
+  }
+  return new Date(result);
+}
+
+// 'YYYY-MM-DD' shifted by whole days
+export function addDays(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T12:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Opening periods on a local date, holidays included
+ * @param {object} profile
+ * @param {string} isoDate - 'YYYY-MM-DD' in the practice's time zone
+ * @returns {object} { date, weekday, holiday, periods }
+ */
+export function hoursOnDate(profile, isoDate) {
+  const weekday = WEEKDAYS[(new Date(`${isoDate}T12:00:00Z`).getUTCDay() + 6) % 7];
+  const holiday = holidayOn(profile, isoDate);
+
+  return {
+    date: isoDate,
+    weekday,
+    holiday: holiday?.name || (holiday ? 'holiday' : null),
+    periods: holiday ? holiday.hours || [] : profile.hours?.[weekday] || []
+  };
+}
+
+/**
+ * Opening periods on the practice's local date of `date`, holidays included
+ * @returns {object} { date, weekday, holiday, periods }
+ */
+export function hoursOn(profile, date = new Date()) {
+  return hoursOnDate(profile, localParts(date, profile.timezone).date);
+}
+
+export function isOpenAt(profile, date = new Date()) {
+  const { time } = localParts(date, profile.timezone);
+  return hoursOn(profile, date).periods.some(period => time >= period.open && time < period.close);
+}
+
+/**
+ * When the practice next opens after an instant, holidays included
+ * @returns {Date|null} null when it stays closed for the next `days` days
+ */
+export function nextOpening(profile, now = new Date(), days = 14) {
+  const today = localParts(now, profile.timezone).date;
+  for (let offset = 0; offset <= days; offset++) {
+    const isoDate = addDays(today, offset);
+    for (const period of hoursOnDate(profile, isoDate).periods) {
+      const open = localTimeToDate(profile.timezone, isoDate, period.open);
+      if (open > now) return open;
+    }
+  }
+  return null;
+}
+
+export function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  const hour12 = hours % 12 || 12;
+  return minutes ? `${hour12}:${String(minutes).padStart(2, '0')} ${suffix}` : `${hour12} ${suffix}`;
+}
+
+// 'YYYY-MM-DD' as "Thursday, December 25"
+export function formatDate(isoDate) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric' })
+    .format(new Date(`${isoDate}T12:00:00Z`));
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+export function joinList(items, conjunction = 'and') {
+  if (items.length <= 1) return items.join('');
+  if (items.length === 2) return `${items[0]} ${conjunction} ${items[1]}`;
+  return `${items.slice(0, -1).join(', ')}, ${conjunction} ${items.at(-1)}`;
+}
+
+function formatPeriods(periods) {
+  return joinList(periods.map(period => `${formatTime(period.open)} to ${formatTime(period.close)}`));
+}
+
+/**
+ * Weekly hours as Julie says them: "Monday through Friday, 8 AM to 6 PM, and
+ * Saturday, 9 AM to 3 PM. We're closed on Sundays."
+ */
+export function formatWeeklyHours(profile) {
+  const groups = [];
+  for (const day of WEEKDAYS) {
+    const periods = profile.hours?.[day] || [];
+    const key = JSON.stringify(periods);
+    const last = groups.at(-1);
+    if (last && last.key === key) {
+      last.days.push(day);
+    } else {
+      groups.push({ key, periods, days: [day] });
+    }
+  }
+
+  const dayRange = (days) => {
+    if (days.length === 1) return capitalize(days[0]);
+    if (days.length === 2) return `${capitalize(days[0])} and ${capitalize(days[1])}`;
+    return `${capitalize(days[0])} through ${capitalize(days.at(-1))}`;
+  };
+
+  const open = groups.filter(group => group.periods.length > 0)
+    .map(group => `${dayRange(group.days)}, ${formatPeriods(group.periods)}`);
+  const closed = groups.filter(group => group.periods.length === 0)
+    .flatMap(group => group.days)
+    .map(day => `${capitalize(day)}s`);
+
+  if (open.length === 0) return 'Our office hours are not set yet.';
+
+  return `Our office hours are ${joinList(open)}.` + (closed.length ? ` We're closed on ${joinList(closed)}.` : '');
+}
+
+/**
+ * Holidays in the next `days` days, as "We're closed on Thursday, December 25 for Christmas."
+ */
+export function formatUpcomingHolidays(profile, now = new Date(), days = 14) {
+  const notices = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const day = hoursOn(profile, new Date(now.getTime() + offset * 24 * 60 * 60 * 1000));
+    if (!day.holiday) continue;
+
+    const label = formatDate(day.date);
+    notices.push(day.periods.length
+      ? `On ${label} (${day.holiday}) we're open ${formatPeriods(day.periods)}.`
+      : `We're closed on ${label} for ${day.holiday}.`);
+  }
+
+  return notices.join(' ');
+}
+
+export function formatLocations(profile) {
+  const locations = profile.locations || [];
+  const address = (location) => [location.address, location.city, [location.state, location.zip].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+
+  if (locations.length === 0) return '';
+  if (locations.length === 1) {
+    return `We're located at ${address(locations[0])}.` + (locations[0].notes ? ` ${locations[0].notes}` : '');
+  }
+  return `We have ${locations.length} locations: ${joinList(locations.map(location =>
+    `${location.name ? `${location.name} at ` : ''}${address(location)}`))}.`;
+}
+
+export function formatInsurance(profile) {
+  const plans = profile.insurance || [];
+  if (plans.length === 0) {
+    return 'Please call with your insurance details and our team will check your coverage.';
+  }
+  return `We accept most major insurance plans including ${joinList(plans)}. ` +
+    'Please bring your insurance card to your appointment so we can verify your benefits.';
+}
+
+export function primaryDoctor(profile) {
+  return profile.doctors?.[0]?.name || null;
+}
+
+export function greetingFor(profile) {
+  const assistant = profile.tone?.assistantName || 'Julie';
+  return profile.tone?.greeting || `Thank you for calling ${profile.name}. This is ${assistant}. How can I help you today?`;
+}
+
+/**
+ * Practice facts for the LLM system prompt
+ */
+export function describeProfile(profile, now = new Date()) {
+  const doctors = (profile.doctors || []).map(doctor =>
+    [doctor.name, doctor.title].filter(Boolean).join(', ') +
+    (doctor.specialties?.length ? ` (${doctor.specialties.join(', ')})` : ''));
+
+  return [
+    `Practice: ${profile.name}`,
+    doctors.length && `Doctors: ${doctors.join('; ')}`,
+    `Hours (${profile.timezone}): ${formatWeeklyHours(profile)} ${formatUpcomingHolidays(profile, now)}`.trim(),
+    `Open right now: ${isOpenAt(profile, now) ? 'yes' : 'no'}`,
+    profile.locations?.length && `Locations: ${formatLocations(profile)}`,
+    profile.insurance?.length && `Insurance accepted: ${profile.insurance.join(', ')}`,
+    profile.emergency?.phone && `Emergency line: ${profile.emergency.phone}`
+  ].filter(Boolean).join('\n');
+}
+
+// --- Storage ---
+
+function toRow(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    phone_numbers: profile.phoneNumbers,
+    timezone: profile.timezone,
+    doctors: profile.doctors,
+    hours: profile.hours,
+    holidays: profile.holidays,
+    locations: profile.locations,
+    insurance: profile.insurance,
+    emergency: profile.emergency,
+    tone: profile.tone,
+    updated_by: profile.updatedBy || null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    phoneNumbers: row.phone_numbers || [],
+    timezone: row.timezone,
+    doctors: row.doctors || [],
+    hours: row.hours || {},
+    holidays: row.holidays || [],
+    locations: row.locations || [],
+    insurance: row.insurance || [],
+    emergency: row.emergency || {},
+    tone: row.tone || {},
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Practice Profile Store
+ *
+ * Julie serves several practices. Each practice's profile (name, doctors,
+ * hours and holidays, locations, insurance, emergency routing, tone) lives in
+ * `julie_practice_profiles` and is selected by the number the caller dialed.
+ * Profiles are cached briefly so edits reach live calls within a minute
+ * without a redeploy; edits made through this store apply immediately.
+ */
+class PracticeProfileStore {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('PracticeProfileStore: Supabase credentials not configured, using in-memory store');
+      this.supabase = null;
+    }
+
+    this.table = 'julie_practice_profiles';
+    this.memoryProfiles = new Map(); // id -> profile
+    this.cache = new Map(); // 'id:<id>' or 'number:<e164>' -> { profile, loadedAt }
+    this.defaultProfileId = process.env.JULIE_DEFAULT_PROFILE_ID || null;
+  }
+
+  async cached(key, load) {
+    const entry = this.cache.get(key);
+    if (entry && Date.now() - entry.loadedAt < PROFILE_CACHE_TTL_MS) {
+      return entry.profile;
+    }
+
+    const profile = await load();
+    this.cache.set(key, { profile, loadedAt: Date.now() });
+    return profile;
+  }
+
+  /**
+   * The profile for a dialed number, falling back to the default practice
+   * @param {string} dialedNumber - Twilio's "To"
+   * @returns {Promise<object>}
+   */
+  async resolve(dialedNumber) {
+    const number = normalizePhoneNumber(dialedNumber);
+
+    try {
+      const profile = number ? await this.cached(`number:${number}`, () => this.loadByNumber(number)) : null;
+      if (profile) return profile;
+      if (this.defaultProfileId) {
+        const fallback = await this.getProfile(this.defaultProfileId);
+        if (fallback) return fallback;
+      }
+    } catch (error) {
+      logger.error('PracticeProfileStore: failed to load profile, using the built-in default:', error.message);
+    }
+
+    return DEFAULT_PRACTICE_PROFILE;
+  }
+
+  async getProfile(id) {
+    if (id === DEFAULT_PRACTICE_PROFILE.id && !this.defaultProfileId) {
+      return DEFAULT_PRACTICE_PROFILE;
+    }
+    return this.cached(`id:${id}`, () => this.loadById(id));
+  }
+
+  async listProfiles() {
+    if (!this.supabase) {
+      return [...this.memoryProfiles.values()];
+    }
+
+    const { data, error } = await this.supabase.from(this.table).select('*').order('name');
+    if (error) {
+      throw new Error(`Failed to list practice profiles: ${error.message}`);
+    }
+    return data.map(fromRow);
+  }
+
+  async loadById(id) {
+    if (!this.supabase) {
+      return this.memoryProfiles.get(id) || null;
+    }
+
+    const { data, error } = await this.supabase.from(this.table).select('*').eq('id', id).maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load practice profile: ${error.message}`);
+    }
+    return data ? fromRow(data) : null;
+  }
+
+  async loadByNumber(number) {
+    if (!this.supabase) {
+      return [...this.memoryProfiles.values()].find(profile => profile.phoneNumbers.includes(number)) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .contains('phone_numbers', [number])
+      .limit(1)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load practice profile: ${error.message}`);
+    }
+    return data ? fromRow(data) : null;
+  }
+
+  /**
+   * Create or replace a profile
+   * @param {string} id
+   * @param {object} input - Profile fields; missing ones take the built-in defaults' shape (empty)
+   * @param {object} options - { updatedBy }
+   * @returns {Promise<object>} The saved profile
+   */
+  async saveProfile(id, input, { updatedBy = null } = {}) {
+    const profile = {
+      id,
+      name: input.name.trim(),
+      phoneNumbers: [...new Set((input.phoneNumbers || []).map(normalizePhoneNumber))],
+      timezone: input.timezone || DEFAULT_PRACTICE_PROFILE.timezone,
+      doctors: input.doctors || [],
+      hours: Object.fromEntries(WEEKDAYS.map(day => [day, input.hours?.[day] || []])),
+      holidays: input.holidays || [],
+      locations: input.locations || [],
+      insurance: input.insurance || [],
+      emergency: input.emergency || {},
+      tone: input.tone || {},
+      updatedBy
+    };
+
+    // A dialed number can only select one practice
+    const others = (await this.listProfiles()).filter(other => other.id !== id);
+    const taken = profile.phoneNumbers.find(number => others.some(other => other.phoneNumbers.includes(number)));
+    if (taken) {
+      const error = new Error(`${taken} is already assigned to another practice`);
+      error.code = 'NUMBER_IN_USE';
+      throw error;
+    }
+
+    if (!this.supabase) {
+      this.memoryProfiles.set(id, { ...profile, updatedAt: new Date().toISOString() });
+    } else {
+      const { error } = await this.supabase.from(this.table).upsert(toRow(profile));
+      if (error) {
+        throw new Error(`Failed to save practice profile: ${error.message}`);
+      }
+    }
+
+    this.cache.clear();
+    logger.info(`PracticeProfileStore: saved profile ${id}${updatedBy ? ` (by ${updatedBy})` : ''}`);
+    return this.loadById(id);
+  }
+
+  async deleteProfile(id) {
+    if (!this.supabase) {
+      this.memoryProfiles.delete(id);
+    } else {
+      const { error } = await this.supabase.from(this.table).delete().eq('id', id);
+      if (error) {
+        throw new Error(`Failed to delete practice profile: ${error.message}`);
+      }
+    }
+    this.cache.clear();
+  }
+}
+
+// Export singleton
+const practiceProfileStore = new PracticeProfileStore();
+export { PracticeProfileStore };
+export default practiceProfileStore;
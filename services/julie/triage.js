@@ -0,0 +1,133 @@
+import { mentions, parseConfirmation, tokenize } from './bookingParsers.js';
+
+/**
+ * Emergency triage
+ *
+ * Julie asks a short, fixed set of questions to decide how hard to escalate a
+ * dental emergency. Severity is 'critical' (send the caller to 911 and alert
+ * the on-call doctor), 'urgent' (page the on-call doctor now) or 'routine'
+ * (the office follows up when it opens).
+ */
+
+export const SEVERITIES = ['routine', 'urgent', 'critical'];
+
+export const TRIAGE_QUESTIONS = [
+  {
+    id: 'airway',
+    question: 'First, are you having any trouble breathing or swallowing, or swelling that is spreading toward your eye or neck?',
+    severity: 'critical',
+    reason: 'Trouble breathing or swallowing, or spreading swelling'
+  },
+  {
+    id: 'bleeding',
+    question: "Is there bleeding that hasn't stopped after 20 minutes of firm pressure?",
+    severity: 'urgent',
+    reason: 'Bleeding that will not stop'
+  },
+  {
+    id: 'trauma',
+    question: 'Was a tooth knocked out or broken in an accident or injury?',
+    severity: 'urgent',
+    reason: 'Knocked-out or broken tooth'
+  },
+  {
+    id: 'infection',
+    question: 'Do you have a fever, or swelling in your face or gums?',
+    severity: 'urgent',
+    reason: 'Fever or facial swelling'
+  },
+  {
+    id: 'pain',
+    question: 'On a scale of 1 to 10, how bad is the pain right now?',
+    scale: true,
+    severity: 'urgent',
+    threshold: 8,
+    reason: 'Severe pain'
+  }
+];
+
+// Said up front, these skip straight to the answer they imply
+const VOLUNTEERED = {
+  airway: ["can't breathe", 'cannot breathe', 'trouble breathing', 'hard to breathe', "can't swallow", 'throat is swelling', 'neck is swelling'],
+  trauma: ['knocked out', 'fell out', 'broke my tooth', 'broken tooth', 'cracked my tooth']
+};
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+export function parseScale(text) {
+  const digits = /\b(10|[0-9])\b/.exec(String(text || ''));
+  if (digits) return Number(digits[1]);
+  const word = tokenize(text).find(token => NUMBER_WORDS.includes(token));
+  return word ? NUMBER_WORDS.indexOf(word) : null;
+}
+
+/**
+ * Severity from triage answers
+ * @param {object} answers - question id -> true/false (yes/no) or a number (scale)
+ * @param {Array<object>} questions
+ * @returns {object} { severity, reasons }
+ */
+export function classifySeverity(answers, questions = TRIAGE_QUESTIONS) {
+  const flagged = questions.filter(question => {
+    const answer = answers[question.id];
+    return question.scale ? typeof answer === 'number' && answer >= question.threshold : answer === true;
+  });
+
+  const rank = (severity) => SEVERITIES.indexOf(severity);
+  const severity = flagged.reduce((worst, question) => (rank(question.severity) > rank(worst) ? question.severity : worst), 'routine');
+  return { severity, reasons: flagged.map(question => question.reason) };
+}
+
+/**
+ * One caller's triage, asked a question at a time. A critical answer ends it
+ * early; an answer Julie cannot make out is asked once more, then skipped.
+ */
+export class TriageFlow {
+  constructor({ questions = TRIAGE_QUESTIONS } = {}) {
+    this.questions = questions;
+    this.answers = {};
+    this.current = null;
+    this.retried = false;
+    this.done = false;
+  }
+
+  start(text) {
+    for (const [id, phrases] of Object.entries(VOLUNTEERED)) {
+      if (mentions(text, phrases)) this.answers[id] = true;
+    }
+    return this.next();
+  }
+
+  handle(text) {
+    const question = this.current;
+    const answer = question.scale ? parseScale(text) : parseConfirmation(text);
+
+    if (answer === null && !this.retried) {
+      this.retried = true;
+      return question.scale ? `Sorry, I didn't catch that. ${question.question}` : `Sorry, was that a yes or a no? ${question.question}`;
+    }
+
+    this.answers[question.id] = answer;
+    return this.next();
+  }
+
+  next() {
+    this.retried = false;
+    if (classifySeverity(this.answers, this.questions).severity === 'critical') {
+      return this.finish();
+    }
+
+    this.current = this.questions.find(question => !(question.id in this.answers)) || null;
+    return this.current ? this.current.question : this.finish();
+  }
+
+  finish() {
+    this.current = null;
+    this.done = true;
+    return null;
+  }
+
+  result() {
+    return { ...classifySeverity(this.answers, this.questions), answers: this.answers };
+  }
+}
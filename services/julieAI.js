@@ -4,6 +4,22 @@ import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import OpenAI from 'openai';
 
+import { intentClassifier } from './textClassifier/index.js';
+import { BookingFlow, formatSlot } from './julie/bookingFlow.js';
+import { parseConfirmation, parseName } from './julie/bookingParsers.js';
+import callerMemoryStore, { describeHistory, summarizeCall } from './julie/callerMemory.js';
+import escalationService from './julie/escalations.js';
+import practiceProfileStore, {
+  describeProfile,
+  formatInsurance,
+  formatLocations,
+  formatUpcomingHolidays,
+  formatWeeklyHours,
+  isOpenAt,
+  nextOpening
+} from './julie/practiceProfiles.js';
+import { TriageFlow } from './julie/triage.js';
+
 dotenv.config();
 
 // Initialize Supabase client
@@ -14,11 +30,19 @@ const supabase = createClient(
 
 // Conversation Context Manager
 class ConversationContext {
-  constructor(sessionId) {
+  constructor(sessionId, profile) {
     this.sessionId = sessionId;
+    this.profile = profile;
     this.messages = [];
     this.patientInfo = {};
     this.currentStage = 'initial';
+    this.booking = null; // Active BookingFlow, if any
+    this.triage = null; // Active TriageFlow, if any
+    this.history = null; // Earlier calls from this number (CallerMemoryStore.recall)
+    this.askingName = false; // Asked a returning caller for their name
+    this.nameConfirmed = false; // They gave the name remembered for this number
+    this.confirmingForget = false;
+    this.forgotten = false; // Asked to be forgotten: this call is not remembered either
     this.lastActivity = Date.now();
     this.metadata = {
       startTime: Date.now(),
@@ -47,7 +71,12 @@ class ConversationContext {
   }
 
   getSystemPrompt() {
-    return `You are Julie, a friendly and professional AI assistant for Dr. Pedro's dental practice. 
+    const { name, tone = {} } = this.profile;
+    const history = this.history
+      ? `Previous calls:\n    ${describeHistory(this.history, this.profile, { nameConfirmed: this.nameConfirmed })}\n`
+      : '';
+
+    return `You are ${tone.assistantName || 'Julie'}, an AI assistant for ${name}. 
     
     You help patients with:
     - Scheduling appointments
@@ -56,67 +85,28 @@ class ConversationContext {
     - Handling emergencies appropriately
     - Taking callback requests
     
-    Current patient info: ${JSON.stringify(this.patientInfo)}
+    Practice information (only state facts listed here):
+    ${describeProfile(this.profile)}
     
-    Keep responses conversational, helpful, and under 150 words. Always sound professional but warm.`;
+    Current patient info: ${JSON.stringify(this.patientInfo)}
+    ${history}
+    Keep responses conversational, helpful, and under 150 words. Tone: ${tone.style || 'professional but warm'}.`;
   }
 
   getContext() {
     return {
       sessionId: this.sessionId,
+      practiceId: this.profile.id,
       messages: this.messages,
       patientInfo: this.patientInfo,
       currentStage: this.currentStage,
+      booking: this.booking?.summary() || null,
+      returningCaller: !!this.history,
       metadata: this.metadata
     };
   }
 }
 
-// Patient Information Extractor
-class PatientInfoExtractor {
-  static extractPatientInfo(text) {
-    const info = {};
-    
-    // Extract name patterns
-    const namePatterns = [
-      /my name is ([a-zA-Z\s]+)/i,
-      /i'm ([a-zA-Z\s]+)/i,
-      /this is ([a-zA-Z\s]+)/i
-    ];
-    
-    for (const pattern of namePatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        info.name = match[1].trim();
-        break;
-      }
-    }
-    
-    // Extract phone number
-    const phoneMatch = text.match(/(\d{3}[-.]?\d{3}[-.]?\d{4})/);
-    if (phoneMatch) {
-      info.phone = phoneMatch[1];
-    }
-    
-    // Extract date preferences
-    const datePatterns = [
-      /tomorrow/i,
-      /today/i,
-      /next week/i,
-      /monday|tuesday|wednesday|thursday|friday|saturday|sunday/i
-    ];
-    
-    for (const pattern of datePatterns) {
-      if (pattern.test(text)) {
-        info.preferredDate = text.match(pattern)[0];
-        break;
-      }
-    }
-    
-    return info;
-  }
-}
-
 // Database Logger
 class DatabaseLogger {
   static async logCall(sessionId, type, data) {
@@ -147,6 +137,94 @@ class AIAssistantService {
     
     // Initialize OpenAI client
     this.openai = this.openaiKey ? new OpenAI({ apiKey: this.openaiKey }) : null;
+    
+    // Calls whose end Twilio never reported are remembered and dropped once idle
+    this.cleanupTimer = setInterval(() => this.cleanup(), 5 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Start a call session for the practice that owns the dialed number
+   * @param {string} sessionId - Twilio CallSid
+   * @param {string} phoneNumber - Caller ("From")
+   * @param {string} dialedNumber - Practice number the caller dialed ("To")
+   * @returns {Promise<object>} The connection
+   */
+  async startSession(sessionId, phoneNumber = null, dialedNumber = null) {
+    const profile = await practiceProfileStore.resolve(dialedNumber);
+    const context = new ConversationContext(sessionId, profile);
+    context.history = await this.recallCaller(profile, phoneNumber);
+    const connection = {
+      sessionId,
+      phoneNumber,
+      dialedNumber,
+      context,
+      state: 'ready',
+      startTime: Date.now(),
+      lastActivity: Date.now()
+    };
+    this.connections.set(sessionId, connection);
+    
+    return connection;
+  }
+
+  getSession(sessionId) {
+    return this.connections.get(sessionId) || null;
+  }
+
+  getActiveSessions() {
+    return [...this.connections.values()].map(connection => ({
+      sessionId: connection.sessionId,
+      phoneNumber: connection.phoneNumber,
+      practiceId: connection.context.profile.id,
+      stage: connection.context.currentStage,
+      startTime: connection.startTime,
+      lastActivity: connection.lastActivity
+    }));
+  }
+
+  async endSession(sessionId) {
+    const connection = this.connections.get(sessionId);
+    if (connection) {
+      await this.rememberCall(connection);
+    }
+    this.connections.delete(sessionId);
+  }
+
+  /**
+   * What we remember about a caller, with any callbacks the office still owes
+   * them. Memory is a nicety: failures never hold up the call.
+   */
+  async recallCaller(profile, phoneNumber) {
+    if (!phoneNumber) return null;
+    try {
+      const openCallbacks = await escalationService.listOpenForCaller(profile.id, phoneNumber);
+      return await callerMemoryStore.recall(profile.id, phoneNumber, { openCallbacks });
+    } catch (error) {
+      console.error('Caller memory error:', error);
+      return null;
+    }
+  }
+
+  async rememberCall(connection) {
+    const { context } = connection;
+    if (connection.remembered || context.forgotten || context.metadata.intents.length === 0) return;
+    connection.remembered = true;
+
+    try {
+      await callerMemoryStore.remember({
+        practiceId: context.profile.id,
+        callerNumber: connection.phoneNumber,
+        callSid: connection.sessionId,
+        intents: context.metadata.intents.map(entry => entry.intent),
+        summary: summarizeCall(context),
+        patient: context.patientInfo,
+        startedAt: new Date(connection.startTime).toISOString(),
+        endedAt: new Date(connection.lastActivity).toISOString()
+      });
+    } catch (error) {
+      console.error('Caller memory error:', error);
+    }
   }
 
   async processTranscript(sessionId, transcript) {
@@ -157,37 +235,86 @@ class AIAssistantService {
     console.log(`Patient: ${transcript}`);
     
     // Get or create connection context
-    let connection = this.connections.get(sessionId);
-    if (!connection) {
-      connection = {
-        sessionId,
-        context: new ConversationContext(sessionId),
-        state: 'ready',
-        lastActivity: Date.now()
-      };
-      this.connections.set(sessionId, connection);
-    }
+    const connection = this.connections.get(sessionId) || await this.startSession(sessionId);
+    
+    // Pick up profile edits made during the call (the store caches briefly)
+    connection.context.profile = await practiceProfileStore.resolve(connection.dialedNumber);
     
     // Update context
     connection.context.addMessage('user', transcript);
     connection.lastActivity = Date.now();
 
     // Determine response type
-    const intent = this.determineIntent(transcript);
+    const { label: intent, confidence } = await intentClassifier.classifyAsync(transcript);
+    connection.context.metadata.intents.push({ intent, confidence, timestamp: Date.now() });
     let response = '';
 
+    // Emergency triage answers come first; nothing interrupts it
+    const { triage } = connection.context;
+    if (triage && !triage.done) {
+      response = triage.handle(transcript) || await this.finishTriage(connection);
+      connection.context.addMessage('assistant', response);
+      return response;
+    }
+
+    // A returning caller's answer to "may I have your name?"; anything else carries on as normal
+    if (connection.context.askingName) {
+      connection.context.askingName = false;
+      const name = parseName(transcript, { asked: true });
+      if (name) {
+        response = this.confirmCaller(connection, name);
+        connection.context.addMessage('assistant', response);
+        return response;
+      }
+    }
+
+    // "Yes, go ahead" after asking to be forgotten; anything else carries on as normal
+    if (connection.context.confirmingForget) {
+      connection.context.confirmingForget = false;
+      const confirmed = parseConfirmation(transcript);
+      if (confirmed !== null) {
+        response = confirmed
+          ? await this.forgetCaller(connection)
+          : "No problem, I'll keep them. Is there anything else I can help you with?";
+        connection.context.addMessage('assistant', response);
+        return response;
+      }
+    }
+
+    // A booking in progress gets every answer, unless the caller switches to
+    // another booking task or raises an emergency (pain is also a visit reason)
+    const { booking } = connection.context;
+    const switching = ['reschedule', 'cancel'].includes(intent) && intent !== booking?.kind;
+    const emergency = intent === 'emergency' && booking?.asking !== 'reason';
+    if (booking && !booking.done && !switching && !emergency) {
+      booking.profile = connection.context.profile;
+      response = await booking.handle(transcript);
+      connection.context.updatePatientInfo(booking.patient);
+      connection.context.addMessage('assistant', response);
+      return response;
+    }
+
     switch (intent) {
       case 'greeting':
         response = await this.handleGreeting(connection);
         break;
+      case 'forget':
+        response = await this.handleForget(connection);
+        break;
       case 'appointment':
         response = await this.handleAppointment(connection, transcript);
         break;
+      case 'reschedule':
+        response = await this.handleReschedule(connection, transcript);
+        break;
+      case 'cancel':
+        response = await this.handleCancel(connection, transcript);
+        break;
       case 'information':
         response = await this.handleInformation(connection, transcript);
         break;
       case 'emergency':
-        response = await this.handleEmergency(connection);
+        response = await this.handleEmergency(connection, transcript);
         break;
       case 'callback':
         response = await this.handleCallback(connection, transcript);
@@ -202,89 +329,200 @@ class AIAssistantService {
     return response;
   }
 
+  // Keyword lists live in textClassifier/taxonomies.js (INTENT_TAXONOMY)
   determineIntent(text) {
-    const lower = text.toLowerCase();
-    
-    if (lower.includes('hello') || lower.includes('hi') || lower.includes('good morning') || lower.includes('good afternoon')) {
-      return 'greeting';
-    }
+    return intentClassifier.classify(text).label;
+  }
+
+  async handleGreeting(connection) {
+    const { profile, history } = connection.context;
+    const assistant = profile.tone?.assistantName || 'Julie';
     
-    if (lower.includes('appointment') || lower.includes('schedule') || lower.includes('book')) {
-      return 'appointment';
+    // Phones are shared, so a returning caller says who they are before we use
+    // what we remember; the remembered name is never read out to them
+    if (history?.patient.name && !connection.context.nameConfirmed) {
+      connection.context.askingName = true;
+      return `Hello! Thank you for calling ${profile.name}. This is ${assistant}. May I have your name, please?`;
     }
     
-    if (lower.includes('emergency') || lower.includes('urgent') || lower.includes('pain')) {
-      return 'emergency';
-    }
+    const responses = [
+      `Hello! Thank you for calling ${profile.name}. I'm ${assistant}, your AI assistant. How can I help you today?`,
+      `Hi there! This is ${assistant} from ${profile.name}. How may I assist you?`,
+      `Hi! I'm ${assistant}, the AI assistant for ${profile.name}. What can I do for you today?`
+    ];
     
-    if (lower.includes('call me back') || lower.includes('callback') || lower.includes('return call')) {
-      return 'callback';
-    }
+    return responses[Math.floor(Math.random() * responses.length)];
+  }
+
+  // The caller's name matches the remembered one when the names they gave agree with it
+  confirmCaller(connection, name) {
+    const { context } = connection;
+    const given = name.toLowerCase().split(' ');
+    const remembered = context.history.patient.name.toLowerCase().split(/\s+/);
+    const first = name.split(' ')[0];
     
-    if (lower.includes('hours') || lower.includes('location') || lower.includes('address') || lower.includes('insurance')) {
-      return 'information';
+    context.updatePatientInfo({ name });
+    if (given.every((word, index) => word === remembered[index])) {
+      context.nameConfirmed = true;
+      return `Thanks, ${first}, and welcome back! How can I help you today?`;
     }
     
-    if (lower.includes('?') || lower.includes('how') || lower.includes('what') || lower.includes('when')) {
-      return 'inquiry';
+    // Someone else on this number: earlier calls are not theirs to hear about
+    context.history = null;
+    return `Thanks, ${first}! How can I help you today?`;
+  }
+
+  async handleForget(connection) {
+    if (!connection.context.history) {
+      connection.context.forgotten = true;
+      return "I don't have anything saved from earlier calls from this number, and I won't keep notes from this one. " +
+             'Is there anything else I can help you with?';
     }
     
-    return 'general';
+    connection.context.confirmingForget = true;
+    return "I can do that. I'll delete the notes I've kept from your previous calls, so next time I won't know " +
+           "you've called before. Your appointments and records with the office aren't affected. Should I go ahead?";
   }
 
-  async handleGreeting(connection) {
-    const responses = [
-      "Hello! Thank you for calling Dr. Pedro's office. I'm Julie, your AI assistant. How can I help you today?",
-      "Good morning! This is Julie from Dr. Pedro's dental practice. How may I assist you?",
-      "Hi there! I'm Julie, Dr. Pedro's AI assistant. What can I do for you today?"
-    ];
+  async forgetCaller(connection) {
+    const { context } = connection;
+    try {
+      const deleted = await callerMemoryStore.forget(connection.phoneNumber, context.profile.id);
+      await DatabaseLogger.logCall(connection.sessionId, 'forget_request', { deleted });
+    } catch (error) {
+      console.error('Caller memory error:', error);
+      return "I'm sorry, I wasn't able to do that just now. The front desk can remove your call notes for you, " +
+             'or you can ask me again on your next call.';
+    }
     
-    return responses[Math.floor(Math.random() * responses.length)];
+    context.history = null;
+    context.forgotten = true;
+    return "Done. I've deleted the notes from your previous calls, and I won't keep any from this one. " +
+           'Is there anything else I can help you with?';
   }
 
   async handleAppointment(connection, transcript) {
-    // Extract patient information
-    const patientInfo = PatientInfoExtractor.extractPatientInfo(transcript);
-    connection.context.updatePatientInfo(patientInfo);
-    
-    // Log appointment request
-    await DatabaseLogger.logCall(connection.sessionId, 'appointment_request', {
-      transcript,
-      patientInfo
+    return this.startBooking(connection, 'book', transcript);
+  }
+
+  async handleReschedule(connection, transcript) {
+    return this.startBooking(connection, 'reschedule', transcript);
+  }
+
+  async handleCancel(connection, transcript) {
+    const { booking } = connection.context;
+    // "Actually, cancel that" while booking drops the booking rather than an existing appointment
+    if (booking && !booking.done && booking.kind === 'book') {
+      booking.abandon();
+      connection.context.currentStage = 'initial';
+      return "No problem, I won't book anything. Is there anything else I can help you with?";
+    }
+    return this.startBooking(connection, 'cancel', transcript);
+  }
+
+  async startBooking(connection, kind, transcript) {
+    const booking = new BookingFlow({
+      kind,
+      profile: connection.context.profile,
+      callSid: connection.sessionId,
+      callerNumber: connection.phoneNumber,
+      replyNumber: connection.dialedNumber
     });
-    
-    return "I'd be happy to help you schedule an appointment with Dr. Pedro. " +
-           "Let me check our availability. Can you please provide your full name and preferred date?";
+    connection.context.booking = booking;
+    connection.context.currentStage = kind === 'book' ? 'booking' : kind;
+
+    await DatabaseLogger.logCall(connection.sessionId, kind === 'book' ? 'appointment_request' : `${kind}_request`, {
+      transcript
+    });
+
+    const response = await booking.start(transcript);
+    connection.context.updatePatientInfo(booking.patient);
+    connection.context.addMessage('assistant', response);
+    return response;
   }
 
-  async handleEmergency(connection) {
+  async handleEmergency(connection, transcript) {
     // Log emergency call
     await DatabaseLogger.logCall(connection.sessionId, 'emergency', {
       timestamp: Date.now(),
       priority: 'high'
     });
     
-    return "I understand this is urgent. For dental emergencies, please call our emergency line at " +
-           "555-EMERGENCY, or if this is a medical emergency, please call 911 immediately. " +
-           "I can also have Dr. Pedro call you back as soon as possible.";
+    const triage = new TriageFlow();
+    connection.context.triage = triage;
+    connection.context.currentStage = 'triage';
+    
+    const question = triage.start(transcript);
+    const response = question
+      ? `I'm sorry you're dealing with that. I'm going to ask a few quick questions so we can get you the right help. ${question}`
+      : await this.finishTriage(connection);
+    connection.context.addMessage('assistant', response);
+    return response;
+  }
+
+  /**
+   * Escalate a finished triage and tell the caller what happens next
+   */
+  async finishTriage(connection) {
+    const { profile, triage } = connection.context;
+    const result = triage.result();
+    connection.context.currentStage = 'initial';
+    
+    let escalation = null;
+    try {
+      escalation = await escalationService.escalate({
+        callSid: connection.sessionId,
+        profile,
+        callerNumber: connection.phoneNumber,
+        reason: 'emergency',
+        severity: result.severity,
+        triage: result
+      });
+    } catch (error) {
+      console.error('Escalation error:', error);
+    }
+    
+    const { emergency = {} } = profile;
+    const open = isOpenAt(profile);
+    const line = open ? emergency.phone : emergency.afterHoursPhone || emergency.phone;
+    const paged = escalation?.status === 'paging' ? escalation.currentContact : null;
+    
+    if (result.severity === 'critical') {
+      return 'Please hang up and call 911 now, or go to the nearest emergency room. ' +
+             (paged ? `I've also alerted ${paged.name}, who is on call.` : '');
+    }
+    
+    if (result.severity === 'urgent') {
+      const help = paged
+        ? `I've paged ${paged.name}, who is on call, and they'll call you back ${connection.phoneNumber ? 'at this number ' : ''}shortly.`
+        : `Please call our emergency line at ${line || 'the number on our voicemail'} right away.`;
+      return `Thank you. That needs to be seen quickly. ${help} If it gets worse before then, call 911.`;
+    }
+    
+    if (open) {
+      return "Thank you. It doesn't sound like you need emergency care, but we should take a look soon. " +
+             'I can book you an appointment if you would like.';
+    }
+    const opening = nextOpening(profile);
+    return "Thank you. It doesn't sound like you need emergency care right now. " +
+           `The office will call you back when we open${opening ? ` on ${formatSlot(profile, opening)}` : ''}. ` +
+           "If anything gets worse, call back and we'll page the doctor on call.";
   }
 
   async handleInformation(connection, transcript) {
     const lower = transcript.toLowerCase();
+    const { profile } = connection.context;
     
     if (lower.includes('hours')) {
-      return "Our office hours are Monday through Friday, 8 AM to 6 PM, and Saturday 9 AM to 3 PM. " +
-             "We're closed on Sundays.";
+      return `${formatWeeklyHours(profile)} ${formatUpcomingHolidays(profile)}`.trim();
     }
     
-    if (lower.includes('location') || lower.includes('address')) {
-      return "We're located at 123 Main Street, Suite 200, New York, NY 10001. " +
-             "We're easily accessible by subway and have parking available.";
+    if ((lower.includes('location') || lower.includes('address')) && profile.locations?.length) {
+      return formatLocations(profile);
     }
     
     if (lower.includes('insurance')) {
-      return "We accept most major insurance plans including Delta Dental, MetLife, and Cigna. " +
-             "Please bring your insurance card to your appointment so we can verify your benefits.";
+      return formatInsurance(profile);
     }
     
     return "I can provide information about our services, hours, location, and insurance. " +
@@ -304,6 +542,27 @@ class AIAssistantService {
       patientInfo: connection.context.patientInfo
     });
     
+    // After hours the request is queued for the office and shows in the call's escalation trail
+    const { profile } = connection.context;
+    if (!isOpenAt(profile)) {
+      try {
+        await escalationService.escalate({
+          callSid: connection.sessionId,
+          profile,
+          callerNumber: connection.context.patientInfo.phone || connection.phoneNumber,
+          reason: 'callback',
+          severity: 'routine'
+        });
+      } catch (error) {
+        console.error('Escalation error:', error);
+      }
+      
+      const opening = nextOpening(profile);
+      return "Of course! We're closed right now, so someone from our team will call you back " +
+             `when we open${opening ? ` on ${formatSlot(profile, opening)}` : ''}. ` +
+             "If this is a dental emergency, just tell me and I'll get the doctor on call.";
+    }
+    
     return "Of course! I'll have someone from our team call you right back. " +
            "We typically return calls within 5 minutes during business hours. " +
            "Is " + (connection.context.patientInfo.phone || "the number you're calling from") + " the best number?";
@@ -359,6 +618,7 @@ class AIAssistantService {
     for (const [sessionId, connection] of this.connections) {
       if (now - connection.lastActivity > timeout) {
         console.log(`Cleaning up inactive session: ${sessionId}`);
+        this.rememberCall(connection);
         this.connections.delete(sessionId);
       }
     }
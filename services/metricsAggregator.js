@@ -6,8 +6,16 @@ import cron from 'node-cron';
 
 import logger from '../utils/logger.js';
 
+import { summarizeEngagement } from './emailGateway/tracking.js';
 import websocketManager, { emitMetricUpdate } from './websocketManager.js';
 
+// Window for per-rep email engagement rates
+const EMAIL_ENGAGEMENT_DAYS = 30;
+// Opens and clicks arrive in bursts; engagement rates are recomputed at most this often
+const EMAIL_STATS_DEBOUNCE_MS = parseInt(process.env.EMAIL_STATS_DEBOUNCE_MS || '10000', 10);
+// Cache key prefix for overall engagement since a date (getEmailEngagement)
+const EMAIL_ENGAGEMENT_KEY = 'email_engagement_since_';
+
 /**
  * MetricsAggregator Service
  * 
@@ -49,6 +57,10 @@ class MetricsAggregator extends EventEmitter {
     // Metric collection intervals
     this.intervals = new Map();
     
+    // Campaigns and reps whose email engagement changed since the last recompute
+    this.pendingEmailStats = { campaigns: new Set(), reps: new Set() };
+    this.emailStatsTimer = null;
+    
     // API usage rates for cost calculation
     this.apiRates = {
       openai: {
@@ -302,7 +314,8 @@ class MetricsAggregator extends EventEmitter {
   }
   
   /**
-   * Handle email log changes
+   * Handle email log changes: sends, and opens / clicks recorded by the
+   * email gateway's tracking, rolled up into campaign and rep engagement rates
    */
   async handleEmailLogChange(payload) {
     try {
@@ -311,12 +324,15 @@ class MetricsAggregator extends EventEmitter {
         type: this.metricTypes.EMAIL_CAMPAIGN,
         email_id: emailLog.id,
         campaign_id: emailLog.campaign_id,
+        user_id: emailLog.user_id,
         metrics: {
           status: emailLog.status,
           recipient: emailLog.to_email,
           subject: emailLog.subject,
-          opened: emailLog.status === 'opened',
-          clicked: emailLog.status === 'clicked',
+          opened: !!emailLog.opened_at || ['opened', 'clicked'].includes(emailLog.status),
+          clicked: !!emailLog.clicked_at || emailLog.status === 'clicked',
+          open_count: emailLog.open_count || 0,
+          click_count: emailLog.click_count || 0,
           bounced: emailLog.status === 'bounced',
           failed: emailLog.status === 'failed'
         },
@@ -327,10 +343,10 @@ class MetricsAggregator extends EventEmitter {
       // Store metric
       await this.storeMetric(metric);
       
-      // Update campaign statistics
-      if (emailLog.campaign_id) {
-        await this.updateCampaignStats(emailLog.campaign_id);
-      }
+      // Campaign and rep engagement rates are recomputed once per burst of events
+      this.queueEmailStats(emailLog.campaign_id, emailLog.email_type !== 'inbound' ? emailLog.user_id : null);
+      this.cache.del('dashboard_summary');
+      this.clearEmailEngagement();
       
       // Broadcast update
       this.broadcastMetricUpdate(this.metricTypes.EMAIL_CAMPAIGN, metric);
@@ -339,6 +355,38 @@ class MetricsAggregator extends EventEmitter {
     }
   }
   
+  queueEmailStats(campaignId, userId) {
+    if (campaignId) this.pendingEmailStats.campaigns.add(campaignId);
+    if (userId) this.pendingEmailStats.reps.add(userId);
+    if (this.emailStatsTimer || (!campaignId && !userId)) return;
+    
+    this.emailStatsTimer = setTimeout(() => this.flushEmailStats(), EMAIL_STATS_DEBOUNCE_MS);
+    this.emailStatsTimer.unref();
+  }
+  
+  /**
+   * Recompute engagement rates for the campaigns and reps queued since the
+   * last flush and broadcast them
+   */
+  async flushEmailStats() {
+    const { campaigns, reps } = this.pendingEmailStats;
+    this.pendingEmailStats = { campaigns: new Set(), reps: new Set() };
+    this.emailStatsTimer = null;
+    
+    const update = { type: this.metricTypes.EMAIL_CAMPAIGN, campaigns: [], reps: [] };
+    for (const campaignId of campaigns) {
+      const stats = await this.updateCampaignStats(campaignId);
+      if (stats) update.campaigns.push(stats);
+    }
+    for (const userId of reps) {
+      const stats = await this.updateRepEmailStats(userId);
+      if (stats) update.reps.push(stats);
+    }
+    
+    this.clearEmailEngagement();
+    this.broadcastMetricUpdate(this.metricTypes.EMAIL_CAMPAIGN, update);
+  }
+  
   /**
    * Handle agent interaction logs
    */
@@ -750,6 +798,7 @@ class MetricsAggregator extends EventEmitter {
           emailCount: todayMetrics.filter(m => m.type === this.metricTypes.EMAIL_CAMPAIGN).length,
           aiInteractions: todayMetrics.filter(m => m.type === this.metricTypes.HARVEY_PERFORMANCE).length
         },
+        email: await this.getEmailEngagement(weekStart.toISOString()),
         week: {
           totalCost: weekMetrics.reduce((sum, p) => sum + p.totalCost, 0),
           byDay: weekMetrics,
@@ -1049,34 +1098,100 @@ class MetricsAggregator extends EventEmitter {
   }
   
   /**
-   * Update campaign statistics
+   * Update a campaign's open and click rates. Only cached: the campaign
+   * scheduler derives the stats it reports from the same rows.
    */
   async updateCampaignStats(campaignId) {
     try {
       const { data: logs, error } = await this.supabase
         .from('email_logs')
-        .select('status')
+        .select('status, opened_at, clicked_at')
         .eq('campaign_id', campaignId);
       
       if (error) throw error;
       
-      const stats = {
-        sent: logs.filter(l => l.status === 'sent').length,
-        opened: logs.filter(l => l.status === 'opened').length,
-        clicked: logs.filter(l => l.status === 'clicked').length,
-        bounced: logs.filter(l => l.status === 'bounced').length,
-        failed: logs.filter(l => l.status === 'failed').length
+      const stats = { id: campaignId, ...summarizeEngagement(logs) };
+      this.cache.set(`email_engagement_campaign_${campaignId}`, stats);
+      return stats;
+    } catch (error) {
+      logger.error('MetricsAggregator: Failed to update campaign stats:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Update a rep's email open and click rates over the last 30 days
+   */
+  async updateRepEmailStats(userId) {
+    try {
+      const since = new Date(Date.now() - EMAIL_ENGAGEMENT_DAYS * 24 * 60 * 60 * 1000);
+      const { data: logs, error } = await this.supabase
+        .from('email_logs')
+        .select('status, opened_at, clicked_at')
+        .eq('user_id', userId)
+        .eq('email_type', 'outbound')
+        .gte('sent_at', since.toISOString());
+      
+      if (error) throw error;
+      
+      const stats = { userId, days: EMAIL_ENGAGEMENT_DAYS, ...summarizeEngagement(logs) };
+      this.cache.set(`email_engagement_rep_${userId}`, stats);
+      return stats;
+    } catch (error) {
+      logger.error('MetricsAggregator: Failed to update rep email stats:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Email open and click rates since a date, overall and per campaign and rep
+   */
+  async getEmailEngagement(startDate) {
+    const cacheKey = `${EMAIL_ENGAGEMENT_KEY}${startDate}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+    
+    try {
+      const { data: logs, error } = await this.supabase
+        .from('email_logs')
+        .select('campaign_id, user_id, status, opened_at, clicked_at')
+        .eq('email_type', 'outbound')
+        .gte('sent_at', startDate);
+      
+      if (error) throw error;
+      
+      const group = key => {
+        const groups = new Map();
+        logs.filter(log => log[key]).forEach(log => {
+          if (!groups.has(log[key])) groups.set(log[key], []);
+          groups.get(log[key]).push(log);
+        });
+        return [...groups].map(([id, rows]) => ({ id, ...summarizeEngagement(rows) }))
+          .sort((a, b) => b.sent - a.sent);
       };
       
-      await this.supabase
-        .from('email_campaigns')
-        .update({ stats })
-        .eq('id', campaignId);
+      const engagement = {
+        since: startDate,
+        ...summarizeEngagement(logs),
+        byCampaign: group('campaign_id'),
+        byRep: group('user_id')
+      };
+      
+      this.cache.set(cacheKey, engagement, 300);
+      return engagement;
     } catch (error) {
-      logger.error('MetricsAggregator: Failed to update campaign stats:', error);
+      logger.error('MetricsAggregator: Failed to get email engagement:', error);
+      throw error;
     }
   }
   
+  // Engagement is cached per start date; new email activity drops every one
+  clearEmailEngagement() {
+    this.cache.del(this.cache.keys().filter(key => key.startsWith(EMAIL_ENGAGEMENT_KEY)));
+  }
+  
   /**
    * Update agent performance cache
    */
@@ -1106,6 +1221,8 @@ class MetricsAggregator extends EventEmitter {
     // Clear intervals
     this.intervals.forEach((interval) => clearInterval(interval));
     this.intervals.clear();
+    clearTimeout(this.emailStatsTimer);
+    this.emailStatsTimer = null;
     
     // Clear cache
     this.cache.flushAll();
@@ -1137,4 +1254,7 @@ export const getSuccessRates = (metricType, period) =>
 export const getDashboardSummary = () => 
   metricsAggregator.getDashboardSummary();
 
+export const getEmailEngagement = (startDate) => 
+  metricsAggregator.getEmailEngagement(startDate);
+
 export default metricsAggregator;
\ No newline at end of file
@@ -0,0 +1,340 @@
+import axios from 'axios';
+
+import logger from '../utils/logger.js';
+
+const NPI_API_URL = 'https://npiregistry.cms.hhs.gov/api/';
+
+// Registry API limits: at most 200 results per request and 1000 skipped
+const MAX_PAGE_SIZE = 200;
+const MAX_SKIP = 1000;
+const DEFAULT_PAGE_SIZE = 20;
+
+// Specialty description keywords Canvas has always targeted (dental and aesthetic)
+export const DEFAULT_TAXONOMY_FILTER = {
+  codes: [],
+  keywords: ['dent', 'oral', 'maxillofacial', 'dermat', 'plastic', 'aesthetic', 'cosmetic']
+};
+
+const US_STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY', 'PR', 'VI', 'GU', 'AS', 'MP'
+]);
+
+const ZIP_PATTERN = /\b(\d{5})(-\d\d\d\d)?$/;
+const TAXONOMY_CODE_PATTERN = /^[0-9A-Z]{9}X$/i;
+
+/**
+ * NPI Registry client
+ * Shared by the Canvas /npi-lookup route and batch roster resolution
+ */
+
+function capitalize(value) {
+  return value ? value.charAt(0).toUpperCase() + value.slice(1).toLowerCase() : '';
+}
+
+/**
+ * Transform an NPI registry result into the Canvas doctor format
+ * Organizations (NPI-2) use the organization name as their display name.
+ * @param {object} result - Raw NPI registry result
+ * @returns {object} Doctor record
+ */
+export function transformNpiResult(result) {
+  const basic = result.basic || {};
+  // Prefer location address over mailing address
+  const locationAddress = result.addresses?.find(a => a.address_purpose === 'LOCATION') || {};
+  const mailingAddress = result.addresses?.find(a => a.address_purpose === 'MAILING') || {};
+  const address = locationAddress.address_1 ? locationAddress : mailingAddress;
+
+  const taxonomy = result.taxonomies?.find(t => t.primary) || result.taxonomies?.[0] || {};
+  const isOrganization = result.enumeration_type === 'NPI-2';
+
+  // Format name properly
+  const formattedFirstName = capitalize(basic.first_name);
+  const formattedLastName = capitalize(basic.last_name);
+
+  return {
+    npi: result.number,
+    enumerationType: result.enumeration_type || 'NPI-1',
+    displayName: isOrganization
+      ? basic.organization_name || ''
+      : `Dr. ${formattedFirstName} ${formattedLastName}${basic.credential ? ', ' + basic.credential : ''}`,
+    firstName: formattedFirstName,
+    lastName: formattedLastName,
+    credential: basic.credential || '',
+    specialty: taxonomy.desc || 'Not specified',
+    taxonomyCode: taxonomy.code || '',
+    taxonomies: (result.taxonomies || []).map(t => ({
+      code: t.code,
+      desc: t.desc,
+      primary: !!t.primary
+    })),
+    city: address.city || '',
+    state: address.state || '',
+    fullAddress: address.address_1
+      ? `${address.address_1}, ${address.city}, ${address.state} ${address.postal_code}`
+      : '',
+    postalCode: (address.postal_code || '').slice(0, 5),
+    phone: address.telephone_number || '',
+    organizationName: basic.organization_name || '',
+    npiStatus: basic.status || '',
+    deactivationDate: basic.deactivation_date || null
+  };
+}
+
+/**
+ * Whether a provider matches a taxonomy filter
+ * Codes match by prefix so "1223" covers every dental specialty; keywords
+ * match anywhere in a taxonomy description. An empty filter allows everything.
+ * @param {object} doctor - Doctor record
+ * @param {object} filter - { codes, keywords }
+ * @returns {boolean}
+ */
+export function matchesTaxonomyFilter(doctor, filter = DEFAULT_TAXONOMY_FILTER) {
+  const codes = (filter.codes || []).map(code => code.toUpperCase());
+  const keywords = (filter.keywords || []).map(keyword => keyword.toLowerCase());
+  if (codes.length === 0 && keywords.length === 0) {
+    return true;
+  }
+
+  const taxonomies = doctor.taxonomies?.length
+    ? doctor.taxonomies
+    : [{ code: doctor.taxonomyCode || '', desc: doctor.specialty || '' }];
+
+  return taxonomies.some(taxonomy => {
+    const code = (taxonomy.code || '').toUpperCase();
+    const desc = (taxonomy.desc || '').toLowerCase();
+    return codes.some(prefix => code.startsWith(prefix)) ||
+      keywords.some(keyword => desc.includes(keyword));
+  });
+}
+
+/**
+ * Whether a doctor is in a specialty Canvas targets (dental and aesthetic)
+ * @param {object} doctor - Doctor record
+ * @param {object} filter - Taxonomy filter, defaults to the Canvas specialties
+ * @returns {boolean}
+ */
+export function isTargetSpecialty(doctor, filter = DEFAULT_TAXONOMY_FILTER) {
+  return matchesTaxonomyFilter(doctor, filter) && !!doctor.city && !!doctor.state;
+}
+
+/**
+ * Parse free text such as "John Smith Buffalo, NY 14221" into query fields
+ *
+ * Recognises a trailing ZIP code, a "City, ST" suffix and a bare trailing
+ * state code. The first two words are the provider's name; words after them
+ * and before a comma that is followed by a state or ZIP are the city, so
+ * "John Smith, NY" is a name and a state.
+ * @param {string} text - Free-text search
+ * @returns {object} { firstName, lastName, city, state, postalCode }
+ */
+export function parseSearchText(text) {
+  const query = {};
+  let remaining = String(text || '').trim().replace(/\s+/g, ' ');
+
+  const zip = remaining.match(ZIP_PATTERN);
+  if (zip) {
+    query.postalCode = zip[1];
+    remaining = remaining.slice(0, zip.index).trim();
+  }
+
+  // The text before a ", ST" or ", 14221" suffix holds the name and maybe a city
+  let beforeLocation = null;
+  const commaIndex = remaining.lastIndexOf(',');
+  if (commaIndex >= 0) {
+    const suffix = remaining.slice(commaIndex + 1).trim();
+    if (US_STATES.has(suffix.toUpperCase())) {
+      query.state = suffix.toUpperCase();
+      beforeLocation = remaining.slice(0, commaIndex).trim();
+    } else if (suffix === '' && zip) {
+      beforeLocation = remaining.slice(0, commaIndex).trim();
+    }
+  }
+
+  if (beforeLocation !== null) {
+    const words = beforeLocation.split(' ').filter(Boolean);
+    const cityWords = words.slice(2);
+    if (cityWords.length > 0) query.city = cityWords.join(' ');
+    return { ...query, ...nameFields(words.slice(0, 2)) };
+  }
+
+  const words = remaining.split(' ').filter(Boolean);
+  const last = words[words.length - 1];
+  // A trailing state code without a comma, e.g. "John Smith NY"
+  if (words.length > 1 && last && US_STATES.has(last.toUpperCase()) &&
+      (words.length > 2 || last === last.toUpperCase())) {
+    query.state = last.toUpperCase();
+    words.pop();
+  }
+
+  return { ...query, ...nameFields(words) };
+}
+
+function nameFields(words) {
+  if (words.length === 0) return {};
+  if (words.length === 1) return { lastName: words[0] };
+  return { firstName: words[0], lastName: words[words.length - 1] };
+}
+
+function normalizeEnumerationType(type) {
+  const value = String(type || '').toLowerCase();
+  if (['npi-2', 'organization', 'org', '2'].includes(value)) return 'NPI-2';
+  if (['npi-1', 'individual', '1'].includes(value)) return 'NPI-1';
+  return null;
+}
+
+/**
+ * Build registry API parameters from a structured query
+ *
+ * The registry has no geographic search, so `radius` (miles) around a ZIP
+ * is approximated by ZIP prefix: exact ZIP up to 10 miles, the 3-digit
+ * sectional center up to 50 miles, and beyond that the whole state when one
+ * is given or the 2-digit ZIP prefix otherwise.
+ * @param {object} query - Structured query
+ * @returns {URLSearchParams}
+ */
+export function buildRegistryParams(query) {
+  const enumerationType = normalizeEnumerationType(query.type);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const skip = Math.min(Math.max(parseInt(query.skip) || 0, 0), MAX_SKIP);
+
+  const params = new URLSearchParams({ version: '2.1', limit: String(limit), skip: String(skip) });
+
+  if (query.npi) params.set('number', String(query.npi).trim());
+  if (enumerationType) params.set('enumeration_type', enumerationType);
+  if (query.firstName) params.set('first_name', query.firstName);
+  if (query.lastName) params.set('last_name', query.lastName);
+  if (query.organization) params.set('organization_name', `${String(query.organization).trim().replace(/\*$/, '')}*`);
+  if (query.city) params.set('city', query.city);
+  if (query.state) params.set('state', String(query.state).toUpperCase());
+
+  if (query.postalCode) {
+    const zip = String(query.postalCode).slice(0, 5);
+    const radius = parseFloat(query.radius) || 0;
+    if (radius > 50) {
+      if (!query.state) params.set('postal_code', `${zip.slice(0, 2)}*`);
+    } else if (radius > 10) {
+      params.set('postal_code', `${zip.slice(0, 3)}*`);
+    } else {
+      params.set('postal_code', zip);
+    }
+  }
+
+  // The registry filters on taxonomy descriptions; codes are matched locally
+  if (query.taxonomy && !TAXONOMY_CODE_PATTERN.test(query.taxonomy)) {
+    params.set('taxonomy_description', query.taxonomy);
+  }
+
+  return params;
+}
+
+/**
+ * Whether a query has enough criteria for the registry to accept it
+ * (the registry rejects state-only or taxonomy-only searches)
+ * @param {object} query - Structured query
+ * @returns {boolean}
+ */
+export function hasSearchCriteria(query) {
+  return !!(query.npi || query.firstName || query.lastName || query.organization ||
+    query.city || query.postalCode);
+}
+
+/**
+ * Structured NPI registry search with pagination and taxonomy filtering
+ * @param {object} query - firstName, lastName, organization, city, state,
+ *   postalCode, radius, taxonomy, type ('individual'|'organization'), skip, limit
+ * @param {object} options
+ * @param {object} options.taxonomyFilter - Allowed specialties ({ codes, keywords }); null disables filtering
+ * @returns {Promise<object>} { results, pagination }
+ */
+export async function searchRegistry(query, { taxonomyFilter = DEFAULT_TAXONOMY_FILTER } = {}) {
+  const params = buildRegistryParams(query);
+  const skip = parseInt(params.get('skip'));
+  const limit = parseInt(params.get('limit'));
+
+  const response = await axios.get(`${NPI_API_URL}?${params}`);
+
+  if (response.data?.Errors?.length) {
+    const message = response.data.Errors.map(e => e.description).join('; ');
+    throw new Error(`NPI registry rejected the search: ${message}`);
+  }
+
+  const rawResults = response.data?.results || [];
+  const taxonomyCode = query.taxonomy && TAXONOMY_CODE_PATTERN.test(query.taxonomy)
+    ? query.taxonomy.toUpperCase()
+    : null;
+
+  const results = rawResults
+    .map(transformNpiResult)
+    .filter(doctor => !taxonomyCode || doctor.taxonomies.some(t => t.code === taxonomyCode))
+    .filter(doctor => !taxonomyFilter || isTargetSpecialty(doctor, taxonomyFilter));
+
+  // Filtering happens after the registry pages, so a page can hold fewer
+  // than `limit` results while more remain; clients page with nextSkip
+  const hasMore = rawResults.length === limit && skip + limit <= MAX_SKIP;
+
+  return {
+    results,
+    pagination: {
+      skip,
+      limit,
+      scanned: rawResults.length,
+      returned: results.length,
+      hasMore,
+      nextSkip: hasMore ? skip + limit : null
+    }
+  };
+}
+
+/**
+ * Free-text doctor search, e.g. "John Smith Buffalo, NY"
+ * @param {string} search - Search text
+ * @param {object} options - Passed through to searchRegistry
+ * @returns {Promise<Array<object>>} Doctors in target specialties
+ */
+export async function searchDoctors(search, options = {}) {
+  if (!search || search.length < 3) {
+    return [];
+  }
+
+  const query = parseSearchText(search);
+  if (!hasSearchCriteria(query)) {
+    return [];
+  }
+
+  const { results } = await searchRegistry(query, options);
+  return results;
+}
+
+/**
+ * Look up a single provider by NPI number
+ * @param {string} npi - 10 digit NPI
+ * @returns {Promise<object|null>} Doctor record, or null when not found
+ */
+export async function lookupNpi(npi) {
+  const params = new URLSearchParams({ version: '2.1', number: String(npi).trim() });
+
+  try {
+    const response = await axios.get(`${NPI_API_URL}?${params}`);
+    const result = response.data?.results?.[0];
+    return result ? transformNpiResult(result) : null;
+  } catch (error) {
+    logger.error(`NPI lookup failed for ${npi}:`, error.message);
+    throw error;
+  }
+}
+
+export default {
+  DEFAULT_TAXONOMY_FILTER,
+  transformNpiResult,
+  matchesTaxonomyFilter,
+  isTargetSpecialty,
+  parseSearchText,
+  buildRegistryParams,
+  hasSearchCriteria,
+  searchRegistry,
+  searchDoctors,
+  lookupNpi
+};
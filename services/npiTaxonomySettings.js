@@ -0,0 +1,158 @@
+import { createClient } from '@supabase/supabase-js';
+
+import logger from '../utils/logger.js';
+
+import { DEFAULT_TAXONOMY_FILTER } from './npiRegistry.js';
+
+const DEFAULT_TENANT = 'default';
+const TAXONOMY_CODE_PREFIX = /^[0-9A-Z]{1,9}X?$/;
+
+/**
+ * Resolve the tenant a user belongs to
+ * Only app_metadata is trusted; user_metadata is editable by the user.
+ * @param {object} user - Supabase auth user
+ * @returns {string} Tenant id
+ */
+export function tenantIdFor(user) {
+  return user?.app_metadata?.tenant_id || DEFAULT_TENANT;
+}
+
+/**
+ * NPI Taxonomy Settings
+ *
+ * Per-tenant list of specialties allowed in NPI search results. A list holds
+ * taxonomy code prefixes (e.g. "1223" for all dentists) and description
+ * keywords. Tenants without their own list use the Canvas dental/aesthetic
+ * defaults. Stored in `npi_taxonomy_settings`.
+ */
+class NpiTaxonomySettings {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('NpiTaxonomySettings: Supabase credentials not configured, tenant taxonomy lists will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.table = 'npi_taxonomy_settings';
+    this.memorySettings = new Map();
+    this.cache = new Map(); // tenantId -> { filter, loadedAt }
+    this.cacheTtl = 5 * 60 * 1000; // 5 minutes
+  }
+
+  /**
+   * Validate and normalise a taxonomy list
+   * @param {object} input - { codes, keywords }
+   * @returns {object} { codes, keywords }
+   */
+  normalize(input = {}) {
+    const codes = Array.isArray(input.codes) ? input.codes : [];
+    const keywords = Array.isArray(input.keywords) ? input.keywords : [];
+
+    const normalizedCodes = [...new Set(codes.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+    const invalid = normalizedCodes.filter(code => !TAXONOMY_CODE_PREFIX.test(code));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid taxonomy code(s): ${invalid.join(', ')}`);
+    }
+
+    return {
+      codes: normalizedCodes,
+      keywords: [...new Set(keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))]
+    };
+  }
+
+  /**
+   * Allowed taxonomy list for a tenant
+   * @param {string} tenantId
+   * @returns {Promise<object>} { tenantId, codes, keywords, isDefault, updatedAt }
+   */
+  async getForTenant(tenantId = DEFAULT_TENANT) {
+    const cached = this.cache.get(tenantId);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.settings;
+    }
+
+    let row = null;
+    if (this.supabase) {
+      const { data, error } = await this.supabase
+        .from(this.table)
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .maybeSingle();
+
+      if (error) {
+        // Fall back to the defaults rather than failing every search
+        logger.error(`NpiTaxonomySettings: failed to load settings for ${tenantId}:`, error);
+      } else {
+        row = data;
+      }
+    } else {
+      row = this.memorySettings.get(tenantId) || null;
+    }
+
+    const settings = row
+      ? { tenantId, codes: row.codes || [], keywords: row.keywords || [], isDefault: false, updatedAt: row.updated_at }
+      : { tenantId, ...DEFAULT_TAXONOMY_FILTER, isDefault: true, updatedAt: null };
+
+    this.cache.set(tenantId, { settings, loadedAt: Date.now() });
+    return settings;
+  }
+
+  /**
+   * Replace a tenant's taxonomy list
+   * @param {string} tenantId
+   * @param {object} input - { codes, keywords }
+   * @param {string} updatedBy - User making the change
+   * @returns {Promise<object>} Saved settings
+   */
+  async setForTenant(tenantId, input, updatedBy = null) {
+    const { codes, keywords } = this.normalize(input);
+    const row = {
+      tenant_id: tenantId,
+      codes,
+      keywords,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    };
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from(this.table).upsert(row, { onConflict: 'tenant_id' });
+      if (error) {
+        throw new Error(`Failed to save taxonomy settings: ${error.message}`);
+      }
+    } else {
+      this.memorySettings.set(tenantId, row);
+    }
+
+    this.cache.delete(tenantId);
+    logger.info(`NpiTaxonomySettings: updated taxonomy list for tenant ${tenantId} (${codes.length} codes, ${keywords.length} keywords)`);
+    return this.getForTenant(tenantId);
+  }
+
+  /**
+   * Drop a tenant's list so it falls back to the defaults
+   * @param {string} tenantId
+   */
+  async resetTenant(tenantId) {
+    if (this.supabase) {
+      const { error } = await this.supabase.from(this.table).delete().eq('tenant_id', tenantId);
+      if (error) {
+        throw new Error(`Failed to reset taxonomy settings: ${error.message}`);
+      }
+    } else {
+      this.memorySettings.delete(tenantId);
+    }
+
+    this.cache.delete(tenantId);
+    return this.getForTenant(tenantId);
+  }
+}
+
+// Export singleton
+const npiTaxonomySettings = new NpiTaxonomySettings();
+export default npiTaxonomySettings;
@@ -0,0 +1,387 @@
+import { createClient } from '@supabase/supabase-js';
+
+import logger from '../utils/logger.js';
+
+export const FACT_KINDS = ['website', 'team_member', 'technology', 'review', 'news'];
+
+// Normalised keys so the same fact merges across runs despite cosmetic differences
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.hostname.replace(/^www\./, '')}${pathname}`.toLowerCase();
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Postgres and JS format ISO dates differently, so compare them as instants
+function time(value) {
+  return value ? Date.parse(value) : 0;
+}
+
+function later(a, b) {
+  return time(a) >= time(b) ? a : b;
+}
+
+function fact(kind, key, label, value) {
+  return key ? { kind, key, label, value } : null;
+}
+
+// Review data is still simulated by the research pipeline; it is no history
+function realReviews(data) {
+  return data.reviewData && !data.reviewData.simulated ? data.reviewData : null;
+}
+
+/**
+ * Pull the facts worth tracking out of a research result
+ * Any part may be missing: a research run has website, reviews, team, news and
+ * usually dossier intelligence with the detected equipment. Simulated reviews
+ * are skipped.
+ * @param {object} data - Research job data
+ * @returns {Array<object>} [{ kind, key, label, value }]
+ */
+export function extractFacts(data = {}) {
+  const facts = [];
+  const website = data.websiteData;
+
+  if (website?.url) {
+    facts.push(fact('website', normalizeUrl(website.url), website.url, { url: website.url, crawled: !!website.crawled }));
+  }
+
+  for (const name of website?.technology || []) {
+    facts.push(fact('technology', normalizeText(name), name, { name, source: 'website' }));
+  }
+
+  for (const name of data.dossierIntelligence?.techStack?.equipment || []) {
+    facts.push(fact('technology', normalizeText(name), name, { name, source: 'search' }));
+  }
+
+  for (const member of data.team?.members || []) {
+    facts.push(fact('team_member', normalizeText(member.name), member.name, member));
+  }
+
+  for (const highlight of realReviews(data)?.doctorReviews?.highlights || []) {
+    facts.push(fact('review', normalizeText(highlight), highlight, { text: highlight }));
+  }
+
+  for (const item of data.news?.newsItems || []) {
+    facts.push(fact('news', item.url ? normalizeUrl(item.url) : normalizeText(item.title), item.title, item));
+  }
+
+  // The same fact can come from two sources in one run; keep the first
+  const seen = new Set();
+  return facts.filter(candidate => {
+    if (!candidate) return false;
+    const id = `${candidate.kind}:${candidate.key}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+// Technologies come from two places (the website crawl and the tech stack
+// search), which are observed at different times
+function scopeOf(row) {
+  return row.kind === 'technology' ? `technology:${row.value?.source}` : row.kind;
+}
+
+// A part of a research result whose lookup ran; research marks the parts whose
+// provider calls failed with `failed: true`
+function lookedUp(part) {
+  return !!part && !part.failed;
+}
+
+// Which scopes a research result actually looked at. A scope that was not
+// looked at, or whose lookup failed, says nothing about whether its earlier
+// facts still hold.
+function observedScopes(data = {}) {
+  const scopes = [];
+  if ('websiteData' in data && !data.websiteData?.failed) scopes.push('website');
+  if (data.websiteData?.crawled) scopes.push('technology:website');
+  if (lookedUp(data.dossierIntelligence?.techStack)) scopes.push('technology:search');
+  if (lookedUp(data.team)) scopes.push('team_member');
+  if (realReviews(data)) scopes.push('review');
+  if (lookedUp(data.news)) scopes.push('news');
+  return scopes;
+}
+
+/**
+ * Practice Entity Store
+ *
+ * Accumulates research about a provider/practice across runs, keyed on NPI.
+ * Each research result is broken into facts (websites, team members,
+ * technologies, review highlights, news items) that are merged with what was
+ * seen before, keeping first-seen and last-seen dates. The timeline compares
+ * those dates with a rep's previous visit to show what changed.
+ *
+ * Entities live in `practice_entities`, facts in `practice_entity_facts` and
+ * rep visits in `practice_entity_visits`.
+ */
+class PracticeEntityStore {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('PracticeEntityStore: Supabase credentials not configured, using in-memory store');
+      this.supabase = null;
+    }
+
+    this.tables = {
+      entities: 'practice_entities',
+      facts: 'practice_entity_facts',
+      visits: 'practice_entity_visits'
+    };
+
+    this.memoryEntities = new Map();
+    this.memoryFacts = new Map(); // npi -> Map(kind:key -> fact row)
+    this.memoryVisits = new Map(); // npi:userId -> ISO date
+  }
+
+  /**
+   * Merge a research result into the practice's entity
+   * @param {object} doctor - Doctor record (must carry an NPI)
+   * @param {object} data - Research job data, or a part of it
+   * @param {object} options
+   * @param {string} options.jobId - Research job the facts came from
+   * @param {string} options.observedAt - When the research ran (default: now)
+   * @returns {Promise<object|null>} { npi, added, refreshed }
+   */
+  async recordResearch(doctor, data, { jobId = null, observedAt = new Date().toISOString() } = {}) {
+    if (!doctor?.npi) return null;
+
+    const npi = String(doctor.npi);
+    const facts = extractFacts(data);
+    const existing = await this.loadEntity(npi);
+    const existingFacts = new Map((await this.loadFacts(npi)).map(row => [`${row.kind}:${row.fact_key}`, row]));
+
+    const rows = facts.map(candidate => {
+      const previous = existingFacts.get(`${candidate.kind}:${candidate.key}`);
+      return {
+        npi,
+        kind: candidate.kind,
+        fact_key: candidate.key,
+        label: candidate.label,
+        value: candidate.value,
+        first_seen_at: previous?.first_seen_at || observedAt,
+        last_seen_at: previous ? later(previous.last_seen_at, observedAt) : observedAt,
+        first_job_id: previous?.first_job_id || jobId,
+        last_job_id: jobId,
+        times_seen: (previous?.times_seen || 0) + 1
+      };
+    });
+
+    const scopesObservedAt = { ...(existing?.scopes_observed_at || {}) };
+    for (const scope of observedScopes(data)) {
+      scopesObservedAt[scope] = later(scopesObservedAt[scope], observedAt);
+    }
+
+    const entity = {
+      npi,
+      display_name: doctor.displayName || existing?.display_name || null,
+      specialty: doctor.specialty || existing?.specialty || null,
+      city: doctor.city || existing?.city || null,
+      state: doctor.state || existing?.state || null,
+      review_rating: realReviews(data)?.combinedRating ?? existing?.review_rating ?? null,
+      review_count: realReviews(data)?.totalReviews ?? existing?.review_count ?? null,
+      scopes_observed_at: scopesObservedAt,
+      first_researched_at: existing?.first_researched_at || observedAt,
+      last_researched_at: later(existing?.last_researched_at, observedAt),
+      research_count: (existing?.research_count || 0) + ('websiteData' in data ? 1 : 0),
+      updated_at: new Date().toISOString()
+    };
+
+    await this.saveEntity(entity, rows);
+
+    return {
+      npi,
+      added: rows.filter(row => row.times_seen === 1).length,
+      refreshed: rows.filter(row => row.times_seen > 1).length
+    };
+  }
+
+  /**
+   * What changed at a practice since a point in time
+   * @param {string} npi
+   * @param {object} options
+   * @param {string} options.userId - Rep viewing the timeline; their previous visit is the default `since`
+   * @param {string} options.since - ISO date overriding the previous visit
+   * @param {boolean} options.recordVisit - Remember this view as the rep's latest visit (default: true)
+   * @returns {Promise<object|null>} Timeline, or null when the practice was never researched
+   */
+  async getTimeline(npi, { userId = null, since = null, recordVisit = true } = {}) {
+    const entity = await this.loadEntity(String(npi));
+    if (!entity) return null;
+
+    const previousVisitAt = userId ? await this.loadVisit(entity.npi, userId) : null;
+    const cutoff = since || previousVisitAt;
+    const rows = await this.loadFacts(entity.npi);
+    const scopesObservedAt = entity.scopes_observed_at || {};
+
+    const facts = rows.map(row => {
+      const lastLookedAt = scopesObservedAt[scopeOf(row)] || null;
+      return {
+        kind: row.kind,
+        label: row.label,
+        value: row.value,
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at,
+        timesSeen: row.times_seen,
+        // False when the latest research that looked for it no longer found it
+        current: !lastLookedAt || time(row.last_seen_at) >= time(lastLookedAt),
+        lastLookedAt
+      };
+    });
+
+    const events = [];
+    for (const item of facts) {
+      events.push({ type: 'first_seen', at: item.firstSeenAt, kind: item.kind, label: item.label });
+      if (!item.current) {
+        events.push({ type: 'no_longer_seen', at: item.lastLookedAt, lastSeenAt: item.lastSeenAt, kind: item.kind, label: item.label });
+      }
+    }
+    events.sort((a, b) => time(b.at) - time(a.at));
+
+    if (userId && recordVisit) {
+      await this.saveVisit(entity.npi, userId);
+    }
+
+    return {
+      npi: entity.npi,
+      practice: {
+        displayName: entity.display_name,
+        specialty: entity.specialty,
+        city: entity.city,
+        state: entity.state,
+        reviewRating: entity.review_rating,
+        reviewCount: entity.review_count,
+        firstResearchedAt: entity.first_researched_at,
+        lastResearchedAt: entity.last_researched_at,
+        researchCount: entity.research_count
+      },
+      since: cutoff,
+      previousVisitAt,
+      changes: cutoff ? {
+        added: facts.filter(item => time(item.firstSeenAt) > time(cutoff)),
+        removed: facts.filter(item => !item.current && time(item.lastLookedAt) > time(cutoff))
+      } : null,
+      facts: Object.fromEntries(FACT_KINDS.map(kind => [kind, facts.filter(item => item.kind === kind)])),
+      events
+    };
+  }
+
+  async loadEntity(npi) {
+    if (!this.supabase) {
+      return this.memoryEntities.get(npi) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.tables.entities)
+      .select('*')
+      .eq('npi', npi)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load practice entity: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadFacts(npi) {
+    if (!this.supabase) {
+      return [...(this.memoryFacts.get(npi)?.values() || [])];
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.tables.facts)
+      .select('*')
+      .eq('npi', npi);
+
+    if (error) {
+      throw new Error(`Failed to load practice facts: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async saveEntity(entity, factRows) {
+    if (!this.supabase) {
+      this.memoryEntities.set(entity.npi, entity);
+      if (!this.memoryFacts.has(entity.npi)) {
+        this.memoryFacts.set(entity.npi, new Map());
+      }
+      const facts = this.memoryFacts.get(entity.npi);
+      for (const row of factRows) {
+        facts.set(`${row.kind}:${row.fact_key}`, row);
+      }
+      return;
+    }
+
+    const { error: entityError } = await this.supabase
+      .from(this.tables.entities)
+      .upsert(entity, { onConflict: 'npi' });
+
+    if (entityError) {
+      throw new Error(`Failed to save practice entity: ${entityError.message}`);
+    }
+
+    if (factRows.length > 0) {
+      const { error: factsError } = await this.supabase
+        .from(this.tables.facts)
+        .upsert(factRows, { onConflict: 'npi,kind,fact_key' });
+
+      if (factsError) {
+        throw new Error(`Failed to save practice facts: ${factsError.message}`);
+      }
+    }
+  }
+
+  async loadVisit(npi, userId) {
+    if (!this.supabase) {
+      return this.memoryVisits.get(`${npi}:${userId}`) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.tables.visits)
+      .select('visited_at')
+      .eq('npi', npi)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('PracticeEntityStore: failed to load visit:', error);
+      return null;
+    }
+    return data?.visited_at || null;
+  }
+
+  async saveVisit(npi, userId) {
+    const visitedAt = new Date().toISOString();
+
+    if (!this.supabase) {
+      this.memoryVisits.set(`${npi}:${userId}`, visitedAt);
+      return;
+    }
+
+    const { error } = await this.supabase
+      .from(this.tables.visits)
+      .upsert({ npi, user_id: userId, visited_at: visitedAt }, { onConflict: 'npi,user_id' });
+
+    if (error) {
+      logger.error('PracticeEntityStore: failed to record visit:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const practiceEntityStore = new PracticeEntityStore();
+export { PracticeEntityStore };
+export default practiceEntityStore;
@@ -1,9 +1,16 @@
 import EventEmitter from 'events';
+
 import { createClient } from '@supabase/supabase-js';
 import natural from 'natural';
 
+import { findPhrases, KEY_PHRASES, objectionClassifier } from './textClassifier/index.js';
+import { createConversationMetrics, recordUtterance, summarizeConversation } from './callMetrics.js';
+
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
+// Utterances kept per session for post-call scoring
+const MAX_SESSION_UTTERANCES = 2000;
+
 /**
  * Real-time Call Analyzer
  * Analyzes conversations in real-time and triggers coaching interventions
@@ -17,40 +24,99 @@ class RealtimeCallAnalyzer extends EventEmitter {
   }
   
   async startAnalysis(config) {
-    const { conferenceId, coachId, repPhone } = config;
-    const analysisId = `analysis-${Date.now()}`;
+    const session = this.createSession(config);
+    
+    this.activeSessions.set(session.id, session);
+    
+    // Start monitoring
+    this.monitorConversation(session);
+    
+    return { id: session.id };
+  }
+  
+  /**
+   * Start a replay session: utterances go through analyzeTranscript and emit the
+   * usual events, but on the recorded call's clock and without saving anything
+   * @param {object} config - { repId, label }
+   * @returns {object} { id }
+   */
+  startReplay({ repId = null, label = null } = {}) {
+    const session = this.createSession({ repId, startTime: 0, replay: true });
+    session.label = label;
     
-    const session = {
-      id: analysisId,
+    this.activeSessions.set(session.id, session);
+    
+    return { id: session.id };
+  }
+  
+  createSession({ conferenceId, callSid, coachId, repId, repPhone, startTime = Date.now(), replay = false } = {}) {
+    return {
+      id: `analysis-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      replay,
       conferenceId,
+      callSid: callSid || null, // The rep's call leg, which transcripts and scorecards are keyed on
       coachId,
+      repId: repId || repPhone || null, // Cooldowns, budget and stats are kept per rep
       repPhone,
-      startTime: Date.now(),
+      startTime,
       
       // Metrics
       talkRatio: { rep: 0, client: 0 },
       sentiment: { overall: 0, trend: [] },
       keyPhrases: new Map(),
       objectionCount: 0,
-      questionCount: 0,
+      objectionTypes: new Map(), // label -> count
+      currentObjectionType: objectionClassifier.fallbackLabel,
+      questionCount: 0, // Questions asked by the rep
+      conversation: createConversationMetrics(),
+      lastUtterance: { questions: [], silenceMs: 0, interrupted: false },
+      utterances: [], // [{ speaker, text, at, objectionType, questions }] for the post-call scorecard
       
       // Triggers
       triggersActivated: [],
       coachingDelivered: 0
     };
-    
-    this.activeSessions.set(analysisId, session);
-    
-    // Start monitoring
-    this.monitorConversation(session);
-    
-    return { id: analysisId };
   }
   
-  async analyzeTranscript(sessionId, speaker, text) {
+  /**
+   * @param {string} sessionId
+   * @param {string} speaker - 'rep' or anyone else
+   * @param {string} text
+   * @param {object} options
+   * @param {number} options.at - When the utterance started, in ms on the session clock (replays pass the recorded offset)
+   * @param {number} options.endAt - When it ended, if the transcript says; otherwise estimated from its length
+   */
+  async analyzeTranscript(sessionId, speaker, text, { at = Date.now(), endAt = null } = {}) {
     const session = this.activeSessions.get(sessionId);
     if (!session) return;
     
+    // Live calls may use the LLM classifier when configured; replays of the same text stay local
+    const classification = session.replay
+      ? objectionClassifier.classify(text)
+      : await objectionClassifier.classifyAsync(text);
+    const { objection } = this.updateMetrics(session, speaker, text, { at, endAt, classification });
+    
+    if (objection) {
+      this.emit('objection-detected', {
+        sessionId,
+        text,
+        type: classification.label,
+        confidence: classification.confidence,
+        count: session.objectionCount
+      });
+    }
+    
+    // Check for coaching triggers
+    await this.checkTriggers(session, speaker, text, at);
+    
+    // Save analysis
+    if (!session.replay) {
+      await this.saveAnalysis(session);
+    }
+  }
+  
+  // Fold one utterance into the session's running metrics
+  updateMetrics(session, speaker, text, { at: now = Date.now(), endAt = null, classification = objectionClassifier.classify(text) } = {}) {
     // Update talk ratio
     const words = text.split(' ').length;
     if (speaker === 'rep') {
@@ -64,7 +130,7 @@ class RealtimeCallAnalyzer extends EventEmitter {
     session.sentiment.trend.push({ 
       speaker, 
       sentiment, 
-      timestamp: Date.now() 
+      timestamp: now 
     });
     session.sentiment.overall = this.calculateOverallSentiment(session.sentiment.trend);
     
@@ -72,70 +138,120 @@ class RealtimeCallAnalyzer extends EventEmitter {
     this.detectKeyPhrases(text, session);
     
     // Detect objections
-    if (this.isObjection(text)) {
+    const objection = classification.label !== objectionClassifier.fallbackLabel;
+    session.currentObjectionType = classification.label;
+    if (objection) {
       session.objectionCount++;
-      this.emit('objection-detected', {
-        sessionId,
+      session.objectionTypes.set(classification.label, (session.objectionTypes.get(classification.label) || 0) + 1);
+    }
+    
+    // Questions, monologues, interruptions, pace, fillers and silences
+    const { questions, silenceMs, interrupted } = recordUtterance(session.conversation, {
+      speaker,
+      text,
+      startAt: now,
+      endAt
+    });
+    if (speaker === 'rep') {
+      session.questionCount += questions.length;
+    }
+    session.lastUtterance = { questions: questions.map(question => question.type), silenceMs, interrupted };
+    if (session.utterances.length < MAX_SESSION_UTTERANCES) {
+      session.utterances.push({
+        speaker,
         text,
-        count: session.objectionCount
+        at: now,
+        objectionType: classification.label,
+        questions: session.lastUtterance.questions
       });
     }
     
-    // Detect questions
-    if (text.includes('?')) {
-      session.questionCount++;
-    }
+    return { objection };
+  }
+  
+  // Context handed to the coaching trigger engine for the latest utterance
+  // Conversation metrics are the rep's own, since the rep is who gets coached
+  buildContext(session, speaker, text, now = Date.now()) {
+    const rep = summarizeConversation(session.conversation).speakers.rep;
+    const { turn, silence } = session.conversation;
     
-    // Check for coaching triggers
-    await this.checkTriggers(session, speaker, text);
+    return {
+      sessionId: session.id,
+      repId: session.repId,
+      replay: session.replay,
+      at: now,
+      talkRatio: this.calculateTalkRatioBalance(session.talkRatio),
+      sentiment: session.sentiment.overall,
+      objectionCount: session.objectionCount,
+      objectionType: session.currentObjectionType,
+      questionCount: session.questionCount,
+      openQuestionCount: rep?.questions.open || 0,
+      closedQuestionCount: rep?.questions.closed || 0,
+      longestMonologue: rep?.longestMonologueSeconds || 0,
+      currentMonologue: turn?.speaker === 'rep' ? Math.round((turn.endAt - turn.startAt) / 100) / 10 : 0,
+      interruptionCount: rep?.interruptions || 0,
+      wordsPerMinute: rep?.wordsPerMinute || 0,
+      fillerRate: rep?.fillerRate || 0,
+      silenceBefore: Math.round(session.lastUtterance.silenceMs / 100) / 10,
+      longestSilence: Math.round(silence.longestMs / 100) / 10,
+      currentText: text,
+      speaker,
+      duration: Math.floor((now - session.startTime) / 1000)
+    };
+  }
+  
+  /**
+   * Replay a transcript offline, without saving, emitting or triggering
+   * @param {Array<object>} utterances - [{ speaker, text, offsetSeconds, durationSeconds }] in call order
+   * @returns {Array<object>} The trigger context after each utterance
+   */
+  replayTranscript(utterances) {
+    const session = this.createSession({ startTime: 0 });
     
-    // Save analysis
-    await this.saveAnalysis(session);
+    return utterances.map(({ speaker, text, offsetSeconds = 0, durationSeconds }) => {
+      const now = offsetSeconds * 1000;
+      const endAt = Number.isFinite(durationSeconds) ? now + durationSeconds * 1000 : null;
+      this.updateMetrics(session, speaker, text, { at: now, endAt });
+      return this.buildContext(session, speaker, text, now);
+    });
   }
   
-  detectKeyPhrases(text, session) {
-    const keywords = [
-      'price', 'cost', 'expensive', 'budget',
-      'competitor', 'alternative', 'other options',
-      'think about it', 'not sure', 'maybe later',
-      'decision maker', 'approval', 'committee'
-    ];
+  /**
+   * Analyze a finished call's transcript offline, without saving, emitting or triggering
+   * @param {Array<object>} utterances - [{ speaker, text, offsetSeconds, durationSeconds }] in call order
+   * @param {object} config - Session fields such as { callSid, repId }
+   * @returns {object} { session, summary } as 'analysis-ended' would report them
+   */
+  analyzeCompletedTranscript(utterances, config = {}) {
+    const session = this.createSession({ ...config, startTime: 0, replay: true });
+    let endedAt = 0;
     
-    keywords.forEach(keyword => {
-      if (text.toLowerCase().includes(keyword)) {
-        const count = session.keyPhrases.get(keyword) || 0;
-        session.keyPhrases.set(keyword, count + 1);
-      }
+    utterances.forEach(({ speaker, text, offsetSeconds = 0, durationSeconds }) => {
+      const now = offsetSeconds * 1000;
+      const endAt = Number.isFinite(durationSeconds) ? now + durationSeconds * 1000 : null;
+      this.updateMetrics(session, speaker, text, { at: now, endAt });
+      endedAt = Math.max(endedAt, endAt ?? now);
+    });
+    
+    return { session, summary: this.summarizeSession(session, endedAt) };
+  }
+  
+  detectKeyPhrases(text, session) {
+    findPhrases(text, KEY_PHRASES).forEach(keyword => {
+      const count = session.keyPhrases.get(keyword) || 0;
+      session.keyPhrases.set(keyword, count + 1);
     });
   }
   
+  // Kept for existing callers; objectionClassifier also reports the objection type
   isObjection(text) {
-    const objectionPatterns = [
-      'too expensive',
-      'not in our budget',
-      'need to think',
-      'not the right time',
-      'already have',
-      "don't need",
-      'maybe later',
-      'not interested'
-    ];
-    
-    const lowerText = text.toLowerCase();
-    return objectionPatterns.some(pattern => lowerText.includes(pattern));
+    return objectionClassifier.classify(text).label !== objectionClassifier.fallbackLabel;
   }
   
-  async checkTriggers(session, speaker, text) {
+  async checkTriggers(session, speaker, text, now = Date.now()) {
     if (!this.triggerEngine) return;
     
-    const context = {
-      talkRatio: this.calculateTalkRatioBalance(session.talkRatio),
-      sentiment: session.sentiment.overall,
-      objectionCount: session.objectionCount,
-      currentText: text,
-      speaker,
-      duration: Math.floor((Date.now() - session.startTime) / 1000)
-    };
+    const context = this.buildContext(session, speaker, text, now);
     
     const triggers = await this.triggerEngine.evaluateTriggers(context);
     
@@ -183,6 +299,7 @@ class RealtimeCallAnalyzer extends EventEmitter {
         sentiment_score: session.sentiment.overall,
         objection_count: session.objectionCount,
         question_count: session.questionCount,
+        speaker_metrics: summarizeConversation(session.conversation),
         key_phrases: Object.fromEntries(session.keyPhrases),
         triggers_activated: session.triggersActivated,
         updated_at: new Date()
@@ -237,26 +354,36 @@ class RealtimeCallAnalyzer extends EventEmitter {
     }
   }
   
-  endAnalysis(sessionId) {
+  endAnalysis(sessionId, { at = null } = {}) {
     const session = this.activeSessions.get(sessionId);
     if (!session) return;
     
-    // Final analysis
-    const summary = {
-      duration: Math.floor((Date.now() - session.startTime) / 1000),
+    // Replays end at their last utterance unless told otherwise
+    const endedAt = at ?? (session.replay ? session.sentiment.trend.at(-1)?.timestamp ?? 0 : Date.now());
+    
+    const summary = this.summarizeSession(session, endedAt);
+    
+    this.activeSessions.delete(sessionId);
+    this.emit('analysis-ended', { sessionId, summary, session });
+    
+    return summary;
+  }
+  
+  // Final analysis
+  summarizeSession(session, endedAt) {
+    return {
+      duration: Math.floor((endedAt - session.startTime) / 1000),
       talkBalance: this.calculateTalkRatioBalance(session.talkRatio),
       finalSentiment: session.sentiment.overall,
       totalObjections: session.objectionCount,
+      objectionsByType: Object.fromEntries(session.objectionTypes),
       totalQuestions: session.questionCount,
+      conversation: summarizeConversation(session.conversation),
       topKeyPhrases: Array.from(session.keyPhrases.entries())
         .sort((a, b) => b[1] - a[1])
         .slice(0, 5),
       coachingDelivered: session.coachingDelivered
     };
-    
-    this.activeSessions.delete(sessionId);
-    
-    return summary;
   }
   
   setTriggerEngine(engine) {
@@ -0,0 +1,319 @@
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../utils/logger.js';
+import { parseCsv } from '../utils/csv.js';
+
+import researchJobQueue from './researchJobQueue.js';
+import { lookupNpi, searchDoctors } from './npiRegistry.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const NPI_PATTERN = /^\d{10}$/;
+
+/**
+ * Research Batch Service
+ *
+ * Groups research jobs into batches so reps can research a whole territory at
+ * once. Batch metadata lives in `research_batches`; progress is aggregated from
+ * the batch's jobs in the research job queue, which also limits how many jobs
+ * of one batch run at the same time.
+ */
+class ResearchBatchService {
+  constructor(queue) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('ResearchBatchService: Supabase credentials not configured, batches will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.queue = queue;
+    this.table = 'research_batches';
+    this.memoryBatches = new Map();
+
+    this.config = {
+      maxDoctors: parseInt(process.env.RESEARCH_BATCH_MAX_DOCTORS) || 200,
+      lookupConcurrency: 4 // Parallel NPI registry lookups while resolving a roster
+    };
+
+    // Mark batches completed as their last job finishes
+    for (const event of ['completed', 'failed', 'cancelled']) {
+      queue.on(event, job => {
+        if (job.batchId) {
+          this.refreshStatus(job.batchId).catch(error => {
+            logger.error(`ResearchBatchService: failed to refresh batch ${job.batchId}:`, error);
+          });
+        }
+      });
+    }
+  }
+
+  /**
+   * Create a batch and queue a research job for every doctor
+   * @param {object} params
+   * @param {Array<object>} params.doctors - Resolved doctor records
+   * @param {string} params.product - Product being researched for
+   * @param {string} params.userId - Requesting user
+   * @param {Array<object>} params.unresolved - Roster rows that could not be matched
+   * @param {string} params.source - 'json' or 'csv'
+   * @returns {Promise<object>} { batchId, jobs }
+   */
+  async createBatch({ doctors, product, userId = null, unresolved = [], source = 'json' }) {
+    if (doctors.length > this.config.maxDoctors) {
+      throw new Error(`Maximum ${this.config.maxDoctors} doctors per batch`);
+    }
+
+    const now = new Date().toISOString();
+    const row = {
+      id: uuidv4(),
+      user_id: userId,
+      product,
+      source,
+      status: doctors.length > 0 ? 'processing' : 'completed',
+      total_jobs: doctors.length,
+      unresolved,
+      created_at: now,
+      updated_at: now,
+      completed_at: doctors.length > 0 ? null : now
+    };
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from(this.table).insert(row);
+      if (error) {
+        logger.error('ResearchBatchService: failed to persist batch:', error);
+        throw new Error(`Failed to create research batch: ${error.message}`);
+      }
+    } else {
+      this.memoryBatches.set(row.id, row);
+    }
+
+    const jobs = [];
+    for (const doctor of doctors) {
+      const job = await this.queue.enqueue({ doctor, product, userId, batchId: row.id });
+      jobs.push({ doctorName: doctor.displayName, npi: doctor.npi, jobId: job.id });
+    }
+
+    return { batchId: row.id, jobs };
+  }
+
+  async loadBatchRow(batchId) {
+    if (!this.supabase) {
+      return this.memoryBatches.get(batchId) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', batchId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load research batch: ${error.message}`);
+    }
+    return data;
+  }
+
+  async updateBatchRow(batchId, patch) {
+    const update = { ...patch, updated_at: new Date().toISOString() };
+
+    if (!this.supabase) {
+      const row = this.memoryBatches.get(batchId);
+      if (row) Object.assign(row, update);
+      return;
+    }
+
+    const { error } = await this.supabase.from(this.table).update(update).eq('id', batchId);
+    if (error) {
+      logger.error(`ResearchBatchService: failed to update batch ${batchId}:`, error);
+    }
+  }
+
+  /**
+   * Mark a batch completed once every job has reached a terminal state
+   * @param {string} batchId
+   */
+  async refreshStatus(batchId) {
+    const row = await this.loadBatchRow(batchId);
+    if (!row || row.status === 'completed') return;
+
+    const jobs = await this.queue.listBatchJobs(batchId);
+    if (jobs.length > 0 && jobs.every(job => TERMINAL_STATUSES.includes(job.status))) {
+      await this.updateBatchRow(batchId, {
+        status: 'completed',
+        completed_at: new Date().toISOString()
+      });
+      logger.info(`ResearchBatchService: batch ${batchId} completed (${jobs.length} jobs)`);
+    }
+  }
+
+  /**
+   * Batch metadata with aggregate progress across its jobs
+   * @param {string} batchId
+   * @returns {Promise<object|null>}
+   */
+  async getBatch(batchId) {
+    const row = await this.loadBatchRow(batchId);
+    if (!row) return null;
+
+    const jobs = await this.queue.listBatchJobs(batchId);
+    const counts = { queued: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+    jobs.forEach(job => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+
+    // Finished jobs count as 100% whether or not they succeeded
+    const progress = jobs.length > 0
+      ? Math.round(jobs.reduce((sum, job) =>
+        sum + (TERMINAL_STATUSES.includes(job.status) ? 100 : job.progress || 0), 0) / jobs.length)
+      : 100;
+
+    return {
+      batchId: row.id,
+      userId: row.user_id,
+      product: row.product,
+      source: row.source,
+      status: row.status,
+      totalJobs: row.total_jobs,
+      progress,
+      counts,
+      unresolved: row.unresolved || [],
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      jobs: jobs.map(job => ({
+        jobId: job.id,
+        npi: job.doctor?.npi,
+        doctorName: job.doctor?.displayName,
+        status: job.status,
+        progress: job.progress,
+        stage: job.stage,
+        error: job.error
+      }))
+    };
+  }
+
+  /**
+   * Completed batch results ranked by confidence score, highest first
+   * @param {string} batchId
+   * @returns {Promise<Array<object>>}
+   */
+  async getRankedSummary(batchId) {
+    const jobs = await this.queue.listBatchJobs(batchId);
+
+    return jobs
+      .map(job => ({
+        jobId: job.id,
+        status: job.status,
+        npi: job.doctor?.npi,
+        doctorName: job.doctor?.displayName,
+        specialty: job.doctor?.specialty,
+        city: job.doctor?.city,
+        state: job.doctor?.state,
+        confidenceScore: job.data?.confidence?.score ?? null,
+        website: job.data?.websiteData?.url || '',
+        rating: job.data?.reviewData?.combinedRating ?? '',
+        totalReviews: job.data?.reviewData?.totalReviews ?? '',
+        executiveSummary: job.data?.synthesis?.executiveSummary || '',
+        error: job.error || ''
+      }))
+      .sort((a, b) => (b.confidenceScore ?? -1) - (a.confidenceScore ?? -1))
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+  }
+
+  /**
+   * Resolve an uploaded CSV roster of NPIs or names to doctor records
+   *
+   * Recognised headers: npi, name, first_name, last_name, city, state.
+   * Without a header row, each row's first cell is treated as an NPI when it
+   * is 10 digits and as a name otherwise.
+   * @param {string} csvText - CSV content
+   * @param {object} options
+   * @param {object} options.taxonomyFilter - Tenant's allowed specialties for name searches
+   * @returns {Promise<object>} { doctors, unresolved }
+   * @throws {Error} When the roster has more rows than a batch may hold, before any lookup
+   */
+  async resolveRoster(csvText, { taxonomyFilter } = {}) {
+    const rows = parseCsv(csvText);
+    if (rows.length === 0) {
+      return { doctors: [], unresolved: [] };
+    }
+
+    const header = rows[0].map(cell => cell.toLowerCase().replace(/\s+/g, '_'));
+    const hasHeader = header.some(cell => ['npi', 'name', 'first_name', 'last_name'].includes(cell));
+    const column = (name) => header.indexOf(name);
+
+    const entries = (hasHeader ? rows.slice(1) : rows).map((cells, index) => {
+      const line = index + (hasHeader ? 2 : 1);
+      if (!hasHeader) {
+        const value = cells[0];
+        return NPI_PATTERN.test(value) ? { line, npi: value } : { line, name: value };
+      }
+
+      const get = (name) => (column(name) >= 0 ? cells[column(name)] || '' : '');
+      const name = get('name') || [get('first_name'), get('last_name')].filter(Boolean).join(' ');
+      return {
+        line,
+        npi: get('npi'),
+        name,
+        city: get('city'),
+        state: get('state')
+      };
+    });
+
+    // Reject oversized rosters up front rather than after thousands of registry calls
+    if (entries.length > this.config.maxDoctors) {
+      throw new Error(`Maximum ${this.config.maxDoctors} doctors per batch (roster has ${entries.length} rows)`);
+    }
+
+    const resolved = [];
+    const unresolved = [];
+
+    const resolveEntry = async (entry) => {
+      try {
+        let doctor = null;
+        if (entry.npi && NPI_PATTERN.test(entry.npi)) {
+          doctor = await lookupNpi(entry.npi);
+        } else if (entry.name) {
+          const search = [entry.name, entry.city, entry.state].filter(Boolean).join(' ');
+          const matches = await searchDoctors(search, taxonomyFilter ? { taxonomyFilter } : {});
+          const cityMatches = entry.city
+            ? matches.filter(match => match.city.toLowerCase() === entry.city.toLowerCase())
+            : matches;
+          doctor = cityMatches[0] || matches[0] || null;
+        }
+
+        if (doctor) {
+          resolved.push({ line: entry.line, doctor });
+        } else {
+          unresolved.push({ ...entry, reason: entry.npi || entry.name ? 'No matching provider found' : 'Empty row' });
+        }
+      } catch (error) {
+        unresolved.push({ ...entry, reason: `Lookup failed: ${error.message}` });
+      }
+    };
+
+    // Resolve a few rows at a time to stay polite to the NPI registry
+    for (let i = 0; i < entries.length; i += this.config.lookupConcurrency) {
+      await Promise.all(entries.slice(i, i + this.config.lookupConcurrency).map(resolveEntry));
+    }
+
+    // Keep roster order and drop providers listed more than once
+    const seen = new Set();
+    const doctors = resolved
+      .sort((a, b) => a.line - b.line)
+      .map(({ doctor }) => doctor)
+      .filter(doctor => !seen.has(doctor.npi) && seen.add(doctor.npi));
+    unresolved.sort((a, b) => a.line - b.line);
+
+    return { doctors, unresolved };
+  }
+}
+
+// Export singleton bound to the research job queue
+const researchBatchService = new ResearchBatchService(researchJobQueue);
+export { ResearchBatchService };
+export default researchBatchService;
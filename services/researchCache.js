@@ -0,0 +1,389 @@
+import path, { dirname } from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import { createClient } from '@supabase/supabase-js';
+
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Default cache lifetime per product, in hours. `default` applies to any
+// product without its own entry. Override with RESEARCH_CACHE_TTLS, e.g.
+// RESEARCH_CACHE_TTLS='{"default":72,"botox":24}'
+const DEFAULT_TTL_HOURS = {
+  default: 72
+};
+
+function normalizeProduct(product) {
+  return String(product || 'general').trim().toLowerCase();
+}
+
+function cacheKey(npi, product) {
+  return `${npi}_${normalizeProduct(product)}`;
+}
+
+/**
+ * In-process store. Fast, but lost on restart and not shared across instances.
+ */
+class MemoryCacheStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async purge({ npi, product }) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if ((!npi || entry.npi === npi) && (!product || entry.product === product)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * One JSON file per entry. Survives restarts; can be shared by instances on
+ * the same host or a mounted volume.
+ */
+class FileCacheStore {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  filePath(key) {
+    const digest = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${digest}.json`);
+  }
+
+  async get(key) {
+    try {
+      const raw = await fs.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`ResearchCache: unreadable cache file for ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const target = this.filePath(key);
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entry));
+    await fs.rename(tmp, target);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const raw = await fs.readFile(path.join(this.directory, file), 'utf8');
+        entries.push({ file, entry: JSON.parse(raw) });
+      } catch {
+        // Skip files removed or half-written by another process
+      }
+    }
+    return entries;
+  }
+
+  async purge({ npi, product }) {
+    let removed = 0;
+    for (const { file, entry } of await this.list()) {
+      if ((!npi || entry.npi === npi) && (!product || entry.product === product)) {
+        await fs.rm(path.join(this.directory, file), { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async size() {
+    return (await this.list()).length;
+  }
+}
+
+/**
+ * Supabase/Postgres table store. Shared by every instance.
+ */
+class PostgresCacheStore {
+  constructor(supabase) {
+    this.name = 'postgres';
+    this.supabase = supabase;
+    this.table = 'research_cache';
+  }
+
+  async get(key) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('cache_key', key)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data) return null;
+
+    return {
+      npi: data.npi,
+      product: data.product,
+      data: data.data,
+      cachedAt: new Date(data.cached_at).getTime(),
+      expiresAt: new Date(data.expires_at).getTime()
+    };
+  }
+
+  async set(key, entry) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .upsert({
+        cache_key: key,
+        npi: entry.npi,
+        product: entry.product,
+        data: entry.data,
+        cached_at: new Date(entry.cachedAt).toISOString(),
+        expires_at: new Date(entry.expiresAt).toISOString()
+      }, { onConflict: 'cache_key' });
+
+    if (error) throw new Error(error.message);
+  }
+
+  async delete(key) {
+    const { error } = await this.supabase.from(this.table).delete().eq('cache_key', key);
+    if (error) throw new Error(error.message);
+  }
+
+  async purge({ npi, product }) {
+    let query = this.supabase.from(this.table).delete();
+    if (npi) query = query.eq('npi', npi);
+    if (product) query = query.eq('product', product);
+    if (!npi && !product) query = query.neq('cache_key', '');
+
+    const { data, error } = await query.select('cache_key');
+    if (error) throw new Error(error.message);
+    return data?.length || 0;
+  }
+
+  async size() {
+    const { count, error } = await this.supabase
+      .from(this.table)
+      .select('cache_key', { count: 'exact', head: true });
+    if (error) throw new Error(error.message);
+    return count || 0;
+  }
+}
+
+/**
+ * Research Result Cache
+ *
+ * Caches completed doctor research keyed on NPI + product with per-product
+ * TTLs. The backend is chosen with RESEARCH_CACHE_BACKEND (memory | file |
+ * postgres); it defaults to postgres when Supabase is configured.
+ */
+class ResearchCache {
+  constructor() {
+    this.ttlHours = this.loadTtlConfig();
+    this.store = this.createStore(process.env.RESEARCH_CACHE_BACKEND);
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      expired: 0,
+      writes: 0,
+      purged: 0,
+      errors: 0
+    };
+
+    logger.info(`ResearchCache: using ${this.store.name} backend`);
+  }
+
+  loadTtlConfig() {
+    if (!process.env.RESEARCH_CACHE_TTLS) {
+      return { ...DEFAULT_TTL_HOURS };
+    }
+
+    try {
+      const overrides = JSON.parse(process.env.RESEARCH_CACHE_TTLS);
+      const normalized = {};
+      for (const [product, hours] of Object.entries(overrides)) {
+        normalized[product === 'default' ? 'default' : normalizeProduct(product)] = Number(hours);
+      }
+      return { ...DEFAULT_TTL_HOURS, ...normalized };
+    } catch (error) {
+      logger.error('ResearchCache: invalid RESEARCH_CACHE_TTLS, using defaults:', error.message);
+      return { ...DEFAULT_TTL_HOURS };
+    }
+  }
+
+  createStore(backend) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+    const requested = backend || (supabaseUrl && supabaseKey ? 'postgres' : 'memory');
+
+    switch (requested) {
+      case 'postgres':
+        if (supabaseUrl && supabaseKey) {
+          return new PostgresCacheStore(createClient(supabaseUrl, supabaseKey));
+        }
+        logger.warn('ResearchCache: postgres backend requested but Supabase is not configured, falling back to memory');
+        return new MemoryCacheStore();
+      case 'file':
+        return new FileCacheStore(
+          process.env.RESEARCH_CACHE_DIR || path.join(__dirname, '../temp/research-cache')
+        );
+      case 'memory':
+        return new MemoryCacheStore();
+      default:
+        logger.warn(`ResearchCache: unknown backend "${requested}", falling back to memory`);
+        return new MemoryCacheStore();
+    }
+  }
+
+  /**
+   * Cache lifetime for a product in milliseconds
+   * @param {string} product
+   * @returns {number}
+   */
+  ttlFor(product) {
+    const hours = this.ttlHours[normalizeProduct(product)] ?? this.ttlHours.default;
+    return hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Look up a cached research result
+   * @param {string} npi
+   * @param {string} product
+   * @returns {Promise<object|null>} { data, cachedAt, expiresAt } or null on miss
+   */
+  async get(npi, product) {
+    const key = cacheKey(npi, product);
+
+    try {
+      const entry = await this.store.get(key);
+
+      if (!entry) {
+        this.stats.misses++;
+        return null;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        this.stats.misses++;
+        this.stats.expired++;
+        await this.store.delete(key);
+        return null;
+      }
+
+      this.stats.hits++;
+      return entry;
+    } catch (error) {
+      // A broken cache must never block research; treat it as a miss
+      this.stats.errors++;
+      this.stats.misses++;
+      logger.error(`ResearchCache: read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a research result
+   * @param {string} npi
+   * @param {string} product
+   * @param {object} data - Research result
+   */
+  async set(npi, product, data) {
+    const key = cacheKey(npi, product);
+    const now = Date.now();
+
+    try {
+      await this.store.set(key, {
+        npi,
+        product: normalizeProduct(product),
+        data,
+        cachedAt: now,
+        expiresAt: now + this.ttlFor(product)
+      });
+      this.stats.writes++;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`ResearchCache: write failed for ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove cached entries by NPI, product, or both. With neither, clears everything.
+   * @param {object} filter
+   * @param {string} filter.npi
+   * @param {string} filter.product
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purge({ npi = null, product = null } = {}) {
+    const removed = await this.store.purge({
+      npi,
+      product: product ? normalizeProduct(product) : null
+    });
+    this.stats.purged += removed;
+    logger.info(`ResearchCache: purged ${removed} entr${removed === 1 ? 'y' : 'ies'}`, { npi, product });
+    return removed;
+  }
+
+  /**
+   * Hit/miss statistics for health checks
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    let size = null;
+    try {
+      size = await this.store.size();
+    } catch (error) {
+      logger.warn('ResearchCache: could not read cache size:', error.message);
+    }
+
+    return {
+      backend: this.store.name,
+      size,
+      ...this.stats,
+      hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : 0,
+      ttlHours: this.ttlHours
+    };
+  }
+}
+
+// Export singleton
+const researchCache = new ResearchCache();
+export { ResearchCache };
+export default researchCache;
@@ -0,0 +1,227 @@
+import fs from 'fs';
+
+import logger from '../utils/logger.js';
+import { researchScoringConfig } from '../config/researchScoring.config.js';
+
+/**
+ * Signal evaluators
+ * Each returns { matched, points, detail } for a rubric signal definition.
+ * Negative signals carry negative `points` in the rubric.
+ */
+const EVALUATORS = {
+  npi_verified: (signal, data) => ({
+    matched: !!data.npiVerified,
+    points: data.npiVerified ? signal.points : 0,
+    detail: data.npiVerified ? 'Provider verified against the CMS NPI registry' : 'NPI not verified'
+  }),
+
+  source_count: (signal, data) => {
+    const count = data.sources?.length || 0;
+    const points = Math.min(count * signal.pointsPerSource, signal.maxPoints);
+    return {
+      matched: count > 0,
+      points,
+      detail: `${count} source${count === 1 ? '' : 's'} at ${signal.pointsPerSource} points each (max ${signal.maxPoints})`
+    };
+  },
+
+  website_found: (signal, data) => ({
+    matched: !!data.websiteData?.url,
+    points: data.websiteData?.url ? signal.points : 0,
+    detail: data.websiteData?.url ? `Website found: ${data.websiteData.url}` : 'No practice website found'
+  }),
+
+  review_volume: (signal, data) => {
+    const total = data.reviewData?.totalReviews || 0;
+    const points = Math.min(signal.maxPoints, Math.floor(total / signal.reviewsPerPoint));
+    return {
+      matched: total > 0,
+      points,
+      detail: `${total} reviews at 1 point per ${signal.reviewsPerPoint} (max ${signal.maxPoints})`
+    };
+  },
+
+  buying_signals: (signal, data) => {
+    const count = data.synthesis?.buyingSignals?.length || 0;
+    return {
+      matched: count > 0,
+      points: count > 0 ? signal.points : 0,
+      detail: count > 0 ? `${count} buying signal${count === 1 ? '' : 's'} identified` : 'No buying signals identified'
+    };
+  },
+
+  stale_website: (signal, data) => {
+    const year = data.websiteData?.copyrightYear;
+    if (!year) {
+      return { matched: false, points: 0, detail: 'Website age unknown' };
+    }
+    const age = new Date().getFullYear() - year;
+    const stale = age > signal.maxAgeYears;
+    return {
+      matched: stale,
+      points: stale ? signal.points : 0,
+      detail: stale
+        ? `Website last updated around ${year} (${age} years ago, limit ${signal.maxAgeYears})`
+        : `Website updated in ${year}`
+    };
+  },
+
+  conflicting_address: (signal, data) => {
+    const npiZip = data.doctor?.postalCode?.slice(0, 5);
+    const websiteZips = data.websiteData?.postalCodes || [];
+    if (!npiZip || websiteZips.length === 0) {
+      return { matched: false, points: 0, detail: 'Not enough address data to compare' };
+    }
+    const conflict = !websiteZips.includes(npiZip);
+    return {
+      matched: conflict,
+      points: conflict ? signal.points : 0,
+      detail: conflict
+        ? `NPI ZIP ${npiZip} not found on website (website lists ${websiteZips.join(', ')})`
+        : `NPI ZIP ${npiZip} matches website`
+    };
+  },
+
+  npi_deactivated: (signal, data) => {
+    const deactivationDate = data.doctor?.deactivationDate;
+    const inactive = !!deactivationDate || (!!data.doctor?.npiStatus && data.doctor.npiStatus !== 'A');
+    return {
+      matched: inactive,
+      points: inactive ? signal.points : 0,
+      detail: inactive
+        ? `NPI deactivated${deactivationDate ? ` on ${deactivationDate}` : ''}`
+        : 'NPI active'
+    };
+  }
+};
+
+// Numeric settings each evaluator reads from its signal definition
+const SIGNAL_SETTINGS = {
+  npi_verified: ['points'],
+  source_count: ['pointsPerSource', 'maxPoints'],
+  website_found: ['points'],
+  review_volume: ['reviewsPerPoint', 'maxPoints'],
+  buying_signals: ['points'],
+  stale_website: ['points', 'maxAgeYears'],
+  conflicting_address: ['points'],
+  npi_deactivated: ['points']
+};
+
+/**
+ * Research Confidence Scorer
+ *
+ * Scores research results against versioned, per-product-line rubrics from
+ * config/researchScoring.config.js and explains every signal that contributed.
+ */
+class ResearchConfidenceScorer {
+  constructor() {
+    this.rubrics = this.loadRubrics();
+    this.defaultRubric = researchScoringConfig.defaultRubric;
+  }
+
+  loadRubrics() {
+    const rubrics = new Map(researchScoringConfig.rubrics.map(rubric => [rubric.id, rubric]));
+    const overridePath = process.env.RESEARCH_SCORING_RUBRICS_FILE;
+
+    if (overridePath) {
+      try {
+        const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+        // Validate the whole file first so a bad rubric leaves every built-in in place
+        (overrides.rubrics || []).forEach(rubric => this.validateRubric(rubric));
+        for (const rubric of overrides.rubrics || []) {
+          rubrics.set(rubric.id, rubric);
+        }
+        logger.info(`ResearchConfidenceScorer: loaded ${overrides.rubrics?.length || 0} rubric(s) from ${overridePath}`);
+      } catch (error) {
+        logger.error(`ResearchConfidenceScorer: ignoring invalid rubric file ${overridePath}:`, error.message);
+      }
+    }
+
+    return rubrics;
+  }
+
+  validateRubric(rubric) {
+    if (!rubric.id || !rubric.version || !Array.isArray(rubric.signals)) {
+      throw new Error('Rubric requires id, version and signals');
+    }
+    if (!Number.isFinite(rubric.cap)) {
+      throw new Error(`Rubric ${rubric.id}: cap must be a number`);
+    }
+    for (const signal of rubric.signals) {
+      if (!EVALUATORS[signal.type]) {
+        throw new Error(`Rubric ${rubric.id}: unknown signal type "${signal.type}"`);
+      }
+      for (const setting of SIGNAL_SETTINGS[signal.type]) {
+        if (!Number.isFinite(signal[setting])) {
+          throw new Error(`Rubric ${rubric.id}: signal "${signal.id}" needs a numeric ${setting}`);
+        }
+      }
+      if (signal.type === 'review_volume' && signal.reviewsPerPoint <= 0) {
+        throw new Error(`Rubric ${rubric.id}: signal "${signal.id}" needs a positive reviewsPerPoint`);
+      }
+    }
+  }
+
+  /**
+   * Pick the rubric for a product; falls back to the default rubric
+   * @param {string} product
+   * @returns {object} Rubric
+   */
+  rubricFor(product) {
+    const productLower = String(product || '').toLowerCase();
+    for (const rubric of this.rubrics.values()) {
+      if (rubric.productLines?.some(line => productLower.includes(line))) {
+        return rubric;
+      }
+    }
+    return this.rubrics.get(this.defaultRubric);
+  }
+
+  /**
+   * Score a research result
+   * @param {object} data - Research result (doctor, sources, websiteData, reviewData, synthesis)
+   * @param {string} product - Product the research was run for
+   * @returns {object} { score, breakdown, signals, rubricId, rubricVersion }
+   */
+  score(data, product) {
+    const rubric = this.rubricFor(product);
+    const breakdown = {};
+    const signals = [];
+    let total = 0;
+
+    for (const signal of rubric.signals) {
+      const result = EVALUATORS[signal.type](signal, data);
+      total += result.points;
+      breakdown[signal.id] = result.points;
+      signals.push({
+        id: signal.id,
+        label: signal.label,
+        kind: (signal.points ?? signal.maxPoints) < 0 ? 'negative' : 'positive',
+        matched: result.matched,
+        points: result.points,
+        maxPoints: signal.points ?? signal.maxPoints,
+        detail: result.detail
+      });
+    }
+
+    return {
+      score: Math.max(0, Math.min(total, rubric.cap)),
+      breakdown,
+      signals,
+      rubricId: rubric.id,
+      rubricVersion: rubric.version
+    };
+  }
+
+  /**
+   * Rubric definitions, for clients that display the scoring method
+   */
+  listRubrics() {
+    return Array.from(this.rubrics.values());
+  }
+}
+
+// Export singleton
+const researchConfidenceScorer = new ResearchConfidenceScorer();
+export { ResearchConfidenceScorer };
+export default researchConfidenceScorer;
@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events';
+
+import researchJobQueue from './researchJobQueue.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Research Event Stream
+ *
+ * Turns research job queue events into an ordered, replayable event log per
+ * job. Each event gets a sequence id so SSE clients can reconnect with
+ * Last-Event-ID and receive only what they missed. Logs are kept for a short
+ * retention window after the job finishes.
+ */
+class ResearchEventStream extends EventEmitter {
+  constructor(queue) {
+    super();
+    this.setMaxListeners(0); // One listener per open SSE connection
+
+    this.logs = new Map(); // jobId -> { lastId, events, finishedAt }
+    this.maxEventsPerJob = 200;
+    this.retention = 10 * 60 * 1000; // Keep finished job logs for 10 minutes
+
+    queue.on('started', job => this.publish(job.id, 'progress', this.snapshot(job)));
+    queue.on('progress', ({ jobId, partial, ...update }) => {
+      this.publish(jobId, 'progress', { status: 'processing', ...update });
+      if (partial) {
+        this.publish(jobId, 'partial', partial);
+      }
+    });
+    queue.on('completed', job => this.publish(job.id, 'progress', this.snapshot(job)));
+    queue.on('failed', job => this.publish(job.id, 'progress', this.snapshot(job)));
+    queue.on('cancelled', job => this.publish(job.id, 'progress', this.snapshot(job)));
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Build a progress payload from a job record
+   * @param {object} job
+   * @returns {object}
+   */
+  snapshot(job) {
+    return {
+      status: job.status,
+      progress: job.progress,
+      stage: job.stage,
+      message: job.message,
+      ...(job.error ? { error: job.error } : {})
+    };
+  }
+
+  /**
+   * Append an event to a job's log and notify subscribers
+   * @param {string} jobId
+   * @param {string} type - 'progress' or 'partial'
+   * @param {object} payload
+   */
+  publish(jobId, type, payload) {
+    let log = this.logs.get(jobId);
+    if (!log) {
+      log = { lastId: 0, events: [], finishedAt: null };
+      this.logs.set(jobId, log);
+    }
+
+    const event = { id: ++log.lastId, type, payload };
+    log.events.push(event);
+    if (log.events.length > this.maxEventsPerJob) {
+      log.events.shift();
+    }
+
+    if (type === 'progress' && TERMINAL_STATUSES.includes(payload.status)) {
+      log.finishedAt = Date.now();
+    }
+
+    this.emit(jobId, event);
+  }
+
+  /**
+   * Events recorded after a given id
+   * @param {string} jobId
+   * @param {number} afterId - Last event id the client saw
+   * @returns {Array<object>}
+   */
+  replay(jobId, afterId = 0) {
+    const log = this.logs.get(jobId);
+    if (!log) return [];
+    return log.events.filter(event => event.id > afterId);
+  }
+
+  /**
+   * Id of the most recent event for a job
+   * @param {string} jobId
+   * @returns {number}
+   */
+  lastEventId(jobId) {
+    return this.logs.get(jobId)?.lastId || 0;
+  }
+
+  /**
+   * Listen for new events on a job
+   * @param {string} jobId
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.on(jobId, listener);
+    return () => this.off(jobId, listener);
+  }
+
+  /**
+   * Whether an event marks the end of a job
+   * @param {object} event
+   * @returns {boolean}
+   */
+  isTerminal(event) {
+    return event.type === 'progress' && TERMINAL_STATUSES.includes(event.payload.status);
+  }
+
+  cleanup() {
+    const cutoff = Date.now() - this.retention;
+    for (const [jobId, log] of this.logs) {
+      if (log.finishedAt && log.finishedAt < cutoff && this.listenerCount(jobId) === 0) {
+        this.logs.delete(jobId);
+      }
+    }
+  }
+}
+
+// Export singleton bound to the research job queue
+const researchEventStream = new ResearchEventStream(researchJobQueue);
+export { ResearchEventStream };
+export default researchEventStream;
@@ -0,0 +1,568 @@
+import os from 'os';
+import { EventEmitter } from 'events';
+
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../utils/logger.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Research Job Queue
+ *
+ * Durable queue for Canvas doctor research jobs. Jobs are persisted to the
+ * `research_jobs` table so in-flight research survives restarts and deploys;
+ * when Supabase is not configured the queue falls back to an in-process Map.
+ *
+ * Each instance runs up to `concurrency` jobs at once, heartbeats the jobs it
+ * owns, and re-queues jobs whose owner stopped heartbeating (crash, redeploy),
+ * both at start and periodically while it runs.
+ */
+class ResearchJobQueue extends EventEmitter {
+  constructor() {
+    super();
+
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('ResearchJobQueue: Supabase credentials not configured, jobs will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.table = 'research_jobs';
+    this.memoryJobs = new Map(); // Fallback store when Supabase is unavailable
+    this.running = new Map(); // jobId -> AbortController
+
+    this.config = {
+      concurrency: parseInt(process.env.RESEARCH_WORKER_CONCURRENCY) || 3,
+      batchConcurrency: parseInt(process.env.RESEARCH_BATCH_CONCURRENCY) || 2, // Max running jobs per batch
+      maxAttempts: parseInt(process.env.RESEARCH_JOB_MAX_ATTEMPTS) || 3,
+      pollInterval: parseInt(process.env.RESEARCH_QUEUE_POLL_INTERVAL) || 5000, // 5 seconds
+      heartbeatInterval: 30000, // 30 seconds
+      staleAfter: 120000, // 2 minutes without a heartbeat
+      recoverInterval: 60000, // How often tick() looks for jobs orphaned by other instances
+      retryDelay: 30000 // Base delay before a failed job is retried
+    };
+
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.processor = null;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.started = false;
+    this.ticking = false;
+    this.lastRecoveryAt = 0;
+  }
+
+  /**
+   * Register the function that performs the research for a job
+   * @param {Function} processor - async (job, { signal, updateProgress }) => result
+   */
+  setProcessor(processor) {
+    this.processor = processor;
+  }
+
+  /**
+   * Start polling for work and recover jobs orphaned by a previous process
+   */
+  async start() {
+    if (this.started) return;
+    if (!this.processor) {
+      throw new Error('ResearchJobQueue: processor must be set before start()');
+    }
+
+    this.started = true;
+    await this.recoverStaleJobs();
+
+    this.pollTimer = setInterval(() => this.tick(), this.config.pollInterval);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.config.heartbeatInterval);
+
+    logger.info(`ResearchJobQueue: started worker ${this.workerId} (concurrency ${this.config.concurrency})`);
+    this.tick();
+  }
+
+  /**
+   * Stop taking new work and hand running jobs back to the queue
+   */
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+
+    const runningIds = Array.from(this.running.keys());
+    for (const [jobId, controller] of this.running) {
+      controller.abort();
+      await this.updateJob(jobId, {
+        status: 'queued',
+        locked_by: null,
+        message: 'Re-queued after worker shutdown'
+      });
+    }
+    this.running.clear();
+
+    logger.info(`ResearchJobQueue: stopped worker ${this.workerId}, re-queued ${runningIds.length} job(s)`);
+  }
+
+  /**
+   * Add a research job to the queue
+   * @param {object} params
+   * @param {object} params.doctor - Doctor record from NPI lookup
+   * @param {string} params.product - Product being researched for
+   * @param {string} params.userId - Requesting user
+   * @param {string} params.batchId - Optional batch the job belongs to
+   * @param {string} params.id - Job id, for callers that record it before queueing
+   * @returns {Promise<object>} The queued job
+   */
+  async enqueue({ doctor, product, userId = null, batchId = null, id = uuidv4() }) {
+    const now = new Date().toISOString();
+    const row = {
+      id,
+      user_id: userId,
+      batch_id: batchId,
+      doctor,
+      product,
+      status: 'queued',
+      progress: 0,
+      stage: 'queued',
+      message: 'Waiting for an available research worker...',
+      attempts: 0,
+      available_at: now,
+      created_at: now,
+      updated_at: now
+    };
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from(this.table).insert(row);
+      if (error) {
+        logger.error('ResearchJobQueue: failed to persist job:', error);
+        throw new Error(`Failed to queue research job: ${error.message}`);
+      }
+    } else {
+      this.memoryJobs.set(row.id, row);
+    }
+
+    this.emit('queued', this.toJob(row));
+    setImmediate(() => this.tick());
+
+    return this.toJob(row);
+  }
+
+  /**
+   * Fetch a job by id
+   * @param {string} jobId
+   * @returns {Promise<object|null>}
+   */
+  async getJob(jobId) {
+    if (!this.supabase) {
+      const row = this.memoryJobs.get(jobId);
+      return row ? this.toJob(row) : null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('ResearchJobQueue: failed to load job:', error);
+      throw new Error(`Failed to load research job: ${error.message}`);
+    }
+
+    return data ? this.toJob(data) : null;
+  }
+
+  /**
+   * List the jobs that belong to a batch, oldest first
+   * @param {string} batchId
+   * @returns {Promise<Array<object>>}
+   */
+  async listBatchJobs(batchId) {
+    if (!this.supabase) {
+      return Array.from(this.memoryJobs.values())
+        .filter(row => row.batch_id === batchId)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(row => this.toJob(row));
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('batch_id', batchId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('ResearchJobQueue: failed to load batch jobs:', error);
+      throw new Error(`Failed to load batch jobs: ${error.message}`);
+    }
+
+    return (data || []).map(row => this.toJob(row));
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId
+   * @returns {Promise<object|null>} The cancelled job, or null if it does not exist
+   */
+  async cancel(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) return null;
+    if (TERMINAL_STATUSES.includes(job.status)) return job;
+
+    const row = await this.updateJob(jobId, {
+      status: 'cancelled',
+      message: 'Research cancelled',
+      locked_by: null,
+      completed_at: new Date().toISOString()
+    });
+
+    // Abort locally if this instance owns the job; other instances notice the
+    // status change through updateProgress() on their next stage.
+    this.running.get(jobId)?.abort();
+
+    const cancelled = row ? this.toJob(row) : { ...job, status: 'cancelled' };
+    this.emit('cancelled', cancelled);
+    return cancelled;
+  }
+
+  /**
+   * Persist a partial update for a job
+   * @param {string} jobId
+   * @param {object} patch - Column values (snake_case)
+   * @returns {Promise<object|null>} Updated row
+   */
+  async updateJob(jobId, patch) {
+    const update = { ...patch, updated_at: new Date().toISOString() };
+
+    if (!this.supabase) {
+      const row = this.memoryJobs.get(jobId);
+      if (!row) return null;
+      Object.assign(row, update);
+      return row;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update(update)
+      .eq('id', jobId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`ResearchJobQueue: failed to update job ${jobId}:`, error);
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Claim and start as many queued jobs as there are free worker slots
+   */
+  async tick() {
+    if (!this.started || this.ticking) return;
+    this.ticking = true;
+
+    try {
+      // Another instance may have died while this one stays up
+      if (Date.now() - this.lastRecoveryAt >= this.config.recoverInterval) {
+        await this.recoverStaleJobs();
+      }
+
+      while (this.running.size < this.config.concurrency) {
+        const row = await this.claimNext();
+        if (!row) break;
+        this.runJob(row);
+      }
+    } catch (error) {
+      logger.error('ResearchJobQueue: tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Atomically move the oldest available queued job to processing
+   * @returns {Promise<object|null>} Claimed row
+   */
+  async claimNext() {
+    const now = new Date().toISOString();
+    const claim = {
+      status: 'processing',
+      stage: 'starting',
+      message: 'Initializing research...',
+      locked_by: this.workerId,
+      heartbeat_at: now,
+      started_at: now,
+      updated_at: now
+    };
+
+    if (!this.supabase) {
+      const rows = Array.from(this.memoryJobs.values());
+      const candidate = rows
+        .filter(row => row.status === 'queued' && row.available_at <= now)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .find(row => !row.batch_id || rows.filter(other =>
+          other.batch_id === row.batch_id && other.status === 'processing'
+        ).length < this.config.batchConcurrency);
+      if (!candidate) return null;
+      Object.assign(candidate, claim, { attempts: candidate.attempts + 1 });
+      return candidate;
+    }
+
+    const { data: candidates, error } = await this.supabase
+      .from(this.table)
+      .select('id, attempts, batch_id')
+      .eq('status', 'queued')
+      .lte('available_at', now)
+      .order('created_at', { ascending: true })
+      .limit(20);
+
+    if (error) {
+      logger.error('ResearchJobQueue: failed to poll queue:', error);
+      return null;
+    }
+
+    const saturatedBatches = new Set();
+    for (const candidate of candidates || []) {
+      // Keep one large batch from occupying every worker slot
+      if (candidate.batch_id) {
+        if (saturatedBatches.has(candidate.batch_id)) continue;
+        const { count } = await this.supabase
+          .from(this.table)
+          .select('id', { count: 'exact', head: true })
+          .eq('batch_id', candidate.batch_id)
+          .eq('status', 'processing');
+        if ((count || 0) >= this.config.batchConcurrency) {
+          saturatedBatches.add(candidate.batch_id);
+          continue;
+        }
+      }
+
+      // The status guard makes the claim a compare-and-set across instances
+      const { data: claimed } = await this.supabase
+        .from(this.table)
+        .update({ ...claim, attempts: candidate.attempts + 1 })
+        .eq('id', candidate.id)
+        .eq('status', 'queued')
+        .select()
+        .maybeSingle();
+
+      if (claimed) return claimed;
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a claimed job through the processor and record the outcome
+   * @param {object} row - Claimed job row
+   */
+  async runJob(row) {
+    const controller = new AbortController();
+    this.running.set(row.id, controller);
+    this.emit('started', this.toJob(row));
+
+    const updateProgress = async (update) => {
+      if (controller.signal.aborted) return;
+
+      const saved = await this.updateJob(row.id, {
+        progress: update.progress,
+        stage: update.stage,
+        message: update.message,
+        heartbeat_at: new Date().toISOString()
+      });
+
+      if (saved?.status === 'cancelled') {
+        controller.abort();
+        return;
+      }
+
+      this.emit('progress', { jobId: row.id, ...update });
+    };
+
+    try {
+      const data = await this.processor(this.toJob(row), { signal: controller.signal, updateProgress });
+
+      if (controller.signal.aborted) return;
+
+      const saved = await this.updateJob(row.id, {
+        status: 'completed',
+        progress: 100,
+        stage: 'completed',
+        message: 'Research complete!',
+        data,
+        error: null,
+        locked_by: null,
+        completed_at: new Date().toISOString()
+      });
+      this.emit('completed', this.toJob(saved || { ...row, status: 'completed', data }));
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      await this.handleFailure(row, error);
+    } finally {
+      this.running.delete(row.id);
+      setImmediate(() => this.tick());
+    }
+  }
+
+  /**
+   * Retry a failed job with backoff, or mark it failed once attempts run out
+   * @param {object} row - Job row
+   * @param {Error} error - Failure cause
+   */
+  async handleFailure(row, error) {
+    const attempts = row.attempts || 1;
+
+    if (attempts < this.config.maxAttempts) {
+      const delay = this.config.retryDelay * Math.pow(2, attempts - 1);
+      logger.warn(`ResearchJobQueue: job ${row.id} failed (attempt ${attempts}), retrying in ${delay}ms: ${error.message}`);
+
+      await this.updateJob(row.id, {
+        status: 'queued',
+        stage: 'retrying',
+        message: `Research step failed, retrying (attempt ${attempts + 1} of ${this.config.maxAttempts})...`,
+        error: error.message,
+        locked_by: null,
+        available_at: new Date(Date.now() + delay).toISOString()
+      });
+      return;
+    }
+
+    logger.error(`ResearchJobQueue: job ${row.id} failed after ${attempts} attempt(s):`, error);
+    const saved = await this.updateJob(row.id, {
+      status: 'failed',
+      message: 'Research failed',
+      error: error.message,
+      locked_by: null,
+      completed_at: new Date().toISOString()
+    });
+    this.emit('failed', this.toJob(saved || { ...row, status: 'failed', error: error.message }));
+  }
+
+  /**
+   * Refresh heartbeats for the jobs this worker is running
+   */
+  async heartbeat() {
+    const now = new Date().toISOString();
+    for (const jobId of this.running.keys()) {
+      await this.updateJob(jobId, { heartbeat_at: now });
+    }
+  }
+
+  /**
+   * Re-queue processing jobs whose worker stopped heartbeating
+   */
+  async recoverStaleJobs() {
+    this.lastRecoveryAt = Date.now();
+    const cutoff = new Date(Date.now() - this.config.staleAfter).toISOString();
+    const requeue = {
+      status: 'queued',
+      stage: 'queued',
+      message: 'Resuming research after a worker stopped...',
+      locked_by: null,
+      available_at: new Date().toISOString()
+    };
+    const failed = {
+      status: 'failed',
+      message: 'Research failed',
+      error: 'Worker stopped repeatedly while processing this job',
+      locked_by: null,
+      completed_at: new Date().toISOString()
+    };
+
+    if (!this.supabase) {
+      return; // In-memory jobs cannot outlive the process that owns them
+    }
+
+    const { data: stale, error } = await this.supabase
+      .from(this.table)
+      .select('id, attempts')
+      .eq('status', 'processing')
+      .lt('heartbeat_at', cutoff);
+
+    if (error) {
+      logger.error('ResearchJobQueue: failed to load stale jobs:', error);
+      return;
+    }
+
+    let recovered = 0;
+    for (const row of stale || []) {
+      if (this.running.has(row.id)) continue;
+
+      // Guard on the stale heartbeat so a job whose worker just caught up, or
+      // that another instance already recovered, is left alone
+      const { data } = await this.supabase
+        .from(this.table)
+        .update({ ...(row.attempts >= this.config.maxAttempts ? failed : requeue), updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', 'processing')
+        .lt('heartbeat_at', cutoff)
+        .select('id')
+        .maybeSingle();
+      if (data) recovered++;
+    }
+
+    if (recovered) {
+      logger.info(`ResearchJobQueue: recovered ${recovered} stale job(s)`);
+    }
+  }
+
+  /**
+   * Whether this instance is the one running a job
+   * @param {string} jobId
+   * @returns {boolean}
+   */
+  isRunningLocally(jobId) {
+    return this.running.has(jobId);
+  }
+
+  /**
+   * Queue statistics for health checks
+   */
+  getStats() {
+    return {
+      workerId: this.workerId,
+      started: this.started,
+      persistent: !!this.supabase,
+      concurrency: this.config.concurrency,
+      runningJobs: this.running.size
+    };
+  }
+
+  /**
+   * Map a database row to the job shape used by the research routes
+   * @param {object} row
+   * @returns {object}
+   */
+  toJob(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      batchId: row.batch_id,
+      doctor: row.doctor,
+      product: row.product,
+      status: row.status,
+      progress: row.progress,
+      stage: row.stage,
+      message: row.message,
+      data: row.data,
+      error: row.error,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+// Export singleton
+const researchJobQueue = new ResearchJobQueue();
+export { ResearchJobQueue };
+export default researchJobQueue;
@@ -0,0 +1,64 @@
+import ProviderAdapter from './providerAdapter.js';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+
+// USD per 1K tokens by model; `default` covers models not listed
+const MODEL_PRICES = {
+  'claude-3-opus-20240229': { inputPer1k: 0.015, outputPer1k: 0.075 },
+  default: { inputPer1k: 0.003, outputPer1k: 0.015 }
+};
+
+/**
+ * Anthropic adapter (messages API)
+ */
+export class AnthropicProvider extends ProviderAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'anthropic',
+      timeout: 90000,
+      costs: { models: MODEL_PRICES },
+      ...options
+    });
+  }
+
+  isConfigured() {
+    return !!process.env.ANTHROPIC_API_KEY;
+  }
+
+  estimateCost(_operation, result) {
+    const models = this.costs.models || MODEL_PRICES;
+    const prices = models[result?.model] || models.default || MODEL_PRICES.default;
+    const usage = result?.usage || {};
+    return ((usage.input_tokens || 0) / 1000) * prices.inputPer1k +
+      ((usage.output_tokens || 0) / 1000) * prices.outputPer1k;
+  }
+
+  /**
+   * Single-prompt message
+   * @param {string} prompt
+   * @param {object} options - { model, maxTokens, temperature, signal }
+   * @returns {Promise<object>} { text, usage, model, raw }
+   */
+  message(prompt, { model = 'claude-3-5-sonnet-20241022', maxTokens = 1000, temperature, signal } = {}) {
+    return this.request('message', async (attemptSignal) => {
+      const raw = await this.transport('message', {
+        method: 'POST',
+        url: ANTHROPIC_API_URL,
+        data: {
+          model,
+          max_tokens: maxTokens,
+          messages: [{ role: 'user', content: prompt }],
+          ...(temperature !== undefined && { temperature })
+        },
+        headers: {
+          'x-api-key': process.env.ANTHROPIC_API_KEY,
+          'Content-Type': 'application/json',
+          'anthropic-version': '2023-06-01'
+        }
+      }, attemptSignal);
+      return { text: raw.content?.[0]?.text || '', usage: raw.usage || {}, model, raw };
+    }, { signal });
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,77 @@
+import ProviderAdapter from './providerAdapter.js';
+
+const APIFY_API_URL = 'https://api.apify.com/v2';
+
+/**
+ * Apify adapter (actor runs and their datasets)
+ */
+export class ApifyProvider extends ProviderAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'apify',
+      timeout: 30000,
+      retries: 1,
+      costs: { perCall: 0 },
+      ...options
+    });
+  }
+
+  isConfigured() {
+    return !!process.env.APIFY_API_KEY;
+  }
+
+  // Apify reports the compute cost of each run
+  estimateCost(operation, result) {
+    return operation === 'runActor' ? result?.usageTotalUsd || this.costs.perCall : 0;
+  }
+
+  headers() {
+    return {
+      'Authorization': `Bearer ${process.env.APIFY_API_KEY}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Start an actor run, optionally waiting up to five minutes for it to finish
+   * @param {string} actorId
+   * @param {object} input - Actor input
+   * @param {object} options - { waitForFinish, signal }
+   * @returns {Promise<object>} { runId, status, usageTotalUsd, raw }
+   */
+  runActor(actorId, input, { waitForFinish = true, signal } = {}) {
+    return this.request('runActor', async (attemptSignal) => {
+      const raw = await this.transport('runActor', {
+        method: 'POST',
+        url: `${APIFY_API_URL}/acts/${actorId}/runs`,
+        data: input,
+        params: { waitForFinish: waitForFinish ? '300' : '0' },
+        headers: this.headers()
+      }, attemptSignal);
+      const run = raw.data;
+      return { runId: run.id, status: run.status, usageTotalUsd: run.usageTotalUsd || 0, raw };
+    }, {
+      signal,
+      timeout: waitForFinish ? 310000 : this.timeout,
+      retries: 0 // A retried POST would start a second run
+    });
+  }
+
+  /**
+   * Items produced by a run
+   * @param {string} runId
+   * @param {object} options - { signal }
+   * @returns {Promise<Array<object>>}
+   */
+  datasetItems(runId, { signal } = {}) {
+    return this.request('datasetItems', async (attemptSignal) => {
+      return this.transport('datasetItems', {
+        method: 'GET',
+        url: `${APIFY_API_URL}/actor-runs/${runId}/dataset/items`,
+        headers: this.headers()
+      }, attemptSignal);
+    }, { signal });
+  }
+}
+
+export default ApifyProvider;
@@ -0,0 +1,72 @@
+import ProviderAdapter from './providerAdapter.js';
+
+const BRAVE_API_URL = 'https://api.search.brave.com/res/v1/web/search';
+
+/**
+ * Brave Search adapter (web and local results)
+ */
+export class BraveProvider extends ProviderAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'brave',
+      timeout: 10000,
+      costs: { perCall: 0.005 },
+      ...options
+    });
+  }
+
+  isConfigured() {
+    return !!process.env.BRAVE_API_KEY;
+  }
+
+  search(operation, params, signal) {
+    return this.transport(operation, {
+      method: 'GET',
+      url: BRAVE_API_URL,
+      params,
+      headers: {
+        'Accept': 'application/json',
+        'X-Subscription-Token': process.env.BRAVE_API_KEY
+      }
+    }, signal);
+  }
+
+  /**
+   * Web search
+   * @param {string} query
+   * @param {object} options - { count, signal, ...extra Brave params such as country }
+   * @returns {Promise<object>} { results: [{ title, url, description }], raw }
+   */
+  webSearch(query, { count = 10, signal, ...params } = {}) {
+    return this.request('webSearch', async (attemptSignal) => {
+      const raw = await this.search('webSearch', { q: query, count, ...params }, attemptSignal);
+      return { results: raw.web?.results || raw.results || [], raw };
+    }, { signal });
+  }
+
+  /**
+   * Local business search
+   * @param {string} query
+   * @param {object} options - { count, signal }
+   * @returns {Promise<object>} { results: [{ title, url, rating, ratingCount, distance, address }], raw }
+   */
+  localSearch(query, { count = 10, signal } = {}) {
+    return this.request('localSearch', async (attemptSignal) => {
+      const raw = await this.search('localSearch', { q: query, count, result_filter: 'locations' }, attemptSignal);
+      const locations = raw.locations?.results || raw.results || [];
+      return {
+        results: locations.map(location => ({
+          title: location.title,
+          url: location.url,
+          rating: location.rating?.ratingValue ?? location.rating ?? 0,
+          ratingCount: location.rating?.reviewCount ?? location.rating_count ?? 0,
+          distance: location.distance?.value ? `${location.distance.value} ${location.distance.units}` : location.distance || 'N/A',
+          address: location.postal_address?.displayAddress || location.address
+        })),
+        raw
+      };
+    }, { signal });
+  }
+}
+
+export default BraveProvider;
@@ -0,0 +1,73 @@
+/**
+ * Circuit breaker for an outbound provider
+ *
+ * closed    - requests flow; consecutive failures are counted
+ * open      - requests fail fast until `resetTimeout` has passed
+ * half-open - one trial request is let through; success closes the circuit,
+ *             failure opens it again
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeout = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be attempted now
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Give up a half-open trial without a verdict, e.g. when its caller cancelled
+   * it, so the next request becomes the trial instead
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,96 @@
+/**
+ * Per-provider call and cost accounting
+ *
+ * Costs are estimates from each adapter's price table (see the adapters and
+ * RESEARCH_PROVIDER_COSTS); they are meant for spotting spend trends, not
+ * for reconciling invoices.
+ */
+class ProviderCostLedger {
+  constructor() {
+    this.providers = new Map();
+    this.since = new Date().toISOString();
+  }
+
+  entry(provider) {
+    if (!this.providers.has(provider)) {
+      this.providers.set(provider, {
+        calls: 0,
+        failures: 0,
+        timeouts: 0,
+        rejected: 0,
+        estimatedCostUsd: 0,
+        totalDurationMs: 0,
+        operations: {}
+      });
+    }
+    return this.providers.get(provider);
+  }
+
+  operation(provider, name) {
+    const entry = this.entry(provider);
+    if (!entry.operations[name]) {
+      entry.operations[name] = { calls: 0, failures: 0, estimatedCostUsd: 0 };
+    }
+    return entry.operations[name];
+  }
+
+  recordSuccess(provider, operation, { costUsd = 0, durationMs = 0 } = {}) {
+    const entry = this.entry(provider);
+    const op = this.operation(provider, operation);
+    entry.calls++;
+    entry.estimatedCostUsd += costUsd;
+    entry.totalDurationMs += durationMs;
+    op.calls++;
+    op.estimatedCostUsd += costUsd;
+  }
+
+  recordFailure(provider, operation, { timedOut = false, durationMs = 0 } = {}) {
+    const entry = this.entry(provider);
+    entry.calls++;
+    entry.failures++;
+    entry.totalDurationMs += durationMs;
+    if (timedOut) entry.timeouts++;
+    this.operation(provider, operation).failures++;
+  }
+
+  // Calls refused by an open circuit never reach the provider and cost nothing
+  recordRejected(provider) {
+    this.entry(provider).rejected++;
+  }
+
+  getStats() {
+    const providers = {};
+    let totalCostUsd = 0;
+
+    for (const [name, entry] of this.providers) {
+      totalCostUsd += entry.estimatedCostUsd;
+      providers[name] = {
+        calls: entry.calls,
+        failures: entry.failures,
+        timeouts: entry.timeouts,
+        rejected: entry.rejected,
+        estimatedCostUsd: Number(entry.estimatedCostUsd.toFixed(4)),
+        avgDurationMs: entry.calls > 0 ? Math.round(entry.totalDurationMs / entry.calls) : 0,
+        operations: Object.fromEntries(Object.entries(entry.operations).map(([op, stats]) => [
+          op,
+          { ...stats, estimatedCostUsd: Number(stats.estimatedCostUsd.toFixed(4)) }
+        ]))
+      };
+    }
+
+    return {
+      since: this.since,
+      totalEstimatedCostUsd: Number(totalCostUsd.toFixed(4)),
+      providers
+    };
+  }
+
+  reset() {
+    this.providers.clear();
+    this.since = new Date().toISOString();
+  }
+}
+
+// Export singleton shared by every adapter
+const providerCostLedger = new ProviderCostLedger();
+export default providerCostLedger;
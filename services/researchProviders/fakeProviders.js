@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path, { dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function loadFixtures(provider, fixturesDir) {
+  const file = path.join(fixturesDir, `${provider}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    }, { once: true });
+  });
+}
+
+/**
+ * Build a fixture-backed fake of a provider adapter
+ *
+ * The fake keeps the real adapter's operations, normalisation, timeouts,
+ * breaker and cost accounting, and only replaces the HTTP transport. Fixture
+ * files (`<provider>.json`) map each operation to a list of entries:
+ *
+ *   { "webSearch": [
+ *       { "match": "instagram", "response": { ... } },
+ *       { "response": { ... } },
+ *       { "match": "outage", "error": { "status": 503 } },
+ *       { "match": "slow", "delayMs": 20000, "response": { ... } }
+ *   ] }
+ *
+ * The first entry whose `match` appears in the request params or body wins;
+ * entries without `match` always apply. `response` is the raw provider body.
+ * @param {Function} ProviderClass - Real adapter class
+ * @param {object} options
+ * @param {string} options.fixturesDir - Directory holding fixture files
+ * @returns {Function} Fake adapter class
+ */
+export function withFixtures(ProviderClass, { fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  return class FakeProvider extends ProviderClass {
+    constructor(options = {}) {
+      super(options);
+      this.fake = true;
+      this.fixtures = loadFixtures(this.name, fixturesDir);
+      this.calls = [];
+    }
+
+    isConfigured() {
+      return true;
+    }
+
+    async transport(operation, config, signal) {
+      this.calls.push({ operation, params: config.params, data: config.data });
+
+      const haystack = JSON.stringify({ params: config.params, data: config.data }).toLowerCase();
+      const entry = (this.fixtures[operation] || [])
+        .find(candidate => !candidate.match || haystack.includes(candidate.match.toLowerCase()));
+
+      if (!entry) {
+        throw new Error(`No ${this.name} fixture for ${operation}`);
+      }
+
+      if (entry.delayMs) {
+        await sleep(entry.delayMs, signal);
+      }
+
+      if (entry.error) {
+        const error = new Error(entry.error.message || `Request failed with status code ${entry.error.status}`);
+        error.response = { status: entry.error.status, data: entry.error.data };
+        throw error;
+      }
+
+      return JSON.parse(JSON.stringify(entry.response ?? null));
+    }
+  };
+}
+
+export default {
+  DEFAULT_FIXTURES_DIR,
+  withFixtures
+};
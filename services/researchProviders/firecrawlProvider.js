@@ -0,0 +1,45 @@
+import ProviderAdapter from './providerAdapter.js';
+
+const FIRECRAWL_API_URL = 'https://api.firecrawl.dev/v0/scrape';
+
+/**
+ * Firecrawl adapter (single page scrapes)
+ */
+export class FirecrawlProvider extends ProviderAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'firecrawl',
+      timeout: 30000,
+      retries: 1,
+      costs: { perCall: 0.001 },
+      ...options
+    });
+  }
+
+  isConfigured() {
+    return !!process.env.FIRECRAWL_API_KEY;
+  }
+
+  /**
+   * Scrape a page
+   * @param {string} url
+   * @param {object} options - { pageOptions, signal }
+   * @returns {Promise<object>} { content, raw }
+   */
+  scrape(url, { pageOptions = { includeHtml: false, onlyMainContent: true }, signal } = {}) {
+    return this.request('scrape', async (attemptSignal) => {
+      const raw = await this.transport('scrape', {
+        method: 'POST',
+        url: FIRECRAWL_API_URL,
+        data: { url, pageOptions },
+        headers: {
+          'Authorization': `Bearer ${process.env.FIRECRAWL_API_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }, attemptSignal);
+      return { content: raw.data?.content || raw.data?.markdown || '', raw };
+    }, { signal });
+  }
+}
+
+export default FirecrawlProvider;
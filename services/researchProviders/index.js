@@ -0,0 +1,59 @@
+import logger from '../../utils/logger.js';
+
+import AnthropicProvider from './anthropicProvider.js';
+import ApifyProvider from './apifyProvider.js';
+import BraveProvider from './braveProvider.js';
+import FirecrawlProvider from './firecrawlProvider.js';
+import OpenRouterProvider from './openRouterProvider.js';
+import providerCostLedger from './costLedger.js';
+import { withFixtures } from './fakeProviders.js';
+
+const PROVIDER_CLASSES = {
+  brave: BraveProvider,
+  firecrawl: FirecrawlProvider,
+  openRouter: OpenRouterProvider,
+  anthropic: AnthropicProvider,
+  apify: ApifyProvider
+};
+
+/**
+ * Build a set of research provider adapters
+ * @param {object} options
+ * @param {string} options.mode - 'live' calls the real APIs, 'fake' serves fixtures
+ * @param {string} options.fixturesDir - Fixture directory for fake mode
+ * @param {object} options.adapterOptions - Per-provider constructor options, e.g. { brave: { timeout: 50 } }
+ * @returns {object} { mode, brave, firecrawl, openRouter, anthropic, apify, getStats }
+ */
+export function createResearchProviders({ mode = 'live', fixturesDir, adapterOptions = {} } = {}) {
+  const providers = { mode };
+
+  for (const [key, ProviderClass] of Object.entries(PROVIDER_CLASSES)) {
+    const AdapterClass = mode === 'fake' ? withFixtures(ProviderClass, { fixturesDir }) : ProviderClass;
+    providers[key] = new AdapterClass(adapterOptions[key]);
+  }
+
+  providers.getStats = () => ({
+    mode,
+    providers: Object.fromEntries(Object.keys(PROVIDER_CLASSES).map(key => [
+      providers[key].name,
+      providers[key].getStatus()
+    ])),
+    costs: providerCostLedger.getStats()
+  });
+
+  return providers;
+}
+
+// RESEARCH_PROVIDER_MODE=fake runs the research pipeline against fixtures,
+// with no network access (RESEARCH_PROVIDER_FIXTURES_DIR overrides the fixtures)
+const mode = process.env.RESEARCH_PROVIDER_MODE === 'fake' ? 'fake' : 'live';
+if (mode === 'fake') {
+  logger.warn('ResearchProviders: running with fixture-backed fake providers');
+}
+
+// Export singleton
+const researchProviders = createResearchProviders({
+  mode,
+  fixturesDir: process.env.RESEARCH_PROVIDER_FIXTURES_DIR || undefined
+});
+export default researchProviders;
@@ -0,0 +1,57 @@
+import ProviderAdapter from './providerAdapter.js';
+
+const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+/**
+ * OpenRouter adapter (chat completions)
+ */
+export class OpenRouterProvider extends ProviderAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'openrouter',
+      timeout: 60000,
+      costs: { inputPer1k: 0.003, outputPer1k: 0.015 },
+      ...options
+    });
+  }
+
+  isConfigured() {
+    return !!process.env.OPENROUTER_API_KEY;
+  }
+
+  estimateCost(_operation, result) {
+    const usage = result?.usage || {};
+    return ((usage.prompt_tokens || 0) / 1000) * (this.costs.inputPer1k || 0) +
+      ((usage.completion_tokens || 0) / 1000) * (this.costs.outputPer1k || 0);
+  }
+
+  /**
+   * Single-prompt chat completion
+   * @param {string} prompt
+   * @param {object} options - { model, temperature, maxTokens, signal }
+   * @returns {Promise<object>} { text, usage, raw }
+   */
+  chat(prompt, { model = 'anthropic/claude-3.5-sonnet', temperature = 0.7, maxTokens = 2000, signal } = {}) {
+    return this.request('chat', async (attemptSignal) => {
+      const raw = await this.transport('chat', {
+        method: 'POST',
+        url: OPENROUTER_API_URL,
+        data: {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+          max_tokens: maxTokens
+        },
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
+          'HTTP-Referer': 'https://canvas.repspheres.com',
+          'X-Title': 'Canvas Sales Intelligence',
+          'Content-Type': 'application/json'
+        }
+      }, attemptSignal);
+      return { text: raw.choices?.[0]?.message?.content || '', usage: raw.usage || {}, raw };
+    }, { signal });
+  }
+}
+
+export default OpenRouterProvider;
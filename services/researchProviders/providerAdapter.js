@@ -0,0 +1,157 @@
+import axios from 'axios';
+
+import logger from '../../utils/logger.js';
+import { withRetry, isRetryableHttpError } from '../../utils/retry.js';
+
+import CircuitBreaker from './circuitBreaker.js';
+import providerCostLedger from './costLedger.js';
+
+// Operator overrides for price tables, e.g.
+// RESEARCH_PROVIDER_COSTS='{"brave":{"perCall":0.003},"openrouter":{"inputPer1k":0.003,"outputPer1k":0.015}}'
+function costOverrides() {
+  try {
+    return JSON.parse(process.env.RESEARCH_PROVIDER_COSTS || '{}');
+  } catch {
+    logger.warn('ResearchProviders: ignoring invalid RESEARCH_PROVIDER_COSTS');
+    return {};
+  }
+}
+
+/**
+ * Base class for research data providers
+ *
+ * Every outbound call goes through `request()`, which applies a per-attempt
+ * timeout, retries transient failures, trips a circuit breaker after repeated
+ * failures and records the call in the cost ledger. Subclasses implement the
+ * provider-specific operations and `estimateCost()`.
+ */
+export class ProviderAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Provider id used in logs and the cost ledger
+   * @param {number} options.timeout - Per-attempt timeout in ms
+   * @param {number} options.retries - Retries after the first attempt
+   * @param {object} options.breaker - { failureThreshold, resetTimeout }
+   * @param {object} options.costs - Price table, merged with RESEARCH_PROVIDER_COSTS
+   */
+  constructor({ name, timeout = 15000, retries = 2, breaker = {}, costs = {} }) {
+    this.name = name;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.breaker = new CircuitBreaker(breaker);
+    this.costs = { ...costs, ...(costOverrides()[name] || {}) };
+  }
+
+  /**
+   * Whether credentials for this provider are present
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Send an HTTP request to the provider
+   * Fixture-backed fakes override this, so everything above the wire (timeouts,
+   * retries, breaker, accounting and response normalisation) runs unchanged.
+   * @param {string} _operation - Operation name, used by fakes to pick a fixture
+   * @param {object} config - axios request config (method, url, params, data, headers)
+   * @param {AbortSignal} signal
+   * @returns {Promise<any>} Response body
+   */
+  async transport(_operation, config, signal) {
+    const response = await axios.request({ ...config, signal });
+    return response.data;
+  }
+
+  /**
+   * Estimated USD cost of a successful call
+   * @param {string} _operation - Operation name
+   * @param {any} _result - Value returned by the operation
+   * @returns {number}
+   */
+  estimateCost(_operation, _result) {
+    return this.costs.perCall || 0;
+  }
+
+  /**
+   * Run one provider operation with timeout, retries, breaker and accounting
+   * @param {string} operation - Operation name, e.g. 'webSearch'
+   * @param {Function} fn - Receives an AbortSignal and performs the call
+   * @param {object} options
+   * @param {AbortSignal} options.signal - Caller's cancellation signal
+   * @param {number} options.timeout - Overrides the adapter's timeout
+   * @param {number} options.retries - Overrides the adapter's retry count
+   * @returns {Promise<any>}
+   */
+  async request(operation, fn, { signal = null, timeout = this.timeout, retries = this.retries } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} is not configured`);
+    }
+
+    if (!this.breaker.canRequest()) {
+      providerCostLedger.recordRejected(this.name);
+      const error = new Error(`${this.name} is temporarily unavailable (circuit open)`);
+      error.code = 'PROVIDER_CIRCUIT_OPEN';
+      throw error;
+    }
+
+    const startedAt = Date.now();
+    let timedOut = false;
+
+    try {
+      const result = await withRetry(async () => {
+        const timeoutSignal = AbortSignal.timeout(timeout);
+        const attemptSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+        try {
+          return await fn(attemptSignal);
+        } catch (error) {
+          if (timeoutSignal.aborted && !signal?.aborted) {
+            timedOut = true;
+            const timeoutError = new Error(`${this.name} ${operation} timed out after ${timeout}ms`);
+            timeoutError.code = 'ETIMEDOUT';
+            throw timeoutError;
+          }
+          throw error;
+        }
+      }, { label: `${this.name} ${operation}`, retries, signal });
+
+      this.breaker.recordSuccess();
+      providerCostLedger.recordSuccess(this.name, operation, {
+        costUsd: this.estimateCost(operation, result),
+        durationMs: Date.now() - startedAt
+      });
+      return result;
+    } catch (error) {
+      // A cancelled job says nothing about the provider's health
+      if (signal?.aborted) {
+        this.breaker.releaseTrial();
+        throw error;
+      }
+
+      providerCostLedger.recordFailure(this.name, operation, { timedOut, durationMs: Date.now() - startedAt });
+
+      // Only outages count against the breaker; a 4xx means the provider is up
+      if (isRetryableHttpError(error)) {
+        const wasOpen = this.breaker.state === 'open';
+        this.breaker.recordFailure();
+        if (!wasOpen && this.breaker.state === 'open') {
+          logger.warn(`ResearchProviders: ${this.name} circuit opened after ${this.breaker.failures} failures`);
+        }
+      } else {
+        this.breaker.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  getStatus() {
+    return {
+      configured: this.isConfigured(),
+      timeout: this.timeout,
+      circuit: this.breaker.getState()
+    };
+  }
+}
+
+export default ProviderAdapter;
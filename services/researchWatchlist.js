@@ -0,0 +1,630 @@
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../utils/logger.js';
+
+import researchJobQueue from './researchJobQueue.js';
+import researchCache from './researchCache.js';
+import websocketManager from './websocketManager.js';
+import { sendEmail } from './emailService.js';
+
+export const WATCH_CHANNELS = ['websocket', 'email'];
+const HOUR = 60 * 60 * 1000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Reduce a research result to the parts that are compared between runs
+ * When the website could not be crawled this time, services and technology
+ * are carried over from the previous snapshot rather than reported as gone.
+ * Ratings are only kept from a live review source (`reviewsLive`); simulated
+ * review data says nothing about the practice.
+ * @param {object} data - Research job data
+ * @param {object} previous - Previous snapshot, if any
+ * @returns {object} { websiteUrl, services, technology, rating, reviewCount, reviewsLive, capturedAt }
+ */
+export function snapshotResearch(data, previous = null) {
+  const website = data?.websiteData;
+  const crawled = !!website?.crawled;
+  const reviews = data?.reviewData && !data.reviewData.simulated ? data.reviewData : null;
+  const carried = previous?.reviewsLive ? previous : null;
+
+  return {
+    websiteUrl: website?.url || previous?.websiteUrl || null,
+    services: crawled ? website.services || [] : previous?.services || [],
+    technology: crawled ? website.technology || [] : previous?.technology || [],
+    rating: reviews ? reviews.combinedRating ?? null : carried?.rating ?? null,
+    reviewCount: reviews ? reviews.totalReviews ?? null : carried?.reviewCount ?? null,
+    reviewsLive: !!(reviews || carried),
+    capturedAt: data?.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Material changes between two snapshots
+ * @param {object} previous - Earlier snapshot
+ * @param {object} current - Newer snapshot
+ * @param {object} options
+ * @param {number} options.ratingDropThreshold - Smallest rating drop worth reporting
+ * @returns {Array<object>} [{ type, label, ... }]
+ */
+export function diffSnapshots(previous, current, { ratingDropThreshold = 0.3 } = {}) {
+  if (!previous) return [];
+
+  const changes = [];
+
+  for (const service of current.services) {
+    if (!previous.services.includes(service)) {
+      changes.push({ type: 'new_service', label: `Now offers ${service}`, value: service });
+    }
+  }
+
+  for (const tech of current.technology) {
+    if (!previous.technology.includes(tech)) {
+      changes.push({ type: 'new_technology', label: `New technology: ${tech}`, value: tech });
+    }
+  }
+
+  if (previous.reviewsLive && current.reviewsLive && previous.rating != null && current.rating != null) {
+    const drop = Number((previous.rating - current.rating).toFixed(1));
+    if (drop >= ratingDropThreshold) {
+      changes.push({
+        type: 'rating_drop',
+        label: `Rating dropped from ${previous.rating} to ${current.rating}`,
+        from: previous.rating,
+        to: current.rating,
+        drop
+      });
+    }
+  }
+
+  if (previous.websiteUrl && current.websiteUrl && previous.websiteUrl !== current.websiteUrl) {
+    changes.push({
+      type: 'website_changed',
+      label: `Website moved to ${current.websiteUrl}`,
+      from: previous.websiteUrl,
+      to: current.websiteUrl
+    });
+  }
+
+  return changes;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Research Watchlist
+ *
+ * Reps watch a practice (NPI + product) and the watchlist re-runs research on
+ * a per-watch schedule through the research job queue. Each completed run is
+ * diffed against the previous one; material changes (new services, new
+ * technology, rating drops, a moved website) are pushed to the rep over the
+ * WebSocket `sendToUser` channel and by email.
+ *
+ * Watches live in `research_watchlist`; without Supabase they are kept in
+ * memory and do not survive restarts.
+ */
+class ResearchWatchlist {
+  constructor(queue) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY ||
+                       process.env.SUPABASE_SERVICE_ROLE_KEY ||
+                       process.env.SUPABASE_KEY;
+
+    if (supabaseUrl && supabaseKey) {
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+      logger.warn('ResearchWatchlist: Supabase credentials not configured, watches will not survive restarts');
+      this.supabase = null;
+    }
+
+    this.queue = queue;
+    this.table = 'research_watchlist';
+    this.memoryWatches = new Map();
+
+    this.config = {
+      pollInterval: parseInt(process.env.RESEARCH_WATCH_POLL_INTERVAL) || 60000, // 1 minute
+      defaultIntervalHours: parseInt(process.env.RESEARCH_WATCH_INTERVAL_HOURS) || 168, // Weekly
+      minIntervalHours: 24,
+      maxWatchesPerUser: parseInt(process.env.RESEARCH_WATCH_MAX_PER_USER) || 50,
+      ratingDropThreshold: parseFloat(process.env.RESEARCH_WATCH_RATING_DROP) || 0.3,
+      // A re-run still unfinished after this long is cancelled so the watch is not stuck
+      pendingTimeout: (parseInt(process.env.RESEARCH_WATCH_PENDING_TIMEOUT_HOURS) || 6) * HOUR,
+      batchSize: 20 // Due watches queued per tick
+    };
+
+    this.pollTimer = null;
+    this.started = false;
+    this.ticking = false;
+
+    queue.on('completed', job => {
+      this.handleJobFinished(job).catch(error => {
+        logger.error(`ResearchWatchlist: failed to process research job ${job.id}:`, error);
+      });
+    });
+    for (const event of ['failed', 'cancelled']) {
+      queue.on(event, job => {
+        this.handleJobFinished(job).catch(error => {
+          logger.error(`ResearchWatchlist: failed to reschedule after job ${job.id}:`, error);
+        });
+      });
+    }
+  }
+
+  /**
+   * Start re-running due watches
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.pollTimer = setInterval(() => this.tick(), this.config.pollInterval);
+    logger.info(`ResearchWatchlist: started (polling every ${this.config.pollInterval}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    clearInterval(this.pollTimer);
+  }
+
+  /**
+   * Watch a practice
+   * Seeds the baseline from cached research when there is some; otherwise the
+   * first run is queued right away and only establishes the baseline.
+   * @param {object} params
+   * @param {string} params.userId - Rep who is watching
+   * @param {string} params.email - Address for email alerts
+   * @param {object} params.doctor - Doctor record (must carry an NPI)
+   * @param {string} params.product - Product the research is for
+   * @param {number} params.intervalHours - Hours between re-runs
+   * @param {Array<string>} params.channels - Alert channels (websocket, email)
+   * @returns {Promise<object>} The watch
+   */
+  async addWatch({ userId, email = null, doctor, product, intervalHours, channels = WATCH_CHANNELS }) {
+    const watches = await this.listWatches(userId);
+    const existing = watches.find(watch => watch.npi === String(doctor.npi) && watch.product === product);
+    if (existing) {
+      return this.updateWatch(existing.id, { intervalHours, channels, email, status: 'active' });
+    }
+
+    if (watches.length >= this.config.maxWatchesPerUser) {
+      throw new Error(`Maximum ${this.config.maxWatchesPerUser} watched practices per user`);
+    }
+
+    const cached = await researchCache.get(doctor.npi, product);
+    const baseline = cached ? snapshotResearch(cached.data) : null;
+    const hours = this.normalizeInterval(intervalHours);
+    const now = new Date();
+
+    const row = {
+      id: uuidv4(),
+      user_id: userId,
+      npi: String(doctor.npi),
+      doctor,
+      product,
+      interval_hours: hours,
+      channels: this.normalizeChannels(channels),
+      notify_email: email,
+      status: 'active',
+      last_snapshot: baseline,
+      last_changes: [],
+      pending_job_id: null,
+      last_run_at: baseline ? baseline.capturedAt : null,
+      next_run_at: baseline ? new Date(now.getTime() + hours * HOUR).toISOString() : now.toISOString(),
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    };
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from(this.table).insert(row);
+      if (error) {
+        throw new Error(`Failed to watch practice: ${error.message}`);
+      }
+    } else {
+      this.memoryWatches.set(row.id, row);
+    }
+
+    if (!baseline) {
+      setImmediate(() => this.tick());
+    }
+
+    return this.toWatch(row);
+  }
+
+  /**
+   * Change a watch's schedule, channels or status
+   * @param {string} watchId
+   * @param {object} updates - { intervalHours, channels, email, status }
+   * @returns {Promise<object|null>} Updated watch
+   */
+  async updateWatch(watchId, { intervalHours, channels, email, status } = {}) {
+    const row = await this.loadRow(watchId);
+    if (!row) return null;
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (intervalHours !== undefined) {
+      updates.interval_hours = this.normalizeInterval(intervalHours);
+      if (row.last_run_at) {
+        updates.next_run_at = new Date(Date.parse(row.last_run_at) + updates.interval_hours * HOUR).toISOString();
+      }
+    }
+    if (channels !== undefined) updates.channels = this.normalizeChannels(channels);
+    if (email !== undefined && email !== null) updates.notify_email = email;
+    if (status !== undefined) {
+      if (!['active', 'paused'].includes(status)) {
+        throw new Error('status must be "active" or "paused"');
+      }
+      updates.status = status;
+    }
+
+    return this.toWatch(await this.saveRow(watchId, updates));
+  }
+
+  /**
+   * Queue a re-run now instead of waiting for the schedule
+   * @param {string} watchId
+   * @returns {Promise<object|null>} { watch, jobId }
+   */
+  async runNow(watchId) {
+    const row = await this.loadRow(watchId);
+    if (!row) return null;
+
+    if (row.pending_job_id) {
+      return { watch: this.toWatch(row), jobId: row.pending_job_id };
+    }
+
+    // Another instance may have queued the re-run in the meantime
+    const saved = (await this.queueRun(row)) || await this.loadRow(watchId);
+    return { watch: this.toWatch(saved), jobId: saved.pending_job_id };
+  }
+
+  async removeWatch(watchId) {
+    if (!this.supabase) {
+      return this.memoryWatches.delete(watchId);
+    }
+
+    const { error } = await this.supabase.from(this.table).delete().eq('id', watchId);
+    if (error) {
+      throw new Error(`Failed to remove watch: ${error.message}`);
+    }
+    return true;
+  }
+
+  async getWatch(watchId) {
+    const row = await this.loadRow(watchId);
+    return row ? this.toWatch(row) : null;
+  }
+
+  async listWatches(userId) {
+    if (!this.supabase) {
+      return Array.from(this.memoryWatches.values())
+        .filter(row => row.user_id === userId)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(row => this.toWatch(row));
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to list watches: ${error.message}`);
+    }
+    return (data || []).map(row => this.toWatch(row));
+  }
+
+  /**
+   * Release watches whose re-run ended unnoticed or hung, then queue research
+   * for every watch that is due
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.releasePendingRuns();
+      for (const row of await this.loadDueRows()) {
+        await this.queueRun(row);
+      }
+    } catch (error) {
+      logger.error('ResearchWatchlist: tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Clear `pending_job_id` once its job has finished (the finish event may
+   * have fired on an instance that died before handling it) and cancel jobs
+   * that have not finished within `pendingTimeout`
+   */
+  async releasePendingRuns() {
+    for (const row of await this.loadPendingRows()) {
+      const job = await this.queue.getJob(row.pending_job_id);
+
+      // A watch claimed moments ago may not have its job queued yet
+      if (!job && row.updated_at && Date.now() - Date.parse(row.updated_at) < this.config.pollInterval) continue;
+
+      if (job && !TERMINAL_STATUSES.includes(job.status)) {
+        if (Date.now() - Date.parse(job.createdAt) < this.config.pendingTimeout) continue;
+        logger.warn(`ResearchWatchlist: re-run ${job.id} for watch ${row.id} did not finish in time, cancelling it`);
+        await this.handleJobFinished((await this.queue.cancel(job.id)) || { ...job, status: 'cancelled' });
+        continue;
+      }
+
+      await this.handleJobFinished(job || { id: row.pending_job_id, status: 'missing' });
+    }
+  }
+
+  /**
+   * Claim the watch for a new job id, then queue the job
+   * Every instance ticks, so the claim only succeeds while no run is pending;
+   * the instance that loses does not queue anything.
+   * @param {object} row - Watch row
+   * @returns {Promise<object|null>} Claimed row, or null when another run is pending
+   */
+  async queueRun(row) {
+    const jobId = uuidv4();
+    const claimed = await this.saveRow(row.id, { pending_job_id: jobId, updated_at: new Date().toISOString() }, { pendingJobId: null });
+    if (!claimed) return null;
+
+    try {
+      await this.queue.enqueue({ id: jobId, doctor: row.doctor, product: row.product, userId: row.user_id });
+    } catch (error) {
+      await this.saveRow(row.id, { pending_job_id: null, updated_at: new Date().toISOString() }, { pendingJobId: jobId });
+      throw error;
+    }
+
+    logger.info(`ResearchWatchlist: re-running research for watch ${row.id} (NPI ${row.npi}) as job ${jobId}`);
+    return claimed;
+  }
+
+  /**
+   * Diff a finished re-run against the previous snapshot and schedule the next one
+   * The queue's events and `releasePendingRuns` can both see the same job
+   * finish; only the one that clears `pending_job_id` records it and notifies.
+   * @param {object} job - Research job from the queue
+   */
+  async handleJobFinished(job) {
+    const row = await this.loadRowByJob(job.id);
+    if (!row) return;
+
+    const now = new Date();
+    const updates = {
+      pending_job_id: null,
+      next_run_at: new Date(now.getTime() + row.interval_hours * HOUR).toISOString(),
+      updated_at: now.toISOString()
+    };
+
+    if (job.status !== 'completed') {
+      logger.warn(`ResearchWatchlist: re-run for watch ${row.id} ${job.status}, trying again next cycle`);
+      await this.saveRow(row.id, updates, { pendingJobId: job.id });
+      return;
+    }
+
+    const snapshot = snapshotResearch(job.data, row.last_snapshot);
+    const changes = diffSnapshots(row.last_snapshot, snapshot, {
+      ratingDropThreshold: this.config.ratingDropThreshold
+    });
+
+    updates.last_snapshot = snapshot;
+    updates.last_run_at = now.toISOString();
+    if (changes.length > 0) {
+      updates.last_changes = changes;
+      updates.last_changed_at = now.toISOString();
+    }
+
+    const saved = await this.saveRow(row.id, updates, { pendingJobId: job.id });
+
+    if (saved && changes.length > 0) {
+      await this.notify(saved, changes, job);
+    }
+  }
+
+  /**
+   * Push change alerts to the rep
+   * @param {object} row - Watch row
+   * @param {Array<object>} changes - Output of diffSnapshots
+   * @param {object} job - Research job that found the changes
+   */
+  async notify(row, changes, job) {
+    const doctorName = row.doctor?.displayName || `NPI ${row.npi}`;
+    const channels = row.channels || WATCH_CHANNELS;
+
+    if (channels.includes('websocket')) {
+      websocketManager.sendToUser(row.user_id, {
+        type: 'research_watch_alert',
+        data: {
+          watchId: row.id,
+          npi: row.npi,
+          doctorName,
+          product: row.product,
+          jobId: job.id,
+          changes,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (channels.includes('email') && row.notify_email) {
+      try {
+        await sendEmail({
+          to: row.notify_email,
+          subject: `${changes.length} change${changes.length === 1 ? '' : 's'} at ${doctorName}`,
+          html: `
+            <p>Your watched practice <strong>${escapeHtml(doctorName)}</strong> (NPI ${escapeHtml(row.npi)}) has changed since the last check:</p>
+            <ul>${changes.map(change => `<li>${escapeHtml(change.label)}</li>`).join('')}</ul>
+            <p>Open the practice timeline in Canvas for details.</p>
+          `
+        });
+      } catch (error) {
+        logger.error(`ResearchWatchlist: failed to email alert for watch ${row.id}:`, error);
+      }
+    }
+  }
+
+  normalizeInterval(intervalHours) {
+    const hours = parseInt(intervalHours) || this.config.defaultIntervalHours;
+    return Math.max(this.config.minIntervalHours, hours);
+  }
+
+  normalizeChannels(channels) {
+    const list = Array.isArray(channels) ? channels : [channels];
+    const invalid = list.filter(channel => !WATCH_CHANNELS.includes(channel));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown alert channel(s): ${invalid.join(', ')}`);
+    }
+    return [...new Set(list)];
+  }
+
+  async loadRow(watchId) {
+    if (!this.supabase) {
+      return this.memoryWatches.get(watchId) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', watchId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load watch: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadRowByJob(jobId) {
+    if (!this.supabase) {
+      return Array.from(this.memoryWatches.values()).find(row => row.pending_job_id === jobId) || null;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('pending_job_id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load watch for job: ${error.message}`);
+    }
+    return data;
+  }
+
+  async loadPendingRows() {
+    if (!this.supabase) {
+      return Array.from(this.memoryWatches.values())
+        .filter(row => row.pending_job_id)
+        .slice(0, this.config.batchSize);
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .not('pending_job_id', 'is', null)
+      .order('updated_at', { ascending: true })
+      .limit(this.config.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to load pending watches: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async loadDueRows() {
+    const now = new Date().toISOString();
+
+    if (!this.supabase) {
+      return Array.from(this.memoryWatches.values())
+        .filter(row => row.status === 'active' && !row.pending_job_id && Date.parse(row.next_run_at) <= Date.now())
+        .slice(0, this.config.batchSize);
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('status', 'active')
+      .is('pending_job_id', null)
+      .lte('next_run_at', now)
+      .order('next_run_at', { ascending: true })
+      .limit(this.config.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to load due watches: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Update a watch row
+   * With `pendingJobId` (null or a job id) the update is a compare-and-set on
+   * the pending run, and null is returned when the row no longer matches.
+   * @param {string} watchId
+   * @param {object} updates
+   * @param {object} options
+   * @param {string|null} options.pendingJobId - Expected `pending_job_id`
+   * @returns {Promise<object|null>} Updated row
+   */
+  async saveRow(watchId, updates, { pendingJobId } = {}) {
+    if (!this.supabase) {
+      const current = this.memoryWatches.get(watchId);
+      if (!current) return null;
+      if (pendingJobId !== undefined && current.pending_job_id !== pendingJobId) return null;
+      const row = { ...current, ...updates };
+      this.memoryWatches.set(watchId, row);
+      return row;
+    }
+
+    let query = this.supabase
+      .from(this.table)
+      .update(updates)
+      .eq('id', watchId);
+
+    if (pendingJobId === null) {
+      query = query.is('pending_job_id', null);
+    } else if (pendingJobId !== undefined) {
+      query = query.eq('pending_job_id', pendingJobId);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update watch: ${error.message}`);
+    }
+    return data;
+  }
+
+  toWatch(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      npi: row.npi,
+      doctor: row.doctor,
+      product: row.product,
+      intervalHours: row.interval_hours,
+      channels: row.channels,
+      email: row.notify_email,
+      status: row.status,
+      pendingJobId: row.pending_job_id,
+      lastRunAt: row.last_run_at,
+      nextRunAt: row.next_run_at,
+      lastChanges: row.last_changes || [],
+      lastChangedAt: row.last_changed_at || null,
+      lastSnapshot: row.last_snapshot,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// Export singleton
+const researchWatchlist = new ResearchWatchlist(researchJobQueue);
+export { ResearchWatchlist };
+export default researchWatchlist;
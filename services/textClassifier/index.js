@@ -0,0 +1,254 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import logger from '../../utils/logger.js';
+
+import KeywordBackend, { findPhrases } from './keywordBackend.js';
+import LlmBackend from './llmBackend.js';
+import ModelBackend from './modelBackend.js';
+import { INTENT_TAXONOMY, KEY_PHRASES, OBJECTION_TAXONOMY } from './taxonomies.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATASETS_DIR = path.join(__dirname, 'datasets');
+export { findPhrases, INTENT_TAXONOMY, KEY_PHRASES, OBJECTION_TAXONOMY };
+
+/**
+ * Parse a labeled dataset: JSONL, one { "text": "...", "label": "..." } per line
+ * @param {string} content
+ * @param {Array<string>} labels - When given, every example's label must be one of these
+ * @returns {Array<object>} [{ text, label }]
+ */
+export function parseDataset(content, labels = null) {
+  const examples = [];
+
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: invalid JSON (${error.message})`);
+    }
+    if (typeof entry.text !== 'string' || !entry.text.trim() || typeof entry.label !== 'string') {
+      throw new Error(`Line ${index + 1}: "text" and "label" are required`);
+    }
+    if (labels && !labels.includes(entry.label)) {
+      throw new Error(`Line ${index + 1}: unknown label "${entry.label}" (expected one of ${labels.join(', ')})`);
+    }
+
+    examples.push({ text: entry.text, label: entry.label });
+  });
+
+  return examples;
+}
+
+export function loadDataset(filePath, labels = null) {
+  return parseDataset(fs.readFileSync(filePath, 'utf8'), labels);
+}
+
+/**
+ * Text Classifier
+ *
+ * One interface over interchangeable backends (keyword lists, a trainable
+ * `natural` model, an optional LLM). `classify` is synchronous and always
+ * local so it can run inline on every utterance; `classifyAsync` consults the
+ * LLM when one is configured and falls back to the local backend if it fails.
+ * Results carry a confidence for every scored label, and running per-label
+ * confidence stats are kept for monitoring.
+ */
+export class TextClassifier {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Used in logs
+   * @param {object} options.taxonomy - { labels/descriptions, fallbackLabel }
+   * @param {object} options.backend - Local backend (keyword or model)
+   * @param {object} options.llm - Optional LlmBackend for classifyAsync
+   * @param {number} options.minConfidence - Below this the fallback label is returned
+   */
+  constructor({ name, taxonomy, backend, llm = null, minConfidence = 0.5 }) {
+    this.name = name;
+    this.labels = Object.keys(taxonomy.descriptions);
+    this.fallbackLabel = taxonomy.fallbackLabel;
+    this.backend = backend;
+    this.llm = llm;
+    this.minConfidence = minConfidence;
+    this.labelStats = new Map(); // label -> { count, totalConfidence }
+  }
+
+  /**
+   * @param {object} scores - { [label]: confidence } from a backend
+   * @param {string} backendName
+   * @returns {object} { label, confidence, scores, backend }
+   */
+  decide(scores, backendName) {
+    let label = this.fallbackLabel;
+    let confidence = 0;
+
+    // Object key order preserves the taxonomy's priority on ties
+    for (const [candidate, value] of Object.entries(scores)) {
+      if (value > confidence) {
+        label = candidate;
+        confidence = value;
+      }
+    }
+
+    if (label === this.fallbackLabel || confidence < this.minConfidence) {
+      const fallbackConfidence = scores[this.fallbackLabel] ?? 1 - (label === this.fallbackLabel ? 0 : confidence);
+      label = this.fallbackLabel;
+      confidence = fallbackConfidence;
+    }
+
+    const stats = this.labelStats.get(label) || { count: 0, totalConfidence: 0 };
+    stats.count++;
+    stats.totalConfidence += confidence;
+    this.labelStats.set(label, stats);
+
+    return { label, confidence, scores, backend: backendName };
+  }
+
+  classify(text) {
+    return this.decide(this.backend.classify(text), this.backend.name);
+  }
+
+  async classifyAsync(text) {
+    if (!this.llm) {
+      return this.classify(text);
+    }
+
+    try {
+      return this.decide(await this.llm.classify(text), this.llm.name);
+    } catch (error) {
+      logger.warn(`TextClassifier: ${this.name} LLM classification failed, using ${this.backend.name}:`, error.message);
+      return this.classify(text);
+    }
+  }
+
+  /**
+   * Retrain the local model on a labeled dataset
+   * @param {Array<object>} examples - [{ text, label }]
+   */
+  train(examples) {
+    const unknown = examples.find(example => !this.labels.includes(example.label));
+    if (unknown) {
+      throw new Error(`Unknown label "${unknown.label}" for the ${this.name} classifier`);
+    }
+    this.backend.train(examples);
+  }
+
+  /**
+   * Score the local backend against a labeled dataset
+   * @param {Array<object>} examples - [{ text, label }]
+   * @returns {object} { accuracy, total, labels: { [label]: { precision, recall, support } }, misses }
+   */
+  evaluate(examples) {
+    const counts = Object.fromEntries(this.labels.map(label => [label, { tp: 0, fp: 0, fn: 0, support: 0 }]));
+    const misses = [];
+
+    for (const { text, label } of examples) {
+      const predicted = this.decide(this.backend.classify(text), this.backend.name).label;
+      counts[label].support++;
+      if (predicted === label) {
+        counts[label].tp++;
+      } else {
+        counts[label].fn++;
+        if (counts[predicted]) counts[predicted].fp++;
+        misses.push({ text, expected: label, predicted });
+      }
+    }
+
+    const correct = examples.length - misses.length;
+    const ratio = (numerator, denominator) => (denominator ? numerator / denominator : null);
+
+    return {
+      accuracy: ratio(correct, examples.length),
+      total: examples.length,
+      labels: Object.fromEntries(Object.entries(counts).map(([label, count]) => [label, {
+        precision: ratio(count.tp, count.tp + count.fp),
+        recall: ratio(count.tp, count.tp + count.fn),
+        support: count.support
+      }])),
+      misses
+    };
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      backend: this.backend.name,
+      llm: this.llm?.name || null,
+      labels: Object.fromEntries([...this.labelStats].map(([label, stats]) => [label, {
+        count: stats.count,
+        meanConfidence: stats.totalConfidence / stats.count
+      }]))
+    };
+  }
+
+  resetStats() {
+    this.labelStats.clear();
+  }
+}
+
+/**
+ * Build a classifier for a taxonomy
+ * @param {object} taxonomy - OBJECTION_TAXONOMY, INTENT_TAXONOMY or a custom one
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} options.backend - 'keyword', 'bayes' or 'logistic'
+ * @param {Array<object>} options.dataset - Training examples for model backends
+ * @param {object} options.model - Saved model (ModelBackend#toJSON) instead of training
+ * @param {string} options.llm - 'anthropic' or 'openrouter' to enable classifyAsync via an LLM
+ * @param {Function} options.complete - Custom LLM completion function (prompt) => Promise<string>
+ * @param {number} options.minConfidence - Defaults to 0.5 for keywords, 0.3 for models
+ * @returns {TextClassifier}
+ */
+export function createClassifier(taxonomy, { name = 'classifier', backend = 'keyword', dataset, model, llm, complete, minConfidence } = {}) {
+  let localBackend;
+  if (backend === 'keyword') {
+    localBackend = new KeywordBackend({ keywords: taxonomy.keywords, strategy: taxonomy.keywordStrategy });
+  } else {
+    localBackend = new ModelBackend({ algorithm: backend, model });
+    if (!model) {
+      localBackend.train(dataset);
+    }
+  }
+
+  const llmBackend = llm || complete
+    ? new LlmBackend({ provider: llm, task: taxonomy.task, descriptions: taxonomy.descriptions, complete })
+    : null;
+
+  return new TextClassifier({
+    name,
+    taxonomy,
+    backend: localBackend,
+    llm: llmBackend,
+    // Model scores are spread across every label, so a lower top score is still a clear winner
+    minConfidence: minConfidence ?? (backend === 'keyword' ? 0.5 : 0.3)
+  });
+}
+
+// Configured per classifier through <PREFIX>_CLASSIFIER (keyword | bayes | logistic),
+// <PREFIX>_CLASSIFIER_DATASET, <PREFIX>_CLASSIFIER_MODEL and <PREFIX>_CLASSIFIER_LLM
+function classifierFromEnv(prefix, taxonomy, name, datasetFile) {
+  const backend = process.env[`${prefix}_CLASSIFIER`] || 'keyword';
+  const llm = process.env[`${prefix}_CLASSIFIER_LLM`] || undefined;
+
+  try {
+    const modelPath = process.env[`${prefix}_CLASSIFIER_MODEL`];
+    const model = backend !== 'keyword' && modelPath ? JSON.parse(fs.readFileSync(modelPath, 'utf8')) : undefined;
+    const dataset = backend !== 'keyword' && !model
+      ? loadDataset(process.env[`${prefix}_CLASSIFIER_DATASET`] || path.join(DATASETS_DIR, datasetFile), Object.keys(taxonomy.descriptions))
+      : undefined;
+
+    return createClassifier(taxonomy, { name, backend, dataset, model, llm });
+  } catch (error) {
+    logger.error(`TextClassifier: could not build the ${backend} ${name} classifier, using keywords:`, error.message);
+    return createClassifier(taxonomy, { name, llm });
+  }
+}
+
+export const objectionClassifier = classifierFromEnv('OBJECTION', OBJECTION_TAXONOMY, 'objection', 'objections.jsonl');
+export const intentClassifier = classifierFromEnv('INTENT', INTENT_TAXONOMY, 'intent', 'intents.jsonl');
@@ -0,0 +1,86 @@
+const isWordChar = (char) => !!char && /[a-z0-9]/i.test(char);
+
+/**
+ * Whether `phrase` occurs in `text` starting at a word boundary
+ * ("book" matches "booking", "hi" does not match "this"). Phrases that start
+ * with punctuation, such as "?", match anywhere.
+ * @param {string} lowerText - Lower-cased text
+ * @param {string} phrase - Lower-cased phrase
+ * @returns {boolean}
+ */
+export function containsPhrase(lowerText, phrase) {
+  if (!isWordChar(phrase[0])) {
+    return lowerText.includes(phrase);
+  }
+
+  let index = lowerText.indexOf(phrase);
+  while (index !== -1) {
+    if (!isWordChar(lowerText[index - 1])) return true;
+    index = lowerText.indexOf(phrase, index + 1);
+  }
+  return false;
+}
+
+/**
+ * Phrases from `phrases` that occur in `text`
+ * @param {string} text
+ * @param {Array<string>} phrases
+ * @returns {Array<string>}
+ */
+export function findPhrases(text, phrases) {
+  const lowerText = String(text || '').toLowerCase();
+  return phrases.filter(phrase => containsPhrase(lowerText, phrase.toLowerCase()));
+}
+
+/**
+ * Keyword backend: each label has a phrase list, and a label's confidence
+ * grows with the number of its phrases found (1 hit = 0.5, 2 = 0.75, ...).
+ *
+ * With `strategy: 'most'` every label with a hit is scored and the most hits
+ * win (ties go to the label declared first). With `strategy: 'priority'` only
+ * the first label in declaration order with any hit is scored, which is how
+ * ordered if/else keyword lists behave.
+ */
+export class KeywordBackend {
+  /**
+   * @param {object} options
+   * @param {object} options.keywords - { [label]: [phrases] }, in priority order
+   * @param {string} options.strategy - 'most' or 'priority'
+   */
+  constructor({ keywords, strategy = 'most' }) {
+    this.name = 'keyword';
+    this.keywords = keywords;
+    this.strategy = strategy;
+  }
+
+  get labels() {
+    return Object.keys(this.keywords);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object} { [label]: confidence } for labels with at least one hit
+   */
+  classify(text) {
+    const scores = {};
+    for (const [label, phrases] of Object.entries(this.keywords)) {
+      const hits = findPhrases(text, phrases).length;
+      if (hits > 0) {
+        scores[label] = 1 - 0.5 ** hits;
+        if (this.strategy === 'priority') break;
+      }
+    }
+    return scores;
+  }
+
+  // Keyword lists are not trained; add phrases to the taxonomy instead
+  train() {
+    throw new Error('The keyword backend is not trainable; use the bayes or logistic backend');
+  }
+
+  toJSON() {
+    return { backend: this.name, strategy: this.strategy, keywords: this.keywords };
+  }
+}
+
+export default KeywordBackend;
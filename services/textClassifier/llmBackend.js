@@ -0,0 +1,91 @@
+import researchProviders from '../researchProviders/index.js';
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-3-haiku-20240307',
+  openrouter: 'anthropic/claude-3-haiku'
+};
+
+/**
+ * Optional LLM backend
+ *
+ * Asks a model for a confidence per label. Calls go through the research
+ * provider adapters, so they get the same timeouts, circuit breaker and cost
+ * accounting as the research pipeline. Only `classifyAsync` uses it; the
+ * synchronous path always stays local.
+ */
+export class LlmBackend {
+  /**
+   * @param {object} options
+   * @param {string} options.provider - 'anthropic' or 'openrouter'
+   * @param {string} options.model - Model id for that provider
+   * @param {string} options.task - What is being classified, e.g. 'sales call objection type'
+   * @param {object} options.descriptions - { [label]: one-line description }
+   * @param {Function} options.complete - Override: (prompt) => Promise<string>
+   */
+  constructor({ provider = 'anthropic', model, task, descriptions, complete } = {}) {
+    this.name = `llm:${provider}`;
+    this.provider = provider;
+    this.model = model || DEFAULT_MODELS[provider];
+    this.task = task;
+    this.descriptions = descriptions;
+    this.customComplete = !!complete;
+    this.complete = complete || ((prompt) => this.completeWithProvider(prompt));
+  }
+
+  isConfigured() {
+    if (this.customComplete) return true;
+    const adapter = this.provider === 'openrouter' ? researchProviders.openRouter : researchProviders.anthropic;
+    return adapter.isConfigured();
+  }
+
+  async completeWithProvider(prompt) {
+    if (this.provider === 'openrouter') {
+      const { text } = await researchProviders.openRouter.chat(prompt, { model: this.model, temperature: 0, maxTokens: 300 });
+      return text;
+    }
+    const { text } = await researchProviders.anthropic.message(prompt, { model: this.model, maxTokens: 300, temperature: 0 });
+    return text;
+  }
+
+  buildPrompt(text) {
+    const labels = Object.entries(this.descriptions)
+      .map(([label, description]) => `- ${label}: ${description}`)
+      .join('\n');
+
+    return `Classify the following ${this.task}.
+
+Labels:
+${labels}
+
+Text: """${String(text).slice(0, 2000)}"""
+
+Respond with only a JSON object mapping every label to a confidence between 0 and 1, e.g. {"${Object.keys(this.descriptions)[0]}": 0.9}.`;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Promise<object>} { [label]: confidence }
+   */
+  async classify(text) {
+    const reply = await this.complete(this.buildPrompt(text));
+    const json = reply.slice(reply.indexOf('{'), reply.lastIndexOf('}') + 1);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch {
+      throw new Error(`LLM classifier returned unparseable output: ${reply.slice(0, 200)}`);
+    }
+
+    const scores = {};
+    for (const label of Object.keys(this.descriptions)) {
+      const value = Number(parsed[label]);
+      if (Number.isFinite(value)) {
+        scores[label] = Math.min(1, Math.max(0, value));
+      }
+    }
+    return scores;
+  }
+}
+
+export default LlmBackend;
@@ -0,0 +1,70 @@
+import natural from 'natural';
+
+const ALGORITHMS = {
+  bayes: natural.BayesClassifier,
+  logistic: natural.LogisticRegressionClassifier
+};
+
+/**
+ * Trainable local model backed by `natural` (naive Bayes or logistic regression)
+ *
+ * Scores from `natural` are normalised to sum to 1 so they read as per-label
+ * confidence, whatever the algorithm.
+ */
+export class ModelBackend {
+  /**
+   * @param {object} options
+   * @param {string} options.algorithm - 'bayes' or 'logistic'
+   * @param {object} options.model - A model previously saved with toJSON()
+   */
+  constructor({ algorithm = 'bayes', model = null } = {}) {
+    const Classifier = ALGORITHMS[algorithm];
+    if (!Classifier) {
+      throw new Error(`Unknown classifier algorithm "${algorithm}" (expected ${Object.keys(ALGORITHMS).join(' or ')})`);
+    }
+
+    this.name = algorithm;
+    this.algorithm = algorithm;
+    this.classifier = model ? Classifier.restore(model.classifier || model) : new Classifier();
+    this.trained = !!model;
+  }
+
+  get labels() {
+    return this.trained ? this.classifier.getClassifications('').map(item => item.label) : [];
+  }
+
+  /**
+   * Train on a labeled dataset, replacing anything learned before
+   * @param {Array<object>} examples - [{ text, label }]
+   */
+  train(examples) {
+    if (!examples?.length) {
+      throw new Error('Cannot train on an empty dataset');
+    }
+
+    this.classifier = new ALGORITHMS[this.algorithm]();
+    examples.forEach(({ text, label }) => this.classifier.addDocument(text, label));
+    this.classifier.train();
+    this.trained = true;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object} { [label]: confidence }
+   */
+  classify(text) {
+    if (!this.trained) return {};
+
+    const classifications = this.classifier.getClassifications(String(text || ''));
+    const total = classifications.reduce((sum, item) => sum + item.value, 0);
+    if (!total) return {};
+
+    return Object.fromEntries(classifications.map(item => [item.label, item.value / total]));
+  }
+
+  toJSON() {
+    return { backend: this.name, classifier: JSON.parse(JSON.stringify(this.classifier)) };
+  }
+}
+
+export default ModelBackend;
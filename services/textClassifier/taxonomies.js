@@ -0,0 +1,66 @@
+/**
+ * Label sets shared by the classifiers
+ *
+ * `keywords` drive the keyword backend (and seed nothing else); `descriptions`
+ * are what the LLM backend is told each label means. To grow a taxonomy, add
+ * the label here and labeled examples to the matching dataset in ./datasets.
+ */
+
+export const OBJECTION_TAXONOMY = {
+  task: 'sales call utterance by its objection type',
+  fallbackLabel: 'none',
+  keywordStrategy: 'most',
+  descriptions: {
+    price: 'cost, budget or affordability concerns',
+    timing: 'not now, stalling, wants to wait or think it over',
+    authority: 'someone else (partner, committee, office manager) has to decide',
+    competitor: 'already uses or prefers another product or vendor',
+    need: 'does not see a need or is not interested',
+    none: 'not an objection'
+  },
+  keywords: {
+    price: ['too expensive', 'not in our budget', "can't afford", 'cannot afford', 'out of our price range', 'costs too much'],
+    timing: ['need to think', 'not the right time', 'maybe later', 'not right now', 'next quarter', 'next year'],
+    authority: ['talk to my partner', 'run it by', 'need approval', 'not my decision', 'committee decision'],
+    competitor: ['already have', 'already use', 'happy with our current', 'under contract with'],
+    need: ["don't need", 'not interested', 'no need for', "doesn't make sense for us"]
+  }
+};
+
+export const INTENT_TAXONOMY = {
+  task: "patient's phone request to a dental practice",
+  fallbackLabel: 'general',
+  keywordStrategy: 'priority',
+  descriptions: {
+    greeting: 'just saying hello',
+    forget: 'wants the practice to forget or delete what it remembers about them',
+    reschedule: 'wants to move an existing appointment to another time',
+    cancel: 'wants to cancel an existing appointment',
+    appointment: 'wants to book a new appointment',
+    emergency: 'urgent problem, pain or injury',
+    callback: 'wants someone to call them back',
+    information: 'asks about hours, location, insurance or other practice details',
+    inquiry: 'any other question',
+    general: 'anything else'
+  },
+  // Checked in order: the first label with any hit wins
+  keywords: {
+    forget: ['forget me', 'forget my', 'forget about me', 'delete my information', 'delete my data', 'erase my', 'stop remembering'],
+    greeting: ['hello', 'hi', 'good morning', 'good afternoon'],
+    reschedule: ['reschedule', 'move my appointment', 'change my appointment', 'push back my appointment'],
+    cancel: ['cancel'],
+    appointment: ['appointment', 'schedule', 'book'],
+    emergency: ['emergency', 'urgent', 'pain'],
+    callback: ['call me back', 'callback', 'return call'],
+    information: ['hours', 'location', 'address', 'insurance'],
+    inquiry: ['?', 'how', 'what', 'when']
+  }
+};
+
+// Phrases the call analyzer tallies for the post-call summary
+export const KEY_PHRASES = [
+  'price', 'cost', 'expensive', 'budget',
+  'competitor', 'alternative', 'other options',
+  'think about it', 'not sure', 'maybe later',
+  'decision maker', 'approval', 'committee'
+];
@@ -0,0 +1,216 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import logger from '../../utils/logger.js';
+import realtimeCallAnalyzer from '../realtimeCallAnalyzer.js';
+import coachingTriggerEngine from '../coachingTriggerEngine.js';
+import callScorecardService, { scoreCall } from '../callScorecard/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a JSONL transcript, one utterance per line
+ * Each line is { speaker, text } plus one of offsetSeconds, offsetMs or an ISO
+ * timestamp (relative to the first line's timestamp), and optionally
+ * durationSeconds so speaking pace can be measured
+ * @param {string} content - File contents
+ * @returns {Array<object>} Utterances as [{ speaker, text, offsetSeconds, durationSeconds? }], in call order
+ */
+export function parseTranscriptJsonl(content) {
+  let firstTimestamp = null;
+  const utterances = [];
+
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: invalid JSON (${error.message})`);
+    }
+    if (typeof entry.text !== 'string' || !entry.text.trim()) {
+      throw new Error(`Line ${index + 1}: "text" is required`);
+    }
+
+    let offsetSeconds = 0;
+    if (Number.isFinite(entry.offsetSeconds)) {
+      offsetSeconds = entry.offsetSeconds;
+    } else if (Number.isFinite(entry.offsetMs)) {
+      offsetSeconds = entry.offsetMs / 1000;
+    } else if (entry.timestamp) {
+      const at = Date.parse(entry.timestamp);
+      if (Number.isNaN(at)) {
+        throw new Error(`Line ${index + 1}: invalid timestamp "${entry.timestamp}"`);
+      }
+      if (firstTimestamp === null) firstTimestamp = at;
+      offsetSeconds = (at - firstTimestamp) / 1000;
+    }
+
+    utterances.push({
+      speaker: entry.speaker || 'unknown',
+      text: entry.text,
+      offsetSeconds: Math.max(0, offsetSeconds),
+      ...(Number.isFinite(entry.durationSeconds) && entry.durationSeconds > 0 && { durationSeconds: entry.durationSeconds })
+    });
+  });
+
+  // Stable sort keeps same-offset utterances in file order
+  return utterances.sort((a, b) => a.offsetSeconds - b.offsetSeconds);
+}
+
+export async function loadTranscriptFile(filePath) {
+  return parseTranscriptJsonl(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Load a call_transcriptions row as utterances
+ * @param {object} params - { transcriptionId } or { callSid }
+ * @returns {Promise<Array<object>|null>} Utterances, or null when not found
+ */
+export async function loadStoredTranscript(params) {
+  return coachingTriggerEngine.loadStoredTranscript(params);
+}
+
+/**
+ * Transcript Replayer
+ * Feeds a recorded call through RealtimeCallAnalyzer.analyzeTranscript so the
+ * analyzer and trigger engine behave exactly as on a live call (same events,
+ * cooldowns and rule windows), then reports what fired and when.
+ */
+class TranscriptReplayer {
+  constructor({ analyzer = realtimeCallAnalyzer } = {}) {
+    this.analyzer = analyzer;
+  }
+
+  /**
+   * @param {Array<object>} utterances - [{ speaker, text, offsetSeconds }] in call order
+   * @param {object} options
+   * @param {number} options.speed - 1 replays in real time, 10 ten times faster, 0 without waiting
+   * @param {string} options.repId - Rep whose preferences (overrides, budget) apply
+   * @param {string} options.label - Name for the report
+   * @param {string} options.rubricId - Scorecard rubric (default: the configured default)
+   * @returns {Promise<object>} Replay report
+   */
+  async replay(utterances, { speed = 0, repId = null, label = null, rubricId } = {}) {
+    if (!Array.isArray(utterances) || utterances.length === 0) {
+      throw new Error('Nothing to replay: transcript has no utterances');
+    }
+    if (!Number.isFinite(speed) || speed < 0) {
+      throw new Error('speed must be 0 (no waiting) or a positive multiplier');
+    }
+    const rubric = callScorecardService.getRubric(rubricId);
+    if (!rubric) {
+      throw new Error(`Unknown scorecard rubric "${rubricId}"`);
+    }
+
+    const analyzer = this.analyzer;
+    const { id: sessionId } = analyzer.startReplay({ repId, label });
+    const session = analyzer.activeSessions.get(sessionId);
+
+    const firings = [];
+    const objections = [];
+    const timeline = [];
+    let current = null;
+
+    const onTrigger = (event) => {
+      if (event.sessionId !== sessionId) return;
+      firings.push({
+        at: current.offsetSeconds,
+        triggerId: event.trigger.id,
+        name: event.trigger.name,
+        severity: event.trigger.severity,
+        message: event.trigger.message,
+        speaker: current.speaker,
+        text: current.text
+      });
+    };
+    const onObjection = (event) => {
+      if (event.sessionId !== sessionId) return;
+      objections.push({
+        at: current.offsetSeconds,
+        speaker: current.speaker,
+        text: event.text,
+        type: event.type,
+        confidence: event.confidence,
+        count: event.count
+      });
+    };
+
+    analyzer.on('coaching-trigger', onTrigger);
+    analyzer.on('objection-detected', onObjection);
+
+    let summary;
+    try {
+      let previousOffset = utterances[0].offsetSeconds || 0;
+
+      for (const utterance of utterances) {
+        const offsetSeconds = utterance.offsetSeconds || 0;
+        if (speed > 0 && offsetSeconds > previousOffset) {
+          await sleep(((offsetSeconds - previousOffset) * 1000) / speed);
+        }
+        previousOffset = offsetSeconds;
+
+        current = { speaker: utterance.speaker, text: utterance.text, offsetSeconds };
+        const phrasesBefore = new Map(session.keyPhrases);
+        const firedBefore = firings.length;
+        const objectionsBefore = objections.length;
+
+        await analyzer.analyzeTranscript(sessionId, utterance.speaker, utterance.text, {
+          at: offsetSeconds * 1000,
+          endAt: Number.isFinite(utterance.durationSeconds) ? (offsetSeconds + utterance.durationSeconds) * 1000 : null
+        });
+
+        timeline.push({
+          at: offsetSeconds,
+          speaker: utterance.speaker,
+          text: utterance.text,
+          sentiment: session.sentiment.trend.at(-1)?.sentiment ?? 0,
+          overallSentiment: session.sentiment.overall,
+          talkRatio: analyzer.calculateTalkRatioBalance(session.talkRatio),
+          questions: session.lastUtterance.questions,
+          silenceBefore: session.lastUtterance.silenceMs / 1000,
+          interrupted: session.lastUtterance.interrupted,
+          keyPhrases: [...session.keyPhrases.keys()].filter(phrase => session.keyPhrases.get(phrase) !== phrasesBefore.get(phrase)),
+          objection: objections.length > objectionsBefore,
+          triggers: firings.slice(firedBefore).map(firing => firing.triggerId)
+        });
+      }
+    } finally {
+      analyzer.off('coaching-trigger', onTrigger);
+      analyzer.off('objection-detected', onObjection);
+      summary = analyzer.endAnalysis(sessionId);
+    }
+
+    const triggerCounts = {};
+    firings.forEach(firing => {
+      triggerCounts[firing.triggerId] = (triggerCounts[firing.triggerId] || 0) + 1;
+    });
+
+    logger.info(`TranscriptReplayer: replayed ${utterances.length} utterances${label ? ` from ${label}` : ''}, ${firings.length} triggers fired`);
+
+    return {
+      label,
+      speed,
+      utterances: utterances.length,
+      durationSeconds: summary.duration,
+      firings,
+      triggerCounts,
+      objections,
+      timeline,
+      summary,
+      scorecard: scoreCall({ session, summary }, rubric, { source: 'replay' })
+    };
+  }
+}
+
+// Export singleton
+const transcriptReplayer = new TranscriptReplayer();
+export { TranscriptReplayer };
+export default transcriptReplayer;
@@ -540,13 +540,15 @@ class WebSocketManager extends EventEmitter {
    * Start heartbeat checker
    */
   startHeartbeatChecker() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       this.clients.forEach((client, clientId) => {
         if (client.ws.readyState === 1) {
           client.ws.ping();
         }
       });
     }, this.heartbeatInterval);
+    // Open connections keep the process alive; the checker alone should not
+    timer.unref();
   }
   
   /**
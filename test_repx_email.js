@@ -1,6 +1,6 @@
 import dotenv from 'dotenv';
 import { createClient } from '@supabase/supabase-js';
-import repxEmailService from './services/repxEmailService.js';
+import emailGateway from './services/emailGateway/index.js';
 
 dotenv.config();
 
@@ -36,29 +36,26 @@ async function testRepXEmail() {
   // Test 1: Check email configuration for different tiers
   console.log('\n📧 Test 1: Email Configuration by Tier');
   for (const user of users) {
-    const config = await repxEmailService.getUserEmailConfig(user.user_id);
-    console.log(`${config.tier}: Limit=${config.emailLimit}, Vultr=${config.useVultr}`);
+    const config = await emailGateway.getUserEmailConfig(user.user_id);
+    console.log(`${config.tier}: Limit=${config.unlimited ? '∞' : config.emailLimit}, Transports=${config.transports.join(' → ') || 'none'}`);
   }
 
   // Test 2: Check email quota
   console.log('\n📊 Test 2: Email Quota Check');
   for (const user of users) {
-    const config = await repxEmailService.getUserEmailConfig(user.user_id);
-    const quota = await repxEmailService.checkEmailQuota(user.user_id, config);
+    const config = await emailGateway.getUserEmailConfig(user.user_id);
+    const quota = await emailGateway.checkQuota(user.user_id, config);
     console.log(`${config.tier}: ${quota.allowed ? 'Allowed' : 'Blocked'}, Remaining=${quota.remaining}`);
   }
 
-  // Test 3: Verify SMTP connections
-  console.log('\n🔌 Test 3: SMTP Connection Status');
-  console.log('Vultr SMTP configured:', !!repxEmailService.vultrTransporter);
-  console.log('SendGrid configured:', !!repxEmailService.sendgridClient);
-  
-  if (repxEmailService.vultrTransporter) {
-    try {
-      await repxEmailService.vultrTransporter.verify();
-      console.log('✅ Vultr SMTP connection verified');
-    } catch (error) {
-      console.log('❌ Vultr SMTP connection failed:', error.message);
+  // Test 3: Verify transport connections
+  console.log('\n🔌 Test 3: Transport Connection Status');
+  const { transports } = await emailGateway.getStatus({ verify: true });
+  for (const [name, status] of Object.entries(transports)) {
+    if (!status.configured) {
+      console.log(`${name}: not configured`);
+    } else {
+      console.log(`${status.connected ? '✅' : '❌'} ${name}: ${status.connected ? 'connected' : 'connection failed'}`);
     }
   }
 
@@ -76,11 +73,11 @@ async function testRepXEmail() {
   if (userWithEmail) {
     try {
       console.log(`Simulating email send for ${userWithEmail.subscription_tier} user...`);
-      const config = await repxEmailService.getUserEmailConfig(userWithEmail.user_id);
-      const quota = await repxEmailService.checkEmailQuota(userWithEmail.user_id, config);
+      const config = await emailGateway.getUserEmailConfig(userWithEmail.user_id);
+      const quota = await emailGateway.checkQuota(userWithEmail.user_id, config);
       
       if (quota.allowed) {
-        console.log(`✅ Email would be sent via ${config.useVultr ? 'Vultr SMTP' : 'SendGrid'}`);
+        console.log(`✅ Email would be sent via ${config.transports.join(', then ')}`);
         console.log(`   Remaining quota: ${quota.remaining || 'Unlimited'}`);
       } else {
         console.log(`❌ Email blocked: quota exceeded`);
@@ -93,10 +90,8 @@ async function testRepXEmail() {
   // Test 5: Check email stats
   console.log('\n📈 Test 5: Email Statistics');
   for (const user of users) {
-    const stats = await repxEmailService.getEmailStats(user.user_id);
-    if (stats) {
-      console.log(`${stats.tier}: ${stats.sent}/${stats.limit || '∞'} sent, Service: ${stats.service}`);
-    }
+    const stats = await emailGateway.getUserStats(user.user_id);
+    console.log(`${stats.tier}: ${stats.sent}/${stats.limit || '∞'} sent, Transports: ${stats.transports.join(', ')}`);
   }
 
   console.log('\n✅ RepX Email Service tests complete!');
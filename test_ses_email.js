@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import { createClient } from '@supabase/supabase-js';
+import emailGateway from './services/emailGateway/index.js';
 import sesEmailService from './services/sesEmailService.js';
 
 dotenv.config();
@@ -28,7 +29,7 @@ async function testSESEmail() {
     // 2. Test email config for different tiers
     console.log('2️⃣ Testing tier configurations...');
     for (const [tier, userId] of Object.entries(testUsers)) {
-      const config = await sesEmailService.getUserEmailConfig(userId);
+      const config = await emailGateway.getUserEmailConfig(userId);
       console.log(`${tier}:`, config);
     }
     console.log('✅ Tier configurations loaded\n');
@@ -36,7 +37,7 @@ async function testSESEmail() {
     // 3. Test sending an email (RepX1 user)
     console.log('3️⃣ Testing email send for RepX1 user...');
     try {
-      const result = await sesEmailService.sendEmail({
+      const result = await emailGateway.send({
         userId: testUsers.repx1,
         to: 'test@example.com',
         subject: 'Test Email - RepX1 Tier',
@@ -54,8 +55,8 @@ async function testSESEmail() {
 
     // 4. Test quota checking
     console.log('4️⃣ Testing quota system...');
-    const repx1Config = await sesEmailService.getUserEmailConfig(testUsers.repx1);
-    const quota = await sesEmailService.checkEmailQuota(testUsers.repx1, repx1Config);
+    const repx1Config = await emailGateway.getUserEmailConfig(testUsers.repx1);
+    const quota = await emailGateway.checkQuota(testUsers.repx1, repx1Config);
     console.log('RepX1 Quota:', quota);
     console.log('✅ Quota system working\n');
 
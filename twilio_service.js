@@ -33,7 +33,7 @@ const supabase = createClient(
 );
 
 // Twilio webhook URL base (will be set dynamically based on environment)
-const getWebhookBaseUrl = () => {
+export const getWebhookBaseUrl = () => {
   if (process.env.NODE_ENV === 'production') {
     return 'https://osbackend-zl1h.onrender.com';
   }
@@ -131,7 +131,7 @@ export function generateSmsResponse(message) {
  * Make an outbound call
  * @param {string} to - The phone number to call
  * @param {string} message - The message to speak
- * @param {object} options - Additional options
+ * @param {object} options - Additional options; `twiml` replaces the generated TwiML, `from` defaults to TWILIO_PHONE_NUMBER
  * @returns {Promise<object>} - The call object
  */
 export async function makeCall(to, message, options = {}) {
@@ -151,8 +151,8 @@ export async function makeCall(to, message, options = {}) {
     
     const callOptions = {
       to,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      twiml: generateVoiceResponse(message, twimlOptions),
+      from: options.from || process.env.TWILIO_PHONE_NUMBER,
+      twiml: options.twiml || generateVoiceResponse(message, twimlOptions),
       record: options.record || false
     };
     
@@ -195,7 +195,7 @@ export async function makeCall(to, message, options = {}) {
  * Send an SMS message
  * @param {string} to - The phone number to send to
  * @param {string} body - The message body
- * @param {object} options - Additional options
+ * @param {object} options - Additional options ({ from, metadata }); `from` defaults to TWILIO_PHONE_NUMBER
  * @returns {Promise<object>} - The message object
  */
 export async function sendSms(to, body, options = {}) {
@@ -206,7 +206,7 @@ export async function sendSms(to, body, options = {}) {
   try {
     const messageOptions = {
       to,
-      from: process.env.TWILIO_PHONE_NUMBER,
+      from: options.from || process.env.TWILIO_PHONE_NUMBER,
       body
     };
     
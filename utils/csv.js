@@ -0,0 +1,89 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting) for roster imports and report exports
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows, with blank lines skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Strip BOM from Excel exports
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input.charAt(i);
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input.charAt(i + 1) === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input.charAt(i + 1) === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(cell => cell !== ''));
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  // Exports carry provider-supplied text; keep it from running as a formula
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV
+ * @param {Array<object>} records - Rows to write
+ * @param {Array<{key: string, header: string}>} columns - Column order and headers
+ * @returns {string} CSV content
+ */
+export function toCsv(records, columns) {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCell(record[column.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+export default {
+  parseCsv,
+  toCsv
+};
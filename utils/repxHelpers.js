@@ -27,10 +27,13 @@ export async function getRepXTier(userId) {
   }
 }
 
+// emailTransports: email gateway transports for the tier, tried in order
+// until one accepts the message (see services/emailGateway)
 export const REPX_FEATURES = {
   repx0: {
     emailAccess: false,
     emailLimit: 0,
+    emailTransports: [],
     phoneAccess: false,
     gmailIntegration: false,
     whiteLabel: false,
@@ -39,6 +42,7 @@ export const REPX_FEATURES = {
   repx1: {
     emailAccess: true,
     emailLimit: 100, // per month
+    emailTransports: ['sendgrid', 'ses'],
     phoneAccess: false,
     gmailIntegration: false,
     whiteLabel: false,
@@ -47,6 +51,7 @@ export const REPX_FEATURES = {
   repx2: {
     emailAccess: true,
     emailLimit: 500, // per month via SendGrid
+    emailTransports: ['sendgrid', 'ses'],
     phoneAccess: true,
     gmailIntegration: false,
     whiteLabel: false,
@@ -55,6 +60,7 @@ export const REPX_FEATURES = {
   repx3: {
     emailAccess: true,
     emailLimit: 2000, // per month via SendGrid
+    emailTransports: ['sendgrid', 'ses'],
     phoneAccess: true,
     phoneAutoProvisioning: true,
     gmailIntegration: false,
@@ -64,6 +70,7 @@ export const REPX_FEATURES = {
   repx4: {
     emailAccess: true,
     emailLimit: null, // Unlimited via Vultr SMTP
+    emailTransports: ['smtp', 'ses', 'sendgrid'],
     phoneAccess: true,
     phoneAutoProvisioning: true,
     gmailIntegration: true,
@@ -73,6 +80,7 @@ export const REPX_FEATURES = {
   repx5: {
     emailAccess: true,
     emailLimit: null, // Unlimited via Vultr SMTP
+    emailTransports: ['smtp', 'ses', 'sendgrid'],
     phoneAccess: true,
     phoneAutoProvisioning: true,
     gmailIntegration: true,
@@ -0,0 +1,68 @@
+import logger from './logger.js';
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+
+/**
+ * Decide whether a failed outbound HTTP call is worth retrying.
+ * Network errors, timeouts, 429 and 5xx responses are retryable; other 4xx are not.
+ * @param {Error} error - Error thrown by axios (or any fetch-like client)
+ * @returns {boolean}
+ */
+export function isRetryableHttpError(error) {
+  if (error?.name === 'AbortError' || error?.code === 'ERR_CANCELED') {
+    return false;
+  }
+
+  const status = error?.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+
+  return RETRYABLE_CODES.includes(error?.code) || /timeout|network|socket hang up/i.test(error?.message || '');
+}
+
+/**
+ * Run an async function with exponential backoff and jitter.
+ * @param {Function} fn - Async function to run; receives the attempt number (1-based)
+ * @param {object} options
+ * @param {number} options.retries - Retries after the first attempt (default: 3)
+ * @param {number} options.baseDelay - Delay before the first retry in ms (default: 500)
+ * @param {number} options.maxDelay - Upper bound for any single delay in ms (default: 10000)
+ * @param {string} options.label - Name used in log messages
+ * @param {Function} options.shouldRetry - Predicate deciding whether an error is retryable
+ * @param {AbortSignal} options.signal - Stops retrying once aborted
+ * @returns {Promise<any>} Result of fn
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    retries = 3,
+    baseDelay = 500,
+    maxDelay = 10000,
+    label = 'operation',
+    shouldRetry = isRetryableHttpError,
+    signal = null
+  } = options;
+
+  let attempt = 0;
+  for (;;) {
+    attempt++;
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+      const jittered = Math.round(delay / 2 + Math.random() * (delay / 2));
+
+      logger.warn(`Retrying ${label} (attempt ${attempt + 1}/${retries + 1}) after ${jittered}ms: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, jittered));
+    }
+  }
+}
+
+export default {
+  withRetry,
+  isRetryableHttpError
+};